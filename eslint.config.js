@@ -71,7 +71,7 @@ export default [
 
   // ===== Shared utilities (CJS modules used by both processes) =====
   {
-    files: ['src/utils/batchNaming.js', 'src/constants/**/*.js'],
+    files: ['src/utils/batchNaming.js', 'src/utils/pairingRules.js', 'src/utils/mediaTypes.js', 'src/utils/blurClasses.js', 'src/utils/blurThresholds.js', 'src/utils/cameraClocks.js', 'src/constants/**/*.js'],
     languageOptions: {
       ecmaVersion: 2022,
       sourceType: 'module',
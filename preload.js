@@ -23,9 +23,10 @@ contextBridge.exposeInMainWorld('electronAPI', {
    * Groups files by base name to identify pairs (e.g., JPG + RAW)
    * 
    * @param {string} folderPath - Absolute path to the folder to scan
-   * @returns {Promise<Object>} Scan results including file groups and statistics
+   * @param {Object|null} [batchOptions=null] - Media and pairing rules (same shape as previewBatches)
+   * @returns {Promise<Object>} Scan results including file groups, statistics and per-category counts
    */
-  scanFolder: (folderPath) => ipcRenderer.invoke('scan-folder', folderPath),
+  scanFolder: (folderPath, batchOptions = null) => ipcRenderer.invoke('scan-folder', folderPath, batchOptions),
   
   /**
    * Previews how batches will be created without moving any files
@@ -34,10 +35,16 @@ contextBridge.exposeInMainWorld('electronAPI', {
    * @param {string} folderPath - Absolute path to the source folder
    * @param {number} maxFilesPerBatch - Maximum files per batch folder
    * @param {string} [sortBy='name-asc'] - Sort order for files
+   * @param {string[]|null} [excludeGroups=null] - Base names to leave out of the batches
+   * @param {Object|null} [batchOptions=null] - Extra batching options, e.g. { limitMode: 'size', maxBytesPerBatch }
+   * @param {string[]|null} [duplicateGroups=null] - Duplicate base names (from findDuplicates) to take out of the batches
+   * @param {string[]|null} [similarGroups=null] - Burst frames not picked (from findSimilar) to take out of the batches
+   * @param {string[]|null} [exposureGroups=null] - Over- and underexposed base names (from analyzeExposure) to take out of the batches
+   * @param {Object|null} [blurClassGroups=null] - Blurry base names per class folder, e.g. { motion: [...], defocus: [...] }
    * @returns {Promise<Object>} Preview results including batch count and sizes
    */
-  previewBatches: (folderPath, maxFilesPerBatch, sortBy = 'name-asc', excludeGroups = null) => 
-    ipcRenderer.invoke('preview-batches', { folderPath, maxFilesPerBatch, sortBy, excludeGroups }),
+  previewBatches: (folderPath, maxFilesPerBatch, sortBy = 'name-asc', excludeGroups = null, batchOptions = null, duplicateGroups = null, similarGroups = null, exposureGroups = null, blurClassGroups = null) => 
+    ipcRenderer.invoke('preview-batches', { folderPath, maxFilesPerBatch, sortBy, excludeGroups, batchOptions, duplicateGroups, similarGroups, exposureGroups, blurClassGroups }),
   
   /**
    * Executes the batch splitting operation
@@ -49,10 +56,16 @@ contextBridge.exposeInMainWorld('electronAPI', {
    * @param {string} mode - 'move' (default, instant) or 'copy' (preserves originals)
    * @param {string} outputDir - Optional output directory (for copy mode)
    * @param {string} [sortBy='name-asc'] - Sort order for files
+   * @param {string[]|null} [blurryGroups=null] - Base names to move into the Blurry folder
+   * @param {Object|null} [batchOptions=null] - Extra batching options (same shape as previewBatches)
+   * @param {string[]|null} [duplicateGroups=null] - Duplicate base names; moved to the Duplicates folder or left in place per batchOptions.duplicateAction
+   * @param {string[]|null} [similarGroups=null] - Burst frames not picked; moved to the Similar folder
+   * @param {string[]|null} [exposureGroups=null] - Over- and underexposed base names; moved to the Exposure folder or left in place per batchOptions.exposureAction
+   * @param {Object|null} [blurClassGroups=null] - Blurry base names per class; moved to the Blurry_Motion / Blurry_Defocus / Blurry_LowDetail folders
    * @returns {Promise<Object>} Execution results
    */
-  executeBatch: (folderPath, maxFilesPerBatch, outputPrefix, mode = 'move', outputDir = null, sortBy = 'name-asc', blurryGroups = null) =>
-    ipcRenderer.invoke('execute-batch', { folderPath, maxFilesPerBatch, outputPrefix, mode, outputDir, sortBy, blurryGroups }),
+  executeBatch: (folderPath, maxFilesPerBatch, outputPrefix, mode = 'move', outputDir = null, sortBy = 'name-asc', blurryGroups = null, batchOptions = null, duplicateGroups = null, similarGroups = null, exposureGroups = null, blurClassGroups = null) =>
+    ipcRenderer.invoke('execute-batch', { folderPath, maxFilesPerBatch, outputPrefix, mode, outputDir, sortBy, blurryGroups, batchOptions, duplicateGroups, similarGroups, exposureGroups, blurClassGroups }),
   
   /**
    * Opens a folder selection dialog for output folder (used in copy mode)
@@ -99,14 +112,19 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
   /**
    * Analyze images in a folder for blur using Laplacian variance.
-   * Processes JPEG/PNG files only (one per file group).
+   * Processes one JPEG/PNG per file group (or the embedded preview of RAW-only groups).
    * 
    * @param {string} folderPath - Path to the folder to analyze
-   * @param {string} [threshold='moderate'] - Sensitivity: 'strict' | 'moderate' | 'lenient'
-   * @returns {Promise<Object>} { success, blurResults, totalAnalyzed, blurryCount, totalGroups }
-   */
-  analyzeBlur: (folderPath, threshold = 'moderate') =>
-    ipcRenderer.invoke('analyze-blur', { folderPath, threshold }),
+   * @param {string} [threshold='moderate'] - Sensitivity: 'strict' | 'moderate' | 'lenient' | 'auto' (calibrated
+   *   from the folder's own scores) | 'custom'
+   * @param {Object|null} [batchOptions=null] - Batching options; `recursive` controls which files are analyzed
+   * @param {string} [scoring='global'] - 'global' (whole frame) | 'tiled' (focus point or sharpest region)
+   * @param {Object|null} [customThresholds=null] - { variance, edgeDensity } for 'custom'
+   * @returns {Promise<Object>} { success, blurResults, thresholds: { variance, edgeDensity, method }, thresholdPresets,
+   *   totalAnalyzed, blurryCount, totalGroups } — repeat calls for the same folder reuse the measurements
+   */
+  analyzeBlur: (folderPath, threshold = 'moderate', batchOptions = null, scoring = 'global', customThresholds = null) =>
+    ipcRenderer.invoke('analyze-blur', { folderPath, threshold, batchOptions, scoring, customThresholds }),
 
   /**
    * Listen for blur analysis progress updates
@@ -122,6 +140,95 @@ contextBridge.exposeInMainWorld('electronAPI', {
     };
   },
 
+  // ============================================================================
+  // EXPOSURE ANALYSIS APIs
+  // ============================================================================
+
+  /**
+   * Flag over- and underexposed frames from their luminance histogram
+   * (mean brightness, blown-out and crushed pixels). Processes JPEG/PNG
+   * files only (one per file group); metrics are cached per file.
+   * 
+   * @param {string} folderPath - Path to the folder to analyze
+   * @param {string} [preset='moderate'] - Preset: 'strict' | 'moderate' | 'lenient'
+   * @param {Object|null} [batchOptions=null] - Batching options; scan depth and pairing/media rules decide the groups
+   * @returns {Promise<Object>} { success, exposureResults, flaggedGroups, overCount, underCount, analyzedGroups, cachedFiles, preset, totalGroups }
+   */
+  analyzeExposure: (folderPath, preset = 'moderate', batchOptions = null) =>
+    ipcRenderer.invoke('analyze-exposure', { folderPath, preset, batchOptions }),
+
+  /**
+   * Listen for exposure analysis progress updates (images analyzed)
+   * 
+   * @param {Function} callback - Called with { current, total }
+   * @returns {Function} Cleanup function to remove the listener
+   */
+  onExposureProgress: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on('exposure-progress', listener);
+    return () => {
+      ipcRenderer.removeListener('exposure-progress', listener);
+    };
+  },
+
+  // ============================================================================
+  // DUPLICATE DETECTION APIs
+  // ============================================================================
+
+  /**
+   * Find file groups whose content duplicates another group (SHA-256,
+   * size prefilter, hashes cached by path + size + mtime).
+   * 
+   * @param {string} folderPath - Path to the folder to check
+   * @param {Object|null} [batchOptions=null] - Batching options; scan depth and pairing/media rules decide the groups
+   * @returns {Promise<Object>} { success, duplicateSets, duplicateGroups, duplicateFileCount, duplicateBytes, duplicateBytesFormatted, hashedFiles, cachedFiles, totalGroups }
+   */
+  findDuplicates: (folderPath, batchOptions = null) =>
+    ipcRenderer.invoke('find-duplicates', { folderPath, batchOptions }),
+
+  /**
+   * Listen for duplicate detection progress updates (files hashed)
+   * 
+   * @param {Function} callback - Called with { current, total }
+   * @returns {Function} Cleanup function to remove the listener
+   */
+  onDuplicateProgress: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on('duplicate-progress', listener);
+    return () => {
+      ipcRenderer.removeListener('duplicate-progress', listener);
+    };
+  },
+
+  // ============================================================================
+  // SIMILAR FRAME / BURST DETECTION APIs
+  // ============================================================================
+
+  /**
+   * Find bursts and near-identical frames (perceptual hash + capture time),
+   * each cluster ranked by sharpness, best first.
+   * 
+   * @param {string} folderPath - Path to the folder to check
+   * @param {Object|null} [batchOptions=null] - Batching options; scan depth, pairing/media rules and `burstGapSeconds`
+   * @returns {Promise<Object>} { success, clusters: [{ members: [{ baseName, analyzedFile, score, capturedAt }] }], clusteredGroups, analyzedGroups, cachedFiles, totalGroups }
+   */
+  findSimilar: (folderPath, batchOptions = null) =>
+    ipcRenderer.invoke('find-similar', { folderPath, batchOptions }),
+
+  /**
+   * Listen for similar frame detection progress updates (images analyzed)
+   * 
+   * @param {Function} callback - Called with { current, total }
+   * @returns {Function} Cleanup function to remove the listener
+   */
+  onSimilarProgress: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on('similar-progress', listener);
+    return () => {
+      ipcRenderer.removeListener('similar-progress', listener);
+    };
+  },
+
   // ============================================================================
   // UX IMPROVEMENT FUNCTIONS
   // ============================================================================
@@ -191,10 +298,20 @@ contextBridge.exposeInMainWorld('electronAPI', {
    * Get a medium-resolution preview image for modal viewing
    * @param {string} folderPath - Path to folder containing the image
    * @param {string} fileName - File name to preview
-   * @returns {Promise<Object>} { success, dataUrl, width, height } or { success: false, error }
+   * @returns {Promise<Object>} { success, dataUrl, width, height, originalWidth, originalHeight, orientationLabel, cameraLabel, captureTime } or { success: false, error }
    */
   getImagePreview: (folderPath, fileName) =>
     ipcRenderer.invoke('get-image-preview', { folderPath, fileName }),
+
+  /**
+   * Get the shooting data and histogram of an image (preview metadata panel)
+   * @param {string} folderPath - Path to folder containing the image
+   * @param {string} fileName - File name to inspect
+   * @returns {Promise<Object>} { success, metadata, histogram } or { success: false, error }.
+   *   metadata is null without readable EXIF; histogram is null when the image cannot be decoded
+   */
+  getImageMetadata: (folderPath, fileName) =>
+    ipcRenderer.invoke('get-image-metadata', { folderPath, fileName }),
   
   /**
    * Clean up stale recent folders that no longer exist
@@ -230,14 +347,15 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // ============================================================================
 
   /**
-   * Get information about the application cache
-   * @returns {Promise<Object>} { sizeBytes, sizeStr, path }
+   * Get information about the persistent analysis cache (EXIF, blur, exposure, burst and duplicate results)
+   * @returns {Promise<Object>} { success, entries, sizeBytes, sizeStr, path, analyzers } where analyzers maps
+   *   analyzer name -> entry count
    */
   getCacheInfo: () => ipcRenderer.invoke('get-cache-info'),
 
   /**
-   * Clear the application cache
-   * @returns {Promise<Object>} Success status
+   * Clear the analysis cache, so every file is analyzed again
+   * @returns {Promise<Object>} { success, removed }
    */
   clearCache: () => ipcRenderer.invoke('clear-cache'),
 
@@ -288,10 +406,11 @@ contextBridge.exposeInMainWorld('electronAPI', {
    * @param {string} folderPath - Source folder path
    * @param {string} mode - 'move' or 'copy'
    * @param {string|null} outputDir - Output directory (for copy mode)
+   * @param {Object|null} [batchOptions=null] - Batching options; `recursive` includes subfolder sizes
    * @returns {Promise<Object>} Validation result { success, diskSpace, permissions, warnings }
    */
-  validateExecution: (folderPath, mode, outputDir) =>
-    ipcRenderer.invoke('validate-execution', { folderPath, mode, outputDir }),
+  validateExecution: (folderPath, mode, outputDir, batchOptions = null) =>
+    ipcRenderer.invoke('validate-execution', { folderPath, mode, outputDir, batchOptions }),
 
   // ============================================================================
   // OPERATION HISTORY APIs
@@ -18,11 +18,14 @@ import { STRINGS } from './constants/strings';
 
 // Custom hooks
 import { useTheme } from './hooks/useTheme';
-import { useSettings } from './hooks/useSettings';
+import { useSettings, buildPresetSettings } from './hooks/useSettings';
 import { useFolderSelection } from './hooks/useFolderSelection';
 import { useBatchExecution } from './hooks/useBatchExecution';
 import { useRollback } from './hooks/useRollback';
 import { useBlurDetection } from './hooks/useBlurDetection';
+import { useDuplicateDetection } from './hooks/useDuplicateDetection';
+import { useSimilarDetection } from './hooks/useSimilarDetection';
+import { useExposureDetection } from './hooks/useExposureDetection';
 
 // Components
 import { ValidationModal, ConfirmationModal, CancelConfirmationModal, ResumeModal, UndoConfirmationModal, HistoryModal, SafetyCheckModal, BlurSensitivityModal } from './components/Modals';
@@ -30,6 +33,9 @@ import { ScanningCard, ExecutingCard, CompleteCard, ErrorCard, UndoCompleteCard
 import { PreviewPanel } from './components/PreviewPanel';
 import { IdleScreen } from './components/DropZone';
 
+// Utils
+import { validateNamingPattern, validateFileTemplate } from './utils/batchNaming';
+
 function App() {
   // ============================================================================
   // CORE STATE
@@ -56,23 +62,69 @@ function App() {
   
   const settings = useSettings();
   const {
-    maxFilesPerBatch, outputPrefix, batchMode, sortBy, outputDir,
+    maxFilesPerBatch, outputPrefix, renameTemplate, renameNumbering, batchMode, sortBy, outputDir,
+    limitMode, maxBatchSizeGB, targetBatchCount, balanceBy, contiguousBatches, scanSubfolders, subfolderLayout, typeSubfolders, splitBy, sessionGapMinutes,
+    locationRadiusKm, placeLabels, clockOffsets,
+    minRating, labelFilter, rejectedAction,
+    sidecarExtensions, pairingPatterns, mediaCategories, extraExtensions, ignorePatterns, pairingOptions, batchOptions,
     selectedPresetName, refreshingField, setRefreshingField,
     setSelectedPresetName, resetSettings, handleSettingsChange,
     handleSelectOutputFolder,
-    blurDetectionEnabled, blurSensitivity,
+    blurDetectionEnabled, blurSensitivity, blurScoring, blurCustomVariance, blurCustomEdgeDensity, blurCustomThresholds,
+    blurMotionAction, blurDefocusAction, blurLowDetailAction, blurClassActions,
+    duplicateDetectionEnabled, duplicateAction,
+    similarDetectionEnabled, similarKeepCount, burstGapSeconds,
+    exposureDetectionEnabled, exposurePreset, exposureAction,
   } = settings;
+  // Batch options of the default settings (first render), which resetSettings() restores on every scan
+  const defaultBatchOptionsRef = useRef(batchOptions);
 
   const blurDetection = useBlurDetection({
     folderPath,
     blurDetectionEnabled,
     blurSensitivity,
+    customThresholds: blurCustomThresholds,
+    blurScoring,
+    scanSubfolders,
+    pairingOptions,
+    blurClassActions,
   });
   const {
-    blurryGroups, isAnalyzing: isAnalyzingBlur,
+    blurRouting, blurResults, blurThresholds, blurThresholdPresets, isAnalyzing: isAnalyzingBlur,
     runBlurAnalysis, resetBlurState, clearAnalysisCache,
   } = blurDetection;
 
+  const duplicateDetection = useDuplicateDetection({
+    folderPath,
+    duplicateDetectionEnabled,
+    isReady: appState === STATES.READY,
+    scanSubfolders,
+    pairingOptions,
+  });
+  const { duplicateGroups, resetDuplicateState } = duplicateDetection;
+
+  const similarDetection = useSimilarDetection({
+    folderPath,
+    similarDetectionEnabled,
+    isReady: appState === STATES.READY,
+    scanSubfolders,
+    pairingOptions,
+    similarKeepCount,
+    burstGapSeconds,
+    clockOffsets: batchOptions.clockOffsets,
+  });
+  const { similarGroups, resetSimilarState } = similarDetection;
+
+  const exposureDetection = useExposureDetection({
+    folderPath,
+    exposureDetectionEnabled,
+    exposurePreset,
+    isReady: appState === STATES.READY,
+    scanSubfolders,
+    pairingOptions,
+  });
+  const { exposureGroups, resetExposureState } = exposureDetection;
+
   // Blur sensitivity modal state
   const [showBlurSensitivityModal, setShowBlurSensitivityModal] = useState(false);
   const [analysisRequestId, setAnalysisRequestId] = useState(0);
@@ -122,10 +174,14 @@ function App() {
     setError(null);
     resetSettings();
     resetBlurState();
+    resetDuplicateState();
+    resetSimilarState();
+    resetExposureState();
     setExpandedBatch(null);
 
     try {
-      const results = await window.electronAPI.scanFolder(path);
+      // Settings were just reset, so scan and preview with the default batch options
+      const results = await window.electronAPI.scanFolder(path, defaultBatchOptionsRef.current);
 
       if (results.success) {
         setScanResults(results);
@@ -139,7 +195,7 @@ function App() {
           }
         }
 
-        const preview = await window.electronAPI.previewBatches(path, 500);
+        const preview = await window.electronAPI.previewBatches(path, 500, 'name-asc', null, defaultBatchOptionsRef.current);
         if (preview.success) {
           setPreviewResults(preview);
           setAppState(STATES.READY);
@@ -153,7 +209,7 @@ function App() {
       setError(err.message);
       setAppState(STATES.ERROR);
     }
-  }, [resetSettings, resetBlurState]);
+  }, [resetSettings, resetBlurState, resetDuplicateState, resetSimilarState, resetExposureState]);
 
   const folder = useFolderSelection({ setAppState, setError, scanFolder });
   const {
@@ -181,17 +237,30 @@ function App() {
     if (!folderPath) return;
 
     const maxFiles = parseInt(maxFilesPerBatch, 10);
-    if (isNaN(maxFiles) || maxFiles < 1) return;
+    if (limitMode === 'size') {
+      if (batchOptions.maxBytesPerBatch <= 0) return;
+    } else if (limitMode === 'target') {
+      if (batchOptions.targetBatchCount < 1) return;
+    } else if (isNaN(maxFiles) || maxFiles < 1) {
+      return;
+    }
+    if (batchOptions.splitBy === 'session' && batchOptions.sessionGapMinutes < 1) return;
+    if (batchOptions.splitBy === 'location' && batchOptions.locationRadiusKm <= 0) return;
 
-    const previewMaxFiles = Math.max(10, maxFiles);
+    const previewMaxFiles = Math.max(10, maxFiles || 0);
     previewCancelledRef.current = false;
     setIsRefreshingPreview(true);
 
-    // Pass blurry groups as excludeGroups if blur detection is enabled
-    const excludeGroups = blurDetectionEnabled && blurryGroups.length > 0 ? blurryGroups : null;
+    // Pass blurry groups as excludeGroups if blur detection is enabled; classes with
+    // their own folder go separately, kept classes stay in the batches
+    const excludeGroups = blurDetectionEnabled && blurRouting.sharedGroups.length > 0 ? blurRouting.sharedGroups : null;
+    const blurClassGroups = blurDetectionEnabled ? blurRouting.classGroups : null;
+    const duplicates = duplicateDetectionEnabled && duplicateGroups.length > 0 ? duplicateGroups : null;
+    const similar = similarDetectionEnabled && similarGroups.length > 0 ? similarGroups : null;
+    const exposure = exposureDetectionEnabled && exposureGroups.length > 0 ? exposureGroups : null;
 
     try {
-      const preview = await window.electronAPI.previewBatches(folderPath, previewMaxFiles, sortBy, excludeGroups);
+      const preview = await window.electronAPI.previewBatches(folderPath, previewMaxFiles, sortBy, excludeGroups, batchOptions, duplicates, similar, exposure, blurClassGroups);
       if (!previewCancelledRef.current) {
         if (preview.success) {
           setPreviewResults(preview);
@@ -207,7 +276,7 @@ function App() {
         setRefreshingField(null);
       }
     }
-  }, [folderPath, maxFilesPerBatch, sortBy, blurDetectionEnabled, blurryGroups, setRefreshingField]);
+  }, [folderPath, maxFilesPerBatch, limitMode, sortBy, batchOptions, blurDetectionEnabled, blurRouting, duplicateDetectionEnabled, duplicateGroups, similarDetectionEnabled, similarGroups, exposureDetectionEnabled, exposureGroups, setRefreshingField]);
 
   useEffect(() => {
     if (appStateRef.current !== STATES.READY) return;
@@ -229,7 +298,7 @@ function App() {
   // Track when blur toggle just turned on (to show modal instead of auto-analyzing)
   const prevBlurEnabledRef = useRef(blurDetectionEnabled);
 
-  // Trigger blur analysis when sensitivity or folder changes (but NOT on initial toggle-on)
+  // Trigger blur analysis when sensitivity, scoring or folder changes (but NOT on initial toggle-on)
   useEffect(() => {
     const justEnabled = !prevBlurEnabledRef.current && blurDetectionEnabled;
     prevBlurEnabledRef.current = blurDetectionEnabled;
@@ -249,10 +318,15 @@ function App() {
 
     // Re-analyze on sensitivity change, folder change, or explicit request (analysisRequestId)
     runBlurAnalysis();
-  }, [blurDetectionEnabled, blurSensitivity, folderPath, analysisRequestId, runBlurAnalysis, resetBlurState]);
+  }, [blurDetectionEnabled, blurSensitivity, blurScoring, folderPath, analysisRequestId, runBlurAnalysis, resetBlurState]);
 
   // Called when user clicks "Start Analysis" in the sensitivity modal
-  const handleConfirmBlurAnalysis = useCallback((selectedSensitivity) => {
+  // (customThresholds are the dragged lines when 'custom' is chosen)
+  const handleConfirmBlurAnalysis = useCallback((selectedSensitivity, customThresholds = null) => {
+    if (selectedSensitivity === 'custom' && customThresholds) {
+      handleSettingsChange('blurCustomVariance', String(customThresholds.variance));
+      handleSettingsChange('blurCustomEdgeDensity', String(customThresholds.edgeDensity));
+    }
     handleSettingsChange('blurSensitivity', selectedSensitivity);
     setShowBlurSensitivityModal(false);
     clearAnalysisCache();
@@ -270,7 +344,7 @@ function App() {
     setShowBlurSensitivityModal(true);
   }, []);
 
-  // Refresh preview when blurry groups change (after analysis completes or user un-flags)
+  // Refresh preview when blurry groups change (after analysis completes, user un-flags or re-routes a blur class)
   useEffect(() => {
     if (appStateRef.current !== STATES.READY) return;
     if (!blurDetectionEnabled) return;
@@ -284,9 +358,9 @@ function App() {
 
     return () => clearTimeout(timer);
     // We intentionally exclude refreshPreview from deps to avoid infinite loops.
-    // This effect should only fire when blurryGroups changes.
+    // This effect should only fire when the blurry groups or their routing change.
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [blurryGroups, blurDetectionEnabled]);
+  }, [blurRouting, blurDetectionEnabled]);
 
   // ============================================================================
   // VALIDATION & EXECUTION WRAPPERS
@@ -294,7 +368,7 @@ function App() {
 
   const validateInputs = () => {
     const maxFiles = parseInt(maxFilesPerBatch, 10);
-    if (!maxFilesPerBatch || isNaN(maxFiles)) {
+    if (limitMode === 'count' && (!maxFilesPerBatch || isNaN(maxFiles))) {
       setValidationError({
         title: 'Max Files Per Batch Required',
         message: 'Please enter the maximum number of files per batch folder.',
@@ -303,6 +377,55 @@ function App() {
       return false;
     }
 
+    const maxSizeGB = parseFloat(maxBatchSizeGB);
+    if (limitMode === 'size' && (isNaN(maxSizeGB) || maxSizeGB <= 0)) {
+      setValidationError({
+        title: 'Max Batch Size Required',
+        message: 'Please enter the maximum size (in GB) of each batch folder.',
+        field: 'maxBatchSizeGB',
+      });
+      return false;
+    }
+
+    const batchCount = parseInt(targetBatchCount, 10);
+    if (limitMode === 'target' && (isNaN(batchCount) || batchCount < 1)) {
+      setValidationError({
+        title: 'Number of Batches Required',
+        message: 'Please enter how many batch folders to split the photos into.',
+        field: 'targetBatchCount',
+      });
+      return false;
+    }
+
+    const gapMinutes = parseInt(sessionGapMinutes, 10);
+    if (splitBy === 'session' && (isNaN(gapMinutes) || gapMinutes < 1)) {
+      setValidationError({
+        title: 'Session Gap Required',
+        message: 'Please enter how many minutes without photos should start a new session.',
+        field: 'sessionGapMinutes',
+      });
+      return false;
+    }
+
+    const radiusKm = parseFloat(locationRadiusKm);
+    if (splitBy === 'location' && (isNaN(radiusKm) || radiusKm <= 0)) {
+      setValidationError({
+        title: 'Location Radius Required',
+        message: 'Please enter how far apart (in km) photos can be and still count as one location.',
+        field: 'locationRadiusKm',
+      });
+      return false;
+    }
+
+    if (pairingOptions.mediaCategories.length === 0 && pairingOptions.extraExtensions.length === 0) {
+      setValidationError({
+        title: 'No File Types Selected',
+        message: 'Please select at least one file type to batch, or add an extra extension.',
+        field: 'mediaCategories',
+      });
+      return false;
+    }
+
     if (!outputPrefix || outputPrefix.trim() === '') {
       setValidationError({
         title: 'Folder Name Required',
@@ -312,15 +435,26 @@ function App() {
       return false;
     }
 
-    if (/[\\/:*?"<>|]/.test(outputPrefix)) {
+    const namingErrors = validateNamingPattern(outputPrefix);
+    if (namingErrors.length > 0) {
       setValidationError({
-        title: 'Invalid Character Detected',
-        message: 'Folder names cannot contain slashes (/) or special characters like \\ : * ? " < > |',
+        title: 'Invalid Folder Name',
+        message: namingErrors.join(' '),
         field: 'outputPrefix',
       });
       return false;
     }
 
+    const renameErrors = validateFileTemplate(renameTemplate);
+    if (renameErrors.length > 0) {
+      setValidationError({
+        title: 'Invalid File Name Template',
+        message: renameErrors.join(' '),
+        field: 'renameTemplate',
+      });
+      return false;
+    }
+
     return true;
   };
 
@@ -333,13 +467,20 @@ function App() {
     handleExecuteBatch({
       folderPath,
       maxFilesPerBatch,
+      batchOptions,
       outputPrefix: outputPrefix.trim(),
       batchMode,
       outputDir,
       sortBy,
       selectedPresetName,
+      // Auto-saved to the selected preset, with every setting the preset menu saves
+      presetSettings: buildPresetSettings(settings),
       previewBatchCount: previewResults?.batchCount || 0,
-      blurryGroups: blurDetectionEnabled && blurryGroups.length > 0 ? blurryGroups : null,
+      blurryGroups: blurDetectionEnabled && blurRouting.sharedGroups.length > 0 ? blurRouting.sharedGroups : null,
+      blurClassGroups: blurDetectionEnabled ? blurRouting.classGroups : null,
+      duplicateGroups: duplicateDetectionEnabled && duplicateGroups.length > 0 ? duplicateGroups : null,
+      similarGroups: similarDetectionEnabled && similarGroups.length > 0 ? similarGroups : null,
+      exposureGroups: exposureDetectionEnabled && exposureGroups.length > 0 ? exposureGroups : null,
     });
   };
 
@@ -356,6 +497,9 @@ function App() {
     setExpandedBatch(null);
     resetSettings();
     resetBlurState();
+    resetDuplicateState();
+    resetSimilarState();
+    resetExposureState();
     // Reset batch execution state so stale data doesn't bleed into next run
     setExecutionResults(null);
     setProgress({ current: 0, total: 0 });
@@ -420,12 +564,16 @@ function App() {
             previewResults={previewResults}
             isRefreshingPreview={isRefreshingPreview}
             refreshingField={refreshingField}
-            settings={{ maxFilesPerBatch, outputPrefix, batchMode, sortBy, outputDir, blurDetectionEnabled, blurSensitivity }}
+            settings={{ maxFilesPerBatch, limitMode, maxBatchSizeGB, targetBatchCount, balanceBy, contiguousBatches, scanSubfolders, subfolderLayout, typeSubfolders, splitBy, sessionGapMinutes, locationRadiusKm, placeLabels, clockOffsets, minRating, labelFilter, rejectedAction, sidecarExtensions, pairingPatterns, mediaCategories, extraExtensions, ignorePatterns, outputPrefix, renameTemplate, renameNumbering, batchMode, sortBy, outputDir, blurDetectionEnabled, blurSensitivity, blurScoring, blurCustomVariance, blurCustomEdgeDensity, blurMotionAction, blurDefocusAction, blurLowDetailAction, duplicateDetectionEnabled, duplicateAction, similarDetectionEnabled, similarKeepCount, burstGapSeconds, exposureDetectionEnabled, exposurePreset, exposureAction }}
+            presetSettings={buildPresetSettings(settings)}
             validationError={validationError}
             expandedBatch={expandedBatch}
             selectedPresetName={selectedPresetName}
             onPresetSelect={setSelectedPresetName}
             blurDetection={blurDetection}
+            duplicateDetection={duplicateDetection}
+            similarDetection={similarDetection}
+            exposureDetection={exposureDetection}
             onSettingsChange={handleSettingsChange}
             onOpenBlurModal={handleOpenBlurModal}
             onToggleBatch={(batchNumber) =>
@@ -493,10 +641,33 @@ function App() {
         isOpen={showConfirmation}
         settings={{
           maxFilesPerBatch,
+          limitMode,
+          maxBatchSizeGB,
+          targetBatchCount,
+          balanceBy,
+          contiguousBatches,
+          scanSubfolders,
+          subfolderLayout,
+          typeSubfolders,
+          splitBy,
+          sessionGapMinutes,
+          locationRadiusKm,
+          minRating,
+          labelFilter,
+          rejectedFileCount: previewResults?.rejectedFileCount || 0,
+          filteredFileCount: previewResults?.filteredFileCount || 0,
           outputPrefix,
+          renameTemplate,
+          renameNumbering,
           batchMode,
           outputDir,
           sortBy,
+          duplicateCount: duplicateDetectionEnabled ? duplicateGroups.length : 0,
+          duplicateAction,
+          similarCount: similarDetectionEnabled ? similarGroups.length : 0,
+          blurRouting: blurDetectionEnabled ? blurRouting : null,
+          exposureCount: exposureDetectionEnabled ? exposureGroups.length : 0,
+          exposureAction,
           batchCount: previewResults?.batchCount || 0,
           presetName: selectedPresetName,
         }}
@@ -555,6 +726,10 @@ function App() {
       <BlurSensitivityModal
         isOpen={showBlurSensitivityModal}
         currentSensitivity={blurSensitivity}
+        customThresholds={blurCustomThresholds}
+        blurResults={blurResults}
+        activeThresholds={blurThresholds}
+        presetThresholds={blurThresholdPresets}
         onStart={handleConfirmBlurAnalysis}
         onCancel={handleDismissBlurModal}
       />
@@ -0,0 +1,57 @@
+/**
+ * AnalysisCacheInfo Component
+ *
+ * Size of the persistent analysis cache (saved EXIF, blur, exposure, burst
+ * and duplicate results) with a button to clear it. Hidden while empty.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Database, Trash2 } from 'lucide-react';
+import './DropZone.css';
+
+function AnalysisCacheInfo() {
+  const [info, setInfo] = useState(null); // { entries, sizeStr, ... } from getCacheInfo
+  const [isClearing, setIsClearing] = useState(false);
+
+  useEffect(() => {
+    if (!window.electronAPI?.getCacheInfo) return;
+    let cancelled = false;
+    window.electronAPI.getCacheInfo().then((result) => {
+      if (!cancelled && result?.success) setInfo(result);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  const handleClear = async () => {
+    setIsClearing(true);
+    try {
+      const result = await window.electronAPI.clearCache();
+      if (result?.success) {
+        setInfo(null);
+      } else {
+        console.error('[CACHE] Clear failed:', result?.error);
+      }
+    } finally {
+      setIsClearing(false);
+    }
+  };
+
+  if (!info || info.entries === 0) return null;
+
+  return (
+    <div
+      className="analysis-cache-info"
+      title="Saved analysis results, so re-opened folders only analyze new or changed files"
+    >
+      <Database size={14} />
+      <span>
+        Analysis cache: {info.entries.toLocaleString()} results · {info.sizeStr}
+      </span>
+      <button className="analysis-cache-clear" onClick={handleClear} disabled={isClearing}>
+        <Trash2 size={12} /> Clear
+      </button>
+    </div>
+  );
+}
+
+export default AnalysisCacheInfo;
@@ -1,12 +1,13 @@
 /**
  * IdleScreen Component
  * 
- * Container for DropZone and RecentFolders (IDLE state)
+ * Container for DropZone, RecentFolders and the analysis cache info (IDLE state)
  */
 
 import React from 'react';
 import DropZone from './DropZone';
 import RecentFolders from './RecentFolders';
+import AnalysisCacheInfo from './AnalysisCacheInfo';
 import './DropZone.css';
 
 /**
@@ -45,6 +46,7 @@ function IdleScreen({
         folders={recentFolders}
         onSelectFolder={onSelectRecentFolder}
       />
+      <AnalysisCacheInfo />
     </div>
   );
 }
@@ -0,0 +1,153 @@
+/**
+ * BlurScoreChart Component
+ *
+ * Scatter plot of a folder's blur scores: Laplacian variance (log scale) on
+ * the x axis, edge density on the y axis. The two threshold lines split the
+ * plot; frames in the bottom-left corner (below both) are flagged. Dragging
+ * a line re-flags the frames instantly with the same rule the main process
+ * uses (isBlurryMetrics).
+ */
+
+import React, { useState } from 'react';
+import { isBlurryMetrics } from '../../utils/blurThresholds';
+import './Modals.css';
+
+const WIDTH = 360;
+const HEIGHT = 200;
+const PAD = { top: 10, right: 10, bottom: 28, left: 40 };
+const PLOT_W = WIDTH - PAD.left - PAD.right;
+const PLOT_H = HEIGHT - PAD.top - PAD.bottom;
+
+const toLog = (variance) => Math.log10(1 + Math.max(0, variance));
+const fromLog = (value) => Math.pow(10, value) - 1;
+const roundTo = (value, step) => Math.round(Math.round(value / step) * step * 1e6) / 1e6;
+
+/**
+ * @param {Object} props
+ * @param {Array<{ baseName: string, variance: number, edgeDensity: number }>} props.points - Measured groups
+ * @param {{ variance: number, edgeDensity: number }|null} props.thresholds - Lines to draw
+ * @param {(thresholds: { variance: number, edgeDensity: number }) => void} props.onChange - Called while a line is dragged
+ */
+function BlurScoreChart({ points, thresholds, onChange }) {
+  const [dragAxis, setDragAxis] = useState(null); // 'variance' | 'edgeDensity' while dragging
+
+  // Axis ranges follow the points (not the lines, so the axes hold still while dragging)
+  const maxLog = points.reduce((max, p) => Math.max(max, toLog(p.variance)), 3) * 1.05;
+  const maxEdge = Math.min(1, points.reduce((max, p) => Math.max(max, p.edgeDensity), 0.1) * 1.1);
+
+  // Lines beyond the range sit on the plot edge
+  const xOf = (variance) => PAD.left + Math.min(1, toLog(variance) / maxLog) * PLOT_W;
+  const yOf = (edgeDensity) => PAD.top + PLOT_H - Math.min(1, edgeDensity / maxEdge) * PLOT_H;
+
+  const flaggedCount = thresholds ? points.filter(p => isBlurryMetrics(p, thresholds)).length : 0;
+
+  const handlePointerDown = (axis) => (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDragAxis(axis);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragAxis || !thresholds) return;
+    // Pointer position in viewBox units (the SVG scales with the modal)
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) / rect.width) * WIDTH;
+    const y = ((e.clientY - rect.top) / rect.height) * HEIGHT;
+    if (dragAxis === 'variance') {
+      const ratio = Math.min(1, Math.max(0, (x - PAD.left) / PLOT_W));
+      onChange({ ...thresholds, variance: Math.max(0.1, roundTo(fromLog(ratio * maxLog), 0.1)) });
+    } else {
+      const ratio = Math.min(1, Math.max(0, (PAD.top + PLOT_H - y) / PLOT_H));
+      onChange({ ...thresholds, edgeDensity: Math.max(0.0001, roundTo(ratio * maxEdge, 0.0001)) });
+    }
+  };
+
+  const handlePointerUp = () => setDragAxis(null);
+
+  const varianceTicks = [0, 10, 100, 1000, 10000].filter(v => toLog(v) <= maxLog);
+  const edgeTicks = [0, maxEdge / 2, maxEdge];
+
+  return (
+    <div className="blur-score-chart">
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className={dragAxis ? 'dragging' : ''}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        role="img"
+        aria-label="Blur score distribution"
+      >
+        {thresholds && (
+          <rect
+            className="chart-flag-zone"
+            x={PAD.left}
+            y={yOf(thresholds.edgeDensity)}
+            width={xOf(thresholds.variance) - PAD.left}
+            height={PAD.top + PLOT_H - yOf(thresholds.edgeDensity)}
+          />
+        )}
+
+        <line className="chart-axis" x1={PAD.left} y1={PAD.top + PLOT_H} x2={PAD.left + PLOT_W} y2={PAD.top + PLOT_H} />
+        <line className="chart-axis" x1={PAD.left} y1={PAD.top} x2={PAD.left} y2={PAD.top + PLOT_H} />
+        {varianceTicks.map(v => (
+          <text key={v} className="chart-tick" x={xOf(v)} y={PAD.top + PLOT_H + 12} textAnchor="middle">{v}</text>
+        ))}
+        {edgeTicks.map(v => (
+          <text key={v} className="chart-tick" x={PAD.left - 4} y={yOf(v) + 3} textAnchor="end">{v.toFixed(2)}</text>
+        ))}
+        <text className="chart-axis-label" x={PAD.left + PLOT_W / 2} y={HEIGHT - 2} textAnchor="middle">Sharpness (variance)</text>
+        <text className="chart-axis-label" x={10} y={PAD.top + PLOT_H / 2} textAnchor="middle" transform={`rotate(-90 10 ${PAD.top + PLOT_H / 2})`}>Edges</text>
+
+        {points.map(p => (
+          <circle
+            key={p.baseName}
+            className={`chart-point ${thresholds && isBlurryMetrics(p, thresholds) ? 'flagged' : ''}`}
+            cx={xOf(p.variance)}
+            cy={yOf(p.edgeDensity)}
+            r={2.5}
+          >
+            <title>{`${p.baseName}: ${p.variance.toFixed(1)} / ${p.edgeDensity.toFixed(3)}`}</title>
+          </circle>
+        ))}
+
+        {thresholds && (
+          <>
+            <line
+              className="chart-threshold"
+              x1={xOf(thresholds.variance)} y1={PAD.top}
+              x2={xOf(thresholds.variance)} y2={PAD.top + PLOT_H}
+            />
+            <line
+              className="chart-threshold-handle vertical"
+              x1={xOf(thresholds.variance)} y1={PAD.top}
+              x2={xOf(thresholds.variance)} y2={PAD.top + PLOT_H}
+              onPointerDown={handlePointerDown('variance')}
+            />
+            <line
+              className="chart-threshold"
+              x1={PAD.left} y1={yOf(thresholds.edgeDensity)}
+              x2={PAD.left + PLOT_W} y2={yOf(thresholds.edgeDensity)}
+            />
+            <line
+              className="chart-threshold-handle horizontal"
+              x1={PAD.left} y1={yOf(thresholds.edgeDensity)}
+              x2={PAD.left + PLOT_W} y2={yOf(thresholds.edgeDensity)}
+              onPointerDown={handlePointerDown('edgeDensity')}
+            />
+          </>
+        )}
+      </svg>
+
+      {thresholds && (
+        <div className="chart-summary">
+          <span><strong>{flaggedCount}</strong> of {points.length} groups flagged</span>
+          <span className="chart-values">
+            variance &lt; {thresholds.variance} · edges &lt; {thresholds.edgeDensity}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BlurScoreChart;
@@ -5,46 +5,74 @@
  * The user must select a sensitivity level and click "Start Analysis"
  * before any blur detection runs. Dismissing the modal without starting
  * reverts the toggle to OFF.
+ *
+ * Once the folder has been analyzed, a score chart shows where the chosen
+ * level puts the thresholds; dragging a line switches to "Custom".
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { ScanEye } from 'lucide-react';
+import BlurScoreChart from './BlurScoreChart';
+import { BLUR_SENSITIVITY_OPTIONS } from '../../constants/blurSensitivity';
+import { calibrateThresholds } from '../../utils/blurThresholds';
 import './Modals.css';
 
-const SENSITIVITY_OPTIONS = [
-  {
-    value: 'strict',
-    label: 'Strict',
-    description: 'Catches subtle blur',
-  },
-  {
-    value: 'moderate',
-    label: 'Moderate',
-    description: 'Balanced detection',
-  },
-  {
-    value: 'lenient',
-    label: 'Lenient',
-    description: 'Obvious blur only',
-  },
-];
-
 /**
  * @param {Object} props
  * @param {boolean} props.isOpen - Whether the modal is visible
  * @param {string} props.currentSensitivity - The currently saved sensitivity value
- * @param {(selectedSensitivity: string) => void} props.onStart - Called when user clicks Start Analysis
+ * @param {{ variance: number, edgeDensity: number }|null} [props.customThresholds] - Saved custom thresholds
+ * @param {Object|null} [props.blurResults] - Results of the last analysis (baseName -> { score, edgeDensity, ... })
+ * @param {Object|null} [props.activeThresholds] - Thresholds of the last analysis: { variance, edgeDensity, method }
+ * @param {Object|null} [props.presetThresholds] - Preset -> { variance, edgeDensity } (from the last analysis)
+ * @param {(selectedSensitivity: string, customThresholds: Object|null) => void} props.onStart - Called when user
+ *   clicks Start Analysis (customThresholds are the dragged lines for 'custom')
  * @param {() => void} props.onCancel - Called when user dismisses without starting
  */
-function BlurSensitivityModal({ isOpen, currentSensitivity, onStart, onCancel }) {
+function BlurSensitivityModal({
+  isOpen, currentSensitivity, customThresholds = null, blurResults = null, activeThresholds = null,
+  presetThresholds = null, onStart, onCancel,
+}) {
   const [selectedSensitivity, setSelectedSensitivity] = useState(currentSensitivity || 'moderate');
+  const [draftThresholds, setDraftThresholds] = useState(null); // Lines of the 'custom' option
 
   // Sync internal state when the modal opens with a potentially new currentSensitivity
   useEffect(() => {
     if (isOpen) {
       setSelectedSensitivity(currentSensitivity || 'moderate');
+      setDraftThresholds(customThresholds);
     }
-  }, [isOpen, currentSensitivity]);
+  }, [isOpen, currentSensitivity, customThresholds]);
+
+  // Measured groups of the last analysis, for the chart
+  const points = useMemo(() => {
+    if (!blurResults) return [];
+    return Object.entries(blurResults)
+      .filter(([, result]) => result.score >= 0)
+      .map(([baseName, result]) => ({ baseName, variance: result.score, edgeDensity: result.edgeDensity }));
+  }, [blurResults]);
+
+  // Where "Auto" would put the lines (same calibration as the main process)
+  const autoThresholds = useMemo(() => calibrateThresholds(points), [points]);
+
+  // Lines of the selected option; 'auto' with too few frames falls back to moderate like the analysis does
+  const presetLines = (preset) => presetThresholds?.[preset] || null;
+  const chartThresholds = selectedSensitivity === 'custom'
+    ? draftThresholds || activeThresholds
+    : selectedSensitivity === 'auto'
+      ? autoThresholds || presetLines('moderate')
+      : presetLines(selectedSensitivity);
+
+  // Dragging a line starts (or continues) a custom setting from the lines on screen
+  const handleChartChange = (thresholds) => {
+    setSelectedSensitivity('custom');
+    setDraftThresholds({ variance: thresholds.variance, edgeDensity: thresholds.edgeDensity });
+  };
+
+  const handleStart = () => {
+    const custom = selectedSensitivity === 'custom' ? chartThresholds : null;
+    onStart(selectedSensitivity, custom ? { variance: custom.variance, edgeDensity: custom.edgeDensity } : null);
+  };
 
   // ESC key to dismiss
   useEffect(() => {
@@ -79,7 +107,7 @@ function BlurSensitivityModal({ isOpen, currentSensitivity, onStart, onCancel })
         <p>Choose how aggressively to detect blurry photos.</p>
 
         <div className="sensitivity-options">
-          {SENSITIVITY_OPTIONS.map((option) => (
+          {BLUR_SENSITIVITY_OPTIONS.map((option) => (
             <button
               key={option.value}
               className={`sensitivity-card ${selectedSensitivity === option.value ? 'selected' : ''}`}
@@ -97,11 +125,17 @@ function BlurSensitivityModal({ isOpen, currentSensitivity, onStart, onCancel })
           ))}
         </div>
 
+        {points.length > 0 ? (
+          <BlurScoreChart points={points} thresholds={chartThresholds} onChange={handleChartChange} />
+        ) : (
+          <p className="blur-chart-empty">Run an analysis first to see the score distribution.</p>
+        )}
+
         <div className="modal-buttons">
           <button className="btn secondary" onClick={onCancel}>
             Cancel
           </button>
-          <button className="btn primary" onClick={() => onStart(selectedSensitivity)}>
+          <button className="btn primary" onClick={handleStart}>
             <ScanEye size={16} /> Start Analysis
           </button>
         </div>
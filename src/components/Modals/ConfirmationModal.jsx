@@ -7,6 +7,10 @@
 import React from 'react';
 import { Package, Zap, Copy } from 'lucide-react';
 import checkedIcon from '../../images/checked.png';
+import { getSplitByLabel } from '../../constants/splitModes';
+import { getRatingFilterLabel } from '../../constants/ratingFilters';
+import { BLUR_CLASSES } from '../../utils/blurClasses';
+import { getSetAsideFolderPrefix } from '../../utils/batchNaming';
 import './Modals.css';
 
 /**
@@ -14,9 +18,32 @@ import './Modals.css';
  * @param {boolean} props.isOpen - Whether the modal is visible
  * @param {Object} props.settings - Current batch settings
  * @param {string} props.settings.maxFilesPerBatch
+ * @param {'count' | 'size' | 'target'} props.settings.limitMode
+ * @param {string} props.settings.maxBatchSizeGB
+ * @param {string} props.settings.targetBatchCount
+ * @param {'files' | 'bytes'} props.settings.balanceBy
+ * @param {boolean} props.settings.contiguousBatches
+ * @param {boolean} props.settings.scanSubfolders
+ * @param {'flatten' | 'preserve'} props.settings.subfolderLayout
+ * @param {boolean} props.settings.typeSubfolders
+ * @param {string} props.settings.splitBy
+ * @param {string} props.settings.sessionGapMinutes
+ * @param {string} props.settings.locationRadiusKm
+ * @param {string} [props.settings.minRating] - Minimum stars ('0' = all)
+ * @param {string} [props.settings.labelFilter] - Color label ('' = any)
+ * @param {number} [props.settings.rejectedFileCount] - Rejected files routed to the Rejected folder
+ * @param {number} [props.settings.filteredFileCount] - Files left in place by the rating filters
  * @param {string} props.settings.outputPrefix
+ * @param {string} [props.settings.renameTemplate] - File rename template ('' = keep names)
+ * @param {'global' | 'batch'} [props.settings.renameNumbering]
  * @param {'move' | 'copy'} props.settings.batchMode
  * @param {string | null} props.settings.outputDir
+ * @param {Object|null} [props.settings.blurRouting] - Flagged blurry groups: { sharedGroups, classGroups, keptGroups }
+ * @param {number} [props.settings.exposureCount] - Over- and underexposed groups taken out of the batches
+ * @param {'folder' | 'drop'} [props.settings.exposureAction]
+ * @param {number} [props.settings.duplicateCount] - Duplicate groups taken out of the batches
+ * @param {'folder' | 'drop'} [props.settings.duplicateAction]
+ * @param {number} [props.settings.similarCount] - Burst frames not picked
  * @param {number} props.settings.batchCount
  * @param {() => void} props.onConfirm - Callback when user confirms
  * @param {() => void} props.onCancel - Callback when user cancels
@@ -24,7 +51,24 @@ import './Modals.css';
 function ConfirmationModal({ isOpen, settings, onConfirm, onCancel }) {
   if (!isOpen) return null;
 
-  const { maxFilesPerBatch, outputPrefix, batchMode, outputDir, batchCount, sortBy, presetName } = settings;
+  const { maxFilesPerBatch, limitMode, maxBatchSizeGB, targetBatchCount, balanceBy, contiguousBatches, scanSubfolders, subfolderLayout, typeSubfolders, splitBy, sessionGapMinutes, locationRadiusKm, minRating, labelFilter, rejectedFileCount, filteredFileCount, outputPrefix, renameTemplate, renameNumbering, batchMode, outputDir, blurRouting, exposureCount, exposureAction, duplicateCount, duplicateAction, similarCount, batchCount, sortBy, presetName } = settings;
+  // Set-aside folders use the pattern without its variables (as in execute-batch)
+  const setAsidePrefix = getSetAsideFolderPrefix(outputPrefix);
+
+  const ratingFilterLabel = getRatingFilterLabel(minRating, labelFilter);
+
+  // e.g. "4 → Batch_Blurry · 2 motion blur → Batch_Blurry_Motion · 1 kept in batches"
+  const blurParts = [];
+  if (blurRouting) {
+    if (blurRouting.sharedGroups.length > 0) {
+      blurParts.push(`${blurRouting.sharedGroups.length} → ${setAsidePrefix}_Blurry`);
+    }
+    for (const { key, label, folderSuffix } of BLUR_CLASSES) {
+      const count = blurRouting.classGroups?.[key]?.length || 0;
+      if (count > 0) blurParts.push(`${count} ${label.toLowerCase()} → ${setAsidePrefix}_${folderSuffix}`);
+    }
+    if (blurRouting.keptGroups.length > 0) blurParts.push(`${blurRouting.keptGroups.length} kept in batches`);
+  }
 
   const getSortLabel = (sort) => {
     if (!sort) return 'Name (A-Z)';
@@ -49,18 +93,72 @@ function ConfirmationModal({ isOpen, settings, onConfirm, onCancel }) {
               <span className="confirmation-value" style={{ color: 'var(--accent-primary)' }}>{presetName}</span>
             </div>
           )}
-          <div className="confirmation-row">
-            <span className="confirmation-label">Max Files Per Batch:</span>
-            <span className="confirmation-value">{maxFilesPerBatch}</span>
-          </div>
+          {limitMode === 'target' ? (
+            <div className="confirmation-row">
+              <span className="confirmation-label">Number of Batches:</span>
+              <span className="confirmation-value">
+                {targetBatchCount}, balanced by {balanceBy === 'bytes' ? 'size' : 'file count'}
+              </span>
+            </div>
+          ) : limitMode === 'size' ? (
+            <div className="confirmation-row">
+              <span className="confirmation-label">Max Size Per Batch:</span>
+              <span className="confirmation-value">{maxBatchSizeGB} GB</span>
+            </div>
+          ) : (
+            <div className="confirmation-row">
+              <span className="confirmation-label">Max Files Per Batch:</span>
+              <span className="confirmation-value">{maxFilesPerBatch}</span>
+            </div>
+          )}
           <div className="confirmation-row">
             <span className="confirmation-label">Folder Name:</span>
             <span className="confirmation-value">{outputPrefix}</span>
           </div>
+          {renameTemplate && (
+            <div className="confirmation-row">
+              <span className="confirmation-label">Rename Files:</span>
+              <span className="confirmation-value">
+                {renameTemplate}, numbered {renameNumbering === 'batch' ? 'per batch' : 'across all batches'}
+              </span>
+            </div>
+          )}
+          {scanSubfolders && (
+            <div className="confirmation-row">
+              <span className="confirmation-label">Subfolders:</span>
+              <span className="confirmation-value">
+                {subfolderLayout === 'preserve' ? 'Included, structure kept' : 'Included, flattened'}
+              </span>
+            </div>
+          )}
+          {typeSubfolders && (
+            <div className="confirmation-row">
+              <span className="confirmation-label">Inside Batches:</span>
+              <span className="confirmation-value">RAW / JPEG / Video folders</span>
+            </div>
+          )}
           <div className="confirmation-row">
             <span className="confirmation-label">Sort Order:</span>
-            <span className="confirmation-value">{getSortLabel(sortBy)}</span>
+            <span className="confirmation-value">
+              {getSortLabel(sortBy)}{contiguousBatches ? ', batches in order' : ''}
+            </span>
           </div>
+          {splitBy && splitBy !== 'none' && (
+            <div className="confirmation-row">
+              <span className="confirmation-label">Split By:</span>
+              <span className="confirmation-value">
+                {getSplitByLabel(splitBy)}{splitBy === 'session' ? ` (${sessionGapMinutes} min gap)` : ''}{splitBy === 'location' ? ` (${locationRadiusKm} km radius)` : ''}
+              </span>
+            </div>
+          )}
+          {ratingFilterLabel && (
+            <div className="confirmation-row">
+              <span className="confirmation-label">Rating Filter:</span>
+              <span className="confirmation-value">
+                {ratingFilterLabel}{filteredFileCount > 0 ? ` (${filteredFileCount} ${filteredFileCount === 1 ? 'file' : 'files'} left in place)` : ''}
+              </span>
+            </div>
+          )}
           <div className="confirmation-row">
             <span className="confirmation-label">Mode:</span>
             <span className="confirmation-value">
@@ -79,6 +177,46 @@ function ConfirmationModal({ isOpen, settings, onConfirm, onCancel }) {
               </span>
             </div>
           )}
+          {blurParts.length > 0 && (
+            <div className="confirmation-row">
+              <span className="confirmation-label">Blurry:</span>
+              <span className="confirmation-value">{blurParts.join(' · ')}</span>
+            </div>
+          )}
+          {exposureCount > 0 && (
+            <div className="confirmation-row">
+              <span className="confirmation-label">Badly Exposed:</span>
+              <span className="confirmation-value">
+                {exposureCount} {exposureCount === 1 ? 'group' : 'groups'}
+                {exposureAction === 'drop' ? ' left in place' : ` → ${setAsidePrefix}_Exposure`}
+              </span>
+            </div>
+          )}
+          {duplicateCount > 0 && (
+            <div className="confirmation-row">
+              <span className="confirmation-label">Duplicates:</span>
+              <span className="confirmation-value">
+                {duplicateCount} {duplicateCount === 1 ? 'group' : 'groups'}
+                {duplicateAction === 'drop' ? ' left in place' : ` → ${setAsidePrefix}_Duplicates`}
+              </span>
+            </div>
+          )}
+          {rejectedFileCount > 0 && (
+            <div className="confirmation-row">
+              <span className="confirmation-label">Rejected:</span>
+              <span className="confirmation-value">
+                {rejectedFileCount} {rejectedFileCount === 1 ? 'file' : 'files'} → {setAsidePrefix}_Rejected
+              </span>
+            </div>
+          )}
+          {similarCount > 0 && (
+            <div className="confirmation-row">
+              <span className="confirmation-label">Similar Frames:</span>
+              <span className="confirmation-value">
+                {similarCount} {similarCount === 1 ? 'frame' : 'frames'} → {setAsidePrefix}_Similar
+              </span>
+            </div>
+          )}
           <div className="confirmation-row">
             <span className="confirmation-label">Batches to Create:</span>
             <span className="confirmation-value">{batchCount}</span>
@@ -17,6 +17,7 @@ import {
   Settings2, Package, ArrowUpDown, Info, Copy, Check
 } from 'lucide-react';
 import { STRINGS } from '../../constants/strings';
+import { getSplitByLabel } from '../../constants/splitModes';
 import './Modals.css';
 
 /**
@@ -232,18 +233,50 @@ function HistoryEntry({ entry, onUndo, onDelete, onValidate }) {
                 <span>{STRINGS.HISTORY_SETTINGS_LABEL}</span>
               </div>
               <div className="history-detail-grid">
-                {entry.maxFilesPerBatch && (
+                {entry.limitMode === 'target' && entry.targetBatchCount ? (
+                  <div className="history-detail-item">
+                    <span className="history-detail-key">{STRINGS.HISTORY_TARGET_BATCHES}</span>
+                    <span className="history-detail-value">
+                      {entry.targetBatchCount} batches by {entry.balanceBy === 'bytes' ? 'size' : 'file count'}
+                    </span>
+                  </div>
+                ) : entry.limitMode === 'size' && entry.maxBytesPerBatch ? (
+                  <div className="history-detail-item">
+                    <span className="history-detail-key">{STRINGS.HISTORY_MAX_SIZE}</span>
+                    <span className="history-detail-value">{+(entry.maxBytesPerBatch / 1024 ** 3).toFixed(2)} GB</span>
+                  </div>
+                ) : entry.maxFilesPerBatch && (
                   <div className="history-detail-item">
                     <span className="history-detail-key">{STRINGS.HISTORY_MAX_FILES}</span>
                     <span className="history-detail-value">{entry.maxFilesPerBatch}</span>
                   </div>
                 )}
+                {entry.recursive && (
+                  <div className="history-detail-item">
+                    <span className="history-detail-key">{STRINGS.HISTORY_SUBFOLDERS}</span>
+                    <span className="history-detail-value">{entry.preserveStructure ? 'Structure kept' : 'Flattened'}</span>
+                  </div>
+                )}
+                {entry.typeSubfolders && (
+                  <div className="history-detail-item">
+                    <span className="history-detail-key">Inside batches</span>
+                    <span className="history-detail-value">RAW / JPEG / Video folders</span>
+                  </div>
+                )}
                 {entry.outputPrefix && (
                   <div className="history-detail-item">
                     <span className="history-detail-key">Folder name</span>
                     <span className="history-detail-value mono">{entry.outputPrefix}</span>
                   </div>
                 )}
+                {entry.renameTemplate && (
+                  <div className="history-detail-item">
+                    <span className="history-detail-key">Files renamed</span>
+                    <span className="history-detail-value mono">
+                      {entry.renameTemplate}{entry.renameNumbering === 'batch' ? ' (per batch)' : ''}
+                    </span>
+                  </div>
+                )}
                 {entry.sortBy && (
                   <div className="history-detail-item">
                     <span className="history-detail-key">{STRINGS.HISTORY_SORT_ORDER}</span>
@@ -253,6 +286,21 @@ function HistoryEntry({ entry, onUndo, onDelete, onValidate }) {
                     </span>
                   </div>
                 )}
+                {entry.contiguous && (
+                  <div className="history-detail-item">
+                    <span className="history-detail-key">{STRINGS.HISTORY_BATCH_ORDER}</span>
+                    <span className="history-detail-value">Contiguous</span>
+                  </div>
+                )}
+                {entry.splitBy && entry.splitBy !== 'none' && (
+                  <div className="history-detail-item">
+                    <span className="history-detail-key">{STRINGS.HISTORY_SPLIT_BY}</span>
+                    <span className="history-detail-value">
+                      {getSplitByLabel(entry.splitBy)}{entry.sessionGapMinutes ? ` (${entry.sessionGapMinutes} min gap)` : ''}
+                      {entry.locationRadiusKm ? ` (${entry.locationRadiusKm} km radius)` : ''}
+                    </span>
+                  </div>
+                )}
               </div>
             </div>
           )}
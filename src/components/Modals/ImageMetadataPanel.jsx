@@ -0,0 +1,188 @@
+/**
+ * ImageMetadataPanel Component
+ *
+ * Shooting data of the previewed frame (body, lens, exposure, capture time,
+ * rating, ...) with its luminance/RGB histogram, shown beside the image in
+ * ImagePreviewModal. MetadataOverlay is the compact one-line version drawn
+ * on the image itself.
+ */
+
+import React from 'react';
+import { Loader2 } from 'lucide-react';
+import './Modals.css';
+
+const HISTOGRAM_WIDTH = 240;
+const HISTOGRAM_HEIGHT = 80;
+
+/** Histogram channels in drawing order (luminance first, as the filled background) */
+const HISTOGRAM_CHANNELS = [
+  { key: 'luminance', className: 'histogram-luminance' },
+  { key: 'red', className: 'histogram-red' },
+  { key: 'green', className: 'histogram-green' },
+  { key: 'blue', className: 'histogram-blue' },
+];
+
+/** "1/250 s", "0.8 s", "30 s" */
+function formatShutter(seconds) {
+  if (seconds >= 0.3) return `${Number(seconds.toFixed(1))} s`;
+  return `1/${Math.round(1 / seconds)} s`;
+}
+
+/** "f/2.8", "f/8" */
+function formatAperture(fNumber) {
+  return `f/${Number(fNumber.toFixed(1))}`;
+}
+
+/** "50 mm", "6 mm (28 mm eq.)" */
+function formatFocalLength(focalLength, focalLength35) {
+  const base = `${Number(focalLength.toFixed(1))} mm`;
+  return focalLength35 && Math.round(focalLength35) !== Math.round(focalLength) ? `${base} (${focalLength35} mm eq.)` : base;
+}
+
+/** "+0.7 EV", "0 EV" */
+function formatCompensation(ev) {
+  const rounded = Number(ev.toFixed(1));
+  return `${rounded > 0 ? '+' : ''}${rounded} EV`;
+}
+
+/** "★★★☆☆", "Rejected" */
+function formatRating(rating) {
+  if (rating < 0) return 'Rejected';
+  return '★'.repeat(rating) + '☆'.repeat(5 - rating);
+}
+
+/**
+ * Exposure triangle and focal length in one line, e.g. "1/250 s · f/2.8 · ISO 400 · 50 mm".
+ *
+ * @param {Object} metadata - From getImageMetadata
+ * @returns {string} Empty when none of the values is known
+ */
+function formatExposureSummary(metadata) {
+  return [
+    metadata.exposureTime ? formatShutter(metadata.exposureTime) : null,
+    metadata.fNumber ? formatAperture(metadata.fNumber) : null,
+    metadata.iso ? `ISO ${metadata.iso}` : null,
+    metadata.focalLength ? formatFocalLength(metadata.focalLength, null) : null,
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Rows of the panel; rows without a value are left out.
+ *
+ * @param {Object} metadata
+ * @returns {Array<[string, string]>} [label, value]
+ */
+function buildRows(metadata) {
+  const rows = [
+    ['Camera', metadata.camera],
+    ['Lens', metadata.lens],
+    ['Shutter', metadata.exposureTime ? formatShutter(metadata.exposureTime) : null],
+    ['Aperture', metadata.fNumber ? formatAperture(metadata.fNumber) : null],
+    ['ISO', metadata.iso ? String(metadata.iso) : null],
+    ['Focal length', metadata.focalLength ? formatFocalLength(metadata.focalLength, metadata.focalLength35) : null],
+    ['Exposure comp.', metadata.exposureCompensation !== null ? formatCompensation(metadata.exposureCompensation) : null],
+    ['Program', metadata.exposureProgram],
+    ['Metering', metadata.meteringMode],
+    ['Flash', metadata.flash],
+    ['White balance', metadata.whiteBalance],
+    // Camera clock time (read as local time), with the zone when the camera records it
+    ['Captured', metadata.captureTime
+      ? new Date(metadata.captureTime).toLocaleString() + (metadata.timeZone ? ` (UTC${metadata.timeZone})` : '')
+      : null],
+    ['Size', metadata.width && metadata.height ? `${metadata.width} x ${metadata.height}` : null],
+    ['Rating', metadata.rating !== null ? formatRating(metadata.rating) : null],
+    ['Label', metadata.label],
+    ['Position', metadata.latitude !== null ? `${metadata.latitude.toFixed(5)}, ${metadata.longitude.toFixed(5)}` : null],
+    ['Software', metadata.software],
+  ];
+  return rows.filter(([, value]) => value);
+}
+
+/**
+ * SVG path of one histogram channel, closed along the bottom edge.
+ *
+ * @param {number[]} values - 0-1 per bin
+ * @returns {string}
+ */
+function histogramPath(values) {
+  const step = HISTOGRAM_WIDTH / (values.length - 1);
+  const points = values.map((value, i) => `L${(i * step).toFixed(1)},${(HISTOGRAM_HEIGHT - value * HISTOGRAM_HEIGHT).toFixed(1)}`);
+  return `M0,${HISTOGRAM_HEIGHT} ${points.join(' ')} L${HISTOGRAM_WIDTH},${HISTOGRAM_HEIGHT} Z`;
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.histogram - { luminance, red, green, blue } (0-1 per bin; colors null for grayscale)
+ */
+function Histogram({ histogram }) {
+  return (
+    <svg
+      className="image-metadata-histogram"
+      viewBox={`0 0 ${HISTOGRAM_WIDTH} ${HISTOGRAM_HEIGHT}`}
+      preserveAspectRatio="none"
+      role="img"
+      aria-label="Histogram"
+    >
+      {HISTOGRAM_CHANNELS.filter(channel => histogram[channel.key]).map(channel => (
+        <path key={channel.key} className={channel.className} d={histogramPath(histogram[channel.key])} />
+      ))}
+    </svg>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.info - { metadata, histogram } from getImageMetadata, null while loading
+ * @param {boolean} props.isLoading
+ * @param {string|null} props.error
+ */
+function ImageMetadataPanel({ info, isLoading, error }) {
+  const rows = info?.metadata ? buildRows(info.metadata) : [];
+
+  return (
+    <div className="image-metadata-panel" onClick={(e) => e.stopPropagation()}>
+      {isLoading && (
+        <div className="image-metadata-loading">
+          <Loader2 size={20} className="icon-spin" />
+        </div>
+      )}
+      {!isLoading && error && <p className="image-metadata-empty">{error}</p>}
+      {!isLoading && info && (
+        <>
+          {info.histogram && <Histogram histogram={info.histogram} />}
+          {rows.length > 0 ? (
+            <dl className="image-metadata-rows">
+              {rows.map(([label, value]) => (
+                <React.Fragment key={label}>
+                  <dt>{label}</dt>
+                  <dd title={value}>{value}</dd>
+                </React.Fragment>
+              ))}
+            </dl>
+          ) : (
+            <p className="image-metadata-empty">No shooting data in this file</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Compact shooting data drawn over the image.
+ *
+ * @param {Object} props
+ * @param {Object|null} props.metadata - From getImageMetadata
+ */
+export function MetadataOverlay({ metadata }) {
+  const summary = metadata ? formatExposureSummary(metadata) : '';
+  if (!summary && !metadata?.camera) return null;
+  return (
+    <div className="image-metadata-overlay">
+      {summary && <span>{summary}</span>}
+      {metadata.camera && <span className="image-metadata-overlay-camera">{metadata.camera}</span>}
+    </div>
+  );
+}
+
+export default ImageMetadataPanel;
@@ -3,12 +3,44 @@
  * 
  * Full-screen modal overlay for viewing images at medium resolution.
  * Supports keyboard navigation (arrow keys, Escape) and prefetching.
+ * Shows the original pixel dimensions and orientation (Portrait, Landscape, ...).
+ * For burst frames, shows the frame's rank and lets the user change the
+ * keep pick or take the frame out of its burst.
+ * For tiled blur results, can overlay the per-tile sharpness heatmap with
+ * the deciding tile (AF point or sharpest region) outlined.
+ * The Info panel shows the frame's shooting data (exposure, lens, body,
+ * capture time, rating) and histogram; the overlay puts a one-line summary
+ * on the image. Both stay on while navigating.
+ * Shows the camera body and capture time, and can sync two camera clocks:
+ * mark a frame as the reference, then open a frame of the same moment from
+ * the other camera.
  */
 
 import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { X, ChevronLeft, ChevronRight, Loader2, ImageOff, Undo2 } from 'lucide-react';
+import { X, ChevronLeft, ChevronRight, Loader2, ImageOff, Undo2, Check, Layers, Unlink, Grid3x3, Clock, Info, Aperture } from 'lucide-react';
+import { formatClockOffset } from '../../utils/cameraClocks';
+import ImageMetadataPanel, { MetadataOverlay } from './ImageMetadataPanel';
 import './Modals.css';
 
+/**
+ * Preview fields kept per file (from getImagePreview).
+ *
+ * @param {Object} result - getImagePreview result
+ * @returns {Object}
+ */
+function toPreviewData(result) {
+  return {
+    dataUrl: result.dataUrl,
+    width: result.width,
+    height: result.height,
+    originalWidth: result.originalWidth,
+    originalHeight: result.originalHeight,
+    orientationLabel: result.orientationLabel,
+    cameraLabel: result.cameraLabel,
+    captureTime: result.captureTime,
+  };
+}
+
 /**
  * @param {Object} props
  * @param {boolean} props.isOpen - Whether the modal is visible
@@ -16,17 +48,31 @@ import './Modals.css';
  * @param {string} props.fileName - Current file name to display
  * @param {string[]} props.fileList - Navigable list of file names
  * @param {Object} [props.imageInfo] - Optional info (e.g. { blurScore: number })
- * @param {Object} [props.blurInfoMap] - Optional map of fileName -> { baseName, score } for blur context
- * @param {(baseName: string) => void} [props.onRestore] - Optional callback to restore a blurry photo
+ * @param {Object} [props.blurInfoMap] - Optional map of fileName -> { baseName, score, sourceLabel, classLabel,
+ *   isBlurry, tiles, tileGrid, focusTile, focusSource } for blur context (tile fields only in tiled scoring mode)
+ * @param {(baseName: string) => void} [props.onRestore] - Optional callback to restore a blurry photo (shown for flagged photos)
+ * @param {Object} [props.similarInfoMap] - Optional map of fileName -> { baseName, burstNumber, rank, size, score, kept, detached } for burst context
+ * @param {(baseName: string) => void} [props.onToggleSimilarKeep] - Keep a burst frame / send it to the Similar folder
+ * @param {(baseName: string) => void} [props.onToggleSimilarDetach] - Take a frame out of its burst / put it back
+ * @param {(reference: { cameraLabel: string, captureTime: number }, frame: { cameraLabel: string, captureTime: number }) => number} [props.onSyncClock]
+ *   - Set the frame's camera clock offset so it matches the reference; returns the offset in seconds
  * @param {() => void} props.onClose - Close callback
  */
-function ImagePreviewModal({ isOpen, folderPath, fileName, fileList, imageInfo, blurInfoMap, onRestore, onClose }) {
+function ImagePreviewModal({ isOpen, folderPath, fileName, fileList, imageInfo, blurInfoMap, onRestore, similarInfoMap, onToggleSimilarKeep, onToggleSimilarDetach, onSyncClock, onClose }) {
   const [currentFile, setCurrentFile] = useState(fileName);
-  const [previewData, setPreviewData] = useState(null); // { dataUrl, width, height }
+  const [previewData, setPreviewData] = useState(null); // { dataUrl, width, height, originalWidth, originalHeight, orientationLabel, cameraLabel, captureTime }
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [prevDataUrl, setPrevDataUrl] = useState(null); // For fade transition
+  const [showHeatmap, setShowHeatmap] = useState(false); // Kept while navigating, so frames can be compared
+  const [clockReference, setClockReference] = useState(null); // { fileName, cameraLabel, captureTime } until matched or unset
+  const [clockMessage, setClockMessage] = useState(null); // e.g. "X-T5 clock: +2:30"
+  const [showMetadata, setShowMetadata] = useState(false); // Info panel, kept while navigating
+  const [showMetadataOverlay, setShowMetadataOverlay] = useState(false); // One-line summary on the image
+  const [metadataInfo, setMetadataInfo] = useState(null); // { fileName, metadata, histogram } of the current file
+  const [metadataError, setMetadataError] = useState(null);
   const prefetchRef = useRef({}); // Cache for prefetched images
+  const metadataRef = useRef({}); // Cache of getImageMetadata results by file name
   const modalRef = useRef(null);
 
   // Sync currentFile when the prop changes (new image clicked)
@@ -64,7 +110,7 @@ function ImagePreviewModal({ isOpen, folderPath, fileName, fileList, imageInfo,
         if (cancelled) return;
 
         if (result.success) {
-          setPreviewData({ dataUrl: result.dataUrl, width: result.width, height: result.height });
+          setPreviewData(toPreviewData(result));
           setError(null);
         } else {
           setPreviewData(null);
@@ -104,11 +150,7 @@ function ImagePreviewModal({ isOpen, folderPath, fileName, fileList, imageInfo,
       try {
         const result = await window.electronAPI.getImagePreview(folderPath, nextFile);
         if (!cancelled && result.success) {
-          prefetchRef.current[nextFile] = {
-            dataUrl: result.dataUrl,
-            width: result.width,
-            height: result.height,
-          };
+          prefetchRef.current[nextFile] = toPreviewData(result);
         }
       } catch (_) {
         // Silently ignore prefetch failures
@@ -119,14 +161,53 @@ function ImagePreviewModal({ isOpen, folderPath, fileName, fileList, imageInfo,
     return () => { cancelled = true; };
   }, [isOpen, currentFile, folderPath, fileList]);
 
+  // Load the shooting data while the panel or the overlay is on
+  useEffect(() => {
+    if (!isOpen || !currentFile || !folderPath || !(showMetadata || showMetadataOverlay)) return;
+
+    if (metadataRef.current[currentFile]) {
+      setMetadataInfo(metadataRef.current[currentFile]);
+      setMetadataError(null);
+      return;
+    }
+
+    let cancelled = false;
+    setMetadataInfo(null);
+    setMetadataError(null);
+
+    const loadMetadata = async () => {
+      try {
+        const result = await window.electronAPI.getImageMetadata(folderPath, currentFile);
+        if (cancelled) return;
+        if (result.success) {
+          const info = { fileName: currentFile, metadata: result.metadata, histogram: result.histogram };
+          metadataRef.current[currentFile] = info;
+          setMetadataInfo(info);
+        } else {
+          setMetadataError(result.error || 'Could not read the metadata');
+        }
+      } catch (_err) {
+        if (!cancelled) setMetadataError('Could not read the metadata');
+      }
+    };
+
+    loadMetadata();
+    return () => { cancelled = true; };
+  }, [isOpen, currentFile, folderPath, showMetadata, showMetadataOverlay]);
+
   // Clear prefetch cache and state when modal closes
   useEffect(() => {
     if (!isOpen) {
       prefetchRef.current = {};
+      metadataRef.current = {};
+      setMetadataInfo(null);
+      setMetadataError(null);
       setPreviewData(null);
       setPrevDataUrl(null);
       setError(null);
       setIsLoading(false);
+      // The clock reference stays, so the other camera's frame can be opened from another batch
+      setClockMessage(null);
     }
   }, [isOpen]);
 
@@ -165,6 +246,10 @@ function ImagePreviewModal({ isOpen, folderPath, fileName, fileList, imageInfo,
           e.preventDefault();
           goToNext();
           break;
+        case 'i':
+          e.preventDefault();
+          setShowMetadata(show => !show);
+          break;
         default:
           break;
       }
@@ -187,6 +272,32 @@ function ImagePreviewModal({ isOpen, folderPath, fileName, fileList, imageInfo,
     ? `${currentIndex + 1} / ${fileList.length}`
     : null;
 
+  // Blur info for the current file (supports navigation)
+  const currentBlurInfo = blurInfoMap?.[currentFile] || null;
+  const heatmapTiles = currentBlurInfo?.tiles || null;
+  const maxTileVariance = heatmapTiles ? Math.max(1, ...heatmapTiles.map(tile => tile.variance)) : 1;
+
+  // Clock sync needs the camera body and capture time of the frame
+  const canSyncClock = Boolean(onSyncClock && previewData?.cameraLabel && previewData?.captureTime);
+  const isClockReference = clockReference?.fileName === currentFile;
+  const canMatchReference = canSyncClock && clockReference && clockReference.cameraLabel !== previewData.cameraLabel;
+
+  // Shooting data of the current file only (not the previous one while loading)
+  const currentMetadataInfo = metadataInfo?.fileName === currentFile ? metadataInfo : null;
+
+  const handleClockReference = () => {
+    setClockMessage(null);
+    setClockReference(isClockReference
+      ? null
+      : { fileName: currentFile, cameraLabel: previewData.cameraLabel, captureTime: previewData.captureTime });
+  };
+
+  const handleMatchReference = () => {
+    const seconds = onSyncClock(clockReference, { cameraLabel: previewData.cameraLabel, captureTime: previewData.captureTime });
+    setClockMessage(`${previewData.cameraLabel} clock: ${formatClockOffset(seconds)}`);
+    setClockReference(null);
+  };
+
   return (
     <div
       className="image-preview-overlay"
@@ -233,11 +344,35 @@ function ImagePreviewModal({ isOpen, folderPath, fileName, fileList, imageInfo,
 
         {/* Current image */}
         {!isLoading && previewData?.dataUrl && (
-          <img
-            src={previewData.dataUrl}
-            alt={currentFile}
-            className="image-preview-img"
-          />
+          <div className="image-preview-frame">
+            <img
+              src={previewData.dataUrl}
+              alt={currentFile}
+              className="image-preview-img"
+            />
+            {showHeatmap && heatmapTiles && (
+              <div
+                className="blur-heatmap"
+                style={{ gridTemplateColumns: `repeat(${currentBlurInfo.tileGrid}, 1fr)` }}
+              >
+                {heatmapTiles.map((tile, index) => {
+                  // Sharper tiles are drawn stronger; green passes the thresholds, red does not
+                  const alpha = 0.1 + 0.4 * Math.max(0, tile.variance) / maxTileVariance;
+                  return (
+                    <div
+                      key={index}
+                      className={`blur-heatmap-tile ${index === currentBlurInfo.focusTile ? 'focus' : ''}`}
+                      style={{ backgroundColor: tile.sharp ? `rgba(34, 197, 94, ${alpha})` : `rgba(239, 68, 68, ${alpha})` }}
+                      title={`Score ${tile.variance >= 0 ? tile.variance.toFixed(1) : 'N/A'} · edges ${(tile.edgeDensity * 100).toFixed(1)}%`}
+                    >
+                      <span>{tile.variance >= 0 ? Math.round(tile.variance) : '–'}</span>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+            {showMetadataOverlay && <MetadataOverlay metadata={currentMetadataInfo?.metadata} />}
+          </div>
         )}
 
         {/* Error state */}
@@ -250,6 +385,15 @@ function ImagePreviewModal({ isOpen, folderPath, fileName, fileList, imageInfo,
         )}
       </div>
 
+      {/* Shooting data and histogram */}
+      {showMetadata && (
+        <ImageMetadataPanel
+          info={currentMetadataInfo}
+          isLoading={!currentMetadataInfo && !metadataError}
+          error={metadataError}
+        />
+      )}
+
       {/* Right nav arrow */}
       {canGoNext && (
         <button
@@ -263,25 +407,56 @@ function ImagePreviewModal({ isOpen, folderPath, fileName, fileList, imageInfo,
 
       {/* Bottom info bar */}
       {(() => {
-        // Look up blur info for the current file (supports navigation)
-        const currentBlurInfo = blurInfoMap?.[currentFile] || null;
         const blurScore = currentBlurInfo?.score ?? imageInfo?.blurScore;
         const hasBlurContext = blurScore !== undefined;
+        const similarInfo = similarInfoMap?.[currentFile] || null;
 
         return (
           <div className="image-preview-info" onClick={(e) => e.stopPropagation()}>
             <span className="image-preview-filename">{currentFile}</span>
             {previewData && (
               <span className="image-preview-dimensions">
-                {previewData.width} x {previewData.height}
+                {previewData.originalWidth ?? previewData.width} x {previewData.originalHeight ?? previewData.height}
+                {previewData.orientationLabel && ` · ${previewData.orientationLabel}`}
+                {previewData.embeddedPreview && ' · embedded preview'}
               </span>
             )}
             {hasBlurContext && (
               <span className="image-preview-blur-score">
                 Blur Score: {blurScore >= 0 ? blurScore.toFixed(1) : 'N/A'}
+                {currentBlurInfo?.sourceLabel && ` · from ${currentBlurInfo.sourceLabel}`}
+                {currentBlurInfo?.classLabel && ` · ${currentBlurInfo.classLabel}`}
+                {currentBlurInfo?.focusSource && ` · ${currentBlurInfo.focusSource === 'af' ? 'AF point' : 'sharpest region'}`}
+                {currentBlurInfo?.isBlurry !== undefined && (currentBlurInfo.isBlurry ? ' · flagged' : ' · passed')}
               </span>
             )}
-            {currentBlurInfo && onRestore && (
+            <button
+              className={`image-preview-restore-btn ${showMetadata ? '' : 'image-preview-restore-btn--muted'}`}
+              onClick={() => setShowMetadata(show => !show)}
+              title="Show shooting data and histogram (I)"
+            >
+              <Info size={14} />
+              <span>Info</span>
+            </button>
+            <button
+              className={`image-preview-restore-btn ${showMetadataOverlay ? '' : 'image-preview-restore-btn--muted'}`}
+              onClick={() => setShowMetadataOverlay(show => !show)}
+              title="Show shutter speed, aperture, ISO and focal length on the image"
+            >
+              <Aperture size={14} />
+              <span>Overlay</span>
+            </button>
+            {heatmapTiles && (
+              <button
+                className={`image-preview-restore-btn ${showHeatmap ? '' : 'image-preview-restore-btn--muted'}`}
+                onClick={() => setShowHeatmap(show => !show)}
+                title="Show the sharpness of each region; the outlined tile decided the score"
+              >
+                <Grid3x3 size={14} />
+                <span>Heatmap</span>
+              </button>
+            )}
+            {currentBlurInfo?.isBlurry && onRestore && (
               <button
                 className="image-preview-restore-btn"
                 onClick={() => onRestore(currentBlurInfo.baseName)}
@@ -290,6 +465,60 @@ function ImagePreviewModal({ isOpen, folderPath, fileName, fileList, imageInfo,
                 <span>Restore</span>
               </button>
             )}
+            {canSyncClock && (
+              <span className="image-preview-dimensions">
+                {previewData.cameraLabel} · {new Date(previewData.captureTime).toLocaleString()}
+              </span>
+            )}
+            {canMatchReference ? (
+              <button
+                className="image-preview-restore-btn"
+                onClick={handleMatchReference}
+                title={`Shift this camera's clock so this frame matches ${clockReference.fileName}`}
+              >
+                <Clock size={14} />
+                <span>Same Moment</span>
+              </button>
+            ) : canSyncClock && (
+              <button
+                className={`image-preview-restore-btn ${isClockReference ? '' : 'image-preview-restore-btn--muted'}`}
+                onClick={handleClockReference}
+                title="Mark this frame as the reference, then open a frame of the same moment from another camera"
+              >
+                <Clock size={14} />
+                <span>{isClockReference ? 'Clock Reference' : 'Sync Clock'}</span>
+              </button>
+            )}
+            {clockMessage && (
+              <span className="image-preview-blur-score">{clockMessage}</span>
+            )}
+            {similarInfo && (
+              <span className="image-preview-blur-score">
+                <Layers size={12} className="icon-inline" /> Burst {similarInfo.burstNumber}
+                {similarInfo.detached
+                  ? ' · taken out'
+                  : ` · #${similarInfo.rank} of ${similarInfo.size} · Sharpness ${similarInfo.score >= 0 ? similarInfo.score.toFixed(1) : 'N/A'}`}
+              </span>
+            )}
+            {similarInfo && !similarInfo.detached && onToggleSimilarKeep && (
+              <button
+                className={`image-preview-restore-btn ${similarInfo.kept ? '' : 'image-preview-restore-btn--muted'}`}
+                onClick={() => onToggleSimilarKeep(similarInfo.baseName)}
+                title={similarInfo.kept ? 'Move this frame to the Similar folder' : 'Keep this frame in the batches'}
+              >
+                <Check size={14} />
+                <span>{similarInfo.kept ? 'Kept' : 'Keep'}</span>
+              </button>
+            )}
+            {similarInfo && onToggleSimilarDetach && (
+              <button
+                className="image-preview-restore-btn image-preview-restore-btn--muted"
+                onClick={() => onToggleSimilarDetach(similarInfo.baseName)}
+              >
+                {similarInfo.detached ? <Undo2 size={14} /> : <Unlink size={14} />}
+                <span>{similarInfo.detached ? 'Back to Burst' : 'Not in Burst'}</span>
+              </button>
+            )}
             {positionLabel && (
               <span className="image-preview-position">{positionLabel}</span>
             )}
@@ -3,36 +3,75 @@
  * 
  * Accordion list showing preview of batch folders with image thumbnails
  * Includes "Load More" functionality for viewing additional files and batches
- * Optionally shows a "Blurry Photos" section when blur detection is enabled
+ * Optionally shows a "Blurry Photos" section when blur detection is enabled,
+ * labelling each frame as motion blur, defocus or low detail
+ * Optionally shows a "Badly Exposed" section when the exposure check is enabled
+ * Optionally shows a "Duplicates" section when duplicate detection is enabled
+ * Optionally shows a "Similar Frames" section (bursts ranked by sharpness) when burst detection is enabled
+ * Groups batches under partition headers (e.g. capture day) when splitting
+ * Location headers can be named inline; the name is saved as a place label
+ * Shows each batch's first and last file when batches keep the sort order
+ * Image previews show the blur score (and tile heatmap) of every analyzed frame
  */
 
-import React, { useState, useEffect, useRef } from 'react';
-import { Package, ChevronRight, ChevronDown, Image, ChevronDownCircle, ScanEye, Undo2, CheckCircle, Loader2 } from 'lucide-react';
-import { generateBatchFolderName } from '../../utils/batchNaming';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Package, ChevronRight, ChevronDown, Image, ChevronDownCircle, ScanEye, Undo2, CheckCircle, Loader2, CalendarDays, Camera, Aperture, Clock, CopyX, Redo2, Layers, Star, Tag, MapPin, Pencil, Proportions, FolderTree, SunMoon } from 'lucide-react';
+import { generateBatchFolderName, getSetAsideFolderPrefix } from '../../utils/batchNaming';
+import { BLUR_CLASSES, getBlurClass } from '../../utils/blurClasses';
 import ImagePreviewModal from '../Modals/ImagePreviewModal';
 import './PreviewPanel.css';
 
 const FILES_PER_LOAD = 10; // Number of files to show per "Load More" click
 const BATCHES_PER_LOAD = 10; // Number of batches to show per "Load More" click
+const PARTITION_ICONS = { camera: Camera, lens: Aperture, session: Clock, location: MapPin, rating: Star, label: Tag, orientation: Proportions }; // Partition header icon per split mode (dates by default)
 
 /**
  * @param {Object} props
  * @param {Array} props.batchDetails - Array of batch detail objects
- * @param {string} props.outputPrefix - Folder name prefix
+ * @param {string} [props.splitBy] - Partition mode the preview was built with (picks the header icon)
+ * @param {boolean} [props.contiguous] - Batches are consecutive slices of the sort order (shows the file range)
+ * @param {number} props.batchCount - Batches in the whole plan (batchDetails holds the first 50)
+ * @param {string} props.outputPrefix - Folder name pattern
  * @param {number|null} props.expandedBatch - Currently expanded batch number
  * @param {(batchNumber: number) => void} props.onToggleBatch - Toggle batch expansion
  * @param {string} props.folderPath - Source folder path for fetching thumbnails
  * @param {Object} [props.blurDetection] - Blur detection hook state
  * @param {boolean} [props.blurDetectionEnabled] - Whether blur detection is on
+ * @param {Object} [props.exposureDetection] - Exposure check hook state
+ * @param {boolean} [props.exposureDetectionEnabled] - Whether the exposure check is on
+ * @param {'folder'|'drop'} [props.exposureAction] - Where badly exposed frames go
+ * @param {Object} [props.duplicateDetection] - Duplicate detection hook state
+ * @param {boolean} [props.duplicateDetectionEnabled] - Whether duplicate detection is on
+ * @param {'folder'|'drop'} [props.duplicateAction] - Where duplicates go
+ * @param {Object} [props.similarDetection] - Burst detection hook state
+ * @param {boolean} [props.similarDetectionEnabled] - Whether burst detection is on
+ * @param {(location: { latitude: number, longitude: number, placeName: string|null }, name: string) => void} [props.onNamePlace] - Name a location partition
+ * @param {(reference: Object, frame: Object) => number} [props.onSyncClock] - Set a camera clock offset from two frames of the same moment
  */
-function BatchPreview({ batchDetails, outputPrefix, expandedBatch, onToggleBatch, folderPath, blurDetection, blurDetectionEnabled }) {
+function BatchPreview({ batchDetails, splitBy, contiguous, batchCount, outputPrefix, expandedBatch, onToggleBatch, folderPath, blurDetection, blurDetectionEnabled, exposureDetection, exposureDetectionEnabled, exposureAction, duplicateDetection, duplicateDetectionEnabled, duplicateAction, similarDetection, similarDetectionEnabled, onNamePlace, onSyncClock }) {
   const [thumbnails, setThumbnails] = useState({});
   const [_loadingThumbnails, setLoadingThumbnails] = useState(false);
   const [visibleFilesCount, setVisibleFilesCount] = useState({}); // { batchNumber: count }
   const [visibleBatchesCount, setVisibleBatchesCount] = useState(10); // Number of batches to show
+  const [namingPartition, setNamingPartition] = useState(null); // partitionKey of the location being named
+  const [placeNameDraft, setPlaceNameDraft] = useState('');
+  // Set-aside folders (_Blurry, _Duplicates, ...) use the pattern without its variables, as in execute-batch
+  const setAsidePrefix = getSetAsideFolderPrefix(outputPrefix);
 
   // Image preview modal state
-  const [previewImage, setPreviewImage] = useState(null); // { fileName, fileList, imageInfo, blurInfoMap, onRestore }
+  const [previewImage, setPreviewImage] = useState(null); // { fileName, fileList, imageInfo, blurInfoMap, onRestore, similar }
+
+  // Blur context for every analyzed frame, so previews outside the Blurry section
+  // also show why a frame passed
+  const analyzedBlurInfoMap = useMemo(() => {
+    const blurResults = blurDetectionEnabled ? blurDetection?.blurResults : null;
+    if (!blurResults) return null;
+    const map = {};
+    for (const [baseName, result] of Object.entries(blurResults)) {
+      if (result.analyzedFile && result.score >= 0) map[result.analyzedFile] = toBlurInfo(baseName, result);
+    }
+    return map;
+  }, [blurDetectionEnabled, blurDetection?.blurResults]);
 
   // Track which filenames have already been requested to avoid duplicate fetches.
   // Using a ref instead of depending on `thumbnails` state prevents the
@@ -107,11 +146,37 @@ function BatchPreview({ batchDetails, outputPrefix, expandedBatch, onToggleBatch
   const remainingBatches = batchDetails.length - visibleBatchesCount;
   const canLoadMoreBatches = remainingBatches > 0;
 
+  const PartitionIcon = PARTITION_ICONS[splitBy] || CalendarDays;
+
+  // Batches per partition, for the partition headers
+  const partitionBatchCounts = {};
+  for (const batch of batchDetails) {
+    if (batch.partitionKey) {
+      partitionBatchCounts[batch.partitionKey] = (partitionBatchCounts[batch.partitionKey] || 0) + 1;
+    }
+  }
+
+  const startNamingPlace = (batch) => {
+    setNamingPartition(batch.partitionKey);
+    setPlaceNameDraft(batch.placeName || '');
+  };
+
+  const confirmPlaceName = (batch) => {
+    const name = placeNameDraft.trim();
+    if (name) {
+      onNamePlace({ latitude: batch.latitude, longitude: batch.longitude, placeName: batch.placeName }, name);
+    }
+    setNamingPartition(null);
+  };
+
   return (
     <div className="batch-preview">
       <h3><Package className="icon-inline" size={18} /> Batch Preview</h3>
       <div className="batch-list">
-        {batchesToShow.map((batch) => {
+        {batchesToShow.map((batch, index) => {
+          const showPartitionHeader = batch.partitionKey &&
+            (index === 0 || batchesToShow[index - 1].partitionKey !== batch.partitionKey);
+          const partitionBatchCount = partitionBatchCounts[batch.partitionKey] || 0;
           const visibleCount = visibleFilesCount[batch.batchNumber] || 5;
           const allFiles = batch.allFiles || batch.sampleFiles || [];
           const filesToShow = allFiles.slice(0, visibleCount);
@@ -119,50 +184,116 @@ function BatchPreview({ batchDetails, outputPrefix, expandedBatch, onToggleBatch
           const canLoadMore = remainingFiles > 0;
 
           return (
-            <div key={batch.batchNumber} className="batch-item">
-              <button
-                className={`batch-header ${expandedBatch === batch.batchNumber ? 'expanded' : ''}`}
-                onClick={() => onToggleBatch(batch.batchNumber)}
-              >
-                <span className="batch-name">
-                  {generateBatchFolderName(outputPrefix, batch.batchNumber - 1, batchDetails.length)}
-                </span>
-                <span className="batch-count">{batch.fileCount} files</span>
-                <span className="expand-icon">
-                  {expandedBatch === batch.batchNumber ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
-                </span>
-              </button>
-              {expandedBatch === batch.batchNumber && (
-                <div className="batch-files">
-                  {filesToShow.map((file) => (
-                    <div key={file} className="file-item">
-                      {thumbnails[file] ? (
-                        <img 
-                          src={thumbnails[file]} 
-                          alt="" 
-                          className="file-thumbnail file-thumbnail-clickable"
-                          onClick={() => setPreviewImage({ fileName: file, fileList: allFiles, imageInfo: null })}
-                        />
-                      ) : (
-                        <span className="thumbnail-placeholder">
-                          <Image size={16} />
+            <React.Fragment key={batch.batchNumber}>
+              {showPartitionHeader && (
+                <div className="batch-partition-header">
+                  <PartitionIcon size={14} />
+                  {namingPartition === batch.partitionKey ? (
+                    <div className="preset-naming-row">
+                      <input
+                        type="text"
+                        autoFocus
+                        placeholder="Place name..."
+                        value={placeNameDraft}
+                        onChange={(e) => setPlaceNameDraft(e.target.value)}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') confirmPlaceName(batch);
+                          if (e.key === 'Escape') setNamingPartition(null);
+                        }}
+                        className="preset-name-input"
+                      />
+                      <button onClick={() => confirmPlaceName(batch)} className="btn-small primary" disabled={!placeNameDraft.trim()}>
+                        Save
+                      </button>
+                      <button onClick={() => setNamingPartition(null)} className="btn-small">
+                        Cancel
+                      </button>
+                    </div>
+                  ) : (
+                    <>
+                      <span className="batch-partition-label">{batch.partitionLabel}</span>
+                      {onNamePlace && batch.locationIndex && (
+                        <button
+                          className="batch-partition-action"
+                          onClick={() => startNamingPlace(batch)}
+                          title={batch.placeName ? 'Rename this place' : 'Name this place'}
+                        >
+                          <Pencil size={12} />
+                        </button>
+                      )}
+                      {batch.inheritedGroups > 0 && (
+                        <span className="batch-partition-note">
+                          {`+${batch.inheritedGroups} without GPS`}
                         </span>
                       )}
-                      <span className="file-name">{file}</span>
-                    </div>
-                  ))}
-                  {canLoadMore && (
-                    <button 
-                      className="load-more-btn"
-                      onClick={() => handleLoadMoreFiles(batch.batchNumber, batch.fileCount)}
-                    >
-                      <ChevronDownCircle size={16} />
-                      Load More ({remainingFiles} remaining)
-                    </button>
+                    </>
                   )}
+                  <span className="batch-partition-count">
+                    {partitionBatchCount} {partitionBatchCount === 1 ? 'batch' : 'batches'}
+                  </span>
                 </div>
               )}
-            </div>
+              <div className="batch-item">
+                <button
+                  className={`batch-header ${expandedBatch === batch.batchNumber ? 'expanded' : ''}`}
+                  onClick={() => onToggleBatch(batch.batchNumber)}
+                >
+                  <span className="batch-name">
+                    {generateBatchFolderName(outputPrefix, batch.batchNumber - 1, batchCount, batch)}
+                  </span>
+                  {contiguous && batch.firstFile && (
+                    <span className="batch-range" title={`${batch.firstFile} → ${batch.lastFile}`}>
+                      {batch.firstFile === batch.lastFile ? batch.firstFile : `${batch.firstFile} → ${batch.lastFile}`}
+                    </span>
+                  )}
+                  <span className="batch-count">
+                    {batch.fileCount} files{batch.sizeFormatted ? ` · ${batch.sizeFormatted}` : ''}
+                  </span>
+                  <span className="expand-icon">
+                    {expandedBatch === batch.batchNumber ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                  </span>
+                </button>
+                {expandedBatch === batch.batchNumber && (
+                  <div className="batch-files">
+                    {batch.typeFolderCounts && Object.keys(batch.typeFolderCounts).length > 0 && (
+                      <div className="batch-type-folders">
+                        <FolderTree size={12} />
+                        {Object.entries(batch.typeFolderCounts).map(([folder, count]) => `${folder}/ ${count}`).join(' · ')}
+                      </div>
+                    )}
+                    {filesToShow.map((file) => (
+                      <div key={file} className="file-item">
+                        {thumbnails[file] ? (
+                          <img 
+                            src={thumbnails[file]} 
+                            alt="" 
+                            className="file-thumbnail file-thumbnail-clickable"
+                            onClick={() => setPreviewImage({ fileName: file, fileList: allFiles, imageInfo: null })}
+                          />
+                        ) : (
+                          <span className="thumbnail-placeholder">
+                            <Image size={16} />
+                          </span>
+                        )}
+                        <span className="file-name">{file}</span>
+                        {batch.renamedFiles?.[file] && (
+                          <span className="file-new-name">→ {batch.renamedFiles[file]}</span>
+                        )}
+                      </div>
+                    ))}
+                    {canLoadMore && (
+                      <button 
+                        className="load-more-btn"
+                        onClick={() => handleLoadMoreFiles(batch.batchNumber, batch.fileCount)}
+                      >
+                        <ChevronDownCircle size={16} />
+                        Load More ({remainingFiles} remaining)
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            </React.Fragment>
           );
         })}
         
@@ -192,7 +323,7 @@ function BatchPreview({ batchDetails, outputPrefix, expandedBatch, onToggleBatch
       {blurDetectionEnabled && blurDetection && (
         <BlurryPhotosSection
           blurDetection={blurDetection}
-          outputPrefix={outputPrefix}
+          outputPrefix={setAsidePrefix}
           folderPath={folderPath}
           thumbnails={thumbnails}
           onImageClick={(fileName, fileList, imageInfo, blurInfoMap, onRestore) =>
@@ -201,6 +332,36 @@ function BatchPreview({ batchDetails, outputPrefix, expandedBatch, onToggleBatch
         />
       )}
 
+      {/* Badly Exposed Section */}
+      {exposureDetectionEnabled && exposureDetection && (
+        <ExposureSection
+          exposureDetection={exposureDetection}
+          exposureAction={exposureAction}
+          outputPrefix={setAsidePrefix}
+          folderPath={folderPath}
+          onImageClick={(fileName, fileList) => setPreviewImage({ fileName, fileList, imageInfo: null })}
+        />
+      )}
+
+      {/* Duplicates Section */}
+      {duplicateDetectionEnabled && duplicateDetection && (
+        <DuplicatesSection
+          duplicateDetection={duplicateDetection}
+          duplicateAction={duplicateAction}
+          outputPrefix={setAsidePrefix}
+        />
+      )}
+
+      {/* Similar Frames Section */}
+      {similarDetectionEnabled && similarDetection && (
+        <SimilarFramesSection
+          similarDetection={similarDetection}
+          outputPrefix={setAsidePrefix}
+          folderPath={folderPath}
+          onImageClick={(fileName, fileList) => setPreviewImage({ fileName, fileList, imageInfo: null, similar: true })}
+        />
+      )}
+
       {/* Image Preview Modal */}
       <ImagePreviewModal
         isOpen={!!previewImage}
@@ -208,19 +369,96 @@ function BatchPreview({ batchDetails, outputPrefix, expandedBatch, onToggleBatch
         fileName={previewImage?.fileName}
         fileList={previewImage?.fileList || []}
         imageInfo={previewImage?.imageInfo}
-        blurInfoMap={previewImage?.blurInfoMap}
+        blurInfoMap={previewImage?.blurInfoMap || analyzedBlurInfoMap}
         onRestore={previewImage?.onRestore}
+        similarInfoMap={previewImage?.similar ? similarDetection?.similarInfoMap : null}
+        onToggleSimilarKeep={similarDetection?.toggleSimilarKeep}
+        onToggleSimilarDetach={similarDetection?.toggleSimilarDetach}
+        onSyncClock={onSyncClock}
         onClose={() => setPreviewImage(null)}
       />
     </div>
   );
 }
 
+/**
+ * Describe what a blur score was measured on when it was not the file itself,
+ * e.g. "CR3 preview · 1620×1080 · 412 KB".
+ *
+ * @param {Object} result - Blur result ({ analyzedFile, source, previewWidth, previewHeight, previewBytes })
+ * @returns {string|null} Null for regular image files
+ */
+function describeBlurSource(result) {
+  if (!result?.source || result.source === 'file') return null;
+  const format = result.analyzedFile.split('.').pop().toUpperCase();
+  const parts = [`${format} ${result.source === 'thumbnail' ? 'EXIF thumbnail' : 'preview'}`];
+  if (result.previewWidth && result.previewHeight) parts.push(`${result.previewWidth}×${result.previewHeight}`);
+  if (result.previewBytes) parts.push(`${Math.max(1, Math.round(result.previewBytes / 1024))} KB`);
+  return parts.join(' · ');
+}
+
+/**
+ * Label for the kind of blur of a flagged group, e.g. "Motion blur · 90°"
+ * (0° = horizontal shake).
+ *
+ * @param {Object} result - Blur result ({ blurClass, motionAngle })
+ * @returns {string|null} Null for frames that passed or were not classified
+ */
+function describeBlurClass(result) {
+  const blurClass = getBlurClass(result?.blurClass);
+  if (!blurClass) return null;
+  return result.motionAngle !== null && result.motionAngle !== undefined
+    ? `${blurClass.label} · ${result.motionAngle}°`
+    : blurClass.label;
+}
+
+/**
+ * Where the flagged groups go, e.g. "Will be placed in Batch_Blurry" or
+ * "3 → Batch_Blurry_Motion · 2 kept in batches".
+ *
+ * @param {Object} blurRouting - { sharedGroups, classGroups, keptGroups } from useBlurDetection
+ * @param {string} outputPrefix
+ * @returns {string}
+ */
+function describeBlurDestinations(blurRouting, outputPrefix) {
+  const { sharedGroups, classGroups, keptGroups } = blurRouting;
+  if (!classGroups && keptGroups.length === 0) return `Will be placed in ${outputPrefix}_Blurry`;
+  const parts = [];
+  if (sharedGroups.length > 0) parts.push(`${sharedGroups.length} → ${outputPrefix}_Blurry`);
+  for (const { key, folderSuffix } of BLUR_CLASSES) {
+    if (classGroups?.[key]) parts.push(`${classGroups[key].length} → ${outputPrefix}_${folderSuffix}`);
+  }
+  if (keptGroups.length > 0) parts.push(`${keptGroups.length} kept in batches`);
+  return parts.join(' · ');
+}
+
+/**
+ * Blur context for the image preview modal.
+ *
+ * @param {string} baseName
+ * @param {Object} result - Blur result of the group
+ * @returns {Object} { baseName, score, edgeDensity, isBlurry, sourceLabel, classLabel, tiles, tileGrid, focusTile, focusSource }
+ */
+function toBlurInfo(baseName, result) {
+  return {
+    baseName,
+    score: result.score,
+    edgeDensity: result.edgeDensity,
+    isBlurry: result.isBlurry,
+    sourceLabel: describeBlurSource(result),
+    classLabel: describeBlurClass(result),
+    tiles: result.tiles,
+    tileGrid: result.tileGrid,
+    focusTile: result.focusTile,
+    focusSource: result.focusSource,
+  };
+}
+
 /**
  * Blurry Photos Section - shows detected blurry groups with un-flag ability
  */
 function BlurryPhotosSection({ blurDetection, outputPrefix, folderPath, thumbnails: parentThumbnails, onImageClick }) {
-  const { blurResults, blurProgress, blurEta, blurryGroups, blurryCount, isAnalyzing, unflaggedGroups, toggleBlurFlag } = blurDetection;
+  const { blurResults, blurProgress, blurEta, blurryGroups, blurryCount, blurRouting, isAnalyzing, unflaggedGroups, toggleBlurFlag } = blurDetection;
   const [expanded, setExpanded] = useState(false);
   const [visibleCount, setVisibleCount] = useState(20);
   const [blurThumbnails, setBlurThumbnails] = useState({});
@@ -309,7 +547,7 @@ function BlurryPhotosSection({ blurDetection, outputPrefix, folderPath, thumbnai
         {blurryCount === 0 && <CheckCircle size={16} className="blurry-check" />}
         {blurryCount > 0 && (
           <span className="blurry-folder-hint">
-            Will be placed in {outputPrefix}_Blurry
+            {describeBlurDestinations(blurRouting, outputPrefix)}
           </span>
         )}
         <span className="expand-icon">
@@ -328,7 +566,7 @@ function BlurryPhotosSection({ blurDetection, outputPrefix, folderPath, thumbnai
         for (const bn of blurryGroups) {
           const r = blurResults[bn];
           const af = r?.analyzedFile;
-          if (af) blurInfoMap[af] = { baseName: bn, score: r?.score, edgeDensity: r?.edgeDensity };
+          if (af) blurInfoMap[af] = toBlurInfo(bn, r);
         }
 
         const visibleGroups = blurryGroups.slice(0, visibleCount);
@@ -341,6 +579,9 @@ function BlurryPhotosSection({ blurDetection, outputPrefix, folderPath, thumbnai
             const result = blurResults[baseName];
             const thumbFile = result?.analyzedFile;
             const thumbSrc = thumbFile ? allThumbs[thumbFile] : null;
+            const sourceLabel = describeBlurSource(result);
+            const classLabel = describeBlurClass(result);
+            const isKept = blurRouting.keptGroups.includes(baseName);
 
             return (
               <div key={baseName} className="blurry-item">
@@ -357,7 +598,22 @@ function BlurryPhotosSection({ blurDetection, outputPrefix, folderPath, thumbnai
                   </span>
                 )}
                 <span className="blurry-name">{baseName}</span>
-                <span className="blurry-score">Score: {result?.score >= 0 ? result.score.toFixed(1) : 'N/A'}</span>
+                {sourceLabel && <span className="blurry-source" title="Analyzed on the JPEG embedded in the RAW file">{sourceLabel}</span>}
+                {classLabel && (
+                  <span
+                    className={`blur-class-badge ${result.blurClass}${isKept ? ' kept' : ''}`}
+                    title={`${result.blurClass === 'motion' ? 'Shake direction in degrees, 0° = horizontal. ' : ''}` +
+                      `Gradient coherence ${result.coherence}${isKept ? ' · kept in batches' : ''}`}
+                  >
+                    {classLabel}
+                  </span>
+                )}
+                <span
+                  className="blurry-score"
+                  title={result?.focusSource ? `Score of the ${result.focusSource === 'af' ? 'AF point' : 'sharpest'} region; whole frame ${result.globalScore.toFixed(1)}` : undefined}
+                >
+                  Score: {result?.score >= 0 ? result.score.toFixed(1) : 'N/A'}
+                </span>
                 <button
                   className="unflag-btn"
                   onClick={() => toggleBlurFlag(baseName)}
@@ -399,4 +655,436 @@ function BlurryPhotosSection({ blurDetection, outputPrefix, folderPath, thumbnai
   );
 }
 
+/**
+ * Badly Exposed Section - over- and underexposed frames with their mean
+ * brightness and clipped share; each can be put back into the normal batches
+ */
+function ExposureSection({ exposureDetection, exposureAction, outputPrefix, folderPath, onImageClick }) {
+  const { exposureResults, exposureProgress, isAnalyzingExposure, exposureCount, restoredGroups, toggleExposureFlag } = exposureDetection;
+  const [expanded, setExpanded] = useState(false);
+  const [visibleCount, setVisibleCount] = useState(20);
+  const [exposureThumbnails, setExposureThumbnails] = useState({});
+  const requestedRef = useRef(new Set());
+
+  const [shownResults, setShownResults] = useState(exposureResults);
+
+  // Reset thumbnails and pagination when results change (during render, not in an effect)
+  if (shownResults !== exposureResults) {
+    setShownResults(exposureResults);
+    setExposureThumbnails({});
+    setVisibleCount(20);
+  }
+
+  // New results start with a fresh request list
+  useEffect(() => {
+    requestedRef.current = new Set();
+  }, [exposureResults]);
+
+  // Fetch thumbnails for the visible frames only
+  useEffect(() => {
+    if (!expanded || !folderPath || !exposureResults) return;
+    const { exposureResults: results, flaggedGroups } = exposureResults;
+    const batch = flaggedGroups.slice(0, visibleCount)
+      .map(baseName => results[baseName]?.analyzedFile)
+      .filter(f => f && !requestedRef.current.has(f))
+      .slice(0, 30);
+    if (batch.length === 0) return;
+    for (const f of batch) requestedRef.current.add(f);
+
+    window.electronAPI.getThumbnails(folderPath, batch)
+      .then(newThumbnails => setExposureThumbnails(prev => ({ ...prev, ...newThumbnails })))
+      .catch(err => {
+        console.error('Failed to fetch exposure thumbnails:', err);
+        for (const f of batch) requestedRef.current.delete(f);
+      });
+  }, [expanded, visibleCount, folderPath, exposureResults]);
+
+  if (isAnalyzingExposure) {
+    return (
+      <div className="blurry-section">
+        <div className="blurry-header analyzing">
+          <SunMoon size={18} className="icon-inline" />
+          <span className="blurry-analyzing-text">
+            Checking exposure...
+            {exposureProgress && (
+              <> {exposureProgress.current.toLocaleString()} / {exposureProgress.total.toLocaleString()}</>
+            )}
+          </span>
+          <Loader2 size={16} className="spin-icon" />
+        </div>
+        {exposureProgress?.total > 0 && (
+          <div className="blurry-progress-bar">
+            <div className="blurry-progress-fill" style={{ width: `${Math.round(exposureProgress.current / exposureProgress.total * 100)}%` }} />
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  if (!exposureResults) return null;
+
+  const { exposureResults: results, flaggedGroups } = exposureResults;
+  const visibleGroups = flaggedGroups.slice(0, visibleCount);
+  const remainingCount = flaggedGroups.length - visibleCount;
+  const fileList = flaggedGroups.map(baseName => results[baseName]?.analyzedFile).filter(Boolean);
+
+  return (
+    <div className="blurry-section">
+      <button
+        className={`blurry-header ${expanded ? 'expanded' : ''}`}
+        onClick={() => setExpanded(!expanded)}
+      >
+        <SunMoon size={18} className="icon-inline" />
+        <span className="blurry-title">
+          {exposureCount > 0 ? `Badly Exposed (${exposureCount} groups)` : 'No badly exposed photos'}
+        </span>
+        {exposureCount === 0 && <CheckCircle size={16} className="blurry-check" />}
+        {exposureCount > 0 && (
+          <span className="blurry-folder-hint">
+            {exposureAction === 'drop' ? 'Will be left in the source folder' : `Will be placed in ${outputPrefix}_Exposure`}
+          </span>
+        )}
+        <span className="expand-icon">
+          {expanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+        </span>
+      </button>
+
+      {expanded && flaggedGroups.length > 0 && (
+        <div className="blurry-list">
+          {visibleGroups.map(baseName => {
+            const result = results[baseName];
+            const thumbSrc = result?.analyzedFile ? exposureThumbnails[result.analyzedFile] : null;
+            const restored = restoredGroups.has(baseName);
+            const over = result?.exposure === 'over';
+            return (
+              <div key={baseName} className="blurry-item">
+                {thumbSrc ? (
+                  <img
+                    src={thumbSrc}
+                    alt=""
+                    className="file-thumbnail blurry-thumb file-thumbnail-clickable"
+                    onClick={() => onImageClick?.(result.analyzedFile, fileList)}
+                  />
+                ) : (
+                  <span className="thumbnail-placeholder">
+                    <Image size={16} />
+                  </span>
+                )}
+                <span className="blurry-name">{baseName}</span>
+                <span className={`exposure-badge ${over ? 'over' : 'under'}`}>{over ? 'Over' : 'Under'}</span>
+                <span className="blurry-score">
+                  Mean {Math.round(result.mean)} · {(over ? result.highlightClip : result.shadowClip).toFixed(1)}% {over ? 'blown' : 'crushed'}
+                </span>
+                <button
+                  className="unflag-btn"
+                  onClick={() => toggleExposureFlag(baseName)}
+                  title={restored ? 'Flag as badly exposed again' : 'Restore to normal batches'}
+                >
+                  {restored ? <Redo2 size={14} /> : <Undo2 size={14} />}
+                  <span>{restored ? 'Undo' : 'Restore'}</span>
+                </button>
+              </div>
+            );
+          })}
+          {remainingCount > 0 && (
+            <button
+              className="blurry-load-more"
+              onClick={() => setVisibleCount(prev => prev + 20)}
+            >
+              <ChevronDown size={16} />
+              <span>Load More ({remainingCount} remaining)</span>
+            </button>
+          )}
+        </div>
+      )}
+
+      {expanded && flaggedGroups.length === 0 && (
+        <div className="blurry-empty">
+          <CheckCircle size={20} />
+          <p>All photos are within the exposure range.</p>
+        </div>
+      )}
+
+      {restoredGroups.size > 0 && (
+        <div className="blurry-restored-note">
+          {restoredGroups.size} group{restoredGroups.size > 1 ? 's' : ''} restored to normal batches
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Duplicates Section - shows each original with its duplicate groups, which
+ * can be put back into the normal batches one by one
+ */
+function DuplicatesSection({ duplicateDetection, duplicateAction, outputPrefix }) {
+  const { duplicateResults, duplicateProgress, isFindingDuplicates, duplicateCount, restoredGroups, toggleDuplicate } = duplicateDetection;
+  const [expanded, setExpanded] = useState(false);
+  const [visibleCount, setVisibleCount] = useState(20);
+
+  const [shownResults, setShownResults] = useState(duplicateResults);
+
+  // Reset pagination when results change (during render, not in an effect)
+  if (shownResults !== duplicateResults) {
+    setShownResults(duplicateResults);
+    setVisibleCount(20);
+  }
+
+  if (isFindingDuplicates) {
+    return (
+      <div className="blurry-section">
+        <div className="blurry-header analyzing">
+          <CopyX size={18} className="icon-inline" />
+          <span className="blurry-analyzing-text">
+            Finding duplicates...
+            {duplicateProgress && (
+              <> {duplicateProgress.current.toLocaleString()} / {duplicateProgress.total.toLocaleString()}</>
+            )}
+          </span>
+          <Loader2 size={16} className="spin-icon" />
+        </div>
+        {duplicateProgress?.total > 0 && (
+          <div className="blurry-progress-bar">
+            <div className="blurry-progress-fill" style={{ width: `${Math.round(duplicateProgress.current / duplicateProgress.total * 100)}%` }} />
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  if (!duplicateResults) return null;
+
+  const { duplicateSets } = duplicateResults;
+  const visibleSets = duplicateSets.slice(0, visibleCount);
+  const remainingCount = duplicateSets.length - visibleCount;
+
+  return (
+    <div className="blurry-section">
+      <button
+        className={`blurry-header ${expanded ? 'expanded' : ''}`}
+        onClick={() => setExpanded(!expanded)}
+      >
+        <CopyX size={18} className="icon-inline" />
+        <span className="blurry-title">
+          {duplicateCount > 0 ? `Duplicates (${duplicateCount} groups)` : 'No duplicates found'}
+        </span>
+        {duplicateCount === 0 && <CheckCircle size={16} className="blurry-check" />}
+        {duplicateCount > 0 && (
+          <span className="blurry-folder-hint">
+            {duplicateAction === 'drop' ? 'Will be left in the source folder' : `Will be placed in ${outputPrefix}_Duplicates`}
+          </span>
+        )}
+        <span className="expand-icon">
+          {expanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+        </span>
+      </button>
+
+      {expanded && duplicateSets.length > 0 && (
+        <div className="blurry-list">
+          {visibleSets.flatMap(({ original, duplicates }) => duplicates.map(baseName => {
+            const restored = restoredGroups.has(baseName);
+            return (
+              <div key={baseName} className="blurry-item">
+                <span className="blurry-name">{baseName}</span>
+                <span className="blurry-score">same as {original}</span>
+                <button
+                  className="unflag-btn"
+                  onClick={() => toggleDuplicate(baseName)}
+                  title={restored ? 'Treat as a duplicate again' : 'Restore to normal batches'}
+                >
+                  {restored ? <Redo2 size={14} /> : <Undo2 size={14} />}
+                  <span>{restored ? 'Undo' : 'Restore'}</span>
+                </button>
+              </div>
+            );
+          }))}
+          {remainingCount > 0 && (
+            <button
+              className="blurry-load-more"
+              onClick={() => setVisibleCount(prev => prev + 20)}
+            >
+              <ChevronDown size={16} />
+              <span>Load More ({remainingCount} remaining)</span>
+            </button>
+          )}
+        </div>
+      )}
+
+      {expanded && duplicateSets.length === 0 && (
+        <div className="blurry-empty">
+          <CheckCircle size={20} />
+          <p>Every group has unique content.</p>
+        </div>
+      )}
+
+      {restoredGroups.size > 0 && (
+        <div className="blurry-restored-note">
+          {restoredGroups.size} group{restoredGroups.size > 1 ? 's' : ''} restored to normal batches
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Similar Frames Section - one film strip per burst, best frame first.
+ * Kept frames are highlighted; click a frame to change the pick or take it
+ * out of the burst in the image preview.
+ */
+function SimilarFramesSection({ similarDetection, outputPrefix, folderPath, onImageClick }) {
+  const { similarResults, similarProgress, isFindingSimilar, clusters, similarCount, detachedGroups } = similarDetection;
+  const [expanded, setExpanded] = useState(false);
+  const [visibleCount, setVisibleCount] = useState(10);
+  const [thumbnails, setThumbnails] = useState({});
+  const [shownResults, setShownResults] = useState(similarResults);
+  const requestedRef = useRef({ results: null, files: new Set() }); // Files requested for the current results
+
+  // Reset thumbnails and pagination when results change (during render, not in an effect)
+  if (shownResults !== similarResults) {
+    setShownResults(similarResults);
+    setThumbnails({});
+    setVisibleCount(10);
+  }
+
+  // Fetch thumbnails for the visible bursts
+  useEffect(() => {
+    if (!expanded || !folderPath || clusters.length === 0) return;
+
+    if (requestedRef.current.results !== similarResults) {
+      requestedRef.current = { results: similarResults, files: new Set() };
+    }
+    const requested = requestedRef.current.files;
+    const batch = clusters.slice(0, visibleCount)
+      .flatMap(cluster => cluster.members.map(member => member.analyzedFile))
+      .filter(f => !requested.has(f))
+      .slice(0, 30);
+    if (batch.length === 0) return;
+
+    for (const f of batch) {
+      requested.add(f);
+    }
+
+    const fetchThumbs = async () => {
+      try {
+        const newThumbnails = await window.electronAPI.getThumbnails(folderPath, batch);
+        setThumbnails(prev => ({ ...prev, ...newThumbnails }));
+      } catch (err) {
+        console.error('Failed to fetch burst thumbnails:', err);
+        for (const f of batch) {
+          requested.delete(f);
+        }
+      }
+    };
+    fetchThumbs();
+  }, [expanded, visibleCount, folderPath, similarResults, clusters, thumbnails]);
+
+  if (isFindingSimilar) {
+    return (
+      <div className="blurry-section similar-section">
+        <div className="blurry-header analyzing">
+          <Layers size={18} className="icon-inline" />
+          <span className="blurry-analyzing-text">
+            Finding bursts...
+            {similarProgress && (
+              <> {similarProgress.current.toLocaleString()} / {similarProgress.total.toLocaleString()}</>
+            )}
+          </span>
+          <Loader2 size={16} className="spin-icon" />
+        </div>
+        {similarProgress?.total > 0 && (
+          <div className="blurry-progress-bar">
+            <div className="blurry-progress-fill" style={{ width: `${Math.round(similarProgress.current / similarProgress.total * 100)}%` }} />
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  if (!similarResults) return null;
+
+  // Navigable list for the preview modal: every frame of every burst, in display order
+  const frameList = clusters.flatMap(cluster => cluster.members.map(member => member.analyzedFile));
+  const remainingCount = clusters.length - visibleCount;
+
+  return (
+    <div className="blurry-section similar-section">
+      <button
+        className={`blurry-header ${expanded ? 'expanded' : ''}`}
+        onClick={() => setExpanded(!expanded)}
+      >
+        <Layers size={18} className="icon-inline" />
+        <span className="blurry-title">
+          {clusters.length > 0 ? `Bursts (${clusters.length} found, ${similarCount} frames set aside)` : 'No bursts found'}
+        </span>
+        {clusters.length === 0 && <CheckCircle size={16} className="blurry-check" />}
+        {similarCount > 0 && (
+          <span className="blurry-folder-hint">
+            Will be placed in {outputPrefix}_Similar
+          </span>
+        )}
+        <span className="expand-icon">
+          {expanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+        </span>
+      </button>
+
+      {expanded && clusters.length > 0 && (
+        <div className="blurry-list">
+          {clusters.slice(0, visibleCount).map(cluster => {
+            const keptCount = cluster.members.filter(member => member.kept).length;
+            return (
+              <div key={cluster.burstNumber} className="similar-cluster">
+                <div className="similar-cluster-header">
+                  Burst {cluster.burstNumber} · {cluster.members.length} frames · keeping {keptCount}
+                </div>
+                <div className="similar-strip">
+                  {cluster.members.map(member => (
+                    <button
+                      key={member.baseName}
+                      className={`similar-frame ${member.kept ? 'kept' : 'rejected'}`}
+                      onClick={() => onImageClick?.(member.analyzedFile, frameList)}
+                      title={`${member.baseName} · sharpness ${member.score >= 0 ? member.score.toFixed(1) : 'N/A'}`}
+                    >
+                      {thumbnails[member.analyzedFile] ? (
+                        <img src={thumbnails[member.analyzedFile]} alt="" className="file-thumbnail" />
+                      ) : (
+                        <span className="thumbnail-placeholder">
+                          <Image size={16} />
+                        </span>
+                      )}
+                      <span className="similar-frame-badge">#{member.rank}</span>
+                    </button>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+          {remainingCount > 0 && (
+            <button
+              className="blurry-load-more"
+              onClick={() => setVisibleCount(prev => prev + 10)}
+            >
+              <ChevronDown size={16} />
+              <span>Load More ({remainingCount} remaining)</span>
+            </button>
+          )}
+        </div>
+      )}
+
+      {expanded && clusters.length === 0 && (
+        <div className="blurry-empty">
+          <CheckCircle size={20} />
+          <p>No bursts or near-identical frames.</p>
+        </div>
+      )}
+
+      {detachedGroups.size > 0 && (
+        <div className="blurry-restored-note">
+          {detachedGroups.size} frame{detachedGroups.size > 1 ? 's' : ''} taken out of their burst
+        </div>
+      )}
+    </div>
+  );
+}
+
 export default BatchPreview;
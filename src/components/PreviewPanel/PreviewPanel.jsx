@@ -9,6 +9,9 @@ import { FolderOpen, TriangleAlert, Zap, Copy, RotateCcw, CheckCircle, Loader2 }
 import StatsGrid from './StatsGrid';
 import SettingsPanel from './SettingsPanel';
 import BatchPreview from './BatchPreview';
+import { parsePlaceLabels } from '../../hooks/useSettings';
+import { parseClockOffsets, getClockOffset, deriveClockOffset, formatClockOffset } from '../../utils/cameraClocks';
+import { generateBatchFolderName } from '../../utils/batchNaming';
 import './PreviewPanel.css';
 
 /**
@@ -18,6 +21,7 @@ import './PreviewPanel.css';
  * @param {Object} props.previewResults - Preview results object
  * @param {boolean} props.isRefreshingPreview - Loading state for preview
  * @param {Object} props.settings - Current settings
+ * @param {Object} props.presetSettings - Stored form of the settings, for saving presets (see buildPresetSettings)
  * @param {Object|null} props.validationError - Validation error object
  * @param {number|null} props.expandedBatch - Currently expanded batch
  * @param {(key: string, value: string) => void} props.onSettingsChange
@@ -33,6 +37,7 @@ function PreviewPanel({
   isRefreshingPreview,
   refreshingField,
   settings,
+  presetSettings,
   validationError,
   expandedBatch,
   // New props for preset lifting
@@ -40,6 +45,12 @@ function PreviewPanel({
   onPresetSelect,
   // Blur detection props
   blurDetection,
+  // Duplicate detection hook state
+  duplicateDetection,
+  // Burst / similar frame detection hook state
+  similarDetection,
+  // Exposure analysis hook state
+  exposureDetection,
   // Existing props
     onSettingsChange,
     onOpenBlurModal,
@@ -48,7 +59,40 @@ function PreviewPanel({
     onProceed,
     onReset
 }) {
-  const { maxFilesPerBatch, outputPrefix, batchMode, sortBy, outputDir, blurDetectionEnabled, blurSensitivity } = settings;
+  const {
+    maxFilesPerBatch, limitMode, maxBatchSizeGB, targetBatchCount, balanceBy, contiguousBatches, scanSubfolders, subfolderLayout, typeSubfolders, splitBy, sessionGapMinutes,
+    locationRadiusKm, placeLabels, clockOffsets, minRating, labelFilter, rejectedAction,
+    sidecarExtensions, pairingPatterns, mediaCategories, extraExtensions, ignorePatterns, outputPrefix, renameTemplate, renameNumbering, batchMode, sortBy, outputDir, blurDetectionEnabled, blurSensitivity, blurScoring,
+    blurMotionAction, blurDefocusAction, blurLowDetailAction,
+    duplicateDetectionEnabled, duplicateAction, similarDetectionEnabled, similarKeepCount, burstGapSeconds,
+    exposureDetectionEnabled, exposurePreset, exposureAction,
+  } = settings;
+  const isSizeLimit = limitMode === 'size';
+
+  // Ends of the plan for the folder names in the confirmation box
+  const batchCount = previewResults?.batchCount || 0;
+  const firstBatch = previewResults?.batchDetails?.[0] ?? null;
+  const lastBatch = batchCount > 1 ? previewResults?.batchDetails?.[batchCount - 1] ?? null : null;
+
+  // Naming a location from the preview adds a place label at its center (replacing its old name)
+  const handleNamePlace = ({ latitude, longitude, placeName }, name) => {
+    const kept = parsePlaceLabels(placeLabels || '').labels
+      .filter(label => label.name !== placeName)
+      .map(label => `${label.name} = ${label.latitude}, ${label.longitude}`);
+    onSettingsChange('placeLabels', [`${name} = ${latitude.toFixed(4)}, ${longitude.toFixed(4)}`, ...kept].join('; '));
+  };
+
+  // Picking the same moment on two cameras sets the second camera's clock offset (replacing its old one)
+  const handleSyncClock = (reference, frame) => {
+    const { offsets } = parseClockOffsets(clockOffsets || '');
+    const referenceTime = reference.captureTime + getClockOffset(offsets, reference.cameraLabel) * 1000;
+    const seconds = deriveClockOffset(referenceTime, frame.captureTime);
+    const kept = offsets
+      .filter(offset => offset.camera.toLowerCase() !== frame.cameraLabel.toLowerCase())
+      .map(offset => `${offset.camera} = ${formatClockOffset(offset.seconds)}`);
+    onSettingsChange('clockOffsets', [...kept, `${frame.cameraLabel} = ${formatClockOffset(seconds)}`].join('; '));
+    return seconds;
+  };
   
   return (
     <div className="preview-container">
@@ -59,29 +103,84 @@ function PreviewPanel({
       </div>
       
       {/* Stats Grid */}
+      {/* The preview reflects the current scan depth and media rules; the initial scan used the defaults */}
       <StatsGrid
-        totalFiles={scanResults?.totalFiles || 0}
-        totalGroups={scanResults?.totalGroups || 0}
-        batchCount={previewResults?.batchCount || 0}
+        totalFiles={(previewResults ? previewResults.totalFiles : scanResults?.totalFiles) || 0}
+        totalGroups={(previewResults ? previewResults.totalGroups : scanResults?.totalGroups) || 0}
+        categoryCounts={previewResults?.categoryCounts ?? scanResults?.categoryCounts}
+        batchCount={batchCount}
         isLoading={isRefreshingPreview}
         blurDetectionEnabled={blurDetectionEnabled}
         isAnalyzingBlur={blurDetection?.isAnalyzing}
         blurryCount={blurDetection?.blurryCount || 0}
+        exposureDetectionEnabled={exposureDetectionEnabled}
+        isAnalyzingExposure={exposureDetection?.isAnalyzingExposure}
+        exposureCount={exposureDetection?.exposureCount || 0}
+        duplicateDetectionEnabled={duplicateDetectionEnabled}
+        isFindingDuplicates={duplicateDetection?.isFindingDuplicates}
+        duplicateCount={duplicateDetection?.duplicateCount || 0}
+        similarDetectionEnabled={similarDetectionEnabled}
+        isFindingSimilar={similarDetection?.isFindingSimilar}
+        similarCount={similarDetection?.similarCount || 0}
       />
       
       {/* Settings Panel */}
       <SettingsPanel
         maxFilesPerBatch={maxFilesPerBatch}
+        limitMode={limitMode}
+        maxBatchSizeGB={maxBatchSizeGB}
+        targetBatchCount={targetBatchCount}
+        balanceBy={balanceBy}
+        contiguousBatches={contiguousBatches}
+        scanSubfolders={scanSubfolders}
+        subfolderLayout={subfolderLayout}
+        typeSubfolders={typeSubfolders}
+        subfolderCount={scanResults?.subfolderCount || 0}
+        splitBy={splitBy}
+        sessionGapMinutes={sessionGapMinutes}
+        locationRadiusKm={locationRadiusKm}
+        placeLabels={placeLabels}
+        clockOffsets={clockOffsets}
+        minRating={minRating}
+        labelFilter={labelFilter}
+        rejectedAction={rejectedAction}
+        rejectedFileCount={previewResults?.rejectedFileCount || 0}
+        filteredFileCount={previewResults?.filteredFileCount || 0}
+        sidecarExtensions={sidecarExtensions}
+        pairingPatterns={pairingPatterns}
+        mediaCategories={mediaCategories}
+        extraExtensions={extraExtensions}
+        ignorePatterns={ignorePatterns}
         outputPrefix={outputPrefix}
+        renameTemplate={renameTemplate}
+        renameNumbering={renameNumbering}
+        namingSample={firstBatch}
+        batchCount={batchCount}
         batchMode={batchMode}
         sortBy={sortBy}
         outputDir={outputDir}
         blurDetectionEnabled={blurDetectionEnabled}
         blurSensitivity={blurSensitivity}
+        blurScoring={blurScoring}
+        blurMotionAction={blurMotionAction}
+        blurDefocusAction={blurDefocusAction}
+        blurLowDetailAction={blurLowDetailAction}
+        exposureDetectionEnabled={exposureDetectionEnabled}
+        exposurePreset={exposurePreset}
+        exposureAction={exposureAction}
+        duplicateDetectionEnabled={duplicateDetectionEnabled}
+        duplicateAction={duplicateAction}
+        similarDetectionEnabled={similarDetectionEnabled}
+        similarKeepCount={similarKeepCount}
+        burstGapSeconds={burstGapSeconds}
         folderPath={folderPath}
+        presetSettings={presetSettings}
         validationError={validationError}
         isRefreshingPreview={isRefreshingPreview}
         isAnalyzingBlur={blurDetection?.isAnalyzing}
+        isAnalyzingExposure={exposureDetection?.isAnalyzingExposure}
+        isFindingDuplicates={duplicateDetection?.isFindingDuplicates}
+        isFindingSimilar={similarDetection?.isFindingSimilar}
         refreshingField={refreshingField}
         onChange={onSettingsChange}
         onOpenBlurModal={onOpenBlurModal}
@@ -94,12 +193,25 @@ function PreviewPanel({
       {/* Batch Preview Accordion */}
       <BatchPreview
         batchDetails={previewResults?.batchDetails}
+        splitBy={previewResults?.splitBy}
+        contiguous={previewResults?.contiguous}
+        batchCount={batchCount}
         outputPrefix={outputPrefix}
         expandedBatch={expandedBatch}
         onToggleBatch={onToggleBatch}
         folderPath={folderPath}
         blurDetection={blurDetection}
         blurDetectionEnabled={blurDetectionEnabled}
+        exposureDetection={exposureDetection}
+        exposureDetectionEnabled={exposureDetectionEnabled}
+        exposureAction={exposureAction}
+        duplicateDetection={duplicateDetection}
+        duplicateDetectionEnabled={duplicateDetectionEnabled}
+        duplicateAction={duplicateAction}
+        similarDetection={similarDetection}
+        similarDetectionEnabled={similarDetectionEnabled}
+        onNamePlace={handleNamePlace}
+        onSyncClock={handleSyncClock}
       />
       
       {/* Warning for oversized groups */}
@@ -107,12 +219,12 @@ function PreviewPanel({
         <div className="warning-box">
           <h4><TriangleAlert size={18} className="icon-inline" /> Warning: Oversized File Groups</h4>
           <p>
-            Some file groups exceed your limit of {maxFilesPerBatch} files. 
+            Some file groups exceed your limit of {isSizeLimit ? previewResults.maxBytesFormatted : `${maxFilesPerBatch} files`}. 
             These groups will NOT be split to keep file pairs together:
           </p>
           <ul>
             {previewResults.oversizedGroups.map((g, i) => (
-              <li key={i}>{g.name} ({g.count} files)</li>
+              <li key={i}>{g.name} ({g.count} files{g.sizeFormatted ? `, ${g.sizeFormatted}` : ''})</li>
             ))}
           </ul>
         </div>
@@ -121,8 +233,13 @@ function PreviewPanel({
       {/* Confirmation Box */}
       <div className="confirmation-box">
         <p>
-          This will create <strong>{previewResults?.batchCount || 0}</strong> folders 
-          named <strong>{outputPrefix}_001</strong> through <strong>{outputPrefix}_{String(previewResults?.batchCount || 0).padStart(3, '0')}</strong>.
+          This will create <strong>{batchCount}</strong> folders 
+          {lastBatch ? (
+            <>named <strong>{generateBatchFolderName(outputPrefix, 0, batchCount, firstBatch)}</strong> through <strong>{generateBatchFolderName(outputPrefix, batchCount - 1, batchCount, lastBatch)}</strong>.</>
+          ) : firstBatch ? (
+            // Only the first 50 batches come with details
+            <>{batchCount === 1 ? 'named' : 'starting with'} <strong>{generateBatchFolderName(outputPrefix, 0, batchCount, firstBatch)}</strong>.</>
+          ) : '.'}
         </p>
         {batchMode === 'move' ? (
           <p className="note">
@@ -140,16 +257,32 @@ function PreviewPanel({
       {/* Action Buttons */}
       {(() => {
         const isBlurAnalyzing = blurDetection?.isAnalyzing || false;
+        const isAnalyzingExposure = exposureDetection?.isAnalyzingExposure || false;
+        const isFindingDuplicates = duplicateDetection?.isFindingDuplicates || false;
+        const isFindingSimilar = similarDetection?.isFindingSimilar || false;
+        const isBusy = isRefreshingPreview || isBlurAnalyzing || isAnalyzingExposure || isFindingDuplicates || isFindingSimilar;
         return (
           <div className="action-buttons">
-            <button className="btn secondary" onClick={onReset} disabled={isRefreshingPreview || isBlurAnalyzing}>
+            <button className="btn secondary" onClick={onReset} disabled={isBusy}>
               <RotateCcw size={16} /> Select Different Folder
             </button>
-            <button className="btn primary" onClick={onProceed} disabled={isRefreshingPreview || isBlurAnalyzing}>
+            <button className="btn primary" onClick={onProceed} disabled={isBusy}>
               {isBlurAnalyzing ? (
                 <>
                   <Loader2 size={16} className="icon-inline icon-spin" /> Analyzing blur...
                 </>
+              ) : isAnalyzingExposure ? (
+                <>
+                  <Loader2 size={16} className="icon-inline icon-spin" /> Analyzing exposure...
+                </>
+              ) : isFindingDuplicates ? (
+                <>
+                  <Loader2 size={16} className="icon-inline icon-spin" /> Finding duplicates...
+                </>
+              ) : isFindingSimilar ? (
+                <>
+                  <Loader2 size={16} className="icon-inline icon-spin" /> Finding bursts...
+                </>
               ) : isRefreshingPreview ? (
                 <>
                   <Loader2 size={16} className="icon-inline icon-spin" /> Calculating...
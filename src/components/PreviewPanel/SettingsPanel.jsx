@@ -5,27 +5,83 @@
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
-import { Settings, Zap, Copy, ArrowDownAZ, Save, Trash2, Info, Plus, Loader2, ScanEye, Pencil } from 'lucide-react';
+import { Settings, Zap, Copy, ArrowDownAZ, Save, Trash2, Info, Plus, Loader2, ScanEye, Pencil, Files, HardDrive, FolderTree, FolderInput, CalendarDays, Link2, ListOrdered, Columns3, FileType, EyeOff, CopyX, Layers, Star, Tag, Ban, MapPin, SunMoon, Clock } from 'lucide-react';
 import CustomSelect from '../common/CustomSelect';
 import Tooltip from '../common/Tooltip';
 import { ValidationModal, DeletePresetModal } from '../Modals';
+import { SPLIT_BY_OPTIONS } from '../../constants/splitModes';
+import { MIN_RATING_OPTIONS, LABEL_FILTER_OPTIONS } from '../../constants/ratingFilters';
+import { EXPOSURE_PRESET_OPTIONS } from '../../constants/exposurePresets';
+import { BLUR_SCORING_OPTIONS } from '../../constants/blurScoring';
+import { BLUR_SENSITIVITY_LABELS } from '../../constants/blurSensitivity';
+import { BLUR_CLASS_ACTION_OPTIONS } from '../../constants/blurClassActions';
+import { BLUR_CLASSES } from '../../utils/blurClasses';
+import { DEFAULT_SIDECAR_EXTENSIONS, DEFAULT_PAIRING_PATTERNS, DEFAULT_MEDIA_CATEGORIES, parsePlaceLabels } from '../../hooks/useSettings';
+import { parsePairingPattern } from '../../utils/pairingRules';
+import { MEDIA_CATEGORIES, parseIgnorePattern } from '../../utils/mediaTypes';
+import { parseClockOffsets } from '../../utils/cameraClocks';
+import { generateBatchFolderName, getPatternDataNeeds, validateNamingPattern, generateFileBaseName, getFileTemplateDataNeeds, validateFileTemplate } from '../../utils/batchNaming';
 import './PreviewPanel.css';
 
 // ... (props definition)
 
 function SettingsPanel({ 
   maxFilesPerBatch, 
+  limitMode,
+  maxBatchSizeGB,
+  targetBatchCount,
+  balanceBy,
+  contiguousBatches,
+  scanSubfolders,
+  subfolderLayout,
+  typeSubfolders,
+  subfolderCount,
+  splitBy,
+  sessionGapMinutes,
+  locationRadiusKm,
+  placeLabels,
+  clockOffsets,
+  minRating,
+  labelFilter,
+  rejectedAction,
+  rejectedFileCount,
+  filteredFileCount,
+  sidecarExtensions,
+  pairingPatterns,
+  mediaCategories,
+  extraExtensions,
+  ignorePatterns,
   outputPrefix, 
+  renameTemplate,
+  renameNumbering,
+  namingSample,
+  batchCount,
   batchMode,
   sortBy,
   outputDir, 
   blurDetectionEnabled,
   blurSensitivity,
+  blurScoring,
+  blurMotionAction,
+  blurDefocusAction,
+  blurLowDetailAction,
+  exposureDetectionEnabled,
+  exposurePreset,
+  exposureAction,
+  duplicateDetectionEnabled,
+  duplicateAction,
+  similarDetectionEnabled,
+  similarKeepCount,
+  burstGapSeconds,
   folderPath,
+  presetSettings, // Stored form of the settings (see buildPresetSettings)
   // Props from parent
   validationError,
   isRefreshingPreview,
   isAnalyzingBlur,
+  isAnalyzingExposure,
+  isFindingDuplicates,
+  isFindingSimilar,
   onChange,
   onOpenBlurModal,
   onSelectOutputFolder,
@@ -65,6 +121,38 @@ function SettingsPanel({
     { value: 'exif-desc', label: 'Date (Newest First)' }
   ];
 
+  const renameNumberingOptions = [
+    { value: 'global', label: 'Across all batches' },
+    { value: 'batch', label: 'Per batch' }
+  ];
+
+  // Patterns the main process will drop
+  const invalidPairingPatterns = (pairingPatterns || '').split(',')
+    .map(p => p.trim())
+    .filter(p => p && !parsePairingPattern(p));
+  const invalidIgnorePatterns = (ignorePatterns || '').split(',')
+    .map(p => p.trim())
+    .filter(p => p && !parseIgnorePattern(p));
+  const invalidPlaceLabels = parsePlaceLabels(placeLabels || '').invalid;
+  const invalidClockOffsets = parseClockOffsets(clockOffsets || '').invalid;
+  const namingErrors = outputPrefix ? validateNamingPattern(outputPrefix) : [];
+  const renameErrors = validateFileTemplate(renameTemplate);
+  // Clock offsets only matter where capture times are used (kept visible once set)
+  const usesCaptureTimes = sortBy?.startsWith('exif') || ['day', 'week', 'month', 'session'].includes(splitBy) ||
+    similarDetectionEnabled || getPatternDataNeeds(outputPrefix).captureTimes || getFileTemplateDataNeeds(renameTemplate).captureTimes ||
+    Boolean(clockOffsets);
+
+  // Current action per blur class, by setting key (see BLUR_CLASSES)
+  const blurClassActionValues = { blurMotionAction, blurDefocusAction, blurLowDetailAction };
+
+  // Enabled categories as a list; toggling keeps the built-in display order
+  const enabledCategories = (mediaCategories || '').split(',').map(c => c.trim()).filter(Boolean);
+  const toggleMediaCategory = (category) => {
+    const next = Object.keys(MEDIA_CATEGORIES).filter(key =>
+      key === category ? !enabledCategories.includes(key) : enabledCategories.includes(key));
+    onChange('mediaCategories', next.join(','));
+  };
+
   const loadPresets = useCallback(async () => {
     if (window.electronAPI?.getPresets) {
       try {
@@ -82,7 +170,8 @@ function SettingsPanel({
 
   const startSavePreset = () => {
     // Basic validation
-    if (!maxFilesPerBatch || !outputPrefix) {
+    const limitValue = { size: maxBatchSizeGB, target: targetBatchCount }[limitMode] ?? maxFilesPerBatch;
+    if (!limitValue || !outputPrefix) {
       setShowValidationWarning(true);
       return;
     }
@@ -103,18 +192,8 @@ function SettingsPanel({
   const confirmSavePreset = async () => {
     if (!newPresetName || !newPresetName.trim()) return;
 
-    const settings = {
-      maxFilesPerBatch,
-      outputPrefix,
-      batchMode,
-      sortBy,
-      outputDir,
-      blurDetectionEnabled: blurDetectionEnabled ? 'true' : 'false',
-      blurSensitivity,
-    };
-
     if (window.electronAPI?.savePreset) {
-      const success = await window.electronAPI.savePreset(newPresetName.trim(), settings);
+      const success = await window.electronAPI.savePreset(newPresetName.trim(), presetSettings);
       if (success) {
         await loadPresets();
         onPresetSelect(newPresetName.trim());
@@ -126,19 +205,9 @@ function SettingsPanel({
   const handleSaveExisting = async () => {
     if (!selectedPresetName) return;
 
-    const settings = {
-      maxFilesPerBatch,
-      outputPrefix,
-      batchMode,
-      sortBy,
-      outputDir,
-      blurDetectionEnabled: blurDetectionEnabled ? 'true' : 'false',
-      blurSensitivity,
-    };
-
     if (window.electronAPI?.savePreset) {
       // Immediate save without prompting for name
-      const success = await window.electronAPI.savePreset(selectedPresetName, settings);
+      const success = await window.electronAPI.savePreset(selectedPresetName, presetSettings);
       if (success) {
         // Optional: Show a small toast or visual feedback here
         await loadPresets();
@@ -172,12 +241,51 @@ function SettingsPanel({
     if (preset.settings) {
       onChange({
         maxFilesPerBatch: preset.settings.maxFilesPerBatch,
+        // Presets saved before size limits existed fall back to count mode
+        limitMode: preset.settings.limitMode || 'count',
+        maxBatchSizeGB: preset.settings.maxBatchSizeGB || '4',
+        targetBatchCount: preset.settings.targetBatchCount || '4',
+        balanceBy: preset.settings.balanceBy || 'files',
+        contiguousBatches: preset.settings.contiguousBatches || 'false',
+        scanSubfolders: preset.settings.scanSubfolders || 'false',
+        subfolderLayout: preset.settings.subfolderLayout || 'flatten',
+        typeSubfolders: preset.settings.typeSubfolders || 'false',
+        splitBy: preset.settings.splitBy || 'none',
+        sessionGapMinutes: preset.settings.sessionGapMinutes || '20',
+        locationRadiusKm: preset.settings.locationRadiusKm || '1',
+        placeLabels: preset.settings.placeLabels ?? '',
+        clockOffsets: preset.settings.clockOffsets ?? '',
+        minRating: preset.settings.minRating || '0',
+        labelFilter: preset.settings.labelFilter ?? '',
+        rejectedAction: preset.settings.rejectedAction || 'batch',
+        // Presets saved before pairing rules existed get the defaults
+        sidecarExtensions: preset.settings.sidecarExtensions ?? DEFAULT_SIDECAR_EXTENSIONS,
+        pairingPatterns: preset.settings.pairingPatterns ?? DEFAULT_PAIRING_PATTERNS,
+        mediaCategories: preset.settings.mediaCategories ?? DEFAULT_MEDIA_CATEGORIES,
+        extraExtensions: preset.settings.extraExtensions ?? '',
+        ignorePatterns: preset.settings.ignorePatterns ?? '',
         outputPrefix: preset.settings.outputPrefix,
+        renameTemplate: preset.settings.renameTemplate ?? '',
+        renameNumbering: preset.settings.renameNumbering || 'global',
         batchMode: preset.settings.batchMode,
         sortBy: preset.settings.sortBy,
         outputDir: preset.settings.batchMode === 'move' ? null : (preset.settings.outputDir || null),
         blurDetectionEnabled: preset.settings.blurDetectionEnabled,
         blurSensitivity: preset.settings.blurSensitivity,
+        blurScoring: preset.settings.blurScoring || 'global',
+        blurCustomVariance: preset.settings.blurCustomVariance || '',
+        blurCustomEdgeDensity: preset.settings.blurCustomEdgeDensity || '',
+        blurMotionAction: preset.settings.blurMotionAction || 'blurry',
+        blurDefocusAction: preset.settings.blurDefocusAction || 'blurry',
+        blurLowDetailAction: preset.settings.blurLowDetailAction || 'blurry',
+        exposureDetectionEnabled: preset.settings.exposureDetectionEnabled || 'false',
+        exposurePreset: preset.settings.exposurePreset || 'moderate',
+        exposureAction: preset.settings.exposureAction || 'folder',
+        duplicateDetectionEnabled: preset.settings.duplicateDetectionEnabled || 'false',
+        duplicateAction: preset.settings.duplicateAction || 'folder',
+        similarDetectionEnabled: preset.settings.similarDetectionEnabled || 'false',
+        similarKeepCount: preset.settings.similarKeepCount || '1',
+        burstGapSeconds: preset.settings.burstGapSeconds || '2',
       });
     }
   };
@@ -258,6 +366,8 @@ function SettingsPanel({
                           setIsNamingPreset(true);
                           onChange({
                             maxFilesPerBatch: '',
+                            limitMode: 'count',
+                            splitBy: 'none',
                             outputPrefix: '',
                             batchMode: 'move',
                             sortBy: 'name-asc',
@@ -318,64 +428,193 @@ function SettingsPanel({
         </div>
       </div>
       
-      <div className="setting-row">
-        <label>
-          Max Photos Per Batch:
-          {isRefreshingPreview && <Loader2 size={14} className="settings-loading-spinner" />}
-        </label>
-        <input
-          type="text"
-          inputMode="numeric"
-          value={maxFilesPerBatch}
-          onChange={(e) => {
-            const value = e.target.value.replace(/[^0-9]/g, '');
-            onChange('maxFilesPerBatch', value);
-          }}
-          placeholder="Max value per batch"
-          className={`setting-input-fixed ${validationError?.field === 'maxFilesPerBatch' ? 'input-error' : ''}`}
-        />
+      {/* Limit by file count, total size, or a fixed number of batches */}
+      <div className="setting-row mode-toggle">
+        <label>Limit Batches By:</label>
+        <div className="mode-buttons">
+          <button
+            className={`mode-btn ${limitMode !== 'size' && limitMode !== 'target' ? 'active' : ''}`}
+            onClick={() => onChange('limitMode', 'count')}
+          >
+            <Files size={16} /> File Count
+          </button>
+          <button
+            className={`mode-btn ${limitMode === 'size' ? 'active' : ''}`}
+            onClick={() => onChange('limitMode', 'size')}
+          >
+            <HardDrive size={16} /> Total Size
+          </button>
+          <button
+            className={`mode-btn ${limitMode === 'target' ? 'active' : ''}`}
+            onClick={() => onChange('limitMode', 'target')}
+            title="Split into a fixed number of roughly equal batches"
+          >
+            <Columns3 size={16} /> Batch Count
+          </button>
+        </div>
       </div>
+
+      {limitMode === 'target' ? (
+        <>
+          <div className="setting-row">
+            <label>
+              Number of Batches:
+              {isRefreshingPreview && <Loader2 size={14} className="settings-loading-spinner" />}
+            </label>
+            <input
+              type="text"
+              inputMode="numeric"
+              value={targetBatchCount}
+              onChange={(e) => onChange('targetBatchCount', e.target.value.replace(/[^0-9]/g, ''))}
+              placeholder="e.g. 4"
+              className={`setting-input-fixed ${validationError?.field === 'targetBatchCount' ? 'input-error' : ''}`}
+            />
+          </div>
+          <div className="setting-row mode-toggle">
+            <label>
+              Balance By:
+              <Tooltip text="Photo pairs are never split, so batches are as even as the groups allow. When splitting by date, session or camera, each group gets this many batches." position="right">
+                <Info size={14} color="var(--text-muted)" className="help-icon" />
+              </Tooltip>
+            </label>
+            <div className="mode-buttons">
+              <button
+                className={`mode-btn ${balanceBy !== 'bytes' ? 'active' : ''}`}
+                onClick={() => onChange('balanceBy', 'files')}
+              >
+                <Files size={16} /> File Count
+              </button>
+              <button
+                className={`mode-btn ${balanceBy === 'bytes' ? 'active' : ''}`}
+                onClick={() => onChange('balanceBy', 'bytes')}
+              >
+                <HardDrive size={16} /> Total Size
+              </button>
+            </div>
+          </div>
+        </>
+      ) : limitMode === 'size' ? (
+        <div className="setting-row">
+          <label>
+            Max Size Per Batch (GB):
+            {isRefreshingPreview && <Loader2 size={14} className="settings-loading-spinner" />}
+          </label>
+          <input
+            type="text"
+            inputMode="decimal"
+            value={maxBatchSizeGB}
+            onChange={(e) => {
+              // Allow digits and a single decimal point (e.g. "4.7" for a DVD)
+              const value = e.target.value.replace(/[^0-9.]/g, '').replace(/(\..*)\./g, '$1');
+              onChange('maxBatchSizeGB', value);
+            }}
+            placeholder="Max GB per batch"
+            className={`setting-input-fixed ${validationError?.field === 'maxBatchSizeGB' ? 'input-error' : ''}`}
+          />
+        </div>
+      ) : (
+        <div className="setting-row">
+          <label>
+            Max Photos Per Batch:
+            {isRefreshingPreview && <Loader2 size={14} className="settings-loading-spinner" />}
+          </label>
+          <input
+            type="text"
+            inputMode="numeric"
+            value={maxFilesPerBatch}
+            onChange={(e) => {
+              const value = e.target.value.replace(/[^0-9]/g, '');
+              onChange('maxFilesPerBatch', value);
+            }}
+            placeholder="Max value per batch"
+            className={`setting-input-fixed ${validationError?.field === 'maxFilesPerBatch' ? 'input-error' : ''}`}
+          />
+        </div>
+      )}
       
       <div className="setting-row">
         <label>
-          Folder Name:  
-
+          Folder Name:
+          <Tooltip text="Variables: {count}, {total}, {file_count}, {first_date}, {last_date}, {first_file}, {last_file}, {camera}, {session}, {capture_date}, {location}, {orientation}, {date}, {year}, {month}. Dates take a format, e.g. {first_date:YYYYMMDD} or {last_date:YYYY-MM-DD_HH.mm}. _{count} is added when the name has no {count}." position="right">
+            <Info size={14} color="var(--text-muted)" className="help-icon" />
+          </Tooltip>
         </label>
         <div className="folder-name-input-wrapper">
           <input
             type="text"
             value={outputPrefix}
-            onChange={(e) => {
-              const val = e.target.value;
-              // Check for forbidden characters (Windows constraints + / \)
-              if (/[\\/:*?"<>|]/.test(val)) {
-                // Show temporary warning or shake effect could be added here
-                // For now, we rely on the helper text below becoming a warning
-                onChange('outputPrefix', val); // Pass it through, let generic validation/sanitization handle it or show inline warning
-              } else {
-                onChange('outputPrefix', val);
-              }
-            }}
+            // Invalid names pass through; the hint below turns into a warning
+            onChange={(e) => onChange('outputPrefix', e.target.value)}
             placeholder="New folder name"
-            className={`setting-input-fixed ${validationError?.field === 'outputPrefix' ? 'input-error' : ''}`}
+            className={`setting-input-fixed ${validationError?.field === 'outputPrefix' || namingErrors.length > 0 ? 'input-error' : ''}`}
           />
           
-          {outputPrefix && /[\\/:*?"<>|]/.test(outputPrefix) ? (
+          {namingErrors.length > 0 ? (
              <span className="setting-hint setting-hint--warning">
                <span className="warning-icon">⚠️</span>
-               {(() => {
-                 const match = outputPrefix.match(/[\\/:*?"<>|]/);
-                 const char = match ? match[0] : '/';
-                 return `Character '${char}' is not allowed. Please use '-' instead.`;
-               })()}
+               {namingErrors[0]}
              </span>
           ) : (
+            // Live preview with the first batch's data, as BatchPreview names it
             <span className="setting-hint setting-hint--muted">
-              
+              {outputPrefix && `e.g. ${generateBatchFolderName(outputPrefix, 0, batchCount || 1, namingSample)}`}
+            </span>
+          )}
+        </div>
+      </div>
+
+      {/* Optional file renaming inside the batch folders */}
+      <div className="setting-row">
+        <label>
+          <Pencil size={14} className="icon-inline" /> Rename Files:
+          {isRefreshingPreview && <Loader2 size={14} className="settings-loading-spinner" />}
+          <Tooltip text="Leave empty to keep the original names. Variables: {seq}, {original}, {capture_date}, {date}, {camera}. {seq} is 4 digits, or as many as given ({seq:5}), and _{seq} is added when the name has no {seq}. Dates take a format, e.g. {capture_date:YYYYMMDD}. RAW + JPEG pairs, sidecars and edits share one number and keep their extensions." position="right">
+            <Info size={14} color="var(--text-muted)" className="help-icon" />
+          </Tooltip>
+        </label>
+        <div className="folder-name-input-wrapper">
+          <input
+            type="text"
+            value={renameTemplate}
+            onChange={(e) => onChange('renameTemplate', e.target.value)}
+            placeholder="Keep original names"
+            className={`setting-input-fixed ${validationError?.field === 'renameTemplate' || renameErrors.length > 0 ? 'input-error' : ''}`}
+          />
+
+          {renameErrors.length > 0 ? (
+             <span className="setting-hint setting-hint--warning">
+               <span className="warning-icon">⚠️</span>
+               {renameErrors[0]}
+             </span>
+          ) : (
+            // Live preview with the first file of the first batch
+            <span className="setting-hint setting-hint--muted">
+              {renameTemplate && `e.g. ${generateFileBaseName(renameTemplate, 1, {
+                original: namingSample?.firstFile?.split(/[\\/]/).pop().replace(/\.[^.]*$/, ''),
+                captureTime: namingSample?.firstCaptureTime,
+                camera: namingSample?.camera,
+              })}`}
             </span>
           )}
         </div>
       </div>
+
+      {renameTemplate && (
+        <div className="setting-row">
+          <label>
+            <ListOrdered size={14} className="icon-inline" /> Numbering:
+            <Tooltip text="Global continues the sequence across batch folders; per batch starts every folder at 1." position="right">
+              <Info size={14} color="var(--text-muted)" className="help-icon" />
+            </Tooltip>
+          </label>
+          <CustomSelect
+            value={renameNumbering}
+            options={renameNumberingOptions}
+            onChange={(value) => onChange('renameNumbering', value)}
+            className="setting-input-fixed"
+          />
+        </div>
+      )}
       
       {/* Sort Order */}
       <div className="setting-row">
@@ -392,6 +631,370 @@ function SettingsPanel({
         />
       </div>
 
+      {/* Per-camera clock corrections for capture times */}
+      {usesCaptureTimes && (
+        <div className="setting-row">
+          <label>
+            <Clock size={14} className="icon-inline" /> Camera Clock Offsets:
+            <Tooltip text="Time added to a camera's capture times when its clock was off, e.g. Canon EOS R5 = +2:30; X-T5 = -0:45. Used for date sorting, date and session splits and burst detection. You can also sync two cameras from the preview by picking the same moment on both." position="right">
+              <Info size={14} color="var(--text-muted)" className="help-icon" />
+            </Tooltip>
+          </label>
+          <div className="folder-name-input-wrapper">
+            <input
+              type="text"
+              value={clockOffsets}
+              onChange={(e) => onChange('clockOffsets', e.target.value)}
+              placeholder="Camera = +m:ss; ..."
+              className="setting-input-fixed"
+            />
+            {invalidClockOffsets.length > 0 && (
+              <span className="setting-hint setting-hint--warning">
+                {`Ignored: ${invalidClockOffsets.join('; ')}`}
+              </span>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Contiguous batching */}
+      <div className="setting-row">
+        <label>
+          <ListOrdered size={14} className="icon-inline" /> Keep Batches in Order:
+          <Tooltip text="Each batch continues exactly where the previous one ended in the sort order. Folders may be filled less evenly, since a small group can no longer fill a gap in an earlier batch." position="right">
+            <Info size={14} color="var(--text-muted)" className="help-icon" />
+          </Tooltip>
+        </label>
+        <label className="toggle-switch">
+          <input
+            type="checkbox"
+            checked={contiguousBatches}
+            onChange={(e) => onChange('contiguousBatches', e.target.checked)}
+            role="switch"
+            aria-checked={contiguousBatches}
+          />
+          <span className="toggle-track">
+            <span className="toggle-label on">On</span>
+            <span className="toggle-label off">Off</span>
+            <span className="toggle-knob" />
+          </span>
+        </label>
+      </div>
+
+      {/* Split on capture-date boundaries */}
+      <div className="setting-row">
+        <label>
+          <CalendarDays size={14} className="icon-inline" /> Split Batches By:
+          <Tooltip text="Start a new batch whenever the capture date, shooting session, camera body, lens, star rating or color label changes. The file or size limit still applies within each group." position="right">
+            <Info size={14} color="var(--text-muted)" className="help-icon" />
+          </Tooltip>
+        </label>
+        
+        <CustomSelect 
+          value={splitBy}
+          options={SPLIT_BY_OPTIONS}
+          onChange={(value) => onChange('splitBy', value)}
+          className="setting-input-fixed"
+        />
+      </div>
+
+      {splitBy === 'session' && (
+        <div className="setting-row">
+          <label>
+            New Session After (min):
+            <Tooltip text="A gap between two photos longer than this starts a new session, e.g. between the ceremony and the reception." position="right">
+              <Info size={14} color="var(--text-muted)" className="help-icon" />
+            </Tooltip>
+          </label>
+          <input
+            type="text"
+            inputMode="numeric"
+            value={sessionGapMinutes}
+            onChange={(e) => onChange('sessionGapMinutes', e.target.value.replace(/[^0-9]/g, ''))}
+            placeholder="Minutes"
+            className={`setting-input-fixed ${validationError?.field === 'sessionGapMinutes' ? 'input-error' : ''}`}
+          />
+        </div>
+      )}
+
+      {splitBy === 'location' && (
+        <>
+          <div className="setting-row">
+            <label>
+              <MapPin size={14} className="icon-inline" /> Location Radius (km):
+              <Tooltip text="Photos taken within this distance of a location's center belong to it. Photos without GPS join the location shot closest in time." position="right">
+                <Info size={14} color="var(--text-muted)" className="help-icon" />
+              </Tooltip>
+            </label>
+            <input
+              type="text"
+              inputMode="decimal"
+              value={locationRadiusKm}
+              onChange={(e) => onChange('locationRadiusKm', e.target.value.replace(/[^0-9.]/g, ''))}
+              placeholder="km"
+              className={`setting-input-fixed ${validationError?.field === 'locationRadiusKm' ? 'input-error' : ''}`}
+            />
+          </div>
+
+          <div className="setting-row">
+            <label>
+              Place Names:
+              <Tooltip text="Name locations for folder names ({location} token), e.g. Chapel = 48.8584, 2.2945; Hotel = 48.8606, 2.3376. You can also name a location from the preview." position="right">
+                <Info size={14} color="var(--text-muted)" className="help-icon" />
+              </Tooltip>
+            </label>
+            <div className="folder-name-input-wrapper">
+              <input
+                type="text"
+                value={placeLabels}
+                onChange={(e) => onChange('placeLabels', e.target.value)}
+                placeholder="Name = lat, lon; ..."
+                className="setting-input-fixed"
+              />
+              {invalidPlaceLabels.length > 0 && (
+                <span className="setting-hint setting-hint--warning">
+                  {`Ignored: ${invalidPlaceLabels.join('; ')}`}
+                </span>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+
+      {/* Star rating / color label filters (read from EXIF, XMP and .xmp sidecars) */}
+      <div className="setting-row">
+        <label>
+          <Star size={14} className="icon-inline" /> Minimum Rating:
+          <Tooltip text="Only batch photos with at least this many stars, as set in Lightroom, Bridge or the camera. Other photos stay in the source folder." position="right">
+            <Info size={14} color="var(--text-muted)" className="help-icon" />
+          </Tooltip>
+        </label>
+        <div className="folder-name-input-wrapper">
+          <CustomSelect
+            value={minRating}
+            options={MIN_RATING_OPTIONS}
+            onChange={(value) => onChange('minRating', value)}
+            className="setting-input-fixed"
+          />
+          {filteredFileCount > 0 && (
+            <span className="setting-hint setting-hint--muted">
+              {`${filteredFileCount} file${filteredFileCount === 1 ? '' : 's'} left in place by the rating filters`}
+            </span>
+          )}
+        </div>
+      </div>
+
+      <div className="setting-row">
+        <label>
+          <Tag size={14} className="icon-inline" /> Color Label:
+        </label>
+        <CustomSelect
+          value={labelFilter}
+          options={LABEL_FILTER_OPTIONS}
+          onChange={(value) => onChange('labelFilter', value)}
+          className="setting-input-fixed"
+        />
+      </div>
+
+      <div className="setting-row mode-toggle">
+        <label>
+          <Ban size={14} className="icon-inline" /> Rejected Photos:
+          <Tooltip text={`Photos flagged as rejected (rating -1).${rejectedFileCount > 0 ? ` ${rejectedFileCount} file${rejectedFileCount === 1 ? '' : 's'} found.` : ''}`} position="right">
+            <Info size={14} color="var(--text-muted)" className="help-icon" />
+          </Tooltip>
+        </label>
+        <div className="mode-buttons">
+          <button
+            className={`mode-btn ${rejectedAction !== 'folder' ? 'active' : ''}`}
+            onClick={() => onChange('rejectedAction', 'batch')}
+          >
+            <Files size={16} /> Batch Normally
+          </button>
+          <button
+            className={`mode-btn ${rejectedAction === 'folder' ? 'active' : ''}`}
+            onClick={() => onChange('rejectedAction', 'folder')}
+          >
+            <FolderInput size={16} /> Move to Folder
+          </button>
+        </div>
+      </div>
+
+      {/* Recursive subfolder scanning */}
+      <div className="setting-row">
+        <label>
+          <FolderTree size={14} className="icon-inline" /> Include Subfolders:
+          {subfolderCount > 0 && !scanSubfolders && (
+            <Tooltip text={`This folder has ${subfolderCount} subfolder${subfolderCount === 1 ? '' : 's'} that are not included yet.`} position="right">
+              <Info size={14} color="var(--text-muted)" className="help-icon" />
+            </Tooltip>
+          )}
+        </label>
+        <label className="toggle-switch">
+          <input
+            type="checkbox"
+            checked={scanSubfolders}
+            onChange={(e) => onChange('scanSubfolders', e.target.checked)}
+            role="switch"
+            aria-checked={scanSubfolders}
+          />
+          <span className="toggle-track">
+            <span className="toggle-label on">On</span>
+            <span className="toggle-label off">Off</span>
+            <span className="toggle-knob" />
+          </span>
+        </label>
+      </div>
+
+      {scanSubfolders && (
+        <div className="setting-row mode-toggle">
+          <label>Subfolder Layout:</label>
+          <div className="mode-buttons">
+            <button
+              className={`mode-btn ${subfolderLayout !== 'preserve' ? 'active' : ''}`}
+              onClick={() => onChange('subfolderLayout', 'flatten')}
+              title="Put every file directly inside its batch folder"
+            >
+              <FolderInput size={16} /> Flatten
+            </button>
+            <button
+              className={`mode-btn ${subfolderLayout === 'preserve' ? 'active' : ''}`}
+              onClick={() => onChange('subfolderLayout', 'preserve')}
+              title="Recreate the original subfolders inside each batch folder"
+            >
+              <FolderTree size={16} /> Keep Structure
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* RAW / JPEG / Video subfolders inside each batch */}
+      <div className="setting-row">
+        <label>
+          <FolderTree size={14} className="icon-inline" /> Subfolders by Type:
+          <Tooltip text="Put RAW files, JPEGs and videos in RAW, JPEG and Video folders inside each batch. Sidecars go with their file; other types stay in the batch folder itself. Pairs still end up in the same batch." position="right">
+            <Info size={14} color="var(--text-muted)" className="help-icon" />
+          </Tooltip>
+        </label>
+        <label className="toggle-switch">
+          <input
+            type="checkbox"
+            checked={typeSubfolders}
+            onChange={(e) => onChange('typeSubfolders', e.target.checked)}
+            role="switch"
+            aria-checked={typeSubfolders}
+          />
+          <span className="toggle-track">
+            <span className="toggle-label on">On</span>
+            <span className="toggle-label off">Off</span>
+            <span className="toggle-knob" />
+          </span>
+        </label>
+      </div>
+
+      {/* Media types */}
+      <div className="setting-row mode-toggle">
+        <label>
+          <FileType size={14} className="icon-inline" /> File Types:
+          <Tooltip text="Which kinds of files are batched. Anything else stays in the source folder." position="right">
+            <Info size={14} color="var(--text-muted)" className="help-icon" />
+          </Tooltip>
+        </label>
+        <div className="mode-buttons">
+          {Object.entries(MEDIA_CATEGORIES).map(([key, category]) => (
+            <button
+              key={key}
+              className={`mode-btn ${enabledCategories.includes(key) ? 'active' : ''} ${validationError?.field === 'mediaCategories' ? 'input-error' : ''}`}
+              onClick={() => toggleMediaCategory(key)}
+              aria-pressed={enabledCategories.includes(key)}
+              title={category.extensions.join(', ')}
+            >
+              {category.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="setting-row">
+        <label>
+          Extra Extensions:
+          <Tooltip text="More extensions to batch, e.g. psd, insv. Separate with commas." position="right">
+            <Info size={14} color="var(--text-muted)" className="help-icon" />
+          </Tooltip>
+        </label>
+        <input
+          type="text"
+          value={extraExtensions}
+          onChange={(e) => onChange('extraExtensions', e.target.value)}
+          placeholder="e.g. psd, insv"
+          className="setting-input-fixed"
+        />
+      </div>
+
+      <div className="setting-row">
+        <label>
+          <EyeOff size={14} className="icon-inline" /> Ignore Files Matching:
+          <Tooltip text="Comma-separated patterns for files to leave behind. * matches within a name, ** across folders: '*_proxy.*', '**/Proxies/**'." position="right">
+            <Info size={14} color="var(--text-muted)" className="help-icon" />
+          </Tooltip>
+        </label>
+        <div className="folder-name-input-wrapper">
+          <input
+            type="text"
+            value={ignorePatterns}
+            onChange={(e) => onChange('ignorePatterns', e.target.value)}
+            placeholder="e.g. *_proxy.*"
+            className={`setting-input-fixed ${invalidIgnorePatterns.length > 0 ? 'input-error' : ''}`}
+          />
+          {invalidIgnorePatterns.length > 0 && (
+            <span className="setting-hint setting-hint--warning">
+              <span className="warning-icon">⚠️</span>
+              {`Ignored: ${invalidIgnorePatterns.join(', ')}. Patterns cannot contain \\ : " < > |`}
+            </span>
+          )}
+        </div>
+      </div>
+
+      {/* Companion file pairing */}
+      <div className="setting-row">
+        <label>
+          <Link2 size={14} className="icon-inline" /> Sidecar Files:
+          <Tooltip text="Extensions that move with their photo, e.g. IMG_1.xmp or IMG_1.CR3.xmp. Separate with commas; leave empty to leave sidecars behind." position="right">
+            <Info size={14} color="var(--text-muted)" className="help-icon" />
+          </Tooltip>
+        </label>
+        <input
+          type="text"
+          value={sidecarExtensions}
+          onChange={(e) => onChange('sidecarExtensions', e.target.value)}
+          placeholder="e.g. xmp, aae"
+          className="setting-input-fixed"
+        />
+      </div>
+
+      <div className="setting-row">
+        <label>
+          Pair Edits With Originals:
+          <Tooltip text="Comma-separated 'edit = original' patterns where * is the shared name. '*-Edit = *' keeps DSC_0001-Edit.tif with DSC_0001." position="right">
+            <Info size={14} color="var(--text-muted)" className="help-icon" />
+          </Tooltip>
+        </label>
+        <div className="folder-name-input-wrapper">
+          <input
+            type="text"
+            value={pairingPatterns}
+            onChange={(e) => onChange('pairingPatterns', e.target.value)}
+            placeholder="e.g. *-Edit = *"
+            className={`setting-input-fixed ${invalidPairingPatterns.length > 0 ? 'input-error' : ''}`}
+          />
+          {invalidPairingPatterns.length > 0 && (
+            <span className="setting-hint setting-hint--warning">
+              <span className="warning-icon">⚠️</span>
+              {`Ignored: ${invalidPairingPatterns.join(', ')}. Use 'edit = original' with one * on each side.`}
+            </span>
+          )}
+        </div>
+      </div>
+
       {/* Blur Detection */}
       <div className="setting-row blur-detection-row">
         <label>
@@ -424,13 +1027,207 @@ function SettingsPanel({
             title="Change blur detection sensitivity"
           >
             <span className="change-sensitivity-label">
-              {blurSensitivity === 'strict' ? 'Strict' : blurSensitivity === 'lenient' ? 'Lenient' : 'Moderate'}
+              {BLUR_SENSITIVITY_LABELS[blurSensitivity] || 'Moderate'}
             </span>
             <Pencil size={12} />
           </button>
         </div>
       )}
 
+      {blurDetectionEnabled && (
+        <div className="setting-row">
+          <label>
+            Judge Sharpness By:
+            <Tooltip text="Sharpest region scores a grid of tiles and judges the frame by the tile under the camera's focus point (when recorded) or its sharpest tile, so portraits with a soft background are not flagged." position="right">
+              <Info size={14} color="var(--text-muted)" className="help-icon" />
+            </Tooltip>
+          </label>
+          <CustomSelect
+            value={blurScoring}
+            options={BLUR_SCORING_OPTIONS}
+            onChange={(value) => onChange('blurScoring', value)}
+            className="setting-input-fixed"
+          />
+        </div>
+      )}
+
+      {blurDetectionEnabled && BLUR_CLASSES.map(({ key, label, settingKey }) => (
+        <div className="setting-row" key={key}>
+          <label>
+            {label}:
+            {key === 'motion' && (
+              <Tooltip text="Blurry frames are sorted by the direction of what detail is left: shake smears edges one way (motion blur), missed focus softens them evenly (defocus), and fog, sky or plain walls have little detail to begin with (low detail). Own folder moves a kind to e.g. Batch_Blurry_Motion." position="right">
+                <Info size={14} color="var(--text-muted)" className="help-icon" />
+              </Tooltip>
+            )}
+          </label>
+          <CustomSelect
+            value={blurClassActionValues[settingKey]}
+            options={BLUR_CLASS_ACTION_OPTIONS}
+            onChange={(value) => onChange(settingKey, value)}
+            className="setting-input-fixed"
+          />
+        </div>
+      ))}
+
+      {/* Exposure Check */}
+      <div className="setting-row blur-detection-row">
+        <label>
+          <SunMoon size={14} className="icon-inline" /> Check Exposure:
+          {isAnalyzingExposure && <Loader2 size={14} className="settings-loading-spinner" />}
+          <Tooltip text="Flags frames that are much too bright or too dark, from their average brightness and how many pixels are blown out or crushed." position="right">
+            <Info size={14} color="var(--text-muted)" className="help-icon" />
+          </Tooltip>
+        </label>
+        <label className="toggle-switch">
+          <input
+            type="checkbox"
+            checked={exposureDetectionEnabled}
+            onChange={(e) => onChange('exposureDetectionEnabled', e.target.checked)}
+            role="switch"
+            aria-checked={exposureDetectionEnabled}
+          />
+          <span className="toggle-track">
+            <span className="toggle-label on">On</span>
+            <span className="toggle-label off">Off</span>
+            <span className="toggle-knob" />
+          </span>
+        </label>
+      </div>
+
+      {exposureDetectionEnabled && (
+        <>
+          <div className="setting-row">
+            <label>Exposure Preset:</label>
+            <CustomSelect
+              value={exposurePreset}
+              options={EXPOSURE_PRESET_OPTIONS}
+              onChange={(value) => onChange('exposurePreset', value)}
+              className="setting-input-fixed"
+            />
+          </div>
+          <div className="setting-row mode-toggle">
+            <label>Badly Exposed:</label>
+            <div className="mode-buttons">
+              <button
+                className={`mode-btn ${exposureAction === 'folder' ? 'active' : ''}`}
+                onClick={() => onChange('exposureAction', 'folder')}
+              >
+                <FolderInput size={16} /> Move to Folder
+              </button>
+              <button
+                className={`mode-btn ${exposureAction === 'drop' ? 'active' : ''}`}
+                onClick={() => onChange('exposureAction', 'drop')}
+              >
+                <EyeOff size={16} /> Leave in Place
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+
+      {/* Duplicate Detection */}
+      <div className="setting-row blur-detection-row">
+        <label>
+          <CopyX size={14} className="icon-inline" /> Detect Duplicates:
+          {isFindingDuplicates && <Loader2 size={14} className="settings-loading-spinner" />}
+          <Tooltip text="Finds groups whose files are byte-for-byte copies of another group, e.g. a card imported twice. Only files of the same size are read." position="right">
+            <Info size={14} color="var(--text-muted)" className="help-icon" />
+          </Tooltip>
+        </label>
+        <label className="toggle-switch">
+          <input
+            type="checkbox"
+            checked={duplicateDetectionEnabled}
+            onChange={(e) => onChange('duplicateDetectionEnabled', e.target.checked)}
+            role="switch"
+            aria-checked={duplicateDetectionEnabled}
+          />
+          <span className="toggle-track">
+            <span className="toggle-label on">On</span>
+            <span className="toggle-label off">Off</span>
+            <span className="toggle-knob" />
+          </span>
+        </label>
+      </div>
+
+      {duplicateDetectionEnabled && (
+        <div className="setting-row mode-toggle">
+          <label>Duplicates:</label>
+          <div className="mode-buttons">
+            <button
+              className={`mode-btn ${duplicateAction === 'folder' ? 'active' : ''}`}
+              onClick={() => onChange('duplicateAction', 'folder')}
+            >
+              <FolderInput size={16} /> Move to Folder
+            </button>
+            <button
+              className={`mode-btn ${duplicateAction === 'drop' ? 'active' : ''}`}
+              onClick={() => onChange('duplicateAction', 'drop')}
+            >
+              <EyeOff size={16} /> Leave in Place
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Burst / Similar Frame Detection */}
+      <div className="setting-row blur-detection-row">
+        <label>
+          <Layers size={14} className="icon-inline" /> Group Bursts:
+          {isFindingSimilar && <Loader2 size={14} className="settings-loading-spinner" />}
+          <Tooltip text="Finds bursts and near-identical shots, keeps the sharpest frames of each and moves the rest to a _Similar folder." position="right">
+            <Info size={14} color="var(--text-muted)" className="help-icon" />
+          </Tooltip>
+        </label>
+        <label className="toggle-switch">
+          <input
+            type="checkbox"
+            checked={similarDetectionEnabled}
+            onChange={(e) => onChange('similarDetectionEnabled', e.target.checked)}
+            role="switch"
+            aria-checked={similarDetectionEnabled}
+          />
+          <span className="toggle-track">
+            <span className="toggle-label on">On</span>
+            <span className="toggle-label off">Off</span>
+            <span className="toggle-knob" />
+          </span>
+        </label>
+      </div>
+
+      {similarDetectionEnabled && (
+        <>
+          <div className="setting-row">
+            <label>Keep Per Burst:</label>
+            <input
+              type="text"
+              inputMode="numeric"
+              value={similarKeepCount}
+              onChange={(e) => onChange('similarKeepCount', e.target.value.replace(/[^0-9]/g, ''))}
+              placeholder="Frames"
+              className="setting-input-fixed"
+            />
+          </div>
+          <div className="setting-row">
+            <label>
+              Burst Gap (sec):
+              <Tooltip text="Frames taken closer together than this (and looking alike) count as one burst." position="right">
+                <Info size={14} color="var(--text-muted)" className="help-icon" />
+              </Tooltip>
+            </label>
+            <input
+              type="text"
+              inputMode="numeric"
+              value={burstGapSeconds}
+              onChange={(e) => onChange('burstGapSeconds', e.target.value.replace(/[^0-9]/g, ''))}
+              placeholder="Seconds"
+              className="setting-input-fixed"
+            />
+          </div>
+        </>
+      )}
+
       {/* Move vs Copy Mode */}
       <div className="setting-row mode-toggle">
         <label>Batch Mode:</label>
@@ -2,29 +2,47 @@
  * StatsGrid Component
  * 
  * Displays stat cards: Total Files, File Groups, Batches to Create,
- * and optionally Blurry Photos (when blur detection is enabled).
+ * and optionally Blurry Photos, Exposure, Duplicates and Similar Frames (when their detection is enabled).
  */
 
 import React from 'react';
-import { Loader2, ScanEye } from 'lucide-react';
+import { Loader2, ScanEye, CopyX, Layers, SunMoon } from 'lucide-react';
+import { getCategoryLabel } from '../../utils/mediaTypes';
 import './PreviewPanel.css';
 
 /**
  * @param {Object} props
  * @param {number} props.totalFiles - Total number of files in folder
  * @param {number} props.totalGroups - Number of file groups
+ * @param {Object<string, number>} [props.categoryCounts] - Files per media category (e.g. { image: 120, raw: 118 })
  * @param {number} props.batchCount - Number of batches to create
  * @param {boolean} props.isLoading - Whether preview is loading
  * @param {boolean} [props.blurDetectionEnabled] - Whether blur detection is on
  * @param {boolean} [props.isAnalyzingBlur] - Whether blur analysis is in progress
  * @param {number} [props.blurryCount] - Number of blurry groups detected
+ * @param {boolean} [props.exposureDetectionEnabled] - Whether the exposure check is on
+ * @param {boolean} [props.isAnalyzingExposure] - Whether exposure analysis is in progress
+ * @param {number} [props.exposureCount] - Number of over- and underexposed groups flagged
+ * @param {boolean} [props.duplicateDetectionEnabled] - Whether duplicate detection is on
+ * @param {boolean} [props.isFindingDuplicates] - Whether files are being hashed
+ * @param {number} [props.duplicateCount] - Number of duplicate groups found
+ * @param {boolean} [props.similarDetectionEnabled] - Whether burst detection is on
+ * @param {boolean} [props.isFindingSimilar] - Whether frames are being analyzed
+ * @param {number} [props.similarCount] - Number of frames going to the Similar folder
  */
-function StatsGrid({ totalFiles, totalGroups, batchCount, isLoading, blurDetectionEnabled, isAnalyzingBlur, blurryCount }) {
+function StatsGrid({ totalFiles, totalGroups, categoryCounts, batchCount, isLoading, blurDetectionEnabled, isAnalyzingBlur, blurryCount, exposureDetectionEnabled, isAnalyzingExposure, exposureCount, duplicateDetectionEnabled, isFindingDuplicates, duplicateCount, similarDetectionEnabled, isFindingSimilar, similarCount }) {
   return (
     <div className="stats-grid">
       <div className="stat-card">
         <div className="stat-value">{totalFiles}</div>
         <div className="stat-label">Total Files</div>
+        {categoryCounts && Object.keys(categoryCounts).length > 1 && (
+          <div className="stat-breakdown">
+            {Object.entries(categoryCounts)
+              .map(([category, count]) => `${getCategoryLabel(category)} ${count}`)
+              .join(' · ')}
+          </div>
+        )}
       </div>
       <div className="stat-card">
         <div className="stat-value">{totalGroups}</div>
@@ -55,6 +73,51 @@ function StatsGrid({ totalFiles, totalGroups, batchCount, isLoading, blurDetecti
           <div className="stat-label">Blurry Photos</div>
         </div>
       )}
+      {exposureDetectionEnabled && (
+        <div className="stat-card exposure-stat">
+          <div className="stat-value">
+            {isAnalyzingExposure ? (
+              <Loader2 size={32} className="spin-icon" />
+            ) : (
+              <>
+                <SunMoon size={16} className="blur-stat-icon" />
+                {exposureCount}
+              </>
+            )}
+          </div>
+          <div className="stat-label">Badly Exposed</div>
+        </div>
+      )}
+      {duplicateDetectionEnabled && (
+        <div className="stat-card duplicate-stat">
+          <div className="stat-value">
+            {isFindingDuplicates ? (
+              <Loader2 size={32} className="spin-icon" />
+            ) : (
+              <>
+                <CopyX size={16} className="blur-stat-icon" />
+                {duplicateCount}
+              </>
+            )}
+          </div>
+          <div className="stat-label">Duplicates</div>
+        </div>
+      )}
+      {similarDetectionEnabled && (
+        <div className="stat-card similar-stat">
+          <div className="stat-value">
+            {isFindingSimilar ? (
+              <Loader2 size={32} className="spin-icon" />
+            ) : (
+              <>
+                <Layers size={16} className="blur-stat-icon" />
+                {similarCount}
+              </>
+            )}
+          </div>
+          <div className="stat-label">Similar Frames</div>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,12 @@
+/**
+ * Blur Class Actions
+ *
+ * Options for where each kind of blurry frame goes (motion blur, defocus,
+ * low detail). Values match BLUR_CLASS_ACTIONS in src/utils/blurClasses.js.
+ */
+
+export const BLUR_CLASS_ACTION_OPTIONS = [
+  { value: 'blurry', label: 'Blurry folder' },
+  { value: 'folder', label: 'Own folder' },
+  { value: 'keep', label: 'Keep in batches' },
+];
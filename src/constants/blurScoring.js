@@ -0,0 +1,11 @@
+/**
+ * Blur Scoring Modes
+ *
+ * Options for "Judge Sharpness By". Values match the `scoring` argument of
+ * blurDetectionService.analyzeBlur().
+ */
+
+export const BLUR_SCORING_OPTIONS = [
+  { value: 'global', label: 'Whole frame' },
+  { value: 'tiled', label: 'Sharpest region / AF point' },
+];
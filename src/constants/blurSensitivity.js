@@ -0,0 +1,21 @@
+/**
+ * Blur Sensitivity Levels
+ *
+ * Options of the blur sensitivity modal. Values match the `threshold`
+ * argument of blurDetectionService.analyzeBlur(): the three presets,
+ * 'auto' (thresholds calibrated from the folder's own scores) and 'custom'
+ * (thresholds dragged on the score chart).
+ */
+
+export const BLUR_SENSITIVITY_OPTIONS = [
+  { value: 'strict', label: 'Strict', description: 'Catches subtle blur' },
+  { value: 'moderate', label: 'Moderate', description: 'Balanced detection' },
+  { value: 'lenient', label: 'Lenient', description: 'Obvious blur only' },
+  { value: 'auto', label: 'Auto', description: 'Calibrated from this folder' },
+  { value: 'custom', label: 'Custom', description: 'Drag the lines on the chart' },
+];
+
+/** Sensitivity value -> label */
+export const BLUR_SENSITIVITY_LABELS = Object.fromEntries(
+  BLUR_SENSITIVITY_OPTIONS.map(option => [option.value, option.label])
+);
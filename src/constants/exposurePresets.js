@@ -0,0 +1,12 @@
+/**
+ * Exposure Presets
+ *
+ * Options for the "Exposure Check" preset. Values must match
+ * EXPOSURE_THRESHOLDS in src/main/constants.js.
+ */
+
+export const EXPOSURE_PRESET_OPTIONS = [
+  { value: 'strict', label: 'Strict (slightly off)' },
+  { value: 'moderate', label: 'Moderate' },
+  { value: 'lenient', label: 'Lenient (nearly white or black)' },
+];
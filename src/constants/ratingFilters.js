@@ -0,0 +1,42 @@
+/**
+ * Rating Filters
+ *
+ * Options for the "Minimum Rating" and "Color Label" filters. Frames that
+ * do not pass are left in the source folder.
+ * Label values must match COLOR_LABELS in src/main/batchPartitioner.js.
+ */
+
+export const MIN_RATING_OPTIONS = [
+  { value: '0', label: 'All Photos' },
+  { value: '1', label: '★ and up' },
+  { value: '2', label: '★★ and up' },
+  { value: '3', label: '★★★ and up' },
+  { value: '4', label: '★★★★ and up' },
+  { value: '5', label: '★★★★★ only' },
+];
+
+export const LABEL_FILTER_OPTIONS = [
+  { value: '', label: 'Any Label' },
+  { value: 'red', label: 'Red' },
+  { value: 'yellow', label: 'Yellow' },
+  { value: 'green', label: 'Green' },
+  { value: 'blue', label: 'Blue' },
+  { value: 'purple', label: 'Purple' },
+];
+
+/**
+ * Get a human-readable summary of the rating filters
+ * @param {string} minRating - Minimum stars ('0' = no minimum)
+ * @param {string} labelFilter - Color label ('' = any)
+ * @returns {string|null} e.g. "★★★ and up, Red label", or null without filters
+ */
+export function getRatingFilterLabel(minRating, labelFilter) {
+  const parts = [];
+  if (parseInt(minRating, 10) > 0) {
+    parts.push(MIN_RATING_OPTIONS.find(o => o.value === String(minRating))?.label);
+  }
+  if (labelFilter) {
+    parts.push(`${LABEL_FILTER_OPTIONS.find(o => o.value === labelFilter)?.label || labelFilter} label`);
+  }
+  return parts.length > 0 ? parts.join(', ') : null;
+}
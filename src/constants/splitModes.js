@@ -0,0 +1,30 @@
+/**
+ * Split Modes
+ * 
+ * Options for "Split Batches By". A batch never spans two partitions;
+ * the file count / size limit still applies within each partition.
+ * Values must match SPLIT_BY_MODES in src/main/securityManager.js.
+ */
+
+export const SPLIT_BY_OPTIONS = [
+  { value: 'none', label: 'None' },
+  { value: 'day', label: 'Capture Day' },
+  { value: 'week', label: 'Capture Week' },
+  { value: 'month', label: 'Capture Month' },
+  { value: 'session', label: 'Shooting Session' },
+  { value: 'location', label: 'Location (GPS)' },
+  { value: 'camera', label: 'Camera Body' },
+  { value: 'lens', label: 'Lens' },
+  { value: 'rating', label: 'Star Rating' },
+  { value: 'label', label: 'Color Label' },
+  { value: 'orientation', label: 'Orientation' },
+];
+
+/**
+ * Get a human-readable label for a split mode
+ * @param {string} splitBy - Split mode (e.g., 'day')
+ * @returns {string} Display label
+ */
+export function getSplitByLabel(splitBy) {
+  return SPLIT_BY_OPTIONS.find(o => o.value === splitBy)?.label || 'None';
+}
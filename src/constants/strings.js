@@ -135,7 +135,12 @@ export const STRINGS = {
   HISTORY_BTN: 'History',
   HISTORY_SETTINGS_LABEL: 'Settings',
   HISTORY_MAX_FILES: 'Max per batch',
+  HISTORY_MAX_SIZE: 'Max size per batch',
+  HISTORY_TARGET_BATCHES: 'Balanced into',
+  HISTORY_SUBFOLDERS: 'Subfolders',
   HISTORY_SORT_ORDER: 'Sort',
+  HISTORY_SPLIT_BY: 'Split by',
+  HISTORY_BATCH_ORDER: 'Order',
   HISTORY_RESULT_LABEL: 'Result',
   HISTORY_MODE_MOVE: 'Move',
 };
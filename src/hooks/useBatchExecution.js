@@ -47,18 +47,14 @@ export function useBatchExecution({ setAppState, setError }) {
    */
   const runBatchExecution = useCallback(async ({
     folderPath, maxFilesPerBatch, outputPrefix, batchMode, outputDir, sortBy,
-    selectedPresetName, previewBatchCount, blurryGroups = null,
+    selectedPresetName, presetSettings = null, previewBatchCount, blurryGroups = null, blurClassGroups = null, duplicateGroups = null, similarGroups = null, exposureGroups = null,
+    batchOptions = null,
   }) => {
-    // Auto-save current preset if one is selected
-    if (selectedPresetName && window.electronAPI?.savePreset) {
+    // Auto-save current preset if one is selected (presetSettings from buildPresetSettings,
+    // since saving replaces the whole preset)
+    if (selectedPresetName && presetSettings && window.electronAPI?.savePreset) {
       try {
-        await window.electronAPI.savePreset(selectedPresetName, {
-          maxFilesPerBatch,
-          outputPrefix,
-          batchMode,
-          sortBy,
-          outputDir,
-        });
+        await window.electronAPI.savePreset(selectedPresetName, presetSettings);
       } catch (err) {
         console.error('Failed to auto-save preset:', err);
       }
@@ -77,7 +73,12 @@ export function useBatchExecution({ setAppState, setError }) {
         batchMode,
         batchMode === 'copy' ? outputDir : null,
         sortBy,
-        blurryGroups
+        blurryGroups,
+        batchOptions,
+        duplicateGroups,
+        similarGroups,
+        exposureGroups,
+        blurClassGroups
       );
 
       if (results.cancelled) {
@@ -101,7 +102,7 @@ export function useBatchExecution({ setAppState, setError }) {
    */
   const handleExecuteBatch = useCallback(async (params) => {
     const {
-      folderPath, batchMode, outputDir,
+      folderPath, batchMode, outputDir, batchOptions = null,
     } = params;
 
     setShowConfirmation(false);
@@ -115,7 +116,8 @@ export function useBatchExecution({ setAppState, setError }) {
         const validation = await window.electronAPI.validateExecution(
           folderPath,
           batchMode,
-          batchMode === 'copy' ? outputDir : null
+          batchMode === 'copy' ? outputDir : null,
+          batchOptions
         );
 
         setIsValidating(false);
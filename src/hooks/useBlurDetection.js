@@ -1,4 +1,5 @@
 import { useState, useCallback, useMemo, useEffect, useRef } from 'react';
+import { routeBlurryGroups } from '../utils/blurClasses';
 
 /**
  * Format remaining seconds into a human-readable ETA string.
@@ -19,16 +20,24 @@ function formatEta(seconds) {
  * @param {Object} params
  * @param {string|null} params.folderPath - Currently selected folder path
  * @param {boolean} params.blurDetectionEnabled - Whether blur detection is toggled on
- * @param {string} params.blurSensitivity - Sensitivity preset: 'strict' | 'moderate' | 'lenient'
+ * @param {string} params.blurSensitivity - Sensitivity: 'strict' | 'moderate' | 'lenient' | 'auto' | 'custom'
+ * @param {Object|null} [params.customThresholds] - { variance, edgeDensity } used with 'custom'
+ * @param {string} [params.blurScoring='global'] - 'global' (whole frame) | 'tiled' (focus point or sharpest region)
+ * @param {boolean} [params.scanSubfolders=false] - Analyze files in subfolders too (recursive scan)
+ * @param {Object} [params.pairingOptions] - pairing and media rules (sidecarExtensions, pairingPatterns, mediaCategories, ...) so groups match the batch preview
+ * @param {Object} [params.blurClassActions] - Blur class key -> 'blurry' | 'folder' | 'keep' (where motion blur, defocus
+ *   and low-detail frames go)
  */
-export function useBlurDetection({ folderPath, blurDetectionEnabled, blurSensitivity }) {
+export function useBlurDetection({ folderPath, blurDetectionEnabled, blurSensitivity, customThresholds = null, blurScoring = 'global', scanSubfolders = false, pairingOptions = null, blurClassActions = null }) {
   const [blurResults, setBlurResults] = useState(null);     // Full results map: { baseName: { score, isBlurry, analyzedFile } }
   const [blurProgress, setBlurProgress] = useState(null);   // { current, total }
+  const [blurThresholds, setBlurThresholds] = useState(null); // Thresholds of the last run: { variance, edgeDensity, method }
+  const [blurThresholdPresets, setBlurThresholdPresets] = useState(null); // preset -> { variance, edgeDensity }
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [unflaggedGroups, setUnflaggedGroups] = useState(new Set()); // User-unflagged base names
 
-  // Track the last analyzed folder + sensitivity to avoid redundant analyses
-  const lastAnalysisRef = useRef({ folderPath: null, sensitivity: null });
+  // Track the last analyzed folder + sensitivity + scoring + scan depth + pairing rules to avoid redundant analyses
+  const lastAnalysisRef = useRef({ folderPath: null, sensitivity: null, scoring: null, recursive: false, pairingKey: null });
 
   // Track analysis start time for ETA computation
   const analysisStartTimeRef = useRef(null);
@@ -55,6 +64,14 @@ export function useBlurDetection({ folderPath, blurDetectionEnabled, blurSensiti
 
   const blurryCount = blurryGroups.length;
 
+  // Derived: flagged groups split by the action chosen for their blur class —
+  // sharedGroups go to the Blurry folder, classGroups to per-class folders,
+  // keptGroups stay in the batches
+  const blurRouting = useMemo(
+    () => routeBlurryGroups(blurryGroups, blurResults, blurClassActions),
+    [blurryGroups, blurResults, blurClassActions]
+  );
+
   // Derived: ETA for blur analysis based on progress and elapsed time
   const blurEta = useMemo(() => {
     if (!blurProgress || !analysisStartTimeRef.current) return null;
@@ -81,10 +98,15 @@ export function useBlurDetection({ folderPath, blurDetectionEnabled, blurSensiti
     // immune to React batching race conditions (unlike state).
     if (analysisInFlightRef.current) return;
 
-    // Skip if we already analyzed this folder with the same sensitivity
+    // Skip if we already analyzed this folder with the same sensitivity, scoring, scan depth and grouping rules
+    const pairingKey = JSON.stringify(pairingOptions);
+    const sensitivityKey = blurSensitivity === 'custom' ? `custom:${JSON.stringify(customThresholds)}` : blurSensitivity;
     if (
       lastAnalysisRef.current.folderPath === folderPath &&
-      lastAnalysisRef.current.sensitivity === blurSensitivity
+      lastAnalysisRef.current.sensitivity === sensitivityKey &&
+      lastAnalysisRef.current.scoring === blurScoring &&
+      lastAnalysisRef.current.recursive === scanSubfolders &&
+      lastAnalysisRef.current.pairingKey === pairingKey
     ) {
       return;
     }
@@ -95,11 +117,15 @@ export function useBlurDetection({ folderPath, blurDetectionEnabled, blurSensiti
     analysisStartTimeRef.current = Date.now();
 
     try {
-      const result = await window.electronAPI.analyzeBlur(folderPath, blurSensitivity);
+      const result = await window.electronAPI.analyzeBlur(
+        folderPath, blurSensitivity, { recursive: scanSubfolders, ...pairingOptions }, blurScoring, customThresholds
+      );
 
       if (result.success) {
         setBlurResults(result.blurResults);
-        lastAnalysisRef.current = { folderPath, sensitivity: blurSensitivity };
+        setBlurThresholds(result.thresholds);
+        setBlurThresholdPresets(result.thresholdPresets);
+        lastAnalysisRef.current = { folderPath, sensitivity: sensitivityKey, scoring: blurScoring, recursive: scanSubfolders, pairingKey };
       } else {
         console.error('[BLUR] Analysis failed:', result.error);
         setBlurResults(null);
@@ -113,7 +139,7 @@ export function useBlurDetection({ folderPath, blurDetectionEnabled, blurSensiti
       setBlurProgress(null);
       analysisStartTimeRef.current = null;
     }
-  }, [folderPath, blurDetectionEnabled, blurSensitivity]);
+  }, [folderPath, blurDetectionEnabled, blurSensitivity, customThresholds, blurScoring, scanSubfolders, pairingOptions]);
 
   /**
    * Toggle a group's blur flag (un-flag or re-flag).
@@ -136,10 +162,11 @@ export function useBlurDetection({ folderPath, blurDetectionEnabled, blurSensiti
    */
   const resetBlurState = useCallback(() => {
     setBlurResults(null);
+    setBlurThresholds(null);
     setBlurProgress(null);
     setIsAnalyzing(false);
     setUnflaggedGroups(new Set());
-    lastAnalysisRef.current = { folderPath: null, sensitivity: null };
+    lastAnalysisRef.current = { folderPath: null, sensitivity: null, scoring: null, recursive: false, pairingKey: null };
     analysisInFlightRef.current = false;
   }, []);
 
@@ -149,16 +176,19 @@ export function useBlurDetection({ folderPath, blurDetectionEnabled, blurSensiti
    * Used when the user explicitly clicks "Start Analysis" in the modal.
    */
   const clearAnalysisCache = useCallback(() => {
-    lastAnalysisRef.current = { folderPath: null, sensitivity: null };
+    lastAnalysisRef.current = { folderPath: null, sensitivity: null, scoring: null, recursive: false, pairingKey: null };
   }, []);
 
   return {
     blurResults,
+    blurThresholds,
+    blurThresholdPresets,
     blurProgress,
     blurEta,
     isAnalyzing,
     blurryGroups,
     blurryCount,
+    blurRouting,
     unflaggedGroups,
     runBlurAnalysis,
     toggleBlurFlag,
@@ -0,0 +1,119 @@
+import { useState, useCallback, useMemo, useEffect, useRef } from 'react';
+
+/**
+ * Hook for content-hash duplicate detection and user restores.
+ *
+ * Runs automatically while detection is enabled; re-runs when the folder,
+ * scan depth or grouping rules change (the main process caches hashes, so
+ * re-runs only read files that changed).
+ *
+ * @param {Object} params
+ * @param {string|null} params.folderPath - Currently selected folder path
+ * @param {boolean} params.duplicateDetectionEnabled - Whether duplicate detection is toggled on
+ * @param {boolean} params.isReady - Whether the folder has been scanned (app is in READY state)
+ * @param {boolean} [params.scanSubfolders=false] - Check files in subfolders too (recursive scan)
+ * @param {Object} [params.pairingOptions] - Pairing and media rules so groups match the batch preview
+ */
+export function useDuplicateDetection({ folderPath, duplicateDetectionEnabled, isReady, scanSubfolders = false, pairingOptions = null }) {
+  const [duplicateResults, setDuplicateResults] = useState(null);   // { duplicateSets, duplicateBytesFormatted, ... }
+  const [duplicateProgress, setDuplicateProgress] = useState(null); // { current, total }
+  const [isFindingDuplicates, setIsFindingDuplicates] = useState(false);
+  const [restoredGroups, setRestoredGroups] = useState(new Set());  // Duplicates the user chose to batch anyway
+
+  // Key of the last completed run, to skip redundant runs
+  const lastRunKeyRef = useRef(null);
+  const inFlightRef = useRef(false);
+
+  useEffect(() => {
+    if (!window.electronAPI?.onDuplicateProgress) return;
+    return window.electronAPI.onDuplicateProgress((data) => {
+      setDuplicateProgress(data);
+    });
+  }, []);
+
+  // Derived: duplicate base names still taken out of the batches
+  const duplicateGroups = useMemo(() => {
+    if (!duplicateResults) return [];
+    return duplicateResults.duplicateGroups.filter(baseName => !restoredGroups.has(baseName));
+  }, [duplicateResults, restoredGroups]);
+
+  const duplicateCount = duplicateGroups.length;
+
+  const findDuplicates = useCallback(async () => {
+    if (!folderPath || !duplicateDetectionEnabled || !isReady) return;
+    if (inFlightRef.current) return;
+
+    const runKey = JSON.stringify({ folderPath, scanSubfolders, pairingOptions });
+    if (lastRunKeyRef.current === runKey) return;
+
+    inFlightRef.current = true;
+    setIsFindingDuplicates(true);
+    setDuplicateProgress(null);
+
+    try {
+      const result = await window.electronAPI.findDuplicates(folderPath, { recursive: scanSubfolders, ...pairingOptions });
+      if (result.success) {
+        setDuplicateResults(result);
+        setRestoredGroups(new Set());
+        lastRunKeyRef.current = runKey;
+      } else {
+        console.error('[DUPES] Detection failed:', result.error);
+        setDuplicateResults(null);
+      }
+    } catch (err) {
+      console.error('[DUPES] Detection error:', err);
+      setDuplicateResults(null);
+    } finally {
+      inFlightRef.current = false;
+      setIsFindingDuplicates(false);
+      setDuplicateProgress(null);
+    }
+  }, [folderPath, duplicateDetectionEnabled, isReady, scanSubfolders, pairingOptions]);
+
+  /**
+   * Reset all duplicate state (folder change or feature toggled off).
+   */
+  const resetDuplicateState = useCallback(() => {
+    setDuplicateResults(null);
+    setDuplicateProgress(null);
+    setIsFindingDuplicates(false);
+    setRestoredGroups(new Set());
+    lastRunKeyRef.current = null;
+  }, []);
+
+  // Run while enabled; clear results when turned off
+  useEffect(() => {
+    if (!duplicateDetectionEnabled) {
+      resetDuplicateState();
+      return;
+    }
+    findDuplicates();
+  }, [duplicateDetectionEnabled, findDuplicates, resetDuplicateState]);
+
+  /**
+   * Put a duplicate back into the normal batches, or take it out again.
+   */
+  const toggleDuplicate = useCallback((baseName) => {
+    setRestoredGroups(prev => {
+      const next = new Set(prev);
+      if (next.has(baseName)) {
+        next.delete(baseName);
+      } else {
+        next.add(baseName);
+      }
+      return next;
+    });
+  }, []);
+
+  return {
+    duplicateResults,
+    duplicateProgress,
+    isFindingDuplicates,
+    duplicateGroups,
+    duplicateCount,
+    restoredGroups,
+    findDuplicates,
+    toggleDuplicate,
+    resetDuplicateState,
+  };
+}
@@ -0,0 +1,130 @@
+import { useState, useCallback, useMemo, useEffect, useRef } from 'react';
+
+/**
+ * Hook for over- / underexposure analysis and user restores.
+ *
+ * Runs automatically while the check is enabled; re-runs when the folder,
+ * preset, scan depth or grouping rules change (the main process caches the
+ * per-file metrics, so a preset change only re-classifies).
+ *
+ * @param {Object} params
+ * @param {string|null} params.folderPath - Currently selected folder path
+ * @param {boolean} params.exposureDetectionEnabled - Whether the exposure check is toggled on
+ * @param {string} [params.exposurePreset='moderate'] - Preset: 'strict' | 'moderate' | 'lenient'
+ * @param {boolean} params.isReady - Whether the folder has been scanned (app is in READY state)
+ * @param {boolean} [params.scanSubfolders=false] - Check files in subfolders too (recursive scan)
+ * @param {Object} [params.pairingOptions] - Pairing and media rules so groups match the batch preview
+ */
+export function useExposureDetection({ folderPath, exposureDetectionEnabled, exposurePreset = 'moderate', isReady, scanSubfolders = false, pairingOptions = null }) {
+  const [exposureResults, setExposureResults] = useState(null);   // { exposureResults, flaggedGroups, overCount, underCount, ... }
+  const [exposureProgress, setExposureProgress] = useState(null); // { current, total }
+  const [isAnalyzingExposure, setIsAnalyzingExposure] = useState(false);
+  const [restoredGroups, setRestoredGroups] = useState(new Set()); // Flagged frames the user chose to batch anyway
+  const [rerunTick, setRerunTick] = useState(0);
+
+  // Key of the last completed run, to skip redundant runs
+  const lastRunKeyRef = useRef(null);
+  const inFlightRef = useRef(false);
+  // Set when the inputs change mid-run (e.g. switching presets), so the run is repeated
+  const rerunRef = useRef(false);
+
+  useEffect(() => {
+    if (!window.electronAPI?.onExposureProgress) return;
+    return window.electronAPI.onExposureProgress((data) => {
+      setExposureProgress(data);
+    });
+  }, []);
+
+  // Derived: flagged base names still taken out of the batches
+  const exposureGroups = useMemo(() => {
+    if (!exposureResults) return [];
+    return exposureResults.flaggedGroups.filter(baseName => !restoredGroups.has(baseName));
+  }, [exposureResults, restoredGroups]);
+
+  const exposureCount = exposureGroups.length;
+
+  const runExposureAnalysis = useCallback(async () => {
+    if (!folderPath || !exposureDetectionEnabled || !isReady) return;
+    if (inFlightRef.current) {
+      rerunRef.current = true;
+      return;
+    }
+
+    const runKey = JSON.stringify({ folderPath, exposurePreset, scanSubfolders, pairingOptions });
+    if (lastRunKeyRef.current === runKey) return;
+
+    inFlightRef.current = true;
+    setIsAnalyzingExposure(true);
+    setExposureProgress(null);
+
+    try {
+      const result = await window.electronAPI.analyzeExposure(folderPath, exposurePreset, { recursive: scanSubfolders, ...pairingOptions });
+      if (result.success) {
+        setExposureResults(result);
+        setRestoredGroups(new Set());
+        lastRunKeyRef.current = runKey;
+      } else {
+        console.error('[EXPOSURE] Analysis failed:', result.error);
+        setExposureResults(null);
+      }
+    } catch (err) {
+      console.error('[EXPOSURE] Analysis error:', err);
+      setExposureResults(null);
+    } finally {
+      inFlightRef.current = false;
+      setIsAnalyzingExposure(false);
+      setExposureProgress(null);
+      if (rerunRef.current) {
+        rerunRef.current = false;
+        setRerunTick(tick => tick + 1);
+      }
+    }
+  }, [folderPath, exposureDetectionEnabled, exposurePreset, isReady, scanSubfolders, pairingOptions]);
+
+  /**
+   * Reset all exposure state (folder change or feature toggled off).
+   */
+  const resetExposureState = useCallback(() => {
+    setExposureResults(null);
+    setExposureProgress(null);
+    setIsAnalyzingExposure(false);
+    setRestoredGroups(new Set());
+    lastRunKeyRef.current = null;
+  }, []);
+
+  // Run while enabled; clear results when turned off
+  useEffect(() => {
+    if (!exposureDetectionEnabled) {
+      resetExposureState();
+      return;
+    }
+    runExposureAnalysis();
+  }, [exposureDetectionEnabled, runExposureAnalysis, resetExposureState, rerunTick]);
+
+  /**
+   * Put a flagged frame back into the normal batches, or flag it again.
+   */
+  const toggleExposureFlag = useCallback((baseName) => {
+    setRestoredGroups(prev => {
+      const next = new Set(prev);
+      if (next.has(baseName)) {
+        next.delete(baseName);
+      } else {
+        next.add(baseName);
+      }
+      return next;
+    });
+  }, []);
+
+  return {
+    exposureResults,
+    exposureProgress,
+    isAnalyzingExposure,
+    exposureGroups,
+    exposureCount,
+    restoredGroups,
+    runExposureAnalysis,
+    toggleExposureFlag,
+    resetExposureState,
+  };
+}
@@ -1,11 +1,105 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useMemo } from 'react';
+import { DEFAULT_SIDECAR_EXTENSIONS as SIDECAR_DEFAULTS, DEFAULT_PAIRING_PATTERNS as PATTERN_DEFAULTS } from '../utils/pairingRules';
+import { DEFAULT_MEDIA_CATEGORIES as CATEGORY_DEFAULTS } from '../utils/mediaTypes';
+import { parseClockOffsets } from '../utils/cameraClocks';
+import { getPatternDataNeeds, getFileTemplateDataNeeds, validateFileTemplate } from '../utils/batchNaming';
+
+const BYTES_PER_GB = 1024 ** 3;
+
+// Pairing rules are edited as comma-separated text
+export const DEFAULT_SIDECAR_EXTENSIONS = SIDECAR_DEFAULTS.join(', ');
+export const DEFAULT_PAIRING_PATTERNS = PATTERN_DEFAULTS.join(', ');
+// Enabled media categories are stored as a comma-separated list of keys
+export const DEFAULT_MEDIA_CATEGORIES = CATEGORY_DEFAULTS.join(',');
+
+/** Split a comma-separated settings string into trimmed, non-empty entries */
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Parse place labels edited as "Name = latitude, longitude" entries separated by semicolons.
+ *
+ * @param {string} value - e.g. "Chapel = 48.8584, 2.2945; Hotel = 48.86, 2.35"
+ * @returns {{ labels: Array<{ name: string, latitude: number, longitude: number }>, invalid: string[] }}
+ */
+export function parsePlaceLabels(value) {
+  const labels = [];
+  const invalid = [];
+  for (const entry of value.split(';').map(item => item.trim()).filter(Boolean)) {
+    const separator = entry.lastIndexOf('=');
+    const name = entry.slice(0, separator).trim();
+    const [latitude, longitude, extra] = entry.slice(separator + 1).split(',').map(part => Number(part.trim()));
+    const valid = separator > 0 && name && extra === undefined &&
+      Number.isFinite(latitude) && Math.abs(latitude) <= 90 &&
+      Number.isFinite(longitude) && Math.abs(longitude) <= 180;
+    if (valid) labels.push({ name, latitude, longitude });
+    else invalid.push(entry);
+  }
+  return { labels, invalid };
+}
+
+/** Every setting stored in a preset, in saved order */
+const PRESET_SETTING_KEYS = [
+  'maxFilesPerBatch', 'limitMode', 'maxBatchSizeGB', 'targetBatchCount', 'balanceBy', 'contiguousBatches',
+  'scanSubfolders', 'subfolderLayout', 'typeSubfolders', 'splitBy', 'sessionGapMinutes', 'locationRadiusKm',
+  'placeLabels', 'clockOffsets', 'minRating', 'labelFilter', 'rejectedAction', 'sidecarExtensions',
+  'pairingPatterns', 'mediaCategories', 'extraExtensions', 'ignorePatterns', 'outputPrefix', 'renameTemplate',
+  'renameNumbering', 'batchMode', 'sortBy', 'outputDir', 'blurDetectionEnabled', 'blurSensitivity', 'blurScoring',
+  'blurCustomVariance', 'blurCustomEdgeDensity', 'blurMotionAction', 'blurDefocusAction', 'blurLowDetailAction',
+  'exposureDetectionEnabled', 'exposurePreset', 'exposureAction', 'duplicateDetectionEnabled', 'duplicateAction',
+  'similarDetectionEnabled', 'similarKeepCount', 'burstGapSeconds',
+];
+
+/** Toggles, stored as 'true' / 'false' */
+const PRESET_BOOLEAN_KEYS = new Set([
+  'contiguousBatches', 'scanSubfolders', 'typeSubfolders', 'blurDetectionEnabled',
+  'exposureDetectionEnabled', 'duplicateDetectionEnabled', 'similarDetectionEnabled',
+]);
 
 /**
- * Hook for managing batch settings (maxFilesPerBatch, outputPrefix, batchMode, sortBy, outputDir, presets, blur detection).
+ * Build the stored form of a preset from the current settings.
+ * Saving replaces the whole preset, so the preset menu and the auto-save
+ * before a run both go through here.
+ *
+ * @param {Object} settings - Current settings (e.g. the useSettings() result)
+ * @returns {Object} Preset settings
+ */
+export function buildPresetSettings(settings) {
+  const preset = {};
+  for (const key of PRESET_SETTING_KEYS) {
+    preset[key] = PRESET_BOOLEAN_KEYS.has(key) ? (settings[key] ? 'true' : 'false') : settings[key];
+  }
+  return preset;
+}
+
+/**
+ * Hook for managing batch settings (maxFilesPerBatch, size limit, target batch count, batch order, subfolder scanning, date/location/camera/rating splitting, camera clock offsets, rating filters, pairing rules, media types, outputPrefix, file renaming, batchMode, sortBy, outputDir, presets, blur, duplicate and burst detection).
  */
 export function useSettings() {
   const [maxFilesPerBatch, setMaxFilesPerBatch] = useState('500');
+  const [limitMode, setLimitMode] = useState('count');       // 'count' | 'size' | 'target'
+  const [maxBatchSizeGB, setMaxBatchSizeGB] = useState('4');
+  const [targetBatchCount, setTargetBatchCount] = useState('4');
+  const [balanceBy, setBalanceBy] = useState('files');         // 'files' | 'bytes' (target mode)
+  const [contiguousBatches, setContiguousBatches] = useState(false); // keep batches in sort order (no backfilling)
+  const [scanSubfolders, setScanSubfolders] = useState(false);
+  const [subfolderLayout, setSubfolderLayout] = useState('flatten'); // 'flatten' | 'preserve'
+  const [typeSubfolders, setTypeSubfolders] = useState(false); // RAW/JPEG/Video subfolders inside each batch
+  const [splitBy, setSplitBy] = useState('none');             // 'none' | 'day' | 'week' | 'month' | 'session' | 'location' | 'camera' | 'lens' | 'rating' | 'label'
+  const [sessionGapMinutes, setSessionGapMinutes] = useState('20');
+  const [locationRadiusKm, setLocationRadiusKm] = useState('1');
+  const [placeLabels, setPlaceLabels] = useState('');              // "Name = lat, lon; ..."
+  const [clockOffsets, setClockOffsets] = useState('');            // "Camera = +m:ss; ..." (see utils/cameraClocks.js)
+  const [minRating, setMinRating] = useState('0');                 // Only batch frames with at least this many stars ('0' = all)
+  const [labelFilter, setLabelFilter] = useState('');              // Only batch frames with this color label ('' = any)
+  const [rejectedAction, setRejectedAction] = useState('batch');   // 'batch' | 'folder' (rejected frames to _Rejected)
+  const [sidecarExtensions, setSidecarExtensions] = useState(DEFAULT_SIDECAR_EXTENSIONS); // comma-separated
+  const [pairingPatterns, setPairingPatterns] = useState(DEFAULT_PAIRING_PATTERNS);       // comma-separated "derived = original"
+  const [mediaCategories, setMediaCategories] = useState(DEFAULT_MEDIA_CATEGORIES);       // comma-separated category keys
+  const [extraExtensions, setExtraExtensions] = useState('');                             // comma-separated
+  const [ignorePatterns, setIgnorePatterns] = useState('');                               // comma-separated globs
   const [outputPrefix, setOutputPrefix] = useState('Batch');
+  const [renameTemplate, setRenameTemplate] = useState('');        // e.g. "Smith_{capture_date:YYYYMMDD}_{seq}" ('' = keep names)
+  const [renameNumbering, setRenameNumbering] = useState('global'); // 'global' | 'batch' (sequence restarts in each batch)
   const [batchMode, setBatchMode] = useState('move');
   const [sortBy, setSortBy] = useState('name-asc');
   const [outputDir, setOutputDir] = useState(null);
@@ -13,9 +107,48 @@ export function useSettings() {
   const [refreshingField, setRefreshingField] = useState(null);
   const [blurDetectionEnabled, setBlurDetectionEnabled] = useState(false);
   const [blurSensitivity, setBlurSensitivity] = useState('moderate');
+  const [blurScoring, setBlurScoring] = useState('global'); // 'global' | 'tiled'
+  // Where each kind of blurry frame goes: 'blurry' (shared folder) | 'folder' (own folder) | 'keep' (batches)
+  const [blurMotionAction, setBlurMotionAction] = useState('blurry');
+  const [blurDefocusAction, setBlurDefocusAction] = useState('blurry');
+  const [blurLowDetailAction, setBlurLowDetailAction] = useState('blurry');
+  // Thresholds of the 'custom' sensitivity (set by dragging the lines in the sensitivity modal)
+  const [blurCustomVariance, setBlurCustomVariance] = useState('');
+  const [blurCustomEdgeDensity, setBlurCustomEdgeDensity] = useState('');
+  const [duplicateDetectionEnabled, setDuplicateDetectionEnabled] = useState(false);
+  const [duplicateAction, setDuplicateAction] = useState('folder'); // 'folder' | 'drop'
+  const [similarDetectionEnabled, setSimilarDetectionEnabled] = useState(false);
+  const [similarKeepCount, setSimilarKeepCount] = useState('1');   // Best frames kept per burst
+  const [burstGapSeconds, setBurstGapSeconds] = useState('2');     // Largest gap between frames of one burst
+  const [exposureDetectionEnabled, setExposureDetectionEnabled] = useState(false);
+  const [exposurePreset, setExposurePreset] = useState('moderate'); // 'strict' | 'moderate' | 'lenient'
+  const [exposureAction, setExposureAction] = useState('folder');   // 'folder' | 'drop'
 
   const resetSettings = useCallback(() => {
     setMaxFilesPerBatch('500');
+    setLimitMode('count');
+    setMaxBatchSizeGB('4');
+    setTargetBatchCount('4');
+    setBalanceBy('files');
+    setContiguousBatches(false);
+    setScanSubfolders(false);
+    setSubfolderLayout('flatten');
+    setTypeSubfolders(false);
+    setSplitBy('none');
+    setSessionGapMinutes('20');
+    setLocationRadiusKm('1');
+    setPlaceLabels('');
+    setClockOffsets('');
+    setRenameTemplate('');
+    setRenameNumbering('global');
+    setMinRating('0');
+    setLabelFilter('');
+    setRejectedAction('batch');
+    setSidecarExtensions(DEFAULT_SIDECAR_EXTENSIONS);
+    setPairingPatterns(DEFAULT_PAIRING_PATTERNS);
+    setMediaCategories(DEFAULT_MEDIA_CATEGORIES);
+    setExtraExtensions('');
+    setIgnorePatterns('');
     setOutputPrefix('Batch');
     setBatchMode('move');
     setSortBy('name-asc');
@@ -24,6 +157,20 @@ export function useSettings() {
     setRefreshingField(null);
     setBlurDetectionEnabled(false);
     setBlurSensitivity('moderate');
+    setBlurScoring('global');
+    setBlurMotionAction('blurry');
+    setBlurDefocusAction('blurry');
+    setBlurLowDetailAction('blurry');
+    setBlurCustomVariance('');
+    setBlurCustomEdgeDensity('');
+    setDuplicateDetectionEnabled(false);
+    setDuplicateAction('folder');
+    setSimilarDetectionEnabled(false);
+    setSimilarKeepCount('1');
+    setBurstGapSeconds('2');
+    setExposureDetectionEnabled(false);
+    setExposurePreset('moderate');
+    setExposureAction('folder');
   }, []);
 
   const handleSettingsChange = useCallback((key, value) => {
@@ -31,10 +178,48 @@ export function useSettings() {
     if (typeof key === 'object' && key !== null) {
       const settings = key;
       if (settings.maxFilesPerBatch !== undefined) setMaxFilesPerBatch(settings.maxFilesPerBatch);
+      if (settings.limitMode !== undefined) setLimitMode(settings.limitMode || 'count');
+      if (settings.maxBatchSizeGB !== undefined) setMaxBatchSizeGB(settings.maxBatchSizeGB || '4');
+      if (settings.targetBatchCount !== undefined) setTargetBatchCount(settings.targetBatchCount || '4');
+      if (settings.balanceBy !== undefined) setBalanceBy(settings.balanceBy || 'files');
+      if (settings.contiguousBatches !== undefined) setContiguousBatches(settings.contiguousBatches === 'true' || settings.contiguousBatches === true);
+      if (settings.scanSubfolders !== undefined) setScanSubfolders(settings.scanSubfolders === 'true' || settings.scanSubfolders === true);
+      if (settings.subfolderLayout !== undefined) setSubfolderLayout(settings.subfolderLayout || 'flatten');
+      if (settings.typeSubfolders !== undefined) setTypeSubfolders(settings.typeSubfolders === 'true' || settings.typeSubfolders === true);
+      if (settings.splitBy !== undefined) setSplitBy(settings.splitBy || 'none');
+      if (settings.sessionGapMinutes !== undefined) setSessionGapMinutes(settings.sessionGapMinutes || '20');
+      if (settings.locationRadiusKm !== undefined) setLocationRadiusKm(settings.locationRadiusKm || '1');
+      if (settings.placeLabels !== undefined) setPlaceLabels(settings.placeLabels ?? '');
+      if (settings.clockOffsets !== undefined) setClockOffsets(settings.clockOffsets ?? '');
+      if (settings.renameTemplate !== undefined) setRenameTemplate(settings.renameTemplate ?? '');
+      if (settings.renameNumbering !== undefined) setRenameNumbering(settings.renameNumbering || 'global');
+      if (settings.minRating !== undefined) setMinRating(settings.minRating || '0');
+      if (settings.labelFilter !== undefined) setLabelFilter(settings.labelFilter ?? '');
+      if (settings.rejectedAction !== undefined) setRejectedAction(settings.rejectedAction || 'batch');
+      // An empty string is a deliberate "no rules", so only null/undefined fall back to the defaults
+      if (settings.sidecarExtensions !== undefined) setSidecarExtensions(settings.sidecarExtensions ?? DEFAULT_SIDECAR_EXTENSIONS);
+      if (settings.pairingPatterns !== undefined) setPairingPatterns(settings.pairingPatterns ?? DEFAULT_PAIRING_PATTERNS);
+      if (settings.mediaCategories !== undefined) setMediaCategories(settings.mediaCategories ?? DEFAULT_MEDIA_CATEGORIES);
+      if (settings.extraExtensions !== undefined) setExtraExtensions(settings.extraExtensions ?? '');
+      if (settings.ignorePatterns !== undefined) setIgnorePatterns(settings.ignorePatterns ?? '');
       if (settings.outputPrefix !== undefined) setOutputPrefix(settings.outputPrefix);
       if (settings.sortBy !== undefined) setSortBy(settings.sortBy);
       if (settings.blurDetectionEnabled !== undefined) setBlurDetectionEnabled(settings.blurDetectionEnabled === 'true' || settings.blurDetectionEnabled === true);
       if (settings.blurSensitivity !== undefined) setBlurSensitivity(settings.blurSensitivity);
+      if (settings.blurScoring !== undefined) setBlurScoring(settings.blurScoring || 'global');
+      if (settings.blurMotionAction !== undefined) setBlurMotionAction(settings.blurMotionAction || 'blurry');
+      if (settings.blurDefocusAction !== undefined) setBlurDefocusAction(settings.blurDefocusAction || 'blurry');
+      if (settings.blurLowDetailAction !== undefined) setBlurLowDetailAction(settings.blurLowDetailAction || 'blurry');
+      if (settings.blurCustomVariance !== undefined) setBlurCustomVariance(settings.blurCustomVariance ?? '');
+      if (settings.blurCustomEdgeDensity !== undefined) setBlurCustomEdgeDensity(settings.blurCustomEdgeDensity ?? '');
+      if (settings.duplicateDetectionEnabled !== undefined) setDuplicateDetectionEnabled(settings.duplicateDetectionEnabled === 'true' || settings.duplicateDetectionEnabled === true);
+      if (settings.duplicateAction !== undefined) setDuplicateAction(settings.duplicateAction || 'folder');
+      if (settings.similarDetectionEnabled !== undefined) setSimilarDetectionEnabled(settings.similarDetectionEnabled === 'true' || settings.similarDetectionEnabled === true);
+      if (settings.similarKeepCount !== undefined) setSimilarKeepCount(settings.similarKeepCount || '1');
+      if (settings.burstGapSeconds !== undefined) setBurstGapSeconds(settings.burstGapSeconds || '2');
+      if (settings.exposureDetectionEnabled !== undefined) setExposureDetectionEnabled(settings.exposureDetectionEnabled === 'true' || settings.exposureDetectionEnabled === true);
+      if (settings.exposurePreset !== undefined) setExposurePreset(settings.exposurePreset || 'moderate');
+      if (settings.exposureAction !== undefined) setExposureAction(settings.exposureAction || 'folder');
 
       if (settings.batchMode !== undefined) {
         setBatchMode(settings.batchMode);
@@ -54,9 +239,99 @@ export function useSettings() {
         setMaxFilesPerBatch(value);
         setRefreshingField('maxFilesPerBatch');
         break;
+      case 'limitMode':
+        setLimitMode(value);
+        setRefreshingField('limitMode');
+        break;
+      case 'maxBatchSizeGB':
+        setMaxBatchSizeGB(value);
+        setRefreshingField('maxBatchSizeGB');
+        break;
+      case 'targetBatchCount':
+        setTargetBatchCount(value);
+        setRefreshingField('targetBatchCount');
+        break;
+      case 'balanceBy':
+        setBalanceBy(value);
+        setRefreshingField('balanceBy');
+        break;
+      case 'contiguousBatches':
+        setContiguousBatches(value);
+        setRefreshingField('contiguousBatches');
+        break;
+      case 'scanSubfolders':
+        setScanSubfolders(value);
+        setRefreshingField('scanSubfolders');
+        break;
+      case 'subfolderLayout':
+        setSubfolderLayout(value);
+        break;
+      case 'typeSubfolders':
+        setTypeSubfolders(value);
+        break;
+      case 'splitBy':
+        setSplitBy(value);
+        setRefreshingField('splitBy');
+        break;
+      case 'sessionGapMinutes':
+        setSessionGapMinutes(value);
+        setRefreshingField('sessionGapMinutes');
+        break;
+      case 'locationRadiusKm':
+        setLocationRadiusKm(value);
+        setRefreshingField('locationRadiusKm');
+        break;
+      case 'placeLabels':
+        setPlaceLabels(value);
+        setRefreshingField('placeLabels');
+        break;
+      case 'clockOffsets':
+        setClockOffsets(value);
+        setRefreshingField('clockOffsets');
+        break;
+      case 'minRating':
+        setMinRating(value);
+        setRefreshingField('minRating');
+        break;
+      case 'labelFilter':
+        setLabelFilter(value);
+        setRefreshingField('labelFilter');
+        break;
+      case 'rejectedAction':
+        setRejectedAction(value);
+        setRefreshingField('rejectedAction');
+        break;
+      case 'sidecarExtensions':
+        setSidecarExtensions(value);
+        setRefreshingField('sidecarExtensions');
+        break;
+      case 'pairingPatterns':
+        setPairingPatterns(value);
+        setRefreshingField('pairingPatterns');
+        break;
+      case 'mediaCategories':
+        setMediaCategories(value);
+        setRefreshingField('mediaCategories');
+        break;
+      case 'extraExtensions':
+        setExtraExtensions(value);
+        setRefreshingField('extraExtensions');
+        break;
+      case 'ignorePatterns':
+        setIgnorePatterns(value);
+        setRefreshingField('ignorePatterns');
+        break;
       case 'outputPrefix':
         setOutputPrefix(value);
         break;
+      case 'renameTemplate':
+        setRenameTemplate(value);
+        setRefreshingField('renameTemplate');
+        break;
+      case 'renameNumbering':
+        setRenameNumbering(value);
+        setRefreshingField('renameNumbering');
+        break;
       case 'batchMode':
         setBatchMode(value);
         if (value === 'move') setOutputDir(null);
@@ -74,11 +349,114 @@ export function useSettings() {
       case 'blurSensitivity':
         setBlurSensitivity(value);
         break;
+      case 'blurScoring':
+        setBlurScoring(value);
+        break;
+      case 'blurMotionAction':
+        setBlurMotionAction(value);
+        break;
+      case 'blurDefocusAction':
+        setBlurDefocusAction(value);
+        break;
+      case 'blurLowDetailAction':
+        setBlurLowDetailAction(value);
+        break;
+      case 'blurCustomVariance':
+        setBlurCustomVariance(value);
+        break;
+      case 'blurCustomEdgeDensity':
+        setBlurCustomEdgeDensity(value);
+        break;
+      case 'duplicateDetectionEnabled':
+        setDuplicateDetectionEnabled(value);
+        break;
+      case 'duplicateAction':
+        setDuplicateAction(value);
+        setRefreshingField('duplicateAction');
+        break;
+      case 'similarDetectionEnabled':
+        setSimilarDetectionEnabled(value);
+        break;
+      case 'similarKeepCount':
+        setSimilarKeepCount(value);
+        setRefreshingField('similarKeepCount');
+        break;
+      case 'burstGapSeconds':
+        setBurstGapSeconds(value);
+        break;
+      case 'exposureDetectionEnabled':
+        setExposureDetectionEnabled(value);
+        break;
+      case 'exposurePreset':
+        setExposurePreset(value);
+        break;
+      case 'exposureAction':
+        setExposureAction(value);
+        setRefreshingField('exposureAction');
+        break;
       default:
         break;
     }
   }, []);
 
+  // Pairing and media rules, shared by batch planning and blur analysis so both see the same groups
+  const pairingOptions = useMemo(() => ({
+    sidecarExtensions: splitList(sidecarExtensions),
+    pairingPatterns: splitList(pairingPatterns),
+    mediaCategories: splitList(mediaCategories),
+    extraExtensions: splitList(extraExtensions),
+    ignorePatterns: splitList(ignorePatterns),
+  }), [sidecarExtensions, pairingPatterns, mediaCategories, extraExtensions, ignorePatterns]);
+
+  // EXIF data the folder name and rename variables need; flags (not the pattern) so typing a name does not re-run the preview
+  const folderNeeds = getPatternDataNeeds(outputPrefix);
+  const renameNeeds = getFileTemplateDataNeeds(renameTemplate);
+  const namingCaptureTimes = folderNeeds.captureTimes || renameNeeds.captureTimes;
+  const namingCamera = folderNeeds.camera || renameNeeds.camera;
+  // Only a valid template is sent; an invalid one blocks the run (see App validateInputs)
+  const validRenameTemplate = validateFileTemplate(renameTemplate).length === 0 ? renameTemplate.trim() : '';
+
+  // Options sent alongside previewBatches / executeBatch (validated again in main)
+  const batchOptions = useMemo(() => ({
+    limitMode,
+    maxBytesPerBatch: Math.round((parseFloat(maxBatchSizeGB) || 0) * BYTES_PER_GB),
+    targetBatchCount: parseInt(targetBatchCount, 10) || 0,
+    balanceBy,
+    contiguous: contiguousBatches,
+    recursive: scanSubfolders,
+    preserveStructure: scanSubfolders && subfolderLayout === 'preserve',
+    typeSubfolders,
+    splitBy,
+    sessionGapMinutes: parseInt(sessionGapMinutes, 10) || 0,
+    locationRadiusKm: parseFloat(locationRadiusKm) || 0,
+    placeLabels: parsePlaceLabels(placeLabels).labels,
+    clockOffsets: parseClockOffsets(clockOffsets).offsets,
+    namingCaptureTimes,
+    namingCamera,
+    renameTemplate: validRenameTemplate,
+    renameNumbering,
+    minRating: parseInt(minRating, 10) || 0,
+    labelFilter,
+    rejectedAction,
+    ...pairingOptions,
+    duplicateAction,
+    exposureAction,
+  }), [limitMode, maxBatchSizeGB, targetBatchCount, balanceBy, contiguousBatches, scanSubfolders, subfolderLayout, typeSubfolders, splitBy, sessionGapMinutes, locationRadiusKm, placeLabels, clockOffsets, namingCaptureTimes, namingCamera, validRenameTemplate, renameNumbering, minRating, labelFilter, rejectedAction, pairingOptions, duplicateAction, exposureAction]);
+
+  // Custom blur thresholds as numbers, null until both are set
+  const blurCustomThresholds = useMemo(() => {
+    const variance = parseFloat(blurCustomVariance);
+    const edgeDensity = parseFloat(blurCustomEdgeDensity);
+    return variance > 0 && edgeDensity > 0 ? { variance, edgeDensity } : null;
+  }, [blurCustomVariance, blurCustomEdgeDensity]);
+
+  // Blur class key -> action, for routing the flagged groups (see utils/blurClasses.js)
+  const blurClassActions = useMemo(() => ({
+    motion: blurMotionAction,
+    defocus: blurDefocusAction,
+    'low-detail': blurLowDetailAction,
+  }), [blurMotionAction, blurDefocusAction, blurLowDetailAction]);
+
   const handleSelectOutputFolder = useCallback(async () => {
     try {
       const selected = await window.electronAPI.selectOutputFolder();
@@ -90,7 +468,32 @@ export function useSettings() {
 
   return {
     maxFilesPerBatch,
+    limitMode,
+    maxBatchSizeGB,
+    targetBatchCount,
+    balanceBy,
+    contiguousBatches,
+    scanSubfolders,
+    subfolderLayout,
+    typeSubfolders,
+    splitBy,
+    sessionGapMinutes,
+    locationRadiusKm,
+    placeLabels,
+    clockOffsets,
+    minRating,
+    labelFilter,
+    rejectedAction,
+    sidecarExtensions,
+    pairingPatterns,
+    mediaCategories,
+    extraExtensions,
+    ignorePatterns,
+    pairingOptions,
+    batchOptions,
     outputPrefix,
+    renameTemplate,
+    renameNumbering,
     batchMode,
     sortBy,
     outputDir,
@@ -98,6 +501,22 @@ export function useSettings() {
     refreshingField,
     blurDetectionEnabled,
     blurSensitivity,
+    blurScoring,
+    blurMotionAction,
+    blurDefocusAction,
+    blurLowDetailAction,
+    blurClassActions,
+    blurCustomVariance,
+    blurCustomEdgeDensity,
+    blurCustomThresholds,
+    duplicateDetectionEnabled,
+    duplicateAction,
+    similarDetectionEnabled,
+    similarKeepCount,
+    burstGapSeconds,
+    exposureDetectionEnabled,
+    exposurePreset,
+    exposureAction,
     setRefreshingField,
     setSelectedPresetName,
     resetSettings,
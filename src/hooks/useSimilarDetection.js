@@ -0,0 +1,197 @@
+import { useState, useCallback, useMemo, useEffect, useRef } from 'react';
+
+/**
+ * Hook for burst / near-identical frame detection and the keep picks.
+ *
+ * The main process returns clusters ranked by sharpness; this hook keeps the
+ * best `similarKeepCount` frames of each and applies the user's overrides, so
+ * changing the count or a pick does not re-run the analysis.
+ *
+ * @param {Object} params
+ * @param {string|null} params.folderPath - Currently selected folder path
+ * @param {boolean} params.similarDetectionEnabled - Whether burst detection is toggled on
+ * @param {boolean} params.isReady - Whether the folder has been scanned (app is in READY state)
+ * @param {boolean} [params.scanSubfolders=false] - Check files in subfolders too (recursive scan)
+ * @param {Object} [params.pairingOptions] - Pairing and media rules so groups match the batch preview
+ * @param {string} [params.similarKeepCount='1'] - Best frames kept per cluster
+ * @param {string} [params.burstGapSeconds='2'] - Largest gap between frames of one burst
+ * @param {Array<{ camera: string, seconds: number }>} [params.clockOffsets] - Camera clock corrections for capture times
+ */
+export function useSimilarDetection({ folderPath, similarDetectionEnabled, isReady, scanSubfolders = false, pairingOptions = null, similarKeepCount = '1', burstGapSeconds = '2', clockOffsets = null }) {
+  const [similarResults, setSimilarResults] = useState(null);   // { clusters, clusteredGroups, ... }
+  const [similarProgress, setSimilarProgress] = useState(null); // { current, total }
+  const [isFindingSimilar, setIsFindingSimilar] = useState(false);
+  const [keepOverrides, setKeepOverrides] = useState(new Map()); // baseName -> kept (true/false)
+  const [detachedGroups, setDetachedGroups] = useState(new Set()); // Frames the user took out of their cluster
+  const [rerunTick, setRerunTick] = useState(0);
+
+  // Key of the last completed run, to skip redundant runs
+  const lastRunKeyRef = useRef(null);
+  const inFlightRef = useRef(false);
+  // Set when the inputs change mid-run (e.g. typing the burst gap), so the run is repeated
+  const rerunRef = useRef(false);
+
+  useEffect(() => {
+    if (!window.electronAPI?.onSimilarProgress) return;
+    return window.electronAPI.onSimilarProgress((data) => {
+      setSimilarProgress(data);
+    });
+  }, []);
+
+  const keepCount = Math.max(1, parseInt(similarKeepCount, 10) || 1);
+
+  // Derived: clusters with the user's changes applied. `burstNumber` stays
+  // stable when frames are detached, so labels don't jump around.
+  const clusters = useMemo(() => {
+    if (!similarResults) return [];
+    return similarResults.clusters
+      .map((cluster, index) => ({
+        burstNumber: index + 1,
+        members: cluster.members.filter(member => !detachedGroups.has(member.baseName)),
+      }))
+      .filter(cluster => cluster.members.length > 1)
+      .map(cluster => ({
+        ...cluster,
+        members: cluster.members.map((member, rank) => ({
+          ...member,
+          rank: rank + 1,
+          kept: keepOverrides.has(member.baseName) ? keepOverrides.get(member.baseName) : rank < keepCount,
+        })),
+      }));
+  }, [similarResults, detachedGroups, keepOverrides, keepCount]);
+
+  // Derived: base names sent to the Similar folder
+  const similarGroups = useMemo(
+    () => clusters.flatMap(cluster => cluster.members.filter(member => !member.kept).map(member => member.baseName)),
+    [clusters]
+  );
+
+  const similarCount = similarGroups.length;
+
+  // Derived: analyzed file -> burst context, for ImagePreviewModal (detached frames included so they can be added back)
+  const similarInfoMap = useMemo(() => {
+    const map = {};
+    if (!similarResults) return map;
+    similarResults.clusters.forEach((cluster, index) => {
+      for (const member of cluster.members) {
+        map[member.analyzedFile] = { baseName: member.baseName, burstNumber: index + 1, score: member.score, detached: true };
+      }
+    });
+    for (const cluster of clusters) {
+      for (const member of cluster.members) {
+        map[member.analyzedFile] = {
+          ...map[member.analyzedFile],
+          rank: member.rank,
+          size: cluster.members.length,
+          kept: member.kept,
+          detached: false,
+        };
+      }
+    }
+    return map;
+  }, [similarResults, clusters]);
+
+  const findSimilar = useCallback(async () => {
+    if (!folderPath || !similarDetectionEnabled || !isReady) return;
+    if (inFlightRef.current) {
+      rerunRef.current = true;
+      return;
+    }
+
+    const runKey = JSON.stringify({ folderPath, scanSubfolders, pairingOptions, burstGapSeconds, clockOffsets });
+    if (lastRunKeyRef.current === runKey) return;
+
+    inFlightRef.current = true;
+    setIsFindingSimilar(true);
+    setSimilarProgress(null);
+
+    try {
+      const result = await window.electronAPI.findSimilar(folderPath, {
+        recursive: scanSubfolders,
+        ...pairingOptions,
+        burstGapSeconds: parseInt(burstGapSeconds, 10) || 0,
+        clockOffsets,
+      });
+      if (result.success) {
+        setSimilarResults(result);
+        setKeepOverrides(new Map());
+        setDetachedGroups(new Set());
+        lastRunKeyRef.current = runKey;
+      } else {
+        console.error('[SIMILAR] Detection failed:', result.error);
+        setSimilarResults(null);
+      }
+    } catch (err) {
+      console.error('[SIMILAR] Detection error:', err);
+      setSimilarResults(null);
+    } finally {
+      inFlightRef.current = false;
+      setIsFindingSimilar(false);
+      setSimilarProgress(null);
+      if (rerunRef.current) {
+        rerunRef.current = false;
+        setRerunTick(tick => tick + 1);
+      }
+    }
+  }, [folderPath, similarDetectionEnabled, isReady, scanSubfolders, pairingOptions, burstGapSeconds, clockOffsets]);
+
+  /**
+   * Reset all burst state (folder change or feature toggled off).
+   */
+  const resetSimilarState = useCallback(() => {
+    setSimilarResults(null);
+    setSimilarProgress(null);
+    setIsFindingSimilar(false);
+    setKeepOverrides(new Map());
+    setDetachedGroups(new Set());
+    lastRunKeyRef.current = null;
+  }, []);
+
+  // Run while enabled; clear results when turned off
+  useEffect(() => {
+    if (!similarDetectionEnabled) {
+      resetSimilarState();
+      return;
+    }
+    findSimilar();
+  }, [similarDetectionEnabled, findSimilar, resetSimilarState, rerunTick]);
+
+  /**
+   * Keep a frame that would go to the Similar folder, or send a kept frame there.
+   */
+  const toggleSimilarKeep = useCallback((baseName) => {
+    const member = clusters.flatMap(cluster => cluster.members).find(m => m.baseName === baseName);
+    if (!member) return;
+    setKeepOverrides(prev => new Map(prev).set(baseName, !member.kept));
+  }, [clusters]);
+
+  /**
+   * Take a frame out of its cluster (it is then batched normally), or put it back.
+   */
+  const toggleSimilarDetach = useCallback((baseName) => {
+    setDetachedGroups(prev => {
+      const next = new Set(prev);
+      if (next.has(baseName)) {
+        next.delete(baseName);
+      } else {
+        next.add(baseName);
+      }
+      return next;
+    });
+  }, []);
+
+  return {
+    similarResults,
+    similarProgress,
+    isFindingSimilar,
+    clusters,
+    similarGroups,
+    similarCount,
+    similarInfoMap,
+    detachedGroups,
+    findSimilar,
+    toggleSimilarKeep,
+    toggleSimilarDetach,
+    resetSimilarState,
+  };
+}
@@ -0,0 +1,278 @@
+/**
+ * Analysis Cache - Persistent per-file results shared by all analyzers
+ *
+ * EXIF reads, blur scores, exposure metrics, burst hashes and duplicate
+ * digests are stored in one file in userData (analysis-cache.json), so
+ * re-opening a folder, or restarting the app, only analyzes new or
+ * changed files.
+ *
+ * Key features:
+ * - Keyed by analyzer + file identity (absolute path, size, mtime): an
+ *   edited or replaced file misses, its old entry simply ages out
+ * - LRU eviction: the least recently used entries are dropped first once
+ *   the entry count or the estimated size on disk is over its limit
+ *   (MAX_ANALYSIS_CACHE_ENTRIES / MAX_ANALYSIS_CACHE_MB in config.js)
+ * - Loaded once per session on first use (open()); get/set are synchronous
+ *   after that, so analyzers can call them inside their worker pools
+ * - Saved atomically (temp file + rename) when an analyzer calls save()
+ *   after a run; cache hits alone do not rewrite the file
+ *
+ * Usage from an analyzer:
+ *   await analysisCache.open();
+ *   let value = analysisCache.get('exposure', filePath, stat);
+ *   if (value === undefined) { value = await measure(filePath); analysisCache.set('exposure', filePath, stat, value); }
+ *   ...
+ *   analysisCache.save();
+ */
+
+const { app } = require('electron');
+const path = require('path');
+const fsPromises = require('fs').promises;
+const config = require('./config');
+const { formatBytes } = require('./fileUtils');
+const logger = require('../utils/logger');
+
+/** File name inside userData */
+const CACHE_FILE_NAME = 'analysis-cache.json';
+
+/** Bump when the stored value shapes change; older files are discarded on load */
+const CACHE_VERSION = 1;
+
+/** Rough per-entry overhead on disk (JSON brackets, quotes, separators) */
+const ENTRY_OVERHEAD_BYTES = 8;
+
+/**
+ * Map of "analyzer \0 path \0 size \0 mtimeMs" -> { value, bytes }.
+ * Map keeps insertion order: the first key is the least recently used.
+ * null until open() has loaded the file.
+ */
+let entries = null;
+let totalBytes = 0;
+let loadPromise = null;
+let dirty = false;
+let savePromise = null;
+let queuedSavePromise = null;
+
+/**
+ * Absolute path of the cache file.
+ *
+ * @returns {string}
+ */
+function getCacheFilePath() {
+  return path.join(app.getPath('userData'), CACHE_FILE_NAME);
+}
+
+/**
+ * @param {string} analyzer - Analyzer name, e.g. 'exif-date', 'blur-global'
+ * @param {string} filePath - Absolute path
+ * @param {{ size: number, mtimeMs: number }} stat
+ * @returns {string} Cache key
+ */
+function buildKey(analyzer, filePath, stat) {
+  return `${analyzer}\0${filePath}\0${stat.size}\0${stat.mtimeMs}`;
+}
+
+/**
+ * Estimated bytes an entry takes in the saved file.
+ */
+function entrySize(key, value) {
+  return key.length + (JSON.stringify(value) ?? '').length + ENTRY_OVERHEAD_BYTES;
+}
+
+/**
+ * Drop least recently used entries until both limits hold.
+ *
+ * @returns {number} Entries dropped
+ */
+function evict() {
+  const maxEntries = config.limits.MAX_ANALYSIS_CACHE_ENTRIES;
+  const maxBytes = config.limits.MAX_ANALYSIS_CACHE_MB * 1024 * 1024;
+  let dropped = 0;
+  while (entries.size > maxEntries || (totalBytes > maxBytes && entries.size > 0)) {
+    const [oldestKey, oldest] = entries.entries().next().value;
+    entries.delete(oldestKey);
+    totalBytes -= oldest.bytes;
+    dropped++;
+  }
+  if (dropped > 0) dirty = true;
+  return dropped;
+}
+
+/**
+ * Read the cache file into memory. A missing, corrupt or outdated file
+ * starts an empty cache.
+ */
+async function load() {
+  entries = new Map();
+  totalBytes = 0;
+  try {
+    const data = JSON.parse(await fsPromises.readFile(getCacheFilePath(), 'utf8'));
+    if (data?.version !== CACHE_VERSION || !Array.isArray(data.entries)) {
+      logger.log('💾 [ANALYSIS CACHE] Outdated cache file — starting empty');
+      return;
+    }
+    for (const item of data.entries) {
+      if (!Array.isArray(item) || typeof item[0] !== 'string') continue;
+      const [key, value] = item;
+      const bytes = entrySize(key, value);
+      entries.set(key, { value, bytes });
+      totalBytes += bytes;
+    }
+    // The limits may have been lowered since the file was written
+    evict();
+    logger.log(`💾 [ANALYSIS CACHE] Loaded ${entries.size} entries (${formatBytes(totalBytes)})`);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.warn('⚠️ [ANALYSIS CACHE] Could not read the cache file — starting empty:', err.message);
+    }
+  }
+}
+
+/**
+ * Load the cache on first use. Safe to call before every analysis.
+ *
+ * @returns {Promise<void>}
+ */
+function open() {
+  if (!loadPromise) loadPromise = load();
+  return loadPromise;
+}
+
+/**
+ * Look up a result and mark it as recently used.
+ *
+ * @param {string} analyzer - Analyzer name
+ * @param {string} filePath - Absolute path
+ * @param {{ size: number, mtimeMs: number }|undefined} stat - From collectFileStats (undefined: never cached)
+ * @returns {any} The stored value (may be null), or undefined on a miss
+ */
+function get(analyzer, filePath, stat) {
+  if (!entries || !stat) return undefined;
+  const key = buildKey(analyzer, filePath, stat);
+  const entry = entries.get(key);
+  if (!entry) return undefined;
+  entries.delete(key);
+  entries.set(key, entry);
+  return entry.value;
+}
+
+/**
+ * Store a result (any JSON-serializable value, including null).
+ *
+ * @param {string} analyzer - Analyzer name
+ * @param {string} filePath - Absolute path
+ * @param {{ size: number, mtimeMs: number }|undefined} stat - From collectFileStats (undefined: not stored)
+ * @param {any} value
+ */
+function set(analyzer, filePath, stat, value) {
+  if (!entries || !stat) return;
+  const key = buildKey(analyzer, filePath, stat);
+  const previous = entries.get(key);
+  if (previous) {
+    entries.delete(key);
+    totalBytes -= previous.bytes;
+  }
+  const bytes = entrySize(key, value);
+  entries.set(key, { value, bytes });
+  totalBytes += bytes;
+  dirty = true;
+  evict();
+}
+
+/**
+ * Write the cache to disk (temp file + rename).
+ */
+async function writeToDisk() {
+  dirty = false;
+  const filePath = getCacheFilePath();
+  const tempPath = filePath + '.tmp';
+  const data = JSON.stringify({
+    version: CACHE_VERSION,
+    entries: Array.from(entries, ([key, entry]) => [key, entry.value]),
+  });
+  await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+  await fsPromises.writeFile(tempPath, data, 'utf8');
+  await fsPromises.rename(tempPath, filePath);
+  logger.log(`💾 [ANALYSIS CACHE] Saved ${entries.size} entries (${formatBytes(data.length)})`);
+}
+
+/**
+ * Persist new results. Calls made while a save is running are folded into
+ * one more save afterwards. Errors are logged, never thrown — the cache is
+ * an optimization.
+ *
+ * @returns {Promise<void>} Resolves once everything stored so far is on disk
+ */
+function save() {
+  if (savePromise) {
+    if (!queuedSavePromise) {
+      queuedSavePromise = savePromise.then(() => {
+        queuedSavePromise = null;
+        return save();
+      });
+    }
+    return queuedSavePromise;
+  }
+  if (!entries || !dirty) return Promise.resolve();
+
+  savePromise = writeToDisk()
+    .catch(err => logger.warn('⚠️ [ANALYSIS CACHE] Could not save the cache file:', err.message))
+    .finally(() => {
+      savePromise = null;
+    });
+  return savePromise;
+}
+
+/**
+ * Entry counts and size, for the "clear analysis cache" action.
+ *
+ * @returns {Promise<Object>} { entries, sizeBytes, sizeStr, path, analyzers } where analyzers maps
+ *   analyzer name -> entry count
+ */
+async function getInfo() {
+  await open();
+  const analyzers = {};
+  for (const key of entries.keys()) {
+    const analyzer = key.slice(0, key.indexOf('\0'));
+    analyzers[analyzer] = (analyzers[analyzer] || 0) + 1;
+  }
+  return {
+    entries: entries.size,
+    sizeBytes: totalBytes,
+    sizeStr: formatBytes(totalBytes),
+    path: getCacheFilePath(),
+    analyzers,
+  };
+}
+
+/**
+ * Remove every stored result, in memory and on disk.
+ *
+ * @returns {Promise<number>} Entries removed
+ */
+async function clear() {
+  await open();
+  // Let running and queued saves finish first, so they cannot re-create the file
+  while (savePromise || queuedSavePromise) await (queuedSavePromise || savePromise);
+
+  const removed = entries.size;
+  entries = new Map();
+  totalBytes = 0;
+  dirty = false;
+  try {
+    await fsPromises.unlink(getCacheFilePath());
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  logger.log(`🧹 [ANALYSIS CACHE] Cleared ${removed} entries`);
+  return removed;
+}
+
+module.exports = {
+  open,
+  get,
+  set,
+  save,
+  getInfo,
+  clear,
+};
@@ -0,0 +1,123 @@
+/**
+ * Batch Balancer
+ * Spreads sorted file groups over a fixed number of batches ("target batch
+ * count" limit mode) so the batches end up as even as possible, by file
+ * count or by bytes. Groups are never split.
+ *
+ * Pure module (no Electron, no logger) so tests can require it directly.
+ * batchEngine.calculateBatches() sorts the groups and turns the index
+ * bins returned here into file lists.
+ */
+
+const range = (from, to) => Array.from({ length: to - from }, (_, i) => from + i);
+
+/**
+ * Min-heap of bins keyed by load, ties broken by bin index so the
+ * assignment is deterministic.
+ */
+class BinHeap {
+  constructor(count) {
+    this.items = Array.from({ length: count }, (_, index) => ({ index, load: 0 }));
+  }
+
+  static less(a, b) {
+    return a.load < b.load || (a.load === b.load && a.index < b.index);
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  /** Restore heap order after the lightest bin's load grew */
+  siftDownTop() {
+    const items = this.items;
+    let i = 0;
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < items.length && BinHeap.less(items[left], items[smallest])) smallest = left;
+      if (right < items.length && BinHeap.less(items[right], items[smallest])) smallest = right;
+      if (smallest === i) return;
+      [items[i], items[smallest]] = [items[smallest], items[i]];
+      i = smallest;
+    }
+  }
+}
+
+/**
+ * Greedy "largest first" balancing: heaviest group goes into the lightest
+ * bin. Any order of the sorted list is allowed.
+ *
+ * @param {number[]} weights - Weight per group, in sort order
+ * @param {number} binCount - Number of bins (<= weights.length)
+ * @returns {number[][]} Group indices per bin
+ */
+function balanceLargestFirst(weights, binCount) {
+  const order = weights.map((_w, i) => i).sort((a, b) => weights[b] - weights[a] || a - b);
+  const bins = Array.from({ length: binCount }, () => []);
+  const heap = new BinHeap(binCount);
+
+  for (const groupIndex of order) {
+    const lightest = heap.peek();
+    bins[lightest.index].push(groupIndex);
+    lightest.load += weights[groupIndex];
+    heap.siftDownTop();
+  }
+
+  // Keep the sort order inside each bin, and order bins by their first group
+  for (const bin of bins) bin.sort((a, b) => a - b);
+  return bins.sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Contiguous balancing: cuts the sorted list into consecutive slices,
+ * placing each cut where the running total is closest to an even share.
+ *
+ * @param {number[]} weights - Weight per group, in sort order
+ * @param {number} binCount - Number of bins (<= weights.length)
+ * @returns {number[][]} Group indices per bin
+ */
+function balanceContiguous(weights, binCount) {
+  const prefix = new Array(weights.length + 1);
+  prefix[0] = 0;
+  for (let i = 0; i < weights.length; i++) prefix[i + 1] = prefix[i] + weights[i];
+  const total = prefix[weights.length];
+
+  const bins = [];
+  let start = 0;
+  for (let k = 1; k < binCount; k++) {
+    const ideal = (total * k) / binCount;
+    // Every later bin still needs at least one group
+    const maxEnd = weights.length - (binCount - k);
+    let end = start + 1;
+    while (end < maxEnd && Math.abs(prefix[end + 1] - ideal) <= Math.abs(prefix[end] - ideal)) end++;
+    bins.push(range(start, end));
+    start = end;
+  }
+  bins.push(range(start, weights.length));
+  return bins;
+}
+
+/**
+ * Split weighted groups into targetBatchCount bins with minimal spread.
+ * Returns fewer bins when there are fewer groups than requested, so no
+ * batch is ever empty.
+ *
+ * @param {number[]} weights - Weight per group (files or bytes), in sort order
+ * @param {number} targetBatchCount - Requested number of batches
+ * @param {Object} [options={}]
+ * @param {boolean} [options.contiguous=false] - Bins must be consecutive slices of the sort order
+ * @returns {number[][]} Group indices per bin, ascending, bins in sort order
+ */
+function balanceGroups(weights, targetBatchCount, options = {}) {
+  const binCount = Math.min(Math.max(1, Math.floor(targetBatchCount) || 1), weights.length);
+  if (binCount === 0) return [];
+  return options.contiguous
+    ? balanceContiguous(weights, binCount)
+    : balanceLargestFirst(weights, binCount);
+}
+
+module.exports = {
+  balanceGroups,
+};
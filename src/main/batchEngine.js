@@ -12,65 +12,52 @@ const {
   BATCH_SEARCH_DEPTH
 } = require('./constants');
 const logger = require('../utils/logger');
+const { partitionFileGroups } = require('./batchPartitioner');
+const { balanceGroups } = require('./batchBalancer');
+const { buildPairingRules, resolveOriginalBases, getSidecarBases, getSidecarExtension } = require('../utils/pairingRules');
+const { buildMediaRegistry, getMediaCategory, isIgnoredFile, SYSTEM_FILES, MEDIA_CATEGORIES, CUSTOM_CATEGORY } = require('../utils/mediaTypes');
 
 /**
  * System files to always ignore (case-insensitive)
- * These files are created by operating systems and should never be batched
+ * AppleDouble "._" files and user ignore patterns are handled by mediaTypes.
  */
-const IGNORED_FILES = new Set([
-  'desktop.ini',
-  '.ds_store',
-  'thumbs.db',
-  '.gitkeep',
-  '.gitignore',
-  'folder.jpg',
-  'albumart.jpg'
-]);
+const IGNORED_FILES = SYSTEM_FILES;
+
+/** Registry used when no media options are given (default categories, no ignore patterns) */
+const DEFAULT_MEDIA_REGISTRY = buildMediaRegistry();
 
 /**
- * Allowed file extensions for photo files (case-insensitive)
- * Includes common image formats and RAW formats from major camera manufacturers
+ * Extensions batched by default (case-insensitive)
+ * Categories and extra extensions are configurable, see mediaTypes.js
  */
-const ALLOWED_EXTENSIONS = new Set([
-  // Common image formats
-  'jpg', 'jpeg', 'png', 'gif', 'bmp', 'tiff', 'tif', 'webp', 'heic', 'heif',
-  // RAW formats by manufacturer
-  'raw',           // Generic RAW
-  'cr2', 'cr3',    // Canon
-  'nef', 'nrw',    // Nikon
-  'arw', 'srf',    // Sony
-  'dng',           // Adobe DNG / Leica / some phones
-  'orf',           // Olympus
-  'rw2',           // Panasonic
-  'pef',           // Pentax
-  'raf',           // Fujifilm
-  'srw',           // Samsung
-  'x3f',           // Sigma
-  // Video formats (photographers often shoot video too)
-  'mp4', 'mov', 'avi', 'mkv', 'mts', 'm2ts'
-]);
+const ALLOWED_EXTENSIONS = new Set(DEFAULT_MEDIA_REGISTRY.extensions.keys());
+
+/** Per-type subfolders created inside each batch folder (type subfolder layout) */
+const TYPE_FOLDERS = { raw: 'RAW', jpeg: 'JPEG', video: 'Video' };
+
+/** Image extensions that go to the JPEG subfolder; other images stay in the batch folder itself */
+const JPEG_EXTENSIONS = new Set(['jpg', 'jpeg']);
+
+/**
+ * Get the file name part of a relative path ("DCIM/100CANON/IMG_0001.JPG" -> "IMG_0001.JPG").
+ * Plain file names are returned unchanged.
+ * 
+ * @param {string} filePath - File name or '/'-joined relative path
+ * @returns {string} File name without directories
+ */
+function getFileName(filePath) {
+  const slashIndex = filePath.lastIndexOf('/');
+  return slashIndex === -1 ? filePath : filePath.substring(slashIndex + 1);
+}
 
 /**
  * Check if a file should be processed based on extension
- * @param {string} fileName - The file name to check
+ * @param {string} fileName - The file name (or relative path) to check
+ * @param {Object} [registry] - From mediaTypes.buildMediaRegistry() (defaults when omitted)
  * @returns {boolean} True if file should be processed
  */
-function isAllowedFile(fileName) {
-  const lowerName = fileName.toLowerCase();
-  
-  // Skip ignored system files
-  if (IGNORED_FILES.has(lowerName)) {
-    return false;
-  }
-  
-  // Get extension
-  const lastDotIndex = lowerName.lastIndexOf('.');
-  if (lastDotIndex <= 0) {
-    return false; // No extension or hidden file
-  }
-  
-  const ext = lowerName.substring(lastDotIndex + 1);
-  return ALLOWED_EXTENSIONS.has(ext);
+function isAllowedFile(fileName, registry = DEFAULT_MEDIA_REGISTRY) {
+  return getMediaCategory(fileName, registry) !== null;
 }
 
 /**
@@ -83,18 +70,43 @@ const yieldToMain = () => new Promise(resolve => setImmediate(resolve));
  * Optimized grouping with yielding for loop responsiveness
  * Filters out system files and non-image files
  * 
- * @param {string[]} files - Array of file names
+ * Files from a recursive scan are relative paths. The directory stays part of
+ * the group key, so "100CANON/IMG_0001" and "101CANON/IMG_0001" are separate
+ * groups while a pair inside one folder is still kept together.
+ * 
+ * PAIRING (see pairingRules.js):
+ * 1. Media files are grouped by exact base name
+ * 2. Derived files matching a pattern ("DSC_0001-Edit") join their
+ *    original's group when that original exists
+ * 3. Sidecars ("IMG_1.xmp", "IMG_1.CR3.xmp") join the matching group.
+ *    Sidecars with no media file stay where they are.
+ * 
+ * Which files count as media is decided by the media registry (see
+ * mediaTypes.js): enabled categories, extra extensions and ignore patterns.
+ * 
+ * @param {string[]} files - Array of file names or relative paths
+ * @param {Object} [options={}] - Pairing rules { sidecarExtensions, pairingPatterns } and media
+ *   rules { mediaCategories, extraExtensions, ignorePatterns } (defaults when omitted)
  * @returns {Promise<Object>} Map of baseName -> array of fileNames
  */
-async function groupFilesByBaseName(files) {
+async function groupFilesByBaseName(files, options = {}) {
   const groups = {};
+  const rules = buildPairingRules(options);
+  const registry = buildMediaRegistry(options);
+  const sidecars = [];
   let skippedCount = 0;
   
   for (let i = 0; i < files.length; i++) {
     const fileName = files[i];
     
+    // Sidecars are attached once every media group is known
+    if (getSidecarExtension(fileName, rules.sidecarExtensions)) {
+      if (!isIgnoredFile(fileName, registry)) sidecars.push(fileName);
+      continue;
+    }
+    
     // Filter out non-allowed files
-    if (!isAllowedFile(fileName)) {
+    if (!isAllowedFile(fileName, registry)) {
       skippedCount++;
       continue;
     }
@@ -119,9 +131,76 @@ async function groupFilesByBaseName(files) {
     logger.log(`📂 [BATCH] Skipped ${skippedCount} non-image/system files`);
   }
   
+  // Case-insensitive lookup: sidecars and edits often differ in case ("IMG_1.JPG" / "img_1.xmp")
+  const groupIndex = new Map();
+  for (const baseName of Object.keys(groups)) {
+    const key = baseName.toLowerCase();
+    if (!groupIndex.has(key)) groupIndex.set(key, baseName);
+  }
+  
+  // Merge derived files into their originals
+  let mergedCount = 0;
+  if (rules.patterns.length > 0) {
+    for (const baseName of Object.keys(groups)) {
+      const target = resolveOriginalBases(baseName, rules.patterns)
+        .map(candidate => groupIndex.get(candidate.toLowerCase()))
+        .find(match => match && match !== baseName && groups[match]);
+      if (!target) continue;
+      
+      groups[target].push(...groups[baseName]);
+      delete groups[baseName];
+      // Sidecars of the derived file follow it into the original's group
+      groupIndex.set(baseName.toLowerCase(), target);
+      mergedCount++;
+    }
+  }
+  
+  // Attach sidecars to their media group
+  let orphanCount = 0;
+  for (const sidecar of sidecars) {
+    const target = getSidecarBases(sidecar)
+      .flatMap(base => [base, ...resolveOriginalBases(base, rules.patterns)])
+      .map(base => groupIndex.get(base.toLowerCase()))
+      .find(match => match && groups[match]);
+    if (target) {
+      groups[target].push(sidecar);
+    } else {
+      orphanCount++;
+    }
+  }
+  
+  if (mergedCount > 0 || sidecars.length > 0) {
+    logger.log(`🔗 [PAIRING] ${mergedCount} derived groups merged, ${sidecars.length - orphanCount} sidecars attached, ${orphanCount} without a media file left in place`);
+  }
+  
   return groups;
 }
 
+/**
+ * Count grouped files per media category, for the folder stats.
+ * Sidecars count as "sidecar"; the counts add up to the number of grouped files.
+ * 
+ * @param {Object} fileGroups - Map of baseName -> fileNames (from groupFilesByBaseName)
+ * @param {Object} [options={}] - Same options as groupFilesByBaseName()
+ * @returns {Object<string, number>} Map of category -> file count, in display order
+ */
+function countFilesByCategory(fileGroups, options = {}) {
+  const { sidecarExtensions } = buildPairingRules(options);
+  const registry = buildMediaRegistry(options);
+  const counts = {};
+  for (const category of [...Object.keys(MEDIA_CATEGORIES), CUSTOM_CATEGORY, 'sidecar']) counts[category] = 0;
+  for (const files of Object.values(fileGroups)) {
+    for (let i = 0; i < files.length; i++) {
+      const category = getSidecarExtension(files[i], sidecarExtensions)
+        ? 'sidecar'
+        : getMediaCategory(files[i], registry);
+      if (category) counts[category]++;
+    }
+  }
+  // Only report categories that are present
+  return Object.fromEntries(Object.entries(counts).filter(([, count]) => count > 0));
+}
+
 /**
  * Sort file groups based on user preference
  * This determines the order files are assigned to batches
@@ -186,6 +265,179 @@ function sortFileGroups(groupsArray, sortBy = 'name-asc', fileStats = null) {
   }
 }
 
+/**
+ * Sum the on-disk size of every file in a group.
+ * Files missing from the stats map (e.g. stat failed) count as 0 bytes.
+ * 
+ * @param {string[]} files - File names in the group
+ * @param {Object} sizeStats - Map of fileName -> { size } (from collectFileStats)
+ * @returns {number} Total size in bytes
+ */
+function getGroupBytes(files, sizeStats) {
+  if (!sizeStats) return 0;
+  let total = 0;
+  for (let i = 0; i < files.length; i++) {
+    const size = sizeStats[files[i]]?.size;
+    if (typeof size === 'number') total += size;
+  }
+  return total;
+}
+
+/**
+ * Type subfolder of a media file: "RAW", "JPEG" or "Video".
+ * 
+ * @param {string} fileName - File name or relative path
+ * @param {Object} registry - From mediaTypes.buildMediaRegistry()
+ * @returns {string|null} null for files kept in the batch folder itself
+ */
+function getTypeFolder(fileName, registry) {
+  const category = getMediaCategory(fileName, registry);
+  if (category === 'image') {
+    const ext = fileName.substring(fileName.lastIndexOf('.') + 1).toLowerCase();
+    return JPEG_EXTENSIONS.has(ext) ? TYPE_FOLDERS.jpeg : null;
+  }
+  return TYPE_FOLDERS[category] || null;
+}
+
+/**
+ * Pick the type subfolder of every grouped file.
+ * 
+ * Media files go by type (other images, audio and custom types stay in the
+ * batch folder itself). Sidecars follow the file they are named after
+ * ("IMG_1.JPG.xmp" -> JPEG/), otherwise their group's RAW file, since that
+ * is where Lightroom and darktable write them.
+ * 
+ * @param {Object} fileGroups - Map of baseName -> fileNames (from groupFilesByBaseName)
+ * @param {Object} [options={}] - Same options as groupFilesByBaseName()
+ * @returns {Map<string, string|null>} Map of fileName -> type folder (null = batch folder itself)
+ */
+function assignTypeFolders(fileGroups, options = {}) {
+  const { sidecarExtensions } = buildPairingRules(options);
+  const registry = buildMediaRegistry(options);
+  const typeFolders = new Map();
+  
+  for (const files of Object.values(fileGroups)) {
+    const sidecars = [];
+    const folderByName = new Map(); // lowercase file name -> folder, for double-extension sidecars
+    let groupFolder = null;
+    for (const fileName of files) {
+      if (getSidecarExtension(fileName, sidecarExtensions)) {
+        sidecars.push(fileName);
+        continue;
+      }
+      const folder = getTypeFolder(fileName, registry);
+      typeFolders.set(fileName, folder);
+      folderByName.set(fileName.toLowerCase(), folder);
+      if (folder && (!groupFolder || folder === TYPE_FOLDERS.raw)) groupFolder = folder;
+    }
+    for (const sidecar of sidecars) {
+      const namedAfter = getSidecarBases(sidecar).find(base => folderByName.has(base.toLowerCase()));
+      typeFolders.set(sidecar, namedAfter ? folderByName.get(namedAfter.toLowerCase()) : groupFolder);
+    }
+  }
+  
+  return typeFolders;
+}
+
+/**
+ * Work out each file's name inside its batch folder.
+ * 
+ * - preserveStructure: the relative subfolder layout is kept ("DCIM/100CANON/IMG_0001.JPG")
+ * - flatten (default): only the file name is kept. When two groups in the same
+ *   batch would end up with the same name (IMG_0001 from 100CANON and 101CANON),
+ *   the later group is prefixed with its folder path ("DCIM_101CANON_IMG_0001.JPG").
+ *   The prefix is applied to the whole file group (see groupFilesByBaseName), so
+ *   pairs, sidecars ("IMG_0001.JPG.xmp") and edits ("IMG_0001-Edit.tif") keep
+ *   matching names.
+ * 
+ * Top-level files always keep their names.
+ * 
+ * With typeFolders (see assignTypeFolders) every name is then placed in its
+ * type subfolder ("RAW/IMG_0001.CR3", "JPEG/DCIM/100CANON/IMG_0001.JPG").
+ * 
+ * @param {string[]} batchFiles - Files in one batch folder (pairs adjacent or not)
+ * @param {boolean} [preserveStructure=false] - Keep relative subfolders
+ * @param {Map<string, string|null>|null} [typeFolders=null] - Map of fileName -> type subfolder
+ * @param {Map<string, string>|null} [groupKeys=null] - Map of fileName -> group key (see getGroupKeys);
+ *   files without one are grouped by their path without extension
+ * @returns {Map<string, string>} Map of fileName -> relative destination name
+ */
+function buildDestinationNames(batchFiles, preserveStructure = false, typeFolders = null, groupKeys = null) {
+  const destNames = new Map();
+  
+  if (preserveStructure) {
+    for (const fileName of batchFiles) destNames.set(fileName, fileName);
+  } else {
+    assignFlattenedNames(batchFiles, destNames, groupKeys);
+  }
+  
+  if (typeFolders) {
+    for (const [fileName, name] of destNames) {
+      const folder = typeFolders.get(fileName);
+      if (folder) destNames.set(fileName, `${folder}/${name}`);
+    }
+  }
+  return destNames;
+}
+
+/**
+ * Reverse lookup of groupFilesByBaseName(): the group key of every file.
+ * Take it before groups are removed from fileGroups, so set-aside files
+ * keep their groups too.
+ * 
+ * @param {Object} fileGroups - Map of baseName -> array of fileNames
+ * @returns {Map<string, string>} Map of fileName -> baseName
+ */
+function getGroupKeys(fileGroups) {
+  const groupKeys = new Map();
+  for (const [baseName, files] of Object.entries(fileGroups)) {
+    for (const fileName of files) groupKeys.set(fileName, baseName);
+  }
+  return groupKeys;
+}
+
+/**
+ * Flatten layout of buildDestinationNames(): file names only, with a folder
+ * prefix for groups that would otherwise collide.
+ * 
+ * @param {string[]} batchFiles
+ * @param {Map<string, string>} destNames - Filled in place
+ * @param {Map<string, string>|null} groupKeys - Map of fileName -> group key
+ */
+function assignFlattenedNames(batchFiles, destNames, groupKeys) {
+  
+  // Collect files per file group so a group is renamed as a unit
+  const groups = new Map();
+  for (const fileName of batchFiles) {
+    const lastDotIndex = fileName.lastIndexOf('.');
+    const groupKey = groupKeys?.get(fileName) ??
+      (lastDotIndex > 0 ? fileName.substring(0, lastDotIndex) : fileName);
+    if (!groups.has(groupKey)) groups.set(groupKey, []);
+    groups.get(groupKey).push(fileName);
+  }
+  
+  // Top-level groups claim their names first so they are never renamed
+  const orderedGroups = [...groups].sort((a, b) => Number(a[0].includes('/')) - Number(b[0].includes('/')));
+  
+  const usedNames = new Set();
+  for (const [groupKey, files] of orderedGroups) {
+    const slashIndex = groupKey.lastIndexOf('/');
+    const dirPrefix = slashIndex === -1 ? '' : groupKey.substring(0, slashIndex).split('/').join('_');
+    const baseNames = files.map(getFileName);
+    
+    let names = baseNames;
+    for (let attempt = 1; names.some(n => usedNames.has(n.toLowerCase())); attempt++) {
+      const prefix = attempt === 1 ? dirPrefix : `${dirPrefix || 'file'}_${attempt}`;
+      names = baseNames.map(n => (prefix ? `${prefix}_${n}` : n));
+    }
+    
+    for (let i = 0; i < files.length; i++) {
+      usedNames.add(names[i].toLowerCase());
+      destNames.set(files[i], names[i]);
+    }
+  }
+}
+
 /**
  * Optimized batch calculation with memory efficiency
  * 
@@ -194,13 +446,47 @@ function sortFileGroups(groupsArray, sortBy = 'name-asc', fileStats = null) {
  * - Avoids spread operator which can cause stack overflow on >65k items
  * - Uses manual loops for memory-efficient array operations
  * 
+ * LIMIT MODES:
+ * - 'count' (default): a batch holds at most maxFilesPerBatch files
+ * - 'size': a batch holds at most options.maxBytesPerBatch bytes, measured
+ *   from options.sizeStats. Groups are still never split, so a single group
+ *   larger than the limit gets a batch of its own.
+ * - 'target': exactly options.targetBatchCount batches (fewer if there are
+ *   fewer groups), as even as possible by file count or, with
+ *   options.balanceBy = 'bytes', by size. maxFilesPerBatch is ignored.
+ * 
+ * PACKING:
+ * - default: a group may backfill one of the last BATCH_SEARCH_DEPTH batches,
+ *   which packs folders tighter but can place a group ahead of groups sorted
+ *   before it
+ * - options.contiguous: only the current batch is filled, so every batch is a
+ *   consecutive slice of the sorted group list (Batch_002 starts right after
+ *   the last group of Batch_001)
+ * 
  * @param {Object} fileGroups - Map of baseName -> fileNames
  * @param {number} maxFilesPerBatch - Max files allowed per folder
  * @param {string} [sortBy='name-asc'] - Sort order for file groups
  * @param {Object} [fileStats=null] - Map of fileName -> stats
+ * @param {Object} [options={}] - Limit options
+ * @param {'count'|'size'|'target'} [options.limitMode='count'] - What the batch limit measures
+ * @param {number} [options.maxBytesPerBatch] - Max bytes per folder (size mode)
+ * @param {number} [options.targetBatchCount] - Number of batches to create (target mode)
+ * @param {'files'|'bytes'} [options.balanceBy='files'] - What to even out (target mode)
+ * @param {Object} [options.sizeStats] - Map of fileName -> { size } (size mode, target mode by bytes)
+ * @param {boolean} [options.contiguous=false] - Keep batches in sort order (no backfilling)
  * @returns {Promise<Array<Array<string>>>} Array of batches (array of filenames)
  */
-async function calculateBatches(fileGroups, maxFilesPerBatch, sortBy = 'name-asc', fileStats = null) {
+async function calculateBatches(fileGroups, maxFilesPerBatch, sortBy = 'name-asc', fileStats = null, options = {}) {
+  const { limitMode = 'count', maxBytesPerBatch = 0, sizeStats = null, contiguous = false } = options;
+  
+  if (limitMode === 'target') {
+    return balanceBatches(fileGroups, sortBy, fileStats, options);
+  }
+  
+  const useSizeLimit = limitMode === 'size' && maxBytesPerBatch > 0;
+  const capacity = useSizeLimit ? maxBytesPerBatch : maxFilesPerBatch;
+  const searchDepth = contiguous ? 1 : BATCH_SEARCH_DEPTH;
+  
   const groupsArray = Object.entries(fileGroups);
   const groupCount = groupsArray.length;
   
@@ -215,26 +501,29 @@ async function calculateBatches(fileGroups, maxFilesPerBatch, sortBy = 'name-asc
   logger.log(`📊 [SORT] File groups sorted by: ${sortBy}`);
   
   const batches = [];
-  const batchCounts = [];
+  // Current load per batch: file count, or bytes in size mode
+  const batchLoads = [];
   
   for (let i = 0; i < groupsArray.length; i++) {
     const [_baseName, files] = groupsArray[i];
     const groupSize = files.length;
+    const groupWeight = useSizeLimit ? getGroupBytes(files, sizeStats) : groupSize;
     
     let placed = false;
     // Iterate backwards - optimization heuristic: 
     // Newer batches are at the end, more likely to have space.
     // BOUNDED SEARCH: Only check the last N batches to ensure O(N) complexity
-    const searchStart = Math.max(0, batches.length - BATCH_SEARCH_DEPTH);
+    // (contiguous mode only ever checks the current batch)
+    const searchStart = Math.max(0, batches.length - searchDepth);
     
     for (let j = batches.length - 1; j >= searchStart; j--) {
-      if (batchCounts[j] + groupSize <= maxFilesPerBatch) {
+      if (batchLoads[j] + groupWeight <= capacity) {
         // MEMORY FIX: Use manual loop instead of spread operator
         // Spread operator can cause stack overflow on arrays >65k items
         for (let k = 0; k < files.length; k++) {
           batches[j].push(files[k]);
         }
-        batchCounts[j] += groupSize;
+        batchLoads[j] += groupWeight;
         placed = true;
         break;
       }
@@ -248,7 +537,7 @@ async function calculateBatches(fileGroups, maxFilesPerBatch, sortBy = 'name-asc
         newBatch[k] = files[k];
       }
       batches.push(newBatch);
-      batchCounts.push(groupSize);
+      batchLoads.push(groupWeight);
     }
     
     // Yield periodically to keep UI responsive
@@ -259,20 +548,141 @@ async function calculateBatches(fileGroups, maxFilesPerBatch, sortBy = 'name-asc
   
   // Log stats for large operations
   if (groupCount > 10000) {
-    const totalFiles = batchCounts.reduce((sum, count) => sum + count, 0);
+    const totalFiles = batches.reduce((sum, batch) => sum + batch.length, 0);
     logger.log(`📊 [BATCH] Processed ${groupCount.toLocaleString()} groups into ${batches.length} batches (${totalFiles.toLocaleString()} files)`);
   }
   
   return batches;
 }
 
+/**
+ * Target batch count mode of calculateBatches(): sorts the groups, then lets
+ * batchBalancer spread them over options.targetBatchCount batches.
+ * Each batch keeps the sort order internally, and batches are ordered by
+ * their first group.
+ * 
+ * @param {Object} fileGroups - Map of baseName -> fileNames
+ * @param {string} sortBy - Sort order for file groups
+ * @param {Object|null} fileStats - Map of fileName -> stats
+ * @param {Object} options - See calculateBatches()
+ * @returns {Promise<Array<Array<string>>>} Array of batches (array of filenames)
+ */
+async function balanceBatches(fileGroups, sortBy, fileStats, options) {
+  const { targetBatchCount = 1, balanceBy = 'files', sizeStats = null, contiguous = false } = options;
+  
+  const groupsArray = sortFileGroups(Object.entries(fileGroups), sortBy, fileStats);
+  const weights = new Array(groupsArray.length);
+  for (let i = 0; i < groupsArray.length; i++) {
+    const files = groupsArray[i][1];
+    weights[i] = balanceBy === 'bytes' ? getGroupBytes(files, sizeStats) : files.length;
+    
+    if (i % BATCH_YIELD_THRESHOLD === 0 && i > 0) {
+      await yieldToMain();
+    }
+  }
+  
+  const bins = balanceGroups(weights, targetBatchCount, { contiguous });
+  const batches = bins.map(bin => {
+    const batch = [];
+    for (const groupIndex of bin) {
+      const files = groupsArray[groupIndex][1];
+      for (let k = 0; k < files.length; k++) batch.push(files[k]);
+    }
+    return batch;
+  });
+  
+  logger.log(`⚖️ [BALANCE] ${groupsArray.length} groups into ${batches.length} of ${targetBatchCount} batches by ${balanceBy}${contiguous ? ' (contiguous)' : ''}`);
+  return batches;
+}
+
+/**
+ * Plan batches, optionally splitting on partition boundaries first.
+ * 
+ * With options.splitBy = 'none' this is exactly calculateBatches(). Otherwise
+ * groups are partitioned (see batchPartitioner) and each partition is packed
+ * on its own, so the count/size limit still applies within a partition but a
+ * batch never spans two of them. In target mode each partition gets the
+ * target number of batches.
+ * 
+ * @param {Object} fileGroups - Map of baseName -> fileNames
+ * @param {number} maxFilesPerBatch - Max files allowed per folder
+ * @param {string} [sortBy='name-asc'] - Sort order for file groups
+ * @param {Object} [fileStats=null] - Map of fileName -> stats
+ * @param {Object} [options={}] - calculateBatches() options, plus:
+ * @param {string} [options.splitBy='none'] - Partition mode ('none' | 'day' | 'week' | 'month' | 'session' | 'location' | 'camera' | 'lens' | 'rating' | 'label' | 'orientation')
+ * @param {Object} [options.captureDates] - Map of fileName -> timestamp (date, session and location split modes)
+ * @param {number} [options.sessionGapMinutes] - Gap that starts a new session (session split mode)
+ * @param {Object} [options.cameraInfo] - Map of fileName -> camera info (camera/lens split modes)
+ * @param {Object} [options.ratings] - Map of fileName -> { rating, label } (rating/label split modes)
+ * @param {Object} [options.gpsInfo] - Map of fileName -> { latitude, longitude } (location split mode)
+ * @param {number} [options.locationRadiusKm] - Location radius (location split mode)
+ * @param {Array<Object>} [options.placeLabels] - User place names (location split mode)
+ * @param {Object} [options.dimensions] - Map of fileName -> { width, height } (orientation split mode)
+ * @returns {Promise<{ batches: Array<Array<string>>, batchMeta: Array<Object|null> }>}
+ *   batchMeta[i] is null when not splitting, else { partitionKey, partitionLabel, partitionIndex, captureDate }
+ *   plus { sessionIndex, sessionCount, startTime, endTime } in session mode and
+ *   { locationIndex, locationCount, latitude, longitude, locationName, placeName, inheritedGroups } in location mode
+ *   and { orientation } in orientation mode
+ */
+async function planBatches(fileGroups, maxFilesPerBatch, sortBy = 'name-asc', fileStats = null, options = {}) {
+  const {
+    splitBy = 'none', captureDates = null, cameraInfo = null, ratings = null, gpsInfo = null, dimensions = null,
+    sessionGapMinutes, locationRadiusKm, placeLabels, ...limitOptions
+  } = options;
+  
+  if (!splitBy || splitBy === 'none') {
+    const batches = await calculateBatches(fileGroups, maxFilesPerBatch, sortBy, fileStats, limitOptions);
+    return { batches, batchMeta: batches.map(() => null) };
+  }
+  
+  const partitions = partitionFileGroups(fileGroups, splitBy, {
+    captureDates,
+    cameraInfo,
+    ratings,
+    gpsInfo,
+    dimensions,
+    sessionGapMinutes,
+    locationRadiusKm,
+    placeLabels,
+    descending: sortBy.endsWith('-desc'),
+  });
+  
+  const batches = [];
+  const batchMeta = [];
+  for (let p = 0; p < partitions.length; p++) {
+    const { key, label, groups, ...details } = partitions[p];
+    const partBatches = await calculateBatches(groups, maxFilesPerBatch, sortBy, fileStats, limitOptions);
+    for (const batch of partBatches) {
+      batches.push(batch);
+      batchMeta.push({
+        partitionKey: key,
+        partitionLabel: label,
+        partitionIndex: p,
+        ...details, // captureDate, plus session / location / orientation details in those modes
+      });
+    }
+  }
+  
+  logger.log(`🗂️ [SPLIT] ${partitions.length} partition(s) by ${splitBy} -> ${batches.length} batches`);
+  return { batches, batchMeta };
+}
+
 module.exports = {
   groupFilesByBaseName,
+  countFilesByCategory,
   calculateBatches,
+  planBatches,
   sortFileGroups,
+  getGroupBytes,
+  buildDestinationNames,
+  getGroupKeys,
+  assignTypeFolders,
+  getTypeFolder,
+  getFileName,
   yieldToMain,
   isAllowedFile,
   ALLOWED_EXTENSIONS,
-  IGNORED_FILES
+  IGNORED_FILES,
+  TYPE_FOLDERS
 };
 
@@ -0,0 +1,607 @@
+/**
+ * Batch Partitioner
+ * Splits file groups into ordered partitions before count/size packing,
+ * so a batch never mixes groups from different partitions (e.g. days,
+ * shooting sessions, locations, camera bodies, lenses, star ratings or
+ * orientations).
+ * Also applies the rating / color label filter rules.
+ *
+ * Pure module (no Electron, no logger) so tests can require it directly.
+ * batchEngine.planBatches() runs the normal packer once per partition.
+ */
+
+const { clusterLocations, getGroupGps } = require('./locationClusterer');
+const { getCameraName, getCameraBodyLabel } = require('../utils/cameraClocks');
+
+/** Supported splitBy modes that partition by capture date */
+const DATE_SPLIT_MODES = new Set(['day', 'week', 'month']);
+
+/** splitBy mode that clusters capture times separated by a gap */
+const SESSION_SPLIT_MODE = 'session';
+
+/** splitBy mode that clusters GPS positions within a radius */
+const LOCATION_SPLIT_MODE = 'location';
+
+/** Supported splitBy modes that partition by camera EXIF */
+const CAMERA_SPLIT_MODES = new Set(['camera', 'lens']);
+
+/** Supported splitBy modes that partition by star rating or color label */
+const RATING_SPLIT_MODES = new Set(['rating', 'label']);
+
+/** splitBy mode that partitions by frame shape (portrait, landscape, square, panorama) */
+const ORIENTATION_SPLIT_MODE = 'orientation';
+
+/** Long side / short side from which a frame counts as a panorama */
+const PANORAMA_ASPECT_RATIO = 2;
+
+/** Long side / short side up to which a frame counts as square */
+const SQUARE_ASPECT_RATIO = 1.05;
+
+/** Orientation partitions in delivery order */
+const ORIENTATIONS = [
+  { key: 'landscape', label: 'Landscape' },
+  { key: 'portrait', label: 'Portrait' },
+  { key: 'square', label: 'Square' },
+  { key: 'panorama', label: 'Panorama' },
+];
+
+/** Color labels in Lightroom/Bridge order (lowercase). Custom labels sort after these. */
+const COLOR_LABELS = ['red', 'yellow', 'green', 'blue', 'purple'];
+
+/** XMP Rating of a rejected frame */
+const REJECTED_RATING = -1;
+
+/** Partition key used for groups without a usable capture date */
+const UNDATED_KEY = 'undated';
+
+/** Partition key used for groups without camera (or lens) EXIF */
+const UNKNOWN_CAMERA_KEY = 'unknown-camera';
+
+/** Partition key used for groups without a star rating (or color label) */
+const UNRATED_KEY = 'unrated';
+
+/** Partition key used for groups without pixel dimensions (e.g. videos) */
+const UNKNOWN_ORIENTATION_KEY = 'unknown-orientation';
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+/**
+ * Earliest capture timestamp among a group's files.
+ * Accepts both timestamp maps (extractExifDates) and stat maps ({ mtimeMs }).
+ *
+ * @param {string[]} files - File names in the group
+ * @param {Object|null} captureDates - Map of fileName -> timestamp (ms) or { mtimeMs }
+ * @returns {number} Timestamp in ms, or 0 if unknown
+ */
+function getGroupCaptureTime(files, captureDates) {
+  if (!captureDates) return 0;
+  let earliest = Infinity;
+  for (const file of files) {
+    const entry = captureDates[file];
+    const time = (typeof entry === 'number') ? entry : (entry?.mtimeMs || 0);
+    if (time && time < earliest) earliest = time;
+  }
+  return earliest === Infinity ? 0 : earliest;
+}
+
+/**
+ * ISO-8601 week number and week-year for a local date (weeks start on Monday).
+ *
+ * @param {Date} date
+ * @returns {{ year: number, week: number }}
+ */
+function getIsoWeek(date) {
+  // Shift to the Thursday of this week; its year is the ISO week-year
+  const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  thursday.setDate(thursday.getDate() + 3 - ((thursday.getDay() + 6) % 7));
+  const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+  firstThursday.setDate(firstThursday.getDate() + 3 - ((firstThursday.getDay() + 6) % 7));
+  const week = 1 + Math.round((thursday - firstThursday) / (7 * 24 * 60 * 60 * 1000));
+  return { year: thursday.getFullYear(), week };
+}
+
+/**
+ * Calendar partition for a capture timestamp, in local time.
+ *
+ * - day:   key "2024-06-14", label "Fri, Jun 14 2024"
+ * - week:  key "2024-W24",   label "Week 24, 2024 (from Mon, Jun 10)"
+ * - month: key "2024-06",    label "Jun 2024"
+ *
+ * The key doubles as the {capture_date} value in folder names.
+ *
+ * @param {number} timestamp - Capture time in ms (0 = unknown)
+ * @param {'day'|'week'|'month'} unit - Calendar unit
+ * @returns {{ key: string, label: string, sortValue: number }}
+ */
+function getDatePartition(timestamp, unit) {
+  if (!timestamp) {
+    return { key: UNDATED_KEY, label: 'Unknown date', sortValue: Infinity };
+  }
+
+  const date = new Date(timestamp);
+  const year = date.getFullYear();
+  const month = date.getMonth();
+
+  if (unit === 'month') {
+    return {
+      key: `${year}-${pad2(month + 1)}`,
+      label: `${MONTH_NAMES[month]} ${year}`,
+      sortValue: new Date(year, month, 1).getTime(),
+    };
+  }
+
+  if (unit === 'week') {
+    const { year: weekYear, week } = getIsoWeek(date);
+    const monday = new Date(year, month, date.getDate() - ((date.getDay() + 6) % 7));
+    return {
+      key: `${weekYear}-W${pad2(week)}`,
+      label: `Week ${week}, ${weekYear} (from Mon, ${MONTH_NAMES[monday.getMonth()]} ${monday.getDate()})`,
+      sortValue: monday.getTime(),
+    };
+  }
+
+  return {
+    key: `${year}-${pad2(month + 1)}-${pad2(date.getDate())}`,
+    label: `${DAY_NAMES[date.getDay()]}, ${MONTH_NAMES[month]} ${date.getDate()} ${year}`,
+    sortValue: new Date(year, month, date.getDate()).getTime(),
+  };
+}
+
+/**
+ * "14:05" clock time for a timestamp, in local time.
+ *
+ * @param {number} timestamp
+ * @returns {string}
+ */
+function formatClock(timestamp) {
+  const date = new Date(timestamp);
+  return `${pad2(date.getHours())}:${pad2(date.getMinutes())}`;
+}
+
+/**
+ * Human-readable span of a session, e.g. "Fri, Jun 14 2024, 14:05 – 15:40".
+ * The end shows its own day when the session runs past midnight.
+ *
+ * @param {number} startTime - First capture in ms
+ * @param {number} endTime - Last capture in ms
+ * @returns {string}
+ */
+function formatSessionRange(startTime, endTime) {
+  const startDay = getDatePartition(startTime, 'day');
+  const endDay = getDatePartition(endTime, 'day');
+  const end = startDay.key === endDay.key
+    ? formatClock(endTime)
+    : `${endDay.label.replace(/ \d{4}$/, '')} ${formatClock(endTime)}`;
+  return `${startDay.label}, ${formatClock(startTime)} – ${end}`;
+}
+
+/**
+ * Cluster groups into shooting sessions. Groups are ordered by capture
+ * time and a new session starts whenever the gap to the previous group is
+ * longer than gapMinutes. Sessions are numbered chronologically from 1;
+ * groups without a capture time go to an "Unknown date" partition.
+ *
+ * @param {Object} fileGroups - Map of baseName -> fileNames
+ * @param {Object|null} captureDates - Map of fileName -> timestamp (ms)
+ * @param {number} gapMinutes - Gap that separates two sessions
+ * @returns {Array<Object>} Unordered partitions with sortValue, sessionIndex, startTime, endTime
+ */
+function clusterSessions(fileGroups, captureDates, gapMinutes) {
+  const gapMs = Math.max(1, gapMinutes) * 60 * 1000;
+  const timed = [];
+  const undated = {};
+
+  for (const [baseName, files] of Object.entries(fileGroups)) {
+    const time = getGroupCaptureTime(files, captureDates);
+    if (time) timed.push({ baseName, files, time });
+    else undated[baseName] = files;
+  }
+  timed.sort((a, b) => a.time - b.time);
+
+  const sessions = [];
+  let current = null;
+  for (const group of timed) {
+    if (!current || group.time - current.endTime > gapMs) {
+      current = { startTime: group.time, endTime: group.time, groups: {} };
+      sessions.push(current);
+    }
+    current.endTime = group.time;
+    current.groups[group.baseName] = group.files;
+  }
+
+  const partitions = sessions.map((session, i) => ({
+    key: `session-${i + 1}`,
+    label: `Session ${i + 1} · ${formatSessionRange(session.startTime, session.endTime)}`,
+    captureDate: getDatePartition(session.startTime, 'day').key,
+    sessionIndex: i + 1,
+    sessionCount: sessions.length,
+    startTime: session.startTime,
+    endTime: session.endTime,
+    sortValue: session.startTime,
+    groups: session.groups,
+  }));
+
+  if (Object.keys(undated).length > 0) {
+    partitions.push({ key: UNDATED_KEY, label: 'Unknown date', captureDate: null, sortValue: Infinity, groups: undated });
+  }
+  return partitions;
+}
+
+/**
+ * Camera info for a group: the first file with camera EXIF wins, so a
+ * RAW+JPG pair is placed by whichever file carries the tags.
+ *
+ * @param {string[]} files - File names in the group
+ * @param {Object|null} cameraInfo - Map of fileName -> { make, model, serial, lens } | null
+ * @returns {Object|null}
+ */
+function getGroupCamera(files, cameraInfo) {
+  if (!cameraInfo) return null;
+  for (const file of files) {
+    if (cameraInfo[file]) return cameraInfo[file];
+  }
+  return null;
+}
+
+/**
+ * Camera body or lens partition for a group's camera info.
+ *
+ * - camera: one partition per body. Two bodies of the same model are kept
+ *   apart by BodySerialNumber when the camera writes it.
+ * - lens:   one partition per LensModel.
+ *
+ * @param {Object|null} info - { make, model, serial, lens } from exifService
+ * @param {'camera'|'lens'} unit
+ * @returns {{ key: string, label: string, sortValue: string|number }}
+ */
+function getCameraPartition(info, unit) {
+  if (unit === 'lens') {
+    if (!info?.lens) {
+      return { key: UNKNOWN_CAMERA_KEY, label: 'Unknown lens', sortValue: Infinity };
+    }
+    return { key: `lens:${info.lens.toLowerCase()}`, label: info.lens, sortValue: info.lens.toLowerCase() };
+  }
+
+  if (!info || !(info.make || info.model)) {
+    return { key: UNKNOWN_CAMERA_KEY, label: 'Unknown camera', sortValue: Infinity };
+  }
+  // Same label as the clock offset entries (see utils/cameraClocks.js)
+  const label = getCameraBodyLabel(info);
+  return {
+    key: `camera:${[info.make, info.model, info.serial].map(v => (v || '').toLowerCase()).join('|')}`,
+    label,
+    sortValue: label.toLowerCase(),
+  };
+}
+
+/**
+ * Rating and label for a group. An .xmp sidecar wins, since that is where
+ * Lightroom and darktable write ratings for RAW files; otherwise the first
+ * file carrying the value is used. Rating and label are resolved separately.
+ *
+ * @param {string[]} files - File names in the group
+ * @param {Object|null} ratings - Map of fileName -> { rating, label } | null
+ * @returns {{ rating: number|null, label: string|null }}
+ */
+function getGroupRating(files, ratings) {
+  const result = { rating: null, label: null };
+  if (!ratings) return result;
+  const ordered = [
+    ...files.filter(file => file.toLowerCase().endsWith('.xmp')),
+    ...files.filter(file => !file.toLowerCase().endsWith('.xmp')),
+  ];
+  for (const file of ordered) {
+    const entry = ratings[file];
+    if (!entry) continue;
+    if (result.rating === null && entry.rating !== null && entry.rating !== undefined) result.rating = entry.rating;
+    if (result.label === null && entry.label) result.label = entry.label;
+  }
+  return result;
+}
+
+/**
+ * Star rating or color label partition for a group.
+ *
+ * - rating: "5-star" ... "1-star" (best first), then "rejected", then
+ *   "unrated" (no rating or 0 stars) last.
+ * - label:  one partition per label in COLOR_LABELS order, custom labels
+ *   after them, then "No label" last.
+ *
+ * @param {{ rating: number|null, label: string|null }} info - From getGroupRating()
+ * @param {'rating'|'label'} unit
+ * @returns {{ key: string, label: string, sortValue: number }}
+ */
+function getRatingPartition(info, unit) {
+  if (unit === 'label') {
+    if (!info.label) {
+      return { key: UNRATED_KEY, label: 'No label', sortValue: Infinity };
+    }
+    const name = info.label.toLowerCase();
+    const order = COLOR_LABELS.indexOf(name);
+    return {
+      key: `label:${name}`,
+      label: info.label.charAt(0).toUpperCase() + info.label.slice(1),
+      sortValue: order === -1 ? COLOR_LABELS.length : order,
+    };
+  }
+
+  if (info.rating === REJECTED_RATING) {
+    return { key: 'rejected', label: 'Rejected', sortValue: 6 };
+  }
+  if (!info.rating) {
+    return { key: UNRATED_KEY, label: 'Unrated', sortValue: Infinity };
+  }
+  return {
+    key: `${info.rating}-star`,
+    label: info.rating === 1 ? '1 Star' : `${info.rating} Stars`,
+    sortValue: 5 - info.rating,
+  };
+}
+
+/**
+ * Shape of a frame from its displayed dimensions (EXIF orientation applied).
+ * Panoramas are checked first, so a tall vertical panorama is a panorama.
+ *
+ * @param {number} width
+ * @param {number} height
+ * @returns {'landscape'|'portrait'|'square'|'panorama'|null} null without dimensions
+ */
+function classifyOrientation(width, height) {
+  if (!(width > 0) || !(height > 0)) return null;
+  const ratio = Math.max(width, height) / Math.min(width, height);
+  if (ratio >= PANORAMA_ASPECT_RATIO) return 'panorama';
+  if (ratio <= SQUARE_ASPECT_RATIO) return 'square';
+  return height > width ? 'portrait' : 'landscape';
+}
+
+/**
+ * Dimensions of a group: the first file with dimensions wins (a RAW+JPG
+ * pair has the same shape).
+ *
+ * @param {string[]} files - File names in the group
+ * @param {Object|null} dimensions - Map of fileName -> { width, height } | null
+ * @returns {{ width: number, height: number }|null}
+ */
+function getGroupDimensions(files, dimensions) {
+  if (!dimensions) return null;
+  for (const file of files) {
+    if (dimensions[file]) return dimensions[file];
+  }
+  return null;
+}
+
+/**
+ * Orientation partition for a group's dimensions, in ORIENTATIONS order;
+ * groups without dimensions go to "Unknown orientation" last.
+ *
+ * @param {{ width: number, height: number }|null} dims - From getGroupDimensions()
+ * @returns {{ key: string, label: string, sortValue: number }}
+ */
+function getOrientationPartition(dims) {
+  const key = dims ? classifyOrientation(dims.width, dims.height) : null;
+  const index = ORIENTATIONS.findIndex(orientation => orientation.key === key);
+  if (index === -1) {
+    return { key: UNKNOWN_ORIENTATION_KEY, label: 'Unknown orientation', sortValue: Infinity };
+  }
+  return { key, label: ORIENTATIONS[index].label, sortValue: index };
+}
+
+/**
+ * Whether batch options contain a rating or label filter rule.
+ *
+ * @param {Object} options - Validated batch options
+ * @returns {boolean}
+ */
+function hasRatingRules(options) {
+  return options.minRating > 0 || Boolean(options.labelFilter) || options.rejectedAction === 'folder';
+}
+
+/**
+ * Apply the rating filter rules to file groups.
+ *
+ * - Rejected groups (rating -1) are routed out when rejectedAction is
+ *   'folder' (they go to the "_Rejected" folder).
+ * - Groups rated below minRating (unrated counts as 0) are filtered out.
+ * - Groups whose label differs from labelFilter are filtered out.
+ *
+ * Filtered groups are left out of the plan (not moved).
+ *
+ * @param {Object} fileGroups - Map of baseName -> fileNames
+ * @param {Object|null} ratings - Map of fileName -> { rating, label } | null
+ * @param {Object} options - Validated batch options (minRating, labelFilter, rejectedAction)
+ * @returns {{ rejected: string[], filteredOut: string[] }} Base names
+ */
+function applyRatingRules(fileGroups, ratings, { minRating = 0, labelFilter = '', rejectedAction = 'batch' } = {}) {
+  const rejected = [];
+  const filteredOut = [];
+  for (const [baseName, files] of Object.entries(fileGroups)) {
+    const { rating, label } = getGroupRating(files, ratings);
+    if (rating === REJECTED_RATING && rejectedAction === 'folder') {
+      rejected.push(baseName);
+    } else if ((minRating > 0 && (rating || 0) < minRating) || (labelFilter && (label || '').toLowerCase() !== labelFilter)) {
+      filteredOut.push(baseName);
+    }
+  }
+  return { rejected, filteredOut };
+}
+
+/**
+ * Whether a splitBy mode needs capture dates from exifService.
+ *
+ * @param {string} splitBy
+ * @returns {boolean}
+ */
+function needsCaptureDates(splitBy) {
+  // Location mode uses capture times to place groups without GPS
+  return DATE_SPLIT_MODES.has(splitBy) || splitBy === SESSION_SPLIT_MODE || splitBy === LOCATION_SPLIT_MODE;
+}
+
+/**
+ * Whether a splitBy mode needs camera/lens info from exifService.
+ *
+ * @param {string} splitBy
+ * @returns {boolean}
+ */
+function needsCameraInfo(splitBy) {
+  return CAMERA_SPLIT_MODES.has(splitBy);
+}
+
+/**
+ * Whether a splitBy mode needs GPS positions from exifService.
+ *
+ * @param {string} splitBy
+ * @returns {boolean}
+ */
+function needsGps(splitBy) {
+  return splitBy === LOCATION_SPLIT_MODE;
+}
+
+/**
+ * Whether a splitBy mode needs ratings/labels from exifService.
+ *
+ * @param {string} splitBy
+ * @returns {boolean}
+ */
+function needsRatings(splitBy) {
+  return RATING_SPLIT_MODES.has(splitBy);
+}
+
+/**
+ * Whether a splitBy mode needs pixel dimensions from exifService.
+ *
+ * @param {string} splitBy
+ * @returns {boolean}
+ */
+function needsDimensions(splitBy) {
+  return splitBy === ORIENTATION_SPLIT_MODE;
+}
+
+/**
+ * Split file groups into ordered partitions.
+ *
+ * Date, session and location partitions are returned in chronological order
+ * (reversed for descending sorts); camera and lens partitions alphabetically; rating
+ * partitions best first, label partitions in COLOR_LABELS order and orientation
+ * partitions in ORIENTATIONS order. The "Unknown date" / "Unknown location" /
+ * "Unknown camera" / "Unrated" / "Unknown orientation" partition always comes last,
+ * so files without metadata are batched rather than dropped. Each partition keeps the
+ * original group map shape so it can be fed to calculateBatches().
+ *
+ * @param {Object} fileGroups - Map of baseName -> fileNames
+ * @param {string} splitBy - 'none' | 'day' | 'week' | 'month' | 'session' | 'location' | 'camera' | 'lens' | 'rating' | 'label' | 'orientation'
+ * @param {Object} [context={}]
+ * @param {Object} [context.captureDates] - Map of fileName -> timestamp (ms)
+ * @param {number} [context.sessionGapMinutes=20] - Gap that starts a new session
+ * @param {Object} [context.cameraInfo] - Map of fileName -> { make, model, serial, lens } | null
+ * @param {Object} [context.ratings] - Map of fileName -> { rating, label } | null
+ * @param {Object} [context.gpsInfo] - Map of fileName -> { latitude, longitude } | null
+ * @param {Object} [context.dimensions] - Map of fileName -> { width, height } | null
+ * @param {number} [context.locationRadiusKm=1] - Largest distance from a location's centroid
+ * @param {Array<Object>} [context.placeLabels] - User place names: [{ name, latitude, longitude }]
+ * @param {boolean} [context.descending=false] - Reverse date partition order (newest first)
+ * @returns {Array<{ key: string, label: string|null, captureDate: string|null, groups: Object }>}
+ *   Session partitions also carry sessionIndex, sessionCount, startTime and endTime;
+ *   location partitions carry locationIndex, locationCount, latitude, longitude,
+ *   locationName, placeName and inheritedGroups; orientation partitions carry orientation.
+ */
+function partitionFileGroups(fileGroups, splitBy, context = {}) {
+  const {
+    captureDates = null, cameraInfo = null, ratings = null, gpsInfo = null, dimensions = null,
+    sessionGapMinutes = 20, locationRadiusKm = 1, placeLabels = [], descending = false,
+  } = context;
+  const byDate = needsCaptureDates(splitBy);
+  const byRating = needsRatings(splitBy);
+  const byOrientation = needsDimensions(splitBy);
+
+  if (!byDate && !byRating && !byOrientation && !needsCameraInfo(splitBy)) {
+    return [{ key: 'all', label: null, captureDate: null, groups: fileGroups }];
+  }
+
+  const partitions = new Map();
+  if (splitBy === SESSION_SPLIT_MODE) {
+    for (const session of clusterSessions(fileGroups, captureDates, sessionGapMinutes)) {
+      partitions.set(session.key, session);
+    }
+  } else if (splitBy === LOCATION_SPLIT_MODE) {
+    const entries = Object.entries(fileGroups).map(([baseName, files]) => ({
+      baseName,
+      files,
+      time: getGroupCaptureTime(files, captureDates),
+      gps: getGroupGps(files, gpsInfo),
+    }));
+    for (const location of clusterLocations(entries, { radiusKm: locationRadiusKm, placeLabels })) {
+      partitions.set(location.key, location);
+    }
+  } else {
+    for (const [baseName, files] of Object.entries(fileGroups)) {
+      let info;
+      if (byDate) info = getDatePartition(getGroupCaptureTime(files, captureDates), splitBy);
+      else if (byRating) info = getRatingPartition(getGroupRating(files, ratings), splitBy);
+      else if (byOrientation) info = getOrientationPartition(getGroupDimensions(files, dimensions));
+      else info = getCameraPartition(getGroupCamera(files, cameraInfo), splitBy);
+      if (!partitions.has(info.key)) {
+        partitions.set(info.key, {
+          key: info.key,
+          label: info.label,
+          captureDate: (byDate && info.key !== UNDATED_KEY) ? info.key : null,
+          sortValue: info.sortValue,
+          ...(byOrientation && info.key !== UNKNOWN_ORIENTATION_KEY ? { orientation: info.label } : {}),
+          groups: {},
+        });
+      }
+      partitions.get(info.key).groups[baseName] = files;
+    }
+  }
+
+  const ordered = [...partitions.values()].sort((a, b) => {
+    if (a.sortValue === Infinity || b.sortValue === Infinity) {
+      return (a.sortValue === Infinity) - (b.sortValue === Infinity);
+    }
+    if (byRating) return a.sortValue - b.sortValue || a.label.localeCompare(b.label);
+    if (byOrientation) return a.sortValue - b.sortValue;
+    if (!byDate) return a.sortValue.localeCompare(b.sortValue);
+    return descending ? b.sortValue - a.sortValue : a.sortValue - b.sortValue;
+  });
+
+  return ordered.map(({ sortValue: _sortValue, ...partition }) => partition);
+}
+
+module.exports = {
+  partitionFileGroups,
+  getDatePartition,
+  getGroupCaptureTime,
+  getIsoWeek,
+  clusterSessions,
+  formatSessionRange,
+  getCameraName,
+  getGroupCamera,
+  getCameraPartition,
+  getGroupRating,
+  getRatingPartition,
+  classifyOrientation,
+  getGroupDimensions,
+  getOrientationPartition,
+  hasRatingRules,
+  applyRatingRules,
+  needsCaptureDates,
+  needsCameraInfo,
+  needsGps,
+  needsRatings,
+  needsDimensions,
+  DATE_SPLIT_MODES,
+  CAMERA_SPLIT_MODES,
+  RATING_SPLIT_MODES,
+  SESSION_SPLIT_MODE,
+  LOCATION_SPLIT_MODE,
+  ORIENTATION_SPLIT_MODE,
+  ORIENTATIONS,
+  COLOR_LABELS,
+  REJECTED_RATING,
+  UNDATED_KEY,
+  UNKNOWN_CAMERA_KEY,
+  UNRATED_KEY,
+  UNKNOWN_ORIENTATION_KEY,
+};
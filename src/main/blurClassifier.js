@@ -0,0 +1,82 @@
+/**
+ * Blur Classifier
+ * Tells camera shake from missed focus on frames already flagged as
+ * blurry, using the direction of the remaining image gradients. Used by
+ * blurDetectionService.
+ *
+ * Pure module (no Electron, no logger) so tests can require it directly.
+ *
+ * RULES (thresholds from constants.js):
+ * - Low-detail scene: the frame has little contrast to begin with (fog, sky,
+ *   a plain wall) — standard deviation of the grayscale pixels below
+ *   `lowDetailContrast`. Such frames score low whether or not they are sharp.
+ * - Motion blur: shake smears edges along one direction, so the surviving
+ *   gradients all point the same way. The structure-tensor coherence
+ *   (0 = no dominant direction, 1 = a single one) is at least `motionCoherence`.
+ * - Defocus: everything else — softness is the same in every direction.
+ */
+
+/**
+ * Gradient direction statistics of a grayscale frame (Sobel + structure tensor).
+ *
+ * @param {Uint8Array|Buffer} data - One byte per pixel, not contrast-normalised
+ * @param {number} width
+ * @param {number} height
+ * @returns {{ coherence: number, motionAngle: number, contrast: number }}
+ *   coherence 0-1; motionAngle in degrees (0 = horizontal shake, 90 = vertical),
+ *   perpendicular to the dominant gradient; contrast = pixel standard deviation
+ */
+function measureBlurDirection(data, width, height) {
+  let sum = 0;
+  let sumSq = 0;
+  for (let i = 0; i < width * height; i++) {
+    sum += data[i];
+    sumSq += data[i] * data[i];
+  }
+  const count = width * height;
+  const mean = count > 0 ? sum / count : 0;
+  const contrast = count > 0 ? Math.sqrt(Math.max(0, sumSq / count - mean * mean)) : 0;
+
+  let sxx = 0;
+  let syy = 0;
+  let sxy = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const tl = data[i - width - 1], t = data[i - width], tr = data[i - width + 1];
+      const l = data[i - 1], r = data[i + 1];
+      const bl = data[i + width - 1], b = data[i + width], br = data[i + width + 1];
+      const gx = (tr + 2 * r + br) - (tl + 2 * l + bl);
+      const gy = (bl + 2 * b + br) - (tl + 2 * t + tr);
+      sxx += gx * gx;
+      syy += gy * gy;
+      sxy += gx * gy;
+    }
+  }
+
+  const energy = sxx + syy;
+  if (energy === 0) return { coherence: 0, motionAngle: 0, contrast };
+  const coherence = Math.sqrt((sxx - syy) ** 2 + 4 * sxy * sxy) / energy;
+  // Dominant gradient direction; the shake ran across it
+  const gradientAngle = 0.5 * Math.atan2(2 * sxy, sxx - syy) * 180 / Math.PI;
+  const motionAngle = ((gradientAngle + 90) % 180 + 180) % 180;
+  return { coherence, motionAngle, contrast };
+}
+
+/**
+ * Classify a blurry frame.
+ *
+ * @param {{ coherence: number, contrast: number }} metrics - From measureBlurDirection
+ * @param {{ motionCoherence: number, lowDetailContrast: number }} thresholds
+ * @returns {'motion'|'defocus'|'low-detail'}
+ */
+function classifyBlur({ coherence, contrast }, { motionCoherence, lowDetailContrast }) {
+  if (contrast < lowDetailContrast) return 'low-detail';
+  if (coherence >= motionCoherence) return 'motion';
+  return 'defocus';
+}
+
+module.exports = {
+  classifyBlur,
+  measureBlurDirection,
+};
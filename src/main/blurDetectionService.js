@@ -18,18 +18,43 @@
  *       Truly blurry images have almost no edge pixels.
  * 6. An image is flagged as blurry only when BOTH metrics fall below their
  *    respective thresholds. This dual-check greatly reduces false positives.
+ *    Thresholds come from a preset, from the user (custom), or are calibrated
+ *    from the folder's own score distribution ('auto', utils/blurThresholds.js).
  * 
  * For each file group, only the first JPEG/PNG is analyzed (faster than RAW).
- * Results are cached in memory (same pattern as exifService.js).
+ * RAW-only groups are analyzed on the JPEG preview embedded in the RAW file
+ * (rawPreviewService.js); the result records the source and preview size.
+ *
+ * Tiled scoring ('tiled' mode): the Laplacian output is split into a
+ * BLUR_TILE_GRID x BLUR_TILE_GRID grid and the frame is judged by the tile
+ * under the EXIF focus point, or by its sharpest tile (sharpnessTiles.js).
+ * Shallow depth-of-field frames with a sharp subject are no longer flagged
+ * because of their soft background. Per-tile scores are returned for the
+ * heatmap in the image preview.
+ *
+ * Flagged frames are then classified (blurClassifier.js) from the direction
+ * of their gradients as motion blur, defocus or a low-detail scene, so each
+ * class can be routed to its own folder.
+ * Measurements and classifications are stored per file in the persistent
+ * analysis cache (analysisCache.js), and the current folder's measurements
+ * are also kept in memory (same pattern as exifService.js); the thresholds
+ * are applied on every call.
  */
 
 const path = require('path');
 const crypto = require('crypto');
 const sharp = require('sharp');
 const {
-  BLUR_CONCURRENCY, BLUR_RESIZE_WIDTH, BLUR_THRESHOLDS, BLUR_EDGE_THRESHOLDS,
-  BLUR_EDGE_PIXEL_THRESHOLD,
+  BLUR_CONCURRENCY, STAT_CONCURRENCY, BLUR_RESIZE_WIDTH, BLUR_THRESHOLDS, BLUR_EDGE_THRESHOLDS,
+  BLUR_EDGE_PIXEL_THRESHOLD, BLUR_TILE_GRID, BLUR_MOTION_COHERENCE, BLUR_LOW_DETAIL_CONTRAST,
 } = require('./constants');
+const { collectFileStats, runPool } = require('./fileUtils');
+const analysisCache = require('./analysisCache');
+const { extractRawPreview, isRawPreviewFile } = require('./rawPreviewService');
+const { readFocusPoint } = require('./exifService');
+const { measureTiles, orientPoint, pickFocusTile } = require('./sharpnessTiles');
+const { classifyBlur, measureBlurDirection } = require('./blurClassifier');
+const { calibrateThresholds, isBlurryMetrics } = require('../utils/blurThresholds');
 const logger = require('../utils/logger');
 
 // ---------------------------------------------------------------------------
@@ -45,16 +70,18 @@ sharp.concurrency(1);
 // ============================================================================
 
 /**
- * Cache entry: { cacheKey: string, blurMap: Object }
- * Only one folder is cached at a time (the current working folder).
- * Cleared automatically when the folder or file list changes.
+ * Cache entry: { cacheKey: string, metricsMap: Object }
+ * Holds the measurements, not the verdicts, so any threshold can be applied
+ * without decoding again. Only one folder is cached at a time (the current
+ * working folder). Cleared automatically when the folder or file list changes.
  */
-let blurCache = { cacheKey: null, blurMap: null };
+let blurCache = { cacheKey: null, metricsMap: null };
 
 /**
  * Extensions that can be analyzed for blur (JPEG/PNG only — fast to decode).
- * RAW files are skipped because Sharp decoding is slow and the JPEG
- * companion provides the same blur information.
+ * RAW files are not decoded because Sharp decoding is slow and the JPEG
+ * companion provides the same blur information; RAW-only groups fall back
+ * to the embedded preview (see pickRawPreviewFile).
  */
 const ANALYZABLE_EXTENSIONS = new Set([
   'jpg', 'jpeg', 'png', 'webp', 'tiff', 'tif', 'bmp', 'gif', 'heic', 'heif'
@@ -75,19 +102,19 @@ const LAPLACIAN_KERNEL = {
 // ============================================================================
 
 /**
- * Generate a cache key from folderPath + group count + threshold.
+ * Generate a cache key from folderPath + group count + scoring mode.
  * Same SHA-256 pattern as exifService for consistency.
  * 
  * @param {string} folderPath
  * @param {string[]} groupNames - Array of base names
- * @param {string} threshold - Threshold preset name
+ * @param {string} scoring - Scoring mode: 'global' | 'tiled'
  * @returns {string} Cache key
  */
-function buildCacheKey(folderPath, groupNames, threshold) {
+function buildCacheKey(folderPath, groupNames, scoring) {
   const hash = crypto.createHash('sha256');
   hash.update(folderPath);
   hash.update(String(groupNames.length));
-  hash.update(threshold);
+  hash.update(scoring);
   if (groupNames.length > 0) hash.update(groupNames[0]);
   if (groupNames.length > 1) hash.update(groupNames[groupNames.length - 1]);
   if (groupNames.length > 10) hash.update(groupNames[Math.floor(groupNames.length / 2)]);
@@ -113,6 +140,17 @@ function pickAnalyzableFile(files) {
   return null;
 }
 
+/**
+ * Pick the first RAW file with an embedded preview, for groups without a
+ * JPEG/PNG.
+ *
+ * @param {string[]} files - Array of file names in a group
+ * @returns {string|null} File name to take the preview from, or null
+ */
+function pickRawPreviewFile(files) {
+  return files.find(isRawPreviewFile) || null;
+}
+
 /**
  * Compute blur metrics for a single image using dual-metric analysis
  * with contrast normalization.
@@ -137,16 +175,28 @@ function pickAnalyzableFile(files) {
  * 3. Normalise contrast (histogram stretching)
  * 4. Apply Laplacian convolution
  * 5. Compute variance AND edge density from the result
+ * 6. In tiled mode, also score each tile of a grid and pick the deciding tile
  * 
- * @param {string} filePath - Absolute path to the image
- * @returns {Promise<{variance: number, edgeDensity: number}>}
+ * @param {string|Buffer} input - Absolute path to the image, or encoded image bytes
+ * @param {Object} [options]
+ * @param {boolean} [options.tiled=false] - Also score tiles (the frame is auto-rotated first,
+ *   so tiles line up with the displayed image)
+ * @param {{ x: number, y: number }|null} [options.focusPoint] - EXIF focus point of the stored frame (0-1)
+ * @returns {Promise<{variance: number, edgeDensity: number, tiles?: Array, focusTile?: number, focusSource?: string}>}
  *          variance >= 0 and edgeDensity 0.0–1.0, or { variance: -1, edgeDensity: -1 } on error
  */
-async function computeBlurScore(filePath) {
+async function computeBlurScore(input, { tiled = false, focusPoint = null } = {}) {
   try {
-    // Resize + grayscale + normalise + Laplacian in one Sharp pipeline.
     // sequentialRead: true — hint to libvips for linear access (faster I/O).
-    const { data, info } = await sharp(filePath, { sequentialRead: true })
+    const image = sharp(input, { sequentialRead: true });
+    let orientation = 1;
+    if (tiled) {
+      orientation = (await image.metadata()).orientation || 1;
+      image.rotate();
+    }
+
+    // Resize + grayscale + normalise + Laplacian in one Sharp pipeline.
+    const { data, info } = await image
       .resize(BLUR_RESIZE_WIDTH, null, { withoutEnlargement: true })
       .grayscale()
       .normalise()           // histogram stretching — makes scores contrast-independent
@@ -174,7 +224,11 @@ async function computeBlurScore(filePath) {
     const variance = (sumSq / pixelCount) - (mean * mean);
     const edgeDensity = edgePixels / pixelCount;
 
-    return { variance, edgeDensity };
+    if (!tiled) return { variance, edgeDensity };
+
+    const tiles = measureTiles(data, info.width, info.height, { grid: BLUR_TILE_GRID, edgeThreshold: BLUR_EDGE_PIXEL_THRESHOLD });
+    const focus = pickFocusTile(tiles, BLUR_TILE_GRID, focusPoint ? orientPoint(focusPoint, orientation) : null);
+    return { variance, edgeDensity, tiles, focusTile: focus.index, focusSource: focus.source };
   } catch (_err) {
     // Sharp failed to process the image (corrupt, unsupported, etc.)
     return { variance: -1, edgeDensity: -1 };
@@ -182,36 +236,57 @@ async function computeBlurScore(filePath) {
 }
 
 /**
- * Clear the blur cache (e.g. when switching folders).
+ * Classify a blurry image as motion blur, defocus or a low-detail scene.
+ *
+ * Separate pass without normalise(): the original contrast is what tells a
+ * low-detail scene apart. The image is auto-rotated so the motion angle
+ * matches the displayed frame.
+ *
+ * @param {string|Buffer} input - Absolute path to the image, or encoded image bytes
+ * @returns {Promise<{ blurClass: string, motionAngle: number|null, coherence: number }|null>}
+ *   null if the image cannot be decoded
  */
-function clearCache() {
-  blurCache = { cacheKey: null, blurMap: null };
+async function classifyBlurryImage(input) {
+  try {
+    const { data, info } = await sharp(input, { sequentialRead: true })
+      .rotate()
+      .resize(BLUR_RESIZE_WIDTH, null, { withoutEnlargement: true })
+      .grayscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const metrics = measureBlurDirection(data, info.width, info.height);
+    const blurClass = classifyBlur(metrics, { motionCoherence: BLUR_MOTION_COHERENCE, lowDetailContrast: BLUR_LOW_DETAIL_CONTRAST });
+    return {
+      blurClass,
+      motionAngle: blurClass === 'motion' ? Math.round(metrics.motionAngle) % 180 : null,
+      coherence: Math.round(metrics.coherence * 1000) / 1000,
+    };
+  } catch (_err) {
+    return null;
+  }
 }
 
-// ============================================================================
-// POOL-BASED CONCURRENCY HELPER
-// ============================================================================
-
 /**
- * Run an async function over an array of items using a fixed-size worker pool.
- *
- * Unlike chunk-based Promise.all, a new item starts processing the instant a
- * worker finishes — no idle slots waiting for the slowest item in a batch.
- * This typically improves throughput by 20-40% over chunk-based concurrency.
+ * Size of an analyzed RAW preview, for the UI.
  *
- * @param {Array} items - Work items to process
- * @param {number} concurrency - Max parallel workers
- * @param {Function} fn - Async function: (item, index) => Promise<void>
+ * @param {{ data: Buffer }|null} preview
+ * @returns {Promise<{ previewWidth: number|null, previewHeight: number|null, previewBytes: number|null }>}
  */
-async function runPool(items, concurrency, fn) {
-  let idx = 0;
-  const workers = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
-    while (idx < items.length) {
-      const currentIdx = idx++;
-      await fn(items[currentIdx], currentIdx);
-    }
-  });
-  await Promise.all(workers);
+async function describePreview(preview) {
+  if (!preview) return { previewWidth: null, previewHeight: null, previewBytes: null };
+  try {
+    const { width, height } = await sharp(preview.data).metadata();
+    return { previewWidth: width ?? null, previewHeight: height ?? null, previewBytes: preview.data.length };
+  } catch (_err) {
+    return { previewWidth: null, previewHeight: null, previewBytes: preview.data.length };
+  }
+}
+
+/**
+ * Clear the in-memory blur cache (the persistent analysis cache is cleared separately).
+ */
+function clearCache() {
+  blurCache = { cacheKey: null, metricsMap: null };
 }
 
 // ============================================================================
@@ -219,77 +294,127 @@ async function runPool(items, concurrency, fn) {
 // ============================================================================
 
 /**
- * Analyze file groups for blur with pool-based concurrency and progress reporting.
+ * Thresholds for a sensitivity setting.
  *
- * Every image is analyzed at full 512px resolution using the dual-metric
- * approach (Laplacian variance + edge density) with contrast normalization.
- * Pool-based concurrency ensures continuous throughput with no idle slots.
- *
- * Results are cached in memory — repeat calls with the same folder, groups,
- * and threshold return instantly.
- *
- * @param {Object} fileGroups - Map of baseName -> string[] (file names)
- * @param {string} folderPath - Absolute path to the folder
- * @param {string} [threshold='moderate'] - Sensitivity preset: 'strict' | 'moderate' | 'lenient'
- * @param {Function} [onProgress] - Optional callback: ({ current, total }) => void
- * @returns {Promise<Object>} Map of baseName -> { score, isBlurry, analyzedFile }
+ * @param {string} threshold - 'strict' | 'moderate' | 'lenient' | 'auto' | 'custom'
+ * @param {Object} metricsMap - Map of baseName -> measured entry (for 'auto')
+ * @param {{ variance: number, edgeDensity: number }|null} customThresholds - For 'custom'
+ * @returns {{ variance: number, edgeDensity: number, method: string }} method is 'preset',
+ *   'custom', or the calibration method ('valley' | 'percentile') for 'auto'
  */
-async function analyzeBlur(fileGroups, folderPath, threshold = 'moderate', onProgress = null) {
-  const groupNames = Object.keys(fileGroups);
-
-  // Check cache first
-  const cacheKey = buildCacheKey(folderPath, groupNames, threshold);
-  if (blurCache.cacheKey === cacheKey && blurCache.blurMap) {
-    logger.log(`🔍 [BLUR] Cache hit — returning ${groupNames.length} cached results`);
-    return blurCache.blurMap;
+function resolveThresholds(threshold, metricsMap, customThresholds) {
+  if (threshold === 'custom' && customThresholds) {
+    return { variance: customThresholds.variance, edgeDensity: customThresholds.edgeDensity, method: 'custom' };
+  }
+  if (threshold === 'auto') {
+    const calibrated = calibrateThresholds(Object.values(metricsMap).filter(entry => entry.analyzedFile));
+    if (calibrated) return calibrated;
+    logger.log('🔍 [BLUR] Too few frames to calibrate — using the moderate preset');
   }
+  const preset = BLUR_THRESHOLDS[threshold] ? threshold : 'moderate';
+  return { variance: BLUR_THRESHOLDS[preset], edgeDensity: BLUR_EDGE_THRESHOLDS[preset], method: 'preset' };
+}
 
-  const blurMap = {};
-  const varianceThreshold = BLUR_THRESHOLDS[threshold] || BLUR_THRESHOLDS.moderate;
-  const edgeDensityThreshold = BLUR_EDGE_THRESHOLDS[threshold] || BLUR_EDGE_THRESHOLDS.moderate;
-  const totalGroups = groupNames.length;
+/**
+ * Thresholds of the sensitivity presets, so the renderer can draw them on the score chart.
+ *
+ * @returns {Object} Map of preset -> { variance, edgeDensity }
+ */
+function getThresholdPresets() {
+  return Object.fromEntries(Object.keys(BLUR_THRESHOLDS).map(preset => [
+    preset,
+    { variance: BLUR_THRESHOLDS[preset], edgeDensity: BLUR_EDGE_THRESHOLDS[preset] },
+  ]));
+}
 
-  logger.log(`🔍 [BLUR] Analyzing ${totalGroups} file groups (threshold: ${threshold}, ` +
-    `V<${varianceThreshold}, E<${edgeDensityThreshold})...`);
+/**
+ * Measure every group (no thresholds applied yet). Files found in the
+ * analysis cache are not decoded again; their stored classification is
+ * picked up too.
+ *
+ * @returns {Promise<Object>} Map of baseName -> { variance, edgeDensity, analyzedFile, fileStat, fromRaw, source,
+ *   preview fields, and in tiled mode globalScore / tiles / focusTile / focusSource }
+ */
+async function measureGroups(fileGroups, folderPath, tiled, onProgress) {
+  const metricsMap = {};
+  const groupNames = Object.keys(fileGroups);
 
-  // Build the work list: only groups with an analyzable file
+  // Build the work list: groups with an analyzable file, else a RAW preview
   const workItems = [];
+  let rawItems = 0;
   for (const baseName of groupNames) {
     const files = fileGroups[baseName];
     const analyzableFile = pickAnalyzableFile(files);
-    if (analyzableFile) {
-      workItems.push({ baseName, analyzableFile });
+    const rawFile = analyzableFile ? null : pickRawPreviewFile(files);
+    if (analyzableFile || rawFile) {
+      workItems.push({ baseName, analyzableFile: analyzableFile || rawFile, fromRaw: !analyzableFile });
+      if (rawFile) rawItems++;
     } else {
-      // RAW-only or video-only group — skip, mark as not blurry
-      blurMap[baseName] = { score: -1, isBlurry: false, analyzedFile: null };
+      // Video-only group (or an unsupported RAW) — skip, never blurry
+      metricsMap[baseName] = { variance: -1, edgeDensity: -1, analyzedFile: null, source: null };
     }
   }
 
-  logger.log(`🔍 [BLUR] ${workItems.length} groups have analyzable files, ` +
-    `${totalGroups - workItems.length} skipped (RAW/video only)`);
+  logger.log(`🔍 [BLUR] ${workItems.length} groups have analyzable files (${rawItems} via RAW previews), ` +
+    `${groupNames.length - workItems.length} skipped (video only)`);
+
+  const fileStats = await collectFileStats(workItems.map(item => item.analyzableFile), folderPath, STAT_CONCURRENCY);
+  await analysisCache.open();
+  const analyzer = tiled ? 'blur-tiled' : 'blur-global';
 
   // ========================================================================
   // FULL 512px ANALYSIS — pool-based concurrency for all images
   // ========================================================================
   let processed = 0;
+  let cachedFiles = 0;
 
   await runPool(workItems, BLUR_CONCURRENCY, async (item) => {
     const filePath = path.join(folderPath, item.analyzableFile);
-    const metrics = await computeBlurScore(filePath);
-
-    // Dual-metric check: flagged as blurry only when BOTH variance AND
-    // edge density fall below their thresholds.
-    const isBlurry = metrics.variance >= 0 &&
-      metrics.variance < varianceThreshold &&
-      metrics.edgeDensity >= 0 &&
-      metrics.edgeDensity < edgeDensityThreshold;
-
-    blurMap[item.baseName] = {
-      score: metrics.variance,
-      edgeDensity: metrics.edgeDensity,
-      isBlurry,
-      analyzedFile: item.analyzableFile,
+    const fileStat = fileStats[item.analyzableFile];
+    const cached = analysisCache.get(analyzer, filePath, fileStat);
+    if (cached) {
+      const classification = analysisCache.get('blur-class', filePath, fileStat);
+      metricsMap[item.baseName] = {
+        ...cached,
+        analyzedFile: item.analyzableFile,
+        fileStat,
+        ...(classification !== undefined && { classification }),
+      };
+      cachedFiles++;
+      processed++;
+      if (onProgress) onProgress({ current: processed, total: workItems.length });
+      return;
+    }
+
+    // The focus point is read from the file itself (for RAWs, not from the preview)
+    const options = { tiled, focusPoint: tiled ? await readFocusPoint(filePath) : null };
+    let source = 'file';
+    let preview = null;
+    let metrics;
+    if (item.fromRaw) {
+      preview = await extractRawPreview(filePath);
+      source = preview ? preview.kind : null;
+      metrics = preview ? await computeBlurScore(preview.data, options) : { variance: -1, edgeDensity: -1 };
+    } else {
+      metrics = await computeBlurScore(filePath, options);
+    }
+
+    const deciding = metrics.tiles ? metrics.tiles[metrics.focusTile] : metrics;
+    const measurement = {
+      variance: deciding.variance,
+      edgeDensity: deciding.edgeDensity,
+      fromRaw: item.fromRaw,
+      source,
+      ...(await describePreview(preview)),
+      ...(metrics.tiles && {
+        globalScore: metrics.variance,
+        tiles: metrics.tiles,
+        focusTile: metrics.focusTile,
+        focusSource: metrics.focusSource,
+      }),
     };
+    analysisCache.set(analyzer, filePath, fileStat, measurement);
+    metricsMap[item.baseName] = { ...measurement, analyzedFile: item.analyzableFile, fileStat };
 
     processed++;
     if (onProgress) {
@@ -297,18 +422,125 @@ async function analyzeBlur(fileGroups, folderPath, threshold = 'moderate', onPro
     }
   });
 
-  // Count results
-  const blurryCount = Object.values(blurMap).filter(r => r.isBlurry).length;
-  logger.log(`🔍 [BLUR] Analysis complete. ${blurryCount} blurry groups found out of ${totalGroups}.`);
+  if (cachedFiles > 0) logger.log(`🔍 [BLUR] ${cachedFiles} groups taken from the analysis cache`);
+  return metricsMap;
+}
 
-  // Store in cache
-  blurCache = { cacheKey, blurMap };
+/**
+ * Classify flagged groups that have not been classified yet. Results are kept
+ * on the cached entries, so moving a threshold only classifies newly flagged groups.
+ *
+ * @param {Array<Object>} entries - Measured entries (see measureGroups)
+ * @param {string} folderPath
+ */
+async function classifyEntries(entries, folderPath) {
+  await runPool(entries, BLUR_CONCURRENCY, async (entry) => {
+    const filePath = path.join(folderPath, entry.analyzedFile);
+    const preview = entry.fromRaw ? await extractRawPreview(filePath) : null;
+    entry.classification = entry.fromRaw && !preview ? null : await classifyBlurryImage(preview ? preview.data : filePath);
+    analysisCache.set('blur-class', filePath, entry.fileStat, entry.classification);
+  });
+}
+
+/**
+ * Analyze file groups for blur with pool-based concurrency and progress reporting.
+ *
+ * Every image is analyzed at full 512px resolution using the dual-metric
+ * approach (Laplacian variance + edge density) with contrast normalization.
+ * Pool-based concurrency ensures continuous throughput with no idle slots.
+ *
+ * The measurements are cached in memory per folder, groups and scoring mode —
+ * changing the sensitivity (or dragging a custom threshold) only re-applies
+ * the thresholds and classifies newly flagged groups.
+ *
+ * @param {Object} fileGroups - Map of baseName -> string[] (file names)
+ * @param {string} folderPath - Absolute path to the folder
+ * @param {string} [threshold='moderate'] - Sensitivity: 'strict' | 'moderate' | 'lenient' | 'auto'
+ *   (calibrated from this folder's scores, see utils/blurThresholds.js) | 'custom'
+ * @param {Function} [onProgress] - Optional callback: ({ current, total }) => void
+ * @param {string} [scoring='global'] - 'global' (whole frame) | 'tiled' (focus point or sharpest tile)
+ * @param {{ variance: number, edgeDensity: number }|null} [customThresholds=null] - Used with 'custom'
+ * @returns {Promise<{ blurMap: Object, thresholds: Object }>} thresholds = { variance, edgeDensity, method }
+ *   as applied; blurMap maps baseName -> { score, edgeDensity, isBlurry, analyzedFile, source,
+ *   previewWidth, previewHeight, previewBytes } where source is 'file', 'preview' (embedded RAW
+ *   preview) or 'thumbnail' (EXIF thumbnail of a RAW file); preview fields are null for 'file'.
+ *   In tiled mode score / edgeDensity are the deciding tile's, plus { globalScore, tileGrid,
+ *   tiles: [{ variance, edgeDensity, sharp }], focusTile, focusSource: 'af'|'sharpest' }.
+ *   Blurry groups also get { blurClass: 'motion'|'defocus'|'low-detail', motionAngle, coherence }
+ *   (blurClass null if the classifying pass failed; motionAngle only for motion blur).
+ */
+async function analyzeBlur(fileGroups, folderPath, threshold = 'moderate', onProgress = null, scoring = 'global', customThresholds = null) {
+  const groupNames = Object.keys(fileGroups);
+  const tiled = scoring === 'tiled';
+
+  // Check cache first
+  const cacheKey = buildCacheKey(folderPath, groupNames, scoring);
+  let metricsMap;
+  if (blurCache.cacheKey === cacheKey && blurCache.metricsMap) {
+    logger.log(`🔍 [BLUR] Cache hit — re-applying thresholds to ${groupNames.length} cached results`);
+    metricsMap = blurCache.metricsMap;
+  } else {
+    logger.log(`🔍 [BLUR] Analyzing ${groupNames.length} file groups (scoring: ${scoring})...`);
+    metricsMap = await measureGroups(fileGroups, folderPath, tiled, onProgress);
+    blurCache = { cacheKey, metricsMap };
+  }
+
+  const thresholds = resolveThresholds(threshold, metricsMap, customThresholds);
+  logger.log(`🔍 [BLUR] Thresholds (${threshold}, ${thresholds.method}): V<${thresholds.variance}, E<${thresholds.edgeDensity}`);
+
+  const flagged = Object.values(metricsMap).filter(entry => isBlurryMetrics(entry, thresholds));
+  await classifyEntries(flagged.filter(entry => entry.classification === undefined), folderPath);
+  analysisCache.save();
+
+  const blurMap = {};
+  for (const [baseName, entry] of Object.entries(metricsMap)) {
+    if (!entry.analyzedFile) {
+      blurMap[baseName] = { score: -1, isBlurry: false, analyzedFile: null, source: null };
+      continue;
+    }
+    const isBlurry = isBlurryMetrics(entry, thresholds);
+    blurMap[baseName] = {
+      score: entry.variance,
+      edgeDensity: entry.edgeDensity,
+      isBlurry,
+      ...(isBlurry && {
+        blurClass: entry.classification?.blurClass ?? null,
+        motionAngle: entry.classification?.motionAngle ?? null,
+        coherence: entry.classification?.coherence ?? null,
+      }),
+      analyzedFile: entry.analyzedFile,
+      source: entry.source,
+      previewWidth: entry.previewWidth,
+      previewHeight: entry.previewHeight,
+      previewBytes: entry.previewBytes,
+      ...(entry.tiles && {
+        globalScore: entry.globalScore,
+        tileGrid: BLUR_TILE_GRID,
+        tiles: entry.tiles.map(tile => ({
+          variance: Math.round(tile.variance * 10) / 10,
+          edgeDensity: Math.round(tile.edgeDensity * 1000) / 1000,
+          sharp: tile.variance >= 0 && !isBlurryMetrics(tile, thresholds),
+        })),
+        focusTile: entry.focusTile,
+        focusSource: entry.focusSource,
+      }),
+    };
+  }
+
+  // Count results
+  const blurryResults = Object.values(blurMap).filter(r => r.isBlurry);
+  const countClass = (blurClass) => blurryResults.filter(r => r.blurClass === blurClass).length;
+  logger.log(`🔍 [BLUR] Analysis complete. ${blurryResults.length} blurry groups found out of ${groupNames.length} ` +
+    `(${countClass('motion')} motion, ${countClass('defocus')} defocus, ${countClass('low-detail')} low detail).`);
 
-  return blurMap;
+  return { blurMap, thresholds };
 }
 
 module.exports = {
   analyzeBlur,
   clearCache,
   computeBlurScore,
+  getThresholdPresets,
+  pickAnalyzableFile,
+  pickRawPreviewFile,
 };
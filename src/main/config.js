@@ -144,8 +144,56 @@ const limits = {
   /** Default value for maxFilesPerBatch when input is invalid */
   DEFAULT_FILES_PER_BATCH: 500,
 
+  /** Smallest allowed maxBytesPerBatch in size mode (1 MB) */
+  MIN_BYTES_PER_BATCH: 1024 * 1024,
+
+  /** Maximum allowed value for maxBytesPerBatch in size mode (10 TB) */
+  MAX_BYTES_PER_BATCH_CEILING: 10 * 1024 ** 4,
+
+  /** Default value for maxBytesPerBatch when input is invalid (4 GB) */
+  DEFAULT_BYTES_PER_BATCH: 4 * 1024 ** 3,
+
+  /** Maximum number of batches in target batch count mode */
+  MAX_TARGET_BATCH_COUNT: 1000,
+
+  /** Default number of batches in target batch count mode when input is invalid */
+  DEFAULT_TARGET_BATCH_COUNT: 4,
+
+  /** Session split: smallest / largest / default gap (minutes) that starts a new session */
+  MIN_SESSION_GAP_MINUTES: 1,
+  MAX_SESSION_GAP_MINUTES: 24 * 60,
+  DEFAULT_SESSION_GAP_MINUTES: 20,
+
+  /** Burst grouping: smallest / largest / default gap (seconds) between frames of one burst */
+  MIN_BURST_GAP_SECONDS: 1,
+  MAX_BURST_GAP_SECONDS: 60,
+  DEFAULT_BURST_GAP_SECONDS: 2,
+
+  /** Location split mode: smallest / largest / default radius (km) of one location */
+  MIN_LOCATION_RADIUS_KM: 0.05,
+  MAX_LOCATION_RADIUS_KM: 500,
+  DEFAULT_LOCATION_RADIUS_KM: 1,
+
+  /** Custom blur thresholds: largest Laplacian variance accepted (edge density is a 0-1 share) */
+  MAX_BLUR_VARIANCE_THRESHOLD: 10000,
+
+  /** Most user place labels accepted, and longest place name */
+  MAX_PLACE_LABELS: 100,
+  MAX_PLACE_NAME_LENGTH: 64,
+
+  /** Most camera clock offsets accepted, and longest camera label */
+  MAX_CLOCK_OFFSETS: 50,
+  MAX_CAMERA_LABEL_LENGTH: 128,
+
+  /** Deepest subfolder level visited by a recursive scan (guards against runaway trees) */
+  MAX_SCAN_DEPTH: envInt('BATCH_MAX_SCAN_DEPTH', 16, 1, 64),
+
   /** Allowed keys in preset settings (whitelist for injection prevention) */
-  ALLOWED_SETTINGS_KEYS: ['maxFilesPerBatch', 'outputPrefix', 'batchMode', 'sortBy', 'outputDir', 'blurDetectionEnabled', 'blurSensitivity'],
+  ALLOWED_SETTINGS_KEYS: ['maxFilesPerBatch', 'outputPrefix', 'batchMode', 'sortBy', 'outputDir', 'blurDetectionEnabled', 'blurSensitivity', 'blurScoring', 'blurMotionAction', 'blurDefocusAction', 'blurLowDetailAction', 'blurCustomVariance', 'blurCustomEdgeDensity', 'limitMode', 'maxBatchSizeGB', 'targetBatchCount', 'balanceBy', 'contiguousBatches', 'scanSubfolders', 'subfolderLayout', 'typeSubfolders', 'splitBy', 'sessionGapMinutes', 'sidecarExtensions', 'pairingPatterns', 'mediaCategories', 'extraExtensions', 'ignorePatterns', 'duplicateDetectionEnabled', 'duplicateAction', 'similarDetectionEnabled', 'similarKeepCount', 'burstGapSeconds', 'minRating', 'labelFilter', 'rejectedAction', 'locationRadiusKm', 'placeLabels', 'clockOffsets', 'renameTemplate', 'renameNumbering', 'exposureDetectionEnabled', 'exposurePreset', 'exposureAction'],
+
+  /** Persistent analysis cache (EXIF, blur, exposure, ...): most entries kept, and largest size on disk in MB */
+  MAX_ANALYSIS_CACHE_ENTRIES: envInt('BATCH_MAX_ANALYSIS_CACHE_ENTRIES', 500000, 1000, 5000000),
+  MAX_ANALYSIS_CACHE_MB: envInt('BATCH_MAX_ANALYSIS_CACHE_MB', 100, 1, 2000),
 
   /** Maximum number of persisted rollback history entries */
   MAX_HISTORY_ENTRIES: envInt('BATCH_MAX_HISTORY_ENTRIES', 20, 1, 100),
@@ -102,6 +102,17 @@ const PREVIEW_JPEG_QUALITY = 85;
  */
 const PREVIEW_CACHE_SIZE = 10;
 
+// ============================================================================
+// RAW PREVIEWS
+// ============================================================================
+
+/**
+ * How much of a RAW file is searched for embedded JPEG previews.
+ * CR2/CR3/NEF/ARW/DNG/RAF store their previews ahead of the sensor data,
+ * so the first 16 MB covers them without reading whole 30-80 MB files.
+ */
+const RAW_PREVIEW_SCAN_BYTES = 16 * 1024 * 1024;
+
 // ============================================================================
 // EXIF
 // ============================================================================
@@ -191,6 +202,118 @@ const BLUR_EDGE_THRESHOLDS = {
  */
 const BLUR_EDGE_PIXEL_THRESHOLD = 15;
 
+/**
+ * Grid size (columns = rows) for tiled blur scoring. A 4x4 grid gives
+ * tiles of 1/16 of the frame — about the size of a face in a head-and-
+ * shoulders portrait — so a sharp subject is judged on its own tile
+ * instead of being averaged with an intentionally soft background.
+ */
+const BLUR_TILE_GRID = 4;
+
+/**
+ * Gradient coherence (0-1) at or above which a blurry frame is labelled
+ * motion blur. Shake leaves gradients pointing one way (~0.5 for a
+ * 20px horizontal streak), defocus leaves them spread evenly (~0.05).
+ * Diagonal shake measures a little lower with the 3x3 Sobel, hence 0.2.
+ */
+const BLUR_MOTION_COHERENCE = 0.2;
+
+/**
+ * Grayscale standard deviation (0-255, before normalisation) below which a
+ * blurry frame is labelled a low-detail scene — fog, sky, a plain wall —
+ * rather than a focusing or shake problem.
+ */
+const BLUR_LOW_DETAIL_CONTRAST = 12;
+
+// ============================================================================
+// DUPLICATE DETECTION
+// ============================================================================
+
+/**
+ * Number of files hashed in parallel. Hashing is disk-bound, so a few
+ * streams keep the disk busy without seeking back and forth on HDDs/cards.
+ */
+const DUPLICATE_HASH_CONCURRENCY = 4;
+
+/**
+ * Read size per chunk while streaming a file through the hash (1 MB).
+ */
+const DUPLICATE_HASH_CHUNK_BYTES = 1024 * 1024;
+
+// ============================================================================
+// SIMILAR FRAME / BURST DETECTION
+// ============================================================================
+
+/**
+ * Maximum Hamming distance (of 64 dHash bits) between two consecutive frames
+ * of a burst. Bursts pan and the subject moves, so this is fairly loose.
+ */
+const SIMILAR_BURST_DISTANCE = 12;
+
+/**
+ * Maximum Hamming distance for near-identical frames that are further apart
+ * than the burst gap (re-takes of the same pose or composition).
+ */
+const SIMILAR_NEAR_DISTANCE = 4;
+
+/**
+ * Near-identical frames are only linked within this capture-time window
+ * (10 minutes), so the same wall photographed at two events stays apart.
+ */
+const SIMILAR_NEAR_WINDOW_MS = 10 * 60 * 1000;
+
+/**
+ * How many earlier frames (in capture order) each frame is compared with.
+ * Bounds the work on long 20 fps sequences.
+ */
+const SIMILAR_LOOKBACK_FRAMES = 40;
+
+// ============================================================================
+// EXPOSURE ANALYSIS
+// ============================================================================
+
+/**
+ * Target width (in pixels) for image resize before exposure analysis.
+ * A luminance histogram needs far less detail than the blur Laplacian.
+ */
+const EXPOSURE_RESIZE_WIDTH = 256;
+
+/**
+ * Luminance levels (0-255) counted as clipped: highlights at or above
+ * the first value are blown out, shadows at or below the second are crushed.
+ */
+const EXPOSURE_HIGHLIGHT_LEVEL = 250;
+const EXPOSURE_SHADOW_LEVEL = 5;
+
+/**
+ * Histogram of the image preview's metadata panel: image width (pixels)
+ * it is computed on, and bins per channel (must divide 256).
+ */
+const HISTOGRAM_RESIZE_WIDTH = 256;
+const HISTOGRAM_BINS = 64;
+
+/**
+ * Exposure presets. A frame is flagged as:
+ * - overexposed when its mean luminance is above `maxMean`, or more than
+ *   `clipPercent` % of its pixels are blown out while the frame is brighter
+ *   than mid-gray;
+ * - underexposed when its mean luminance is below `minMean`, or more than
+ *   `clipPercent` % of its pixels are crushed while the frame is darker
+ *   than mid-gray.
+ * The mid-gray condition keeps high-contrast scenes (a window in a dark
+ * room, a silhouette at sunset) from being flagged for their small clipped
+ * areas alone.
+ *
+ * - strict:   Flags frames that are slightly off
+ * - moderate: Balanced — clearly too bright or too dark
+ * - lenient:  Only frames that are nearly white or black
+ */
+const EXPOSURE_THRESHOLDS = {
+  strict: { clipPercent: 3, minMean: 50, maxMean: 200 },
+  moderate: { clipPercent: 8, minMean: 35, maxMean: 215 },
+  lenient: { clipPercent: 20, minMean: 20, maxMean: 235 },
+};
+
 module.exports = {
   UV_THREADPOOL_SIZE,
   MAX_FILE_CONCURRENCY,
@@ -205,10 +328,26 @@ module.exports = {
   PREVIEW_MAX_DIMENSION,
   PREVIEW_JPEG_QUALITY,
   PREVIEW_CACHE_SIZE,
+  RAW_PREVIEW_SCAN_BYTES,
   EXIF_CONCURRENCY,
   BLUR_CONCURRENCY,
   BLUR_RESIZE_WIDTH,
   BLUR_THRESHOLDS,
   BLUR_EDGE_THRESHOLDS,
   BLUR_EDGE_PIXEL_THRESHOLD,
+  BLUR_TILE_GRID,
+  BLUR_MOTION_COHERENCE,
+  BLUR_LOW_DETAIL_CONTRAST,
+  DUPLICATE_HASH_CONCURRENCY,
+  DUPLICATE_HASH_CHUNK_BYTES,
+  SIMILAR_BURST_DISTANCE,
+  SIMILAR_NEAR_DISTANCE,
+  SIMILAR_NEAR_WINDOW_MS,
+  SIMILAR_LOOKBACK_FRAMES,
+  EXPOSURE_RESIZE_WIDTH,
+  EXPOSURE_HIGHLIGHT_LEVEL,
+  EXPOSURE_SHADOW_LEVEL,
+  EXPOSURE_THRESHOLDS,
+  HISTOGRAM_RESIZE_WIDTH,
+  HISTOGRAM_BINS,
 };
@@ -0,0 +1,142 @@
+/**
+ * Duplicate Detection Service
+ *
+ * Finds file groups whose media files have the same content as another
+ * group — cards imported twice, or the same frames under new names after a
+ * camera counter reset.
+ *
+ * Algorithm:
+ * 1. Stat every media file (sidecars are ignored — they are often rewritten)
+ * 2. Size prefilter: only files that share their exact size with another
+ *    file can be duplicates, so only those are read
+ * 3. Stream each candidate through SHA-256 (constant memory, any file size)
+ * 4. duplicateMatcher decides which groups are copies of a kept group
+ *
+ * Hashes are kept in the persistent analysis cache by absolute path + size +
+ * mtime, so a re-scan (even after a restart) only reads files that changed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  STAT_CONCURRENCY, DUPLICATE_HASH_CONCURRENCY, DUPLICATE_HASH_CHUNK_BYTES,
+} = require('./constants');
+const { collectFileStats, runPool } = require('./fileUtils');
+const { findDuplicateGroups } = require('./duplicateMatcher');
+const { buildPairingRules, getSidecarExtension } = require('../utils/pairingRules');
+const analysisCache = require('./analysisCache');
+const logger = require('../utils/logger');
+
+// ============================================================================
+// HASHING
+// ============================================================================
+
+/**
+ * Stream a file through SHA-256.
+ *
+ * @param {string} filePath - Absolute path
+ * @returns {Promise<string>} Hex digest
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    const stream = fs.createReadStream(filePath, { highWaterMark: DUPLICATE_HASH_CHUNK_BYTES });
+    stream.on('data', (chunk) => hash.update(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// ============================================================================
+// MAIN DETECTION
+// ============================================================================
+
+/**
+ * Find duplicate groups in a folder.
+ *
+ * @param {Object} fileGroups - Map of baseName -> string[] (from groupFilesByBaseName)
+ * @param {string} folderPath - Absolute path to the folder
+ * @param {Object} [options={}] - Validated batch options (sidecar rules decide which files are hashed)
+ * @param {Function} [onProgress] - Optional callback: ({ current, total }) => void
+ * @returns {Promise<Object>} { duplicateSets, duplicateGroups, duplicateFileCount, duplicateBytes, hashedFiles, cachedFiles }
+ *   where duplicateSets is [{ original, duplicates, fileCount, bytes }]
+ */
+async function findDuplicates(fileGroups, folderPath, options = {}, onProgress = null) {
+  const { sidecarExtensions } = buildPairingRules(options);
+  const mediaFiles = {};
+  for (const [baseName, files] of Object.entries(fileGroups)) {
+    mediaFiles[baseName] = files.filter(file => !getSidecarExtension(file, sidecarExtensions));
+  }
+
+  // 1-2. Stat and size prefilter (empty files are never reported as duplicates)
+  const allFiles = Object.values(mediaFiles).flat();
+  const fileStats = await collectFileStats(allFiles, folderPath, STAT_CONCURRENCY);
+  const sizeCounts = new Map();
+  for (const stat of Object.values(fileStats)) {
+    sizeCounts.set(stat.size, (sizeCounts.get(stat.size) || 0) + 1);
+  }
+  const candidates = allFiles.filter(file =>
+    fileStats[file] && fileStats[file].size > 0 && sizeCounts.get(fileStats[file].size) > 1);
+
+  logger.log(`🧬 [DUPES] ${candidates.length} of ${allFiles.length} files share a size with another file`);
+
+  // 3. Hash candidates (cache first)
+  await analysisCache.open();
+  const hashes = {};
+  let processed = 0;
+  let cachedFiles = 0;
+  await runPool(candidates, DUPLICATE_HASH_CONCURRENCY, async (file) => {
+    const filePath = path.join(folderPath, file);
+    try {
+      const cached = analysisCache.get('sha256', filePath, fileStats[file]);
+      if (cached) {
+        hashes[file] = cached;
+        cachedFiles++;
+      } else {
+        hashes[file] = await hashFile(filePath);
+        analysisCache.set('sha256', filePath, fileStats[file], hashes[file]);
+      }
+    } catch (err) {
+      logger.warn(`🧬 [DUPES] Could not hash ${file}:`, err.message);
+    }
+    processed++;
+    if (onProgress) onProgress({ current: processed, total: candidates.length });
+  });
+
+  analysisCache.save();
+
+  // 4. Match groups
+  const groupHashes = {};
+  for (const [baseName, files] of Object.entries(mediaFiles)) {
+    groupHashes[baseName] = files.map(file => hashes[file] || null);
+  }
+  const groupBytes = (baseName) => fileGroups[baseName].reduce((sum, file) => sum + (fileStats[file]?.size || 0), 0);
+  const duplicateSets = findDuplicateGroups(groupHashes).map(({ original, duplicates }) => ({
+    original,
+    duplicates,
+    fileCount: duplicates.reduce((sum, baseName) => sum + fileGroups[baseName].length, 0),
+    bytes: duplicates.reduce((sum, baseName) => sum + groupBytes(baseName), 0),
+  }));
+
+  const duplicateGroups = duplicateSets.flatMap(set => set.duplicates);
+  const duplicateFileCount = duplicateSets.reduce((sum, set) => sum + set.fileCount, 0);
+  const duplicateBytes = duplicateSets.reduce((sum, set) => sum + set.bytes, 0);
+
+  logger.log(`🧬 [DUPES] Found ${duplicateGroups.length} duplicate groups (${duplicateFileCount} files) ` +
+    `in ${duplicateSets.length} sets. Hashed ${candidates.length - cachedFiles} files, ${cachedFiles} from cache.`);
+
+  return {
+    duplicateSets,
+    duplicateGroups,
+    duplicateFileCount,
+    duplicateBytes,
+    hashedFiles: candidates.length - cachedFiles,
+    cachedFiles,
+  };
+}
+
+module.exports = {
+  findDuplicates,
+  hashFile,
+};
@@ -0,0 +1,68 @@
+/**
+ * Duplicate Matcher
+ * Decides which file groups are copies of another group, from the content
+ * hash of each media file. Used by duplicateDetectionService after hashing.
+ *
+ * Pure module (no Electron, no logger) so tests can require it directly.
+ *
+ * RULES:
+ * - A group is a duplicate when every one of its media files has the same
+ *   content as a file in ONE group that is kept. A lone "IMG_5001.JPG" is a
+ *   duplicate of "IMG_0001.JPG + IMG_0001.CR2"; the reverse is not, because
+ *   the RAW would be lost.
+ * - Groups are considered in keeping order: shorter names first, then
+ *   alphabetically. "IMG_0001" is kept over "IMG_0001 (1)" and
+ *   "Card 1 copy/IMG_0001", and the lower camera counter wins after a reset.
+ * - A file without a hash (unique size, unreadable) can never match, so its
+ *   group is always kept.
+ */
+
+/**
+ * Sort base names into keeping order (see RULES).
+ *
+ * @param {string[]} baseNames
+ * @returns {string[]} New sorted array
+ */
+function sortForKeeping(baseNames) {
+  return [...baseNames].sort((a, b) => a.length - b.length || a.localeCompare(b));
+}
+
+/**
+ * Find duplicate groups.
+ *
+ * @param {Object<string, Array<string|null>>} groupHashes - Map of baseName -> hash per media file (null = not hashed)
+ * @returns {Array<{ original: string, duplicates: string[] }>} Duplicate sets, in keeping order of their originals
+ */
+function findDuplicateGroups(groupHashes) {
+  const keptHashes = new Map();   // kept baseName -> Set of hashes
+  const owners = new Map();       // hash -> kept baseNames containing it
+  const sets = new Map();         // original baseName -> duplicate baseNames
+
+  for (const baseName of sortForKeeping(Object.keys(groupHashes))) {
+    const hashes = groupHashes[baseName];
+    const canMatch = hashes.length > 0 && hashes.every(Boolean);
+
+    const original = canMatch
+      ? (owners.get(hashes[0]) || []).find(candidate => hashes.every(hash => keptHashes.get(candidate).has(hash)))
+      : undefined;
+
+    if (original) {
+      if (!sets.has(original)) sets.set(original, []);
+      sets.get(original).push(baseName);
+      continue;
+    }
+
+    keptHashes.set(baseName, new Set(hashes.filter(Boolean)));
+    for (const hash of keptHashes.get(baseName)) {
+      if (!owners.has(hash)) owners.set(hash, []);
+      owners.get(hash).push(baseName);
+    }
+  }
+
+  return [...sets].map(([original, duplicates]) => ({ original, duplicates }));
+}
+
+module.exports = {
+  findDuplicateGroups,
+  sortForKeeping,
+};
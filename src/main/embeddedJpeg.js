@@ -0,0 +1,113 @@
+/**
+ * Embedded JPEG Scanner
+ * Finds complete JPEG streams inside another file (the previews that
+ * cameras store in CR2/CR3/NEF/ARW/DNG/RAF files). Used by
+ * rawPreviewService.
+ *
+ * Pure module (no Electron, no logger) so tests can require it directly.
+ *
+ * RULES:
+ * - A stream starts at FF D8 FF and is followed marker by marker. Segment
+ *   lengths are honoured, so the EXIF thumbnail nested in a preview's APP1
+ *   segment is skipped rather than reported separately.
+ * - After a start-of-scan the entropy-coded data runs until an 0xFF that is
+ *   not byte stuffing (FF 00) or a restart marker (FF D0-D7).
+ * - Only streams that reach FF D9 and contain a baseline or progressive
+ *   frame header (SOF0-SOF2) count; truncated streams and stray FF D8 bytes
+ *   in sensor data are ignored.
+ * - Lossless and hierarchical frames (SOF3, SOF5-SOF15) are skipped: in CR2
+ *   and DNG files the sensor data itself is a lossless-JPEG stream, often the
+ *   largest one, and Sharp cannot decode it.
+ */
+
+const SOI = Buffer.from([0xff, 0xd8, 0xff]);
+
+/** Baseline, extended sequential and progressive start-of-frame markers (SOF0-SOF2) */
+const isFrameMarker = (marker) => marker >= 0xc0 && marker <= 0xc2;
+
+/**
+ * End offset (exclusive) of the JPEG stream starting at `start`.
+ *
+ * @param {Buffer} buffer
+ * @param {number} start - Offset of FF D8
+ * @returns {number} Offset after FF D9, or -1 when the stream is invalid or truncated
+ */
+function findJpegEnd(buffer, start) {
+  let i = start + 2;
+  let hasFrame = false;
+  while (i + 1 < buffer.length) {
+    if (buffer[i] !== 0xff) return -1;
+    const marker = buffer[i + 1];
+    if (marker === 0xff) { i++; continue; }           // Fill byte
+    if (marker === 0xd9) return hasFrame ? i + 2 : -1; // End of image
+    if ((marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) { i += 2; continue; }
+    if (i + 3 >= buffer.length) return -1;
+
+    const segmentLength = buffer.readUInt16BE(i + 2);
+    if (segmentLength < 2) return -1;
+    if (isFrameMarker(marker)) hasFrame = true;
+    i += 2 + segmentLength;
+
+    if (marker === 0xda) {
+      // Entropy-coded data: skip to the next real marker
+      for (;;) {
+        i = buffer.indexOf(0xff, i);
+        if (i < 0 || i + 1 >= buffer.length) return -1;
+        const next = buffer[i + 1];
+        if (next !== 0x00 && !(next >= 0xd0 && next <= 0xd7)) break;
+        i += 2;
+      }
+    }
+  }
+  return -1;
+}
+
+/**
+ * All complete top-level JPEG streams in a buffer, in file order.
+ *
+ * @param {Buffer} buffer
+ * @returns {Array<{ offset: number, length: number }>}
+ */
+function findEmbeddedJpegs(buffer) {
+  const streams = [];
+  let i = buffer.indexOf(SOI);
+  while (i >= 0) {
+    const end = findJpegEnd(buffer, i);
+    if (end > 0) {
+      streams.push({ offset: i, length: end - i });
+      i = buffer.indexOf(SOI, end);
+    } else {
+      i = buffer.indexOf(SOI, i + 2);
+    }
+  }
+  return streams;
+}
+
+/**
+ * Embedded JPEGs from largest to smallest, so a caller can fall back to the
+ * next preview when one fails to decode.
+ *
+ * @param {Buffer} buffer
+ * @returns {Buffer[]} Views into `buffer`
+ */
+function embeddedJpegsBySize(buffer) {
+  return findEmbeddedJpegs(buffer)
+    .sort((a, b) => b.length - a.length)
+    .map(stream => buffer.subarray(stream.offset, stream.offset + stream.length));
+}
+
+/**
+ * The largest embedded JPEG, usually the highest-resolution preview.
+ *
+ * @param {Buffer} buffer
+ * @returns {Buffer|null} A view into `buffer`, or null when there is none
+ */
+function largestEmbeddedJpeg(buffer) {
+  return embeddedJpegsBySize(buffer)[0] ?? null;
+}
+
+module.exports = {
+  findEmbeddedJpegs,
+  embeddedJpegsBySize,
+  largestEmbeddedJpeg,
+};
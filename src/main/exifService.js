@@ -2,11 +2,20 @@ const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 const exifr = require('exifr');
-const { EXIF_CONCURRENCY } = require('./constants');
+const sharp = require('sharp');
+const { EXIF_CONCURRENCY, STAT_CONCURRENCY } = require('./constants');
+const { focusPointFromTags } = require('./sharpnessTiles');
+const { collectFileStats } = require('./fileUtils');
+const analysisCache = require('./analysisCache');
+const { getCameraBodyLabel } = require('../utils/cameraClocks');
 const logger = require('../utils/logger');
 
 /**
  * Service to handle EXIF data extraction efficiently
+ *
+ * Two cache levels: per-file values live in the persistent analysis cache
+ * (analysisCache.js, keyed by path + size + mtime), and the maps of the
+ * current folder are kept in memory so repeat calls skip even the stats.
  */
 
 // ============================================================================
@@ -20,6 +29,49 @@ const logger = require('../utils/logger');
  */
 let exifCache = { cacheKey: null, dateMap: null };
 
+/**
+ * Camera/lens cache, same one-folder policy as exifCache.
+ * Cache entry: { cacheKey: string, cameraMap: Object }
+ */
+let cameraCache = { cacheKey: null, cameraMap: null };
+
+/**
+ * Rating/label cache, same one-folder policy as exifCache.
+ * Cache entry: { cacheKey: string, ratingMap: Object }
+ */
+let ratingCache = { cacheKey: null, ratingMap: null };
+
+/**
+ * GPS cache, same one-folder policy as exifCache.
+ * Cache entry: { cacheKey: string, gpsMap: Object }
+ */
+let gpsCache = { cacheKey: null, gpsMap: null };
+
+/**
+ * Dimension cache, same one-folder policy as exifCache.
+ * Cache entry: { cacheKey: string, dimensionMap: Object }
+ */
+let dimensionCache = { cacheKey: null, dimensionMap: null };
+
+/** EXIF tags read by extractCameraInfo() */
+const CAMERA_TAGS = ['Make', 'Model', 'BodySerialNumber', 'LensModel'];
+
+/** EXIF tags read by extractDimensions(); the EXIF IFD size wins over IFD0 (often a thumbnail in RAWs) */
+const DIMENSION_TAGS = ['Orientation', 'ImageWidth', 'ImageHeight', 'ExifImageWidth', 'ExifImageHeight'];
+
+/** EXIF tags read by readFocusPoint(); the point is relative to the EXIF image size */
+const FOCUS_TAGS = ['SubjectArea', 'SubjectLocation', 'ImageWidth', 'ImageHeight', 'ExifImageWidth', 'ExifImageHeight'];
+
+/** EXIF tags read by readShootingInfo() (metadata panel of the image preview) */
+const SHOOTING_TAGS = [
+  ...CAMERA_TAGS, ...DIMENSION_TAGS, 'DateTimeOriginal', 'OffsetTimeOriginal',
+  'ExposureTime', 'FNumber', 'ISO', 'FocalLength', 'FocalLengthIn35mmFormat', 'ExposureCompensation',
+  'ExposureProgram', 'MeteringMode', 'Flash', 'WhiteBalance', 'Software', 'latitude', 'longitude',
+];
+
+/** Longest text value returned by readShootingInfo() */
+const MAX_SHOOTING_TEXT_LENGTH = 100;
+
 /**
  * Generate a cache key from folderPath + file list.
  * Uses SHA-256 for security, and avoids sorting (readdir order is
@@ -42,20 +94,122 @@ function buildCacheKey(folderPath, files) {
 }
 
 /**
- * Clear the EXIF cache (e.g. when switching folders).
+ * Clear the in-memory EXIF maps (the persistent analysis cache is cleared separately).
  */
 function clearCache() {
   exifCache = { cacheKey: null, dateMap: null };
+  cameraCache = { cacheKey: null, cameraMap: null };
+  ratingCache = { cacheKey: null, ratingMap: null };
+  gpsCache = { cacheKey: null, gpsMap: null };
+  dimensionCache = { cacheKey: null, dimensionMap: null };
+}
+
+/**
+ * Trim an EXIF string value; returns null for missing or blank values.
+ * Some bodies pad ASCII tags with spaces or NUL bytes.
+ * 
+ * @param {any} value
+ * @returns {string|null}
+ */
+function cleanTag(value) {
+  if (value === undefined || value === null) return null;
+  // eslint-disable-next-line no-control-regex -- EXIF ASCII tags may carry NUL padding
+  const text = String(value).replace(/\u0000/g, '').trim();
+  return text.length > 0 ? text : null;
+}
+
+/**
+ * Read one value per file, taking what it can from the persistent analysis
+ * cache and reading the rest with EXIF_CONCURRENCY parallel reads.
+ *
+ * @param {string[]} files - Array of filenames
+ * @param {string} folderPath - Base folder path
+ * @param {string} analyzer - Analysis cache name of the value, e.g. 'exif-date'
+ * @param {(filePath: string, fileName: string) => Promise<any>} readFile - Reads one file (must not throw)
+ * @returns {Promise<{ valueMap: Object, cachedFiles: number }>} Map of filename -> value
+ */
+async function readPerFile(files, folderPath, analyzer, readFile) {
+  const fileStats = await collectFileStats(files, folderPath, STAT_CONCURRENCY);
+  await analysisCache.open();
+
+  const valueMap = {};
+  const misses = [];
+  for (const fileName of files) {
+    const cached = analysisCache.get(analyzer, path.join(folderPath, fileName), fileStats[fileName]);
+    if (cached === undefined) {
+      misses.push(fileName);
+    } else {
+      valueMap[fileName] = cached;
+    }
+  }
+
+  // Process files in chunks to limit concurrency
+  for (let i = 0; i < misses.length; i += EXIF_CONCURRENCY) {
+    const chunk = misses.slice(i, i + EXIF_CONCURRENCY);
+    await Promise.all(chunk.map(async (fileName) => {
+      const filePath = path.join(folderPath, fileName);
+      valueMap[fileName] = await readFile(filePath, fileName);
+      analysisCache.set(analyzer, filePath, fileStats[fileName], valueMap[fileName]);
+    }));
+  }
+
+  analysisCache.save();
+  return { valueMap, cachedFiles: files.length - misses.length };
 }
 
 // ============================================================================
 // MAIN EXTRACTION
 // ============================================================================
 
+/**
+ * Capture time of one file: EXIF DateTimeOriginal, else the earliest of the
+ * file's creation and modification times.
+ *
+ * @param {string} filePath - Absolute path
+ * @param {string} fileName - Name for log messages
+ * @returns {Promise<number>} Timestamp (ms), 0 if the file cannot be read
+ */
+async function readCaptureDate(filePath, fileName) {
+  try {
+    // 1. Try to read EXIF DateTimeOriginal
+    // Only read the necessary segment for speed (first few KB usually)
+    const output = await exifr.parse(filePath, { 
+      pick: ['DateTimeOriginal'], 
+      tiff: true,   // Needed for some raw formats
+      ifd0: false,  // Skip unnecessary IFDs for speed
+      gps: false,
+      xmp: false
+    });
+
+    if (output && output.DateTimeOriginal) {
+      // exifr returns a Date object directly
+      return output.DateTimeOriginal.getTime();
+    }
+  } catch (_err) {
+    // EXIF parsing failed or not supported (png, video, etc) — fall back to file stats
+  }
+
+  // 2. Fallback to file creation/modification time
+  try {
+    const stats = await fs.stat(filePath);
+    // "Date" usually implies the earliest moment content existed.
+    // On Windows, birthtime resets on copy, while mtime is preserved. 
+    // We take the minimum (earliest) to best guess the original creation date.
+    const t1 = stats.birthtimeMs || Infinity;
+    const t2 = stats.mtimeMs || Infinity;
+    const earliestTime = Math.min(t1, t2);
+    
+    return (earliestTime === Infinity) ? 0 : earliestTime;
+  } catch (statErr) {
+    logger.warn(`⚠️ [EXIF] Failed to stat file: ${fileName}`, statErr);
+    return 0;
+  }
+}
+
 /**
  * Extract date taken from files with concurrency control.
  * Results are cached in memory — repeat calls with the same folder and
- * file list return instantly.
+ * file list return instantly — and per file in the analysis cache.
  * 
  * Fallback to file creation time if EXIF is missing.
  * 
@@ -71,64 +225,405 @@ async function extractExifDates(files, folderPath) {
     return exifCache.dateMap;
   }
 
-  const dateMap = {};
-  const totalFiles = files.length;
-  
-  logger.log(`📸 [EXIF] Extracting dates for ${totalFiles} files...`);
-  
-  // Process files in chunks to limit concurrency
-  for (let i = 0; i < totalFiles; i += EXIF_CONCURRENCY) {
-    const chunk = files.slice(i, i + EXIF_CONCURRENCY);
-    
-    await Promise.all(chunk.map(async (fileName) => {
-      const filePath = path.join(folderPath, fileName);
-      
-      try {
-        // 1. Try to read EXIF DateTimeOriginal
-        // Only read the necessary segment for speed (first few KB usually)
-        const output = await exifr.parse(filePath, { 
-          pick: ['DateTimeOriginal'], 
-          tiff: true,   // Needed for some raw formats
-          ifd0: false,  // Skip unnecessary IFDs for speed
-          gps: false,
-          xmp: false
-        });
-
-        if (output && output.DateTimeOriginal) {
-          // exifr returns a Date object directly
-          dateMap[fileName] = output.DateTimeOriginal.getTime();
-          return;
-        }
-      } catch (_err) {
-        // EXIF parsing failed or not supported (png, video, etc) — fall back to file stats
-      }
-
-      // 2. Fallback to file creation/modification time
-      try {
-        const stats = await fs.stat(filePath);
-        // "Date" usually implies the earliest moment content existed.
-        // On Windows, birthtime resets on copy, while mtime is preserved. 
-        // We take the minimum (earliest) to best guess the original creation date.
-        const t1 = stats.birthtimeMs || Infinity;
-        const t2 = stats.mtimeMs || Infinity;
-        const earliestTime = Math.min(t1, t2);
-        
-        dateMap[fileName] = (earliestTime === Infinity) ? 0 : earliestTime;
-      } catch (statErr) {
-        logger.warn(`⚠️ [EXIF] Failed to stat file: ${fileName}`, statErr);
-        dateMap[fileName] = 0;
-      }
-    }));
-  }
-  
+  logger.log(`📸 [EXIF] Extracting dates for ${files.length} files...`);
+
+  const { valueMap: dateMap, cachedFiles } = await readPerFile(files, folderPath, 'exif-date', readCaptureDate);
+
   // Store in cache
   exifCache = { cacheKey, dateMap };
   
-  logger.log(`📸 [EXIF] Date extraction complete. Results cached.`);
+  logger.log(`📸 [EXIF] Date extraction complete (${cachedFiles} from the analysis cache). Results cached.`);
   return dateMap;
 }
 
+/**
+ * Camera body and lens of one file.
+ *
+ * @param {string} filePath - Absolute path
+ * @returns {Promise<{ make, model, serial, lens }|null>}
+ */
+async function readCameraInfo(filePath) {
+  try {
+    // Make/Model live in IFD0, serial and lens in the EXIF IFD
+    const output = await exifr.parse(filePath, {
+      pick: CAMERA_TAGS,
+      tiff: true,
+      ifd0: true,
+      exif: true,
+      gps: false,
+      xmp: false
+    });
+    if (!output) return null;
+
+    const info = {
+      make: cleanTag(output.Make),
+      model: cleanTag(output.Model),
+      serial: cleanTag(output.BodySerialNumber),
+      lens: cleanTag(output.LensModel),
+    };
+    return info.make || info.model || info.lens ? info : null;
+  } catch (_err) {
+    // No readable EXIF (png, video, etc) — stays null ("Unknown camera")
+    return null;
+  }
+}
+
+/**
+ * Extract camera body and lens details with concurrency control.
+ * Cached in memory like extractExifDates().
+ * 
+ * Files without camera EXIF (PNG, most videos, stripped exports) map to
+ * null rather than being omitted, so callers can place them in an
+ * "Unknown camera" partition.
+ * 
+ * @param {string[]} files - Array of filenames
+ * @param {string} folderPath - Base folder path
+ * @returns {Promise<Object>} Map of filename -> { make, model, serial, lens } | null
+ */
+async function extractCameraInfo(files, folderPath) {
+  const cacheKey = buildCacheKey(folderPath, files);
+  if (cameraCache.cacheKey === cacheKey && cameraCache.cameraMap) {
+    logger.log(`📷 [EXIF] Cache hit — returning ${files.length} cached camera entries`);
+    return cameraCache.cameraMap;
+  }
+
+  logger.log(`📷 [EXIF] Reading camera and lens for ${files.length} files...`);
+
+  const { valueMap: cameraMap, cachedFiles } = await readPerFile(files, folderPath, 'exif-camera', readCameraInfo);
+  const identified = Object.values(cameraMap).filter(Boolean).length;
+
+  cameraCache = { cacheKey, cameraMap };
+
+  logger.log(`📷 [EXIF] Camera extraction complete: ${identified}/${files.length} files identified ` +
+    `(${cachedFiles} from the analysis cache). Results cached.`);
+  return cameraMap;
+}
+
+/**
+ * Normalize a Rating tag: -1 (rejected) or 0-5 stars, null if missing.
+ * Lightroom writes "-1" for rejected frames; some tools write floats.
+ *
+ * @param {any} value
+ * @returns {number|null}
+ */
+function normalizeRating(value) {
+  const rating = Math.round(Number(value));
+  if (value === undefined || value === null || value === '' || Number.isNaN(rating)) return null;
+  return Math.max(-1, Math.min(5, rating));
+}
+
+/**
+ * Star rating and color label of one image or .xmp sidecar.
+ *
+ * @param {string} filePath - Absolute path
+ * @param {string} fileName - File name (its extension picks the parser)
+ * @returns {Promise<{ rating, label }|null>}
+ */
+async function readRating(filePath, fileName) {
+  try {
+    let output;
+    if (path.extname(fileName).toLowerCase() === '.xmp') {
+      const sidecar = await exifr.sidecar(filePath);
+      output = sidecar?.xmp || sidecar;
+    } else {
+      // exifr's `pick` does not filter XMP tags, so parse IFD0 + XMP only
+      output = await exifr.parse(filePath, {
+        tiff: true,
+        ifd0: true,
+        exif: false,
+        gps: false,
+        interop: false,
+        ifd1: false,
+        xmp: true
+      });
+    }
+    if (!output) return null;
+
+    const rating = normalizeRating(output.Rating);
+    const label = cleanTag(output.Label);
+    return rating !== null || label ? { rating, label } : null;
+  } catch (_err) {
+    // No readable metadata (png, video, etc) — stays null ("Unrated")
+    return null;
+  }
+}
+
+/**
+ * Read star ratings and color labels.
+ * Images are read from XMP (Rating, Label) with the IFD0 Rating tag as a
+ * fallback; .xmp sidecars (Lightroom, darktable, Capture One) are parsed
+ * as XMP documents. Files with neither are mapped to null.
+ *
+ * @param {string[]} files - Array of filenames
+ * @param {string} folderPath - Base folder path
+ * @returns {Promise<Object>} Map of filename -> { rating, label } | null
+ */
+async function extractRatings(files, folderPath) {
+  const cacheKey = buildCacheKey(folderPath, files);
+  if (ratingCache.cacheKey === cacheKey && ratingCache.ratingMap) {
+    logger.log(`⭐ [EXIF] Cache hit — returning ${files.length} cached rating entries`);
+    return ratingCache.ratingMap;
+  }
+
+  logger.log(`⭐ [EXIF] Reading ratings and labels for ${files.length} files...`);
+
+  const { valueMap: ratingMap, cachedFiles } = await readPerFile(files, folderPath, 'exif-rating', readRating);
+  const rated = Object.values(ratingMap).filter(Boolean).length;
+
+  ratingCache = { cacheKey, ratingMap };
+
+  logger.log(`⭐ [EXIF] Rating extraction complete: ${rated}/${files.length} files rated or labeled ` +
+    `(${cachedFiles} from the analysis cache). Results cached.`);
+  return ratingMap;
+}
+
+/**
+ * GPS position of one file.
+ *
+ * @param {string} filePath - Absolute path
+ * @returns {Promise<{ latitude, longitude }|null>}
+ */
+async function readGpsPosition(filePath) {
+  try {
+    const output = await exifr.gps(filePath);
+    const latitude = Number(output?.latitude);
+    const longitude = Number(output?.longitude);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+    if (latitude === 0 && longitude === 0) return null;
+    if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+    return { latitude, longitude };
+  } catch (_err) {
+    // No readable GPS (png, video, etc) — stays null (inherits a nearby location)
+    return null;
+  }
+}
+
+/**
+ * Read GPS positions.
+ * A position of exactly 0, 0 is treated as missing: cameras write it when
+ * the GPS unit has no fix yet.
+ *
+ * @param {string[]} files - Array of filenames
+ * @param {string} folderPath - Base folder path
+ * @returns {Promise<Object>} Map of filename -> { latitude, longitude } | null
+ */
+async function extractGpsCoordinates(files, folderPath) {
+  const cacheKey = buildCacheKey(folderPath, files);
+  if (gpsCache.cacheKey === cacheKey && gpsCache.gpsMap) {
+    logger.log(`📍 [EXIF] Cache hit — returning ${files.length} cached GPS entries`);
+    return gpsCache.gpsMap;
+  }
+
+  logger.log(`📍 [EXIF] Reading GPS positions for ${files.length} files...`);
+
+  const { valueMap: gpsMap, cachedFiles } = await readPerFile(files, folderPath, 'exif-gps', readGpsPosition);
+  const located = Object.values(gpsMap).filter(Boolean).length;
+
+  gpsCache = { cacheKey, gpsMap };
+
+  logger.log(`📍 [EXIF] GPS extraction complete: ${located}/${files.length} files located ` +
+    `(${cachedFiles} from the analysis cache). Results cached.`);
+  return gpsMap;
+}
+
+/**
+ * Width and height as displayed: EXIF orientations 5-8 are rotated by 90°.
+ *
+ * @param {number} width - Stored width
+ * @param {number} height - Stored height
+ * @param {number} [orientation=1] - EXIF Orientation (1-8)
+ * @returns {{ width: number, height: number }|null} null without valid dimensions
+ */
+function getDisplayDimensions(width, height, orientation = 1) {
+  if (!(width > 0) || !(height > 0)) return null;
+  return orientation >= 5 && orientation <= 8 ? { width: height, height: width } : { width, height };
+}
+
+/**
+ * Displayed pixel size of one file.
+ *
+ * @param {string} filePath - Absolute path
+ * @returns {Promise<{ width, height }|null>}
+ */
+async function readDimensions(filePath) {
+  let dimensions = null;
+  let orientation = 1;
+  try {
+    const output = await exifr.parse(filePath, {
+      pick: DIMENSION_TAGS,
+      tiff: true,
+      ifd0: true,
+      exif: true,
+      gps: false,
+      xmp: false,
+      translateValues: false
+    });
+    if (output) {
+      orientation = Number(output.Orientation) || 1;
+      dimensions = getDisplayDimensions(
+        output.ExifImageWidth || output.ImageWidth,
+        output.ExifImageHeight || output.ImageHeight,
+        orientation
+      );
+    }
+  } catch (_err) {
+    // No readable EXIF — try the image header below
+  }
+
+  if (!dimensions) {
+    try {
+      const metadata = await sharp(filePath).metadata();
+      dimensions = getDisplayDimensions(metadata.width, metadata.height, metadata.orientation || orientation);
+    } catch (_err) {
+      // Not an image sharp can read (video, unsupported RAW) — stays null ("Unknown orientation")
+    }
+  }
+  return dimensions;
+}
+
+/**
+ * Read pixel dimensions, with the EXIF orientation applied.
+ * EXIF is read first (works for RAW, JPEG and HEIC without decoding);
+ * files without size tags (PNG, WebP, stripped JPEGs) fall back to
+ * sharp's header-only metadata().
+ *
+ * @param {string[]} files - Array of filenames
+ * @param {string} folderPath - Base folder path
+ * @returns {Promise<Object>} Map of filename -> { width, height } | null
+ */
+async function extractDimensions(files, folderPath) {
+  const cacheKey = buildCacheKey(folderPath, files);
+  if (dimensionCache.cacheKey === cacheKey && dimensionCache.dimensionMap) {
+    logger.log(`📐 [EXIF] Cache hit — returning ${files.length} cached dimensions`);
+    return dimensionCache.dimensionMap;
+  }
+
+  logger.log(`📐 [EXIF] Reading dimensions for ${files.length} files...`);
+
+  const { valueMap: dimensionMap, cachedFiles } = await readPerFile(files, folderPath, 'exif-dimensions', readDimensions);
+  const measured = Object.values(dimensionMap).filter(Boolean).length;
+
+  dimensionCache = { cacheKey, dimensionMap };
+
+  logger.log(`📐 [EXIF] Dimension extraction complete: ${measured}/${files.length} files measured ` +
+    `(${cachedFiles} from the analysis cache). Results cached.`);
+  return dimensionMap;
+}
+
+/**
+ * Read the focus point (EXIF SubjectArea / SubjectLocation) of one file.
+ * Not cached: blur analysis, its only caller, caches its own results.
+ *
+ * @param {string} filePath - Absolute path to the file
+ * @returns {Promise<{ x: number, y: number }|null>} 0-1 coordinates in the stored frame, or null
+ */
+async function readFocusPoint(filePath) {
+  try {
+    const output = await exifr.parse(filePath, {
+      pick: FOCUS_TAGS,
+      tiff: true,
+      ifd0: true,
+      exif: true,
+      gps: false,
+      xmp: false,
+      translateValues: false
+    });
+    return focusPointFromTags(output);
+  } catch (_err) {
+    // No readable EXIF (PNG, CR3, stripped files) — judge by the sharpest tile
+    return null;
+  }
+}
+
+/**
+ * Number from an EXIF value; null when missing or not finite.
+ *
+ * @param {any} value
+ * @returns {number|null}
+ */
+function finiteTag(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Shooting data of one file for the image preview: body, lens, exposure,
+ * capture time, size, rating and position. Only known fields are returned,
+ * as plain numbers and length-capped strings (no raw tag dump).
+ * Not cached: read on demand for the frame being viewed.
+ *
+ * @param {string} filePath - Absolute path
+ * @param {string} fileName - File name (for readRating)
+ * @returns {Promise<Object|null>} { camera, lens, captureTime, timeZone, exposureTime, fNumber, iso,
+ *   focalLength, focalLength35, exposureCompensation, exposureProgram, meteringMode, flash, whiteBalance,
+ *   software, width, height, rating, label, latitude, longitude }, or null without readable EXIF
+ */
+async function readShootingInfo(filePath, fileName) {
+  let output;
+  try {
+    output = await exifr.parse(filePath, {
+      pick: SHOOTING_TAGS,
+      tiff: true,
+      // Numeric Orientation; EXIF IFD values (program, metering, flash) are translated to text
+      ifd0: { translateValues: false },
+      exif: true,
+      gps: true,
+      xmp: false
+    });
+  } catch (_err) {
+    // No readable EXIF (png, video, etc)
+    return null;
+  }
+  if (!output) return null;
+
+  const text = (value) => cleanTag(value)?.slice(0, MAX_SHOOTING_TEXT_LENGTH) ?? null;
+  const date = output.DateTimeOriginal instanceof Date ? output.DateTimeOriginal.getTime() : null;
+  const dimensions = getDisplayDimensions(
+    finiteTag(output.ExifImageWidth) ?? finiteTag(output.ImageWidth),
+    finiteTag(output.ExifImageHeight) ?? finiteTag(output.ImageHeight),
+    finiteTag(output.Orientation) ?? 1
+  );
+  const latitude = finiteTag(output.latitude);
+  const longitude = finiteTag(output.longitude);
+  const hasPosition = latitude !== null && longitude !== null && Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+  const rating = await readRating(filePath, fileName);
+
+  return {
+    camera: getCameraBodyLabel({ make: cleanTag(output.Make), model: cleanTag(output.Model), serial: cleanTag(output.BodySerialNumber) }),
+    lens: text(output.LensModel),
+    captureTime: Number.isFinite(date) ? date : null,
+    timeZone: text(output.OffsetTimeOriginal),
+    exposureTime: finiteTag(output.ExposureTime),
+    fNumber: finiteTag(output.FNumber),
+    iso: finiteTag(Array.isArray(output.ISO) ? output.ISO[0] : output.ISO),
+    focalLength: finiteTag(output.FocalLength),
+    focalLength35: finiteTag(output.FocalLengthIn35mmFormat),
+    exposureCompensation: finiteTag(output.ExposureCompensation),
+    exposureProgram: text(output.ExposureProgram),
+    meteringMode: text(output.MeteringMode),
+    flash: text(output.Flash),
+    whiteBalance: text(output.WhiteBalance),
+    software: text(output.Software),
+    width: dimensions?.width ?? null,
+    height: dimensions?.height ?? null,
+    rating: rating?.rating ?? null,
+    label: rating?.label ? rating.label.slice(0, MAX_SHOOTING_TEXT_LENGTH) : null,
+    latitude: hasPosition ? latitude : null,
+    longitude: hasPosition ? longitude : null,
+  };
+}
+
 module.exports = {
   extractExifDates,
+  extractCameraInfo,
+  extractRatings,
+  extractGpsCoordinates,
+  extractDimensions,
+  getDisplayDimensions,
+  readCaptureDate,
+  readCameraInfo,
+  readFocusPoint,
+  readShootingInfo,
   clearCache
 };
@@ -0,0 +1,132 @@
+/**
+ * Exposure Detection Service
+ *
+ * Flags over- and underexposed frames so they can go to an "_Exposure"
+ * folder or be left out of the batches — a sibling of the blur pass.
+ *
+ * Algorithm (per file group):
+ * 1. Pick the first JPEG/PNG (same rule as blur detection)
+ * 2. Resize to EXPOSURE_RESIZE_WIDTH px wide and convert to grayscale
+ *    (no normalise(): the original brightness is what is being measured)
+ * 3. exposureMeter computes mean luminance and the share of blown-out and
+ *    crushed pixels, then classifies the frame against the chosen preset
+ *
+ * Per-file metrics are kept in the persistent analysis cache (path + size +
+ * mtime), so switching presets — or re-opening the folder later —
+ * re-classifies without decoding the images again.
+ */
+
+const path = require('path');
+const sharp = require('sharp');
+const {
+  BLUR_CONCURRENCY, STAT_CONCURRENCY, EXPOSURE_RESIZE_WIDTH, EXPOSURE_HIGHLIGHT_LEVEL,
+  EXPOSURE_SHADOW_LEVEL, EXPOSURE_THRESHOLDS,
+} = require('./constants');
+const { collectFileStats, runPool } = require('./fileUtils');
+const { pickAnalyzableFile } = require('./blurDetectionService');
+const { classifyExposure, measureLuminance } = require('./exposureMeter');
+const analysisCache = require('./analysisCache');
+const logger = require('../utils/logger');
+
+// ============================================================================
+// MEASURING
+// ============================================================================
+
+/**
+ * Measure the luminance histogram of an image.
+ *
+ * @param {string} filePath - Absolute path to the image
+ * @returns {Promise<{ mean: number, highlightClip: number, shadowClip: number }>}
+ *   Mean 0-255 and clipped shares in percent, or mean -1 on error
+ */
+async function computeExposure(filePath) {
+  try {
+    const data = await sharp(filePath, { sequentialRead: true })
+      .resize(EXPOSURE_RESIZE_WIDTH, null, { withoutEnlargement: true })
+      .grayscale()
+      .raw()
+      .toBuffer();
+    return measureLuminance(data, { highlightLevel: EXPOSURE_HIGHLIGHT_LEVEL, shadowLevel: EXPOSURE_SHADOW_LEVEL });
+  } catch (_err) {
+    // Sharp failed to process the image (corrupt, unsupported, etc.)
+    return { mean: -1, highlightClip: 0, shadowClip: 0 };
+  }
+}
+
+// ============================================================================
+// MAIN ANALYSIS
+// ============================================================================
+
+/**
+ * Analyze file groups for exposure with pool-based concurrency and progress reporting.
+ *
+ * @param {Object} fileGroups - Map of baseName -> string[] (from groupFilesByBaseName)
+ * @param {string} folderPath - Absolute path to the folder
+ * @param {string} [preset='moderate'] - Preset: 'strict' | 'moderate' | 'lenient'
+ * @param {Function} [onProgress] - Optional callback: ({ current, total }) => void
+ * @returns {Promise<Object>} { exposureResults, flaggedGroups, overCount, underCount, analyzedGroups, cachedFiles }
+ *   where exposureResults maps baseName -> { exposure: 'over'|'under'|null, mean, highlightClip, shadowClip, analyzedFile }
+ */
+async function analyzeExposure(fileGroups, folderPath, preset = 'moderate', onProgress = null) {
+  const thresholds = EXPOSURE_THRESHOLDS[preset] || EXPOSURE_THRESHOLDS.moderate;
+  const exposureResults = {};
+  const workItems = [];
+  for (const [baseName, files] of Object.entries(fileGroups)) {
+    const analyzedFile = pickAnalyzableFile(files);
+    if (analyzedFile) {
+      workItems.push({ baseName, analyzedFile });
+    } else {
+      // RAW-only or video-only group — skip, never flagged
+      exposureResults[baseName] = { exposure: null, mean: -1, highlightClip: 0, shadowClip: 0, analyzedFile: null };
+    }
+  }
+
+  logger.log(`☀️ [EXPOSURE] Analyzing ${workItems.length} of ${Object.keys(fileGroups).length} groups ` +
+    `(preset: ${preset}, clip>${thresholds.clipPercent}%, mean ${thresholds.minMean}-${thresholds.maxMean})...`);
+
+  const fileStats = await collectFileStats(workItems.map(item => item.analyzedFile), folderPath, STAT_CONCURRENCY);
+  await analysisCache.open();
+
+  let processed = 0;
+  let cachedFiles = 0;
+  await runPool(workItems, BLUR_CONCURRENCY, async ({ baseName, analyzedFile }) => {
+    const filePath = path.join(folderPath, analyzedFile);
+    let metrics = analysisCache.get('exposure', filePath, fileStats[analyzedFile]);
+    if (metrics) {
+      cachedFiles++;
+    } else {
+      metrics = await computeExposure(filePath);
+      analysisCache.set('exposure', filePath, fileStats[analyzedFile], metrics);
+    }
+
+    exposureResults[baseName] = { exposure: classifyExposure(metrics, thresholds), ...metrics, analyzedFile };
+
+    processed++;
+    if (onProgress) onProgress({ current: processed, total: workItems.length });
+  });
+
+  analysisCache.save();
+
+  // Flagged groups in name order, so the review list is stable between runs
+  const flaggedGroups = Object.keys(exposureResults)
+    .filter(baseName => exposureResults[baseName].exposure)
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  const overCount = flaggedGroups.filter(baseName => exposureResults[baseName].exposure === 'over').length;
+
+  logger.log(`☀️ [EXPOSURE] ${overCount} overexposed, ${flaggedGroups.length - overCount} underexposed. ` +
+    `${workItems.length - cachedFiles} analyzed, ${cachedFiles} from cache.`);
+
+  return {
+    exposureResults,
+    flaggedGroups,
+    overCount,
+    underCount: flaggedGroups.length - overCount,
+    analyzedGroups: workItems.length,
+    cachedFiles,
+  };
+}
+
+module.exports = {
+  analyzeExposure,
+  computeExposure,
+};
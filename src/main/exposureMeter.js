@@ -0,0 +1,116 @@
+/**
+ * Exposure Meter
+ * Measures a luminance histogram (mean brightness, clipped highlights and
+ * shadows) and classifies frames as over- or underexposed. Used by
+ * exposureDetectionService after the images are decoded, and builds the
+ * luminance/RGB histogram shown in the image preview.
+ *
+ * Pure module (no Electron, no logger) so tests can require it directly.
+ *
+ * RULES (thresholds come from EXPOSURE_THRESHOLDS in constants.js):
+ * - Overexposed: mean above `maxMean`, or more than `clipPercent` % of the
+ *   pixels blown out while the frame is brighter than mid-gray.
+ * - Underexposed: mean below `minMean`, or more than `clipPercent` % of the
+ *   pixels crushed while the frame is darker than mid-gray.
+ * - Frames that could not be measured (mean < 0) are never flagged.
+ */
+
+/** Mean luminance of a frame that is neither bright nor dark */
+const MID_GRAY = 128;
+
+/** Rec. 709 luma weights for the histogram's luminance channel */
+const LUMA_WEIGHTS = [0.2126, 0.7152, 0.0722];
+
+/**
+ * Histogram metrics of 8-bit grayscale pixels.
+ *
+ * @param {Uint8Array|Buffer} data - One byte per pixel
+ * @param {Object} levels
+ * @param {number} levels.highlightLevel - Pixels at or above are blown out
+ * @param {number} levels.shadowLevel - Pixels at or below are crushed
+ * @returns {{ mean: number, highlightClip: number, shadowClip: number }}
+ *   Mean 0-255 and clipped shares in percent, or mean -1 without pixels
+ */
+function measureLuminance(data, { highlightLevel, shadowLevel }) {
+  if (!data || data.length === 0) return { mean: -1, highlightClip: 0, shadowClip: 0 };
+
+  let sum = 0;
+  let highlights = 0;
+  let shadows = 0;
+  for (let i = 0; i < data.length; i++) {
+    const v = data[i];
+    sum += v;
+    if (v >= highlightLevel) highlights++;
+    else if (v <= shadowLevel) shadows++;
+  }
+  return {
+    mean: sum / data.length,
+    highlightClip: (highlights / data.length) * 100,
+    shadowClip: (shadows / data.length) * 100,
+  };
+}
+
+/**
+ * Classify measured exposure against a preset.
+ *
+ * @param {{ mean: number, highlightClip: number, shadowClip: number }} metrics
+ * @param {{ clipPercent: number, minMean: number, maxMean: number }} thresholds
+ * @returns {'over'|'under'|null}
+ */
+function classifyExposure(metrics, thresholds) {
+  const { mean, highlightClip, shadowClip } = metrics;
+  if (mean < 0) return null;
+  if (mean > thresholds.maxMean || (mean > MID_GRAY && highlightClip > thresholds.clipPercent)) return 'over';
+  if (mean < thresholds.minMean || (mean < MID_GRAY && shadowClip > thresholds.clipPercent)) return 'under';
+  return null;
+}
+
+/**
+ * Luminance and RGB histograms of 8-bit pixels, for display.
+ * Counts are scaled so the tallest bin of any channel is 1 (rounded to
+ * 3 decimals to keep the IPC payload small).
+ *
+ * @param {Uint8Array|Buffer} data - Interleaved pixels
+ * @param {number} channels - 1 (grayscale) or 3+ (RGB, extra channels ignored)
+ * @param {number} bins - Bins per channel (divides 256)
+ * @returns {{ bins: number, luminance: number[], red: number[]|null, green: number[]|null, blue: number[]|null }}
+ *   red/green/blue are null for grayscale images
+ */
+function computeHistograms(data, channels, bins) {
+  const binWidth = 256 / bins;
+  const color = channels >= 3;
+  const luminance = new Array(bins).fill(0);
+  const rgb = color ? [new Array(bins).fill(0), new Array(bins).fill(0), new Array(bins).fill(0)] : null;
+
+  for (let i = 0; i + channels <= data.length; i += channels) {
+    if (!color) {
+      luminance[Math.floor(data[i] / binWidth)]++;
+      continue;
+    }
+    let luma = 0;
+    for (let c = 0; c < 3; c++) {
+      rgb[c][Math.floor(data[i + c] / binWidth)]++;
+      luma += LUMA_WEIGHTS[c] * data[i + c];
+    }
+    luminance[Math.min(bins - 1, Math.floor(luma / binWidth))]++;
+  }
+
+  let max = 0;
+  for (const histogram of [luminance, ...(rgb || [])]) {
+    for (const count of histogram) if (count > max) max = count;
+  }
+  const scale = (histogram) => histogram.map(count => (max > 0 ? Math.round((count / max) * 1000) / 1000 : 0));
+  return {
+    bins,
+    luminance: scale(luminance),
+    red: rgb ? scale(rgb[0]) : null,
+    green: rgb ? scale(rgb[1]) : null,
+    blue: rgb ? scale(rgb[2]) : null,
+  };
+}
+
+module.exports = {
+  classifyExposure,
+  computeHistograms,
+  measureLuminance,
+};
@@ -20,13 +20,22 @@ const rollbackManager = require('./rollbackManager');
 const logger = require('../utils/logger');
 const config = require('./config');
 const { sanitizeError } = require('../utils/errorSanitizer');
-const { groupFilesByBaseName, calculateBatches, yieldToMain } = require('./batchEngine');
+const { groupFilesByBaseName, countFilesByCategory, planBatches, getGroupBytes, buildDestinationNames, getGroupKeys, assignTypeFolders, yieldToMain } = require('./batchEngine');
 const exifService = require('./exifService');
 const blurDetectionService = require('./blurDetectionService');
+const exposureDetectionService = require('./exposureDetectionService');
+const duplicateDetectionService = require('./duplicateDetectionService');
+const similarityService = require('./similarityService');
+const analysisCache = require('./analysisCache');
+const { extractRawPreview, isRawPreviewFile } = require('./rawPreviewService');
 const { executeFileOperations } = require('./batchExecutor');
-const { isPathAllowedAsync, registerAllowedPath, sanitizeOutputPrefix, validateMaxFilesPerBatch } = require('./securityManager');
-const { collectFileStats, isSameDrive, getDiskSpace, testWritePermission, formatBytes, calculateTotalSize, SPACE_BUFFER_MULTIPLIER } = require('./fileUtils');
-const { generateBatchFolderName } = require('../utils/batchNaming');
+const { isPathAllowedAsync, registerAllowedPath, sanitizeOutputPrefix, validateMaxFilesPerBatch, validateBatchOptions, validateBlurThresholds, isSafeRelativePath } = require('./securityManager');
+const { listFolderFiles, collectFileStats, isSameDrive, getDiskSpace, testWritePermission, formatBytes, calculateTotalSize, SPACE_BUFFER_MULTIPLIER } = require('./fileUtils');
+const { generateBatchFolderName, getBatchNamingContext, getPatternDataNeeds, getSetAsideFolderPrefix, getFileTemplateDataNeeds, buildRenamedFiles } = require('../utils/batchNaming');
+const { BLUR_CLASSES } = require('../utils/blurClasses');
+const { applyClockOffsets, getCameraBodyLabel } = require('../utils/cameraClocks');
+const { needsCaptureDates, needsCameraInfo, needsGps, needsRatings, needsDimensions, hasRatingRules, applyRatingRules, classifyOrientation, ORIENTATIONS } = require('./batchPartitioner');
+const { computeHistograms } = require('./exposureMeter');
 const sharp = require('sharp');
 const {
   STAT_CONCURRENCY,
@@ -36,6 +45,8 @@ const {
   PREVIEW_MAX_DIMENSION,
   PREVIEW_JPEG_QUALITY,
   PREVIEW_CACHE_SIZE,
+  HISTOGRAM_RESIZE_WIDTH,
+  HISTOGRAM_BINS,
 } = require('./constants');
 
 /**
@@ -60,6 +71,199 @@ function registerIpcHandlers(ipcInstance, storeInstance, getMainWindow, appState
 
 }
 
+/**
+ * List the source files for a batch operation.
+ * Top-level file names by default; '/'-joined relative paths when the
+ * recursive scan option is on.
+ * 
+ * @param {string} folderPath - Source folder path
+ * @param {Object} batchOptions - Validated batch options (see validateBatchOptions)
+ * @returns {Promise<string[]>}
+ */
+function listSourceFiles(folderPath, batchOptions) {
+  return listFolderFiles(folderPath, {
+    recursive: batchOptions.recursive,
+    maxDepth: config.limits.MAX_SCAN_DEPTH,
+  });
+}
+
+/**
+ * Remove the listed groups from fileGroups (blurry or duplicate groups the
+ * renderer flagged) and return their files. Unknown names are ignored.
+ * 
+ * @param {Object} fileGroups - Map of baseName -> fileNames, modified in place
+ * @param {any} baseNames - Renderer-supplied base names
+ * @returns {string[]} Files of the removed groups
+ */
+function takeGroups(fileGroups, baseNames) {
+  const taken = [];
+  if (!Array.isArray(baseNames)) return taken;
+  for (const baseName of baseNames) {
+    if (typeof baseName === 'string' && Object.hasOwn(fileGroups, baseName)) {
+      taken.push(...fileGroups[baseName]);
+      delete fileGroups[baseName];
+    }
+  }
+  return taken;
+}
+
+/**
+ * Remove the blurry groups the renderer routes to per-class folders
+ * (motion blur, defocus, low detail), in folder order.
+ * 
+ * @param {Object} fileGroups - Map of baseName -> fileNames, modified in place
+ * @param {any} blurClassGroups - Renderer-supplied map of class key -> base names
+ * @returns {Array<{ blurClass: string, folderSuffix: string, files: string[] }>} Classes with files only
+ */
+function takeBlurClassGroups(fileGroups, blurClassGroups) {
+  if (!blurClassGroups || typeof blurClassGroups !== 'object') return [];
+  return BLUR_CLASSES
+    .map(({ key, folderSuffix }) => ({
+      blurClass: key,
+      folderSuffix,
+      files: takeGroups(fileGroups, Object.hasOwn(blurClassGroups, key) ? blurClassGroups[key] : null),
+    }))
+    .filter(entry => entry.files.length > 0);
+}
+
+/**
+ * Remove the groups the rating rules route to the Rejected folder or leave
+ * out of the plan (below the minimum rating, or another color label).
+ * 
+ * @param {Object} fileGroups - Map of baseName -> fileNames, modified in place
+ * @param {Object|null} ratings - Map of fileName -> { rating, label } (from collectBatchStats)
+ * @param {Object} batchOptions - Validated batch options
+ * @returns {{ rejectedFiles: string[], filteredFiles: string[] }}
+ */
+function takeRatedGroups(fileGroups, ratings, batchOptions) {
+  if (!hasRatingRules(batchOptions)) return { rejectedFiles: [], filteredFiles: [] };
+  const { rejected, filteredOut } = applyRatingRules(fileGroups, ratings, batchOptions);
+  const rejectedFiles = takeGroups(fileGroups, rejected);
+  const filteredFiles = takeGroups(fileGroups, filteredOut);
+  logger.log(`⭐ [RATING] ${rejected.length} rejected groups, ${filteredOut.length} groups filtered out ` +
+    `(min ${batchOptions.minRating} stars${batchOptions.labelFilter ? `, label ${batchOptions.labelFilter}` : ''})`);
+  return { rejectedFiles, filteredFiles };
+}
+
+/**
+ * Files per type subfolder in one batch, e.g. { RAW: 24, JPEG: 24 }.
+ * Files kept in the batch folder itself are not counted.
+ * 
+ * @param {string[]} batchFiles
+ * @param {Map<string, string|null>} typeFolders - From assignTypeFolders()
+ * @returns {Object<string, number>}
+ */
+function countTypeFolders(batchFiles, typeFolders) {
+  const counts = {};
+  for (const fileName of batchFiles) {
+    const folder = typeFolders.get(fileName);
+    if (folder) counts[folder] = (counts[folder] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * EXIF capture times with the camera clock offsets applied, so frames
+ * from bodies with drifting clocks sort and split in shooting order.
+ * 
+ * @param {string[]} files - File names in the folder
+ * @param {string} folderPath - Source folder path
+ * @param {Array<{ camera: string, seconds: number }>} clockOffsets - Validated offsets
+ * @returns {Promise<Object>} Map of filename -> timestamp (ms)
+ */
+async function extractCaptureTimes(files, folderPath, clockOffsets) {
+  const captureDates = await exifService.extractExifDates(files, folderPath);
+  if (!clockOffsets?.length) return captureDates;
+  
+  const cameraInfo = await exifService.extractCameraInfo(files, folderPath);
+  const corrected = applyClockOffsets(captureDates, cameraInfo, clockOffsets);
+  if (corrected !== captureDates) {
+    logger.log(`🕒 [CLOCK] Applied ${clockOffsets.length} camera clock offset(s)`);
+  }
+  return corrected;
+}
+
+/**
+ * New file names for every batch when a rename template is set. Each file
+ * group shares one sequence number; numbering runs through all batches
+ * ('global') or restarts in each one ('batch').
+ * Shared by preview-batches and execute-batch so both show the same names.
+ * 
+ * @param {string[][]} batches - Files per batch, in sort order
+ * @param {Object} fileGroups - Map of baseName -> fileNames (see groupFilesByBaseName)
+ * @param {Object} batchOptions - Validated batch options (renameTemplate, renameNumbering)
+ * @param {{ captureDates: Object|null, cameraInfo: Object|null }} data
+ * @returns {Array<Map<string, string>>|null} Per batch: fileName -> new file name; null when renaming is off
+ */
+function planFileRenames(batches, fileGroups, batchOptions, data) {
+  if (!batchOptions.renameTemplate) return null;
+  
+  const groupKeys = getGroupKeys(fileGroups);
+  let sequence = 1;
+  return batches.map(batch => {
+    const firstSequence = batchOptions.renameNumbering === 'batch' ? 1 : sequence;
+    const { names, nextSequence } = buildRenamedFiles(batch, groupKeys, batchOptions.renameTemplate, firstSequence, data);
+    sequence = nextSequence;
+    return names;
+  });
+}
+
+/**
+ * Collect the per-file data needed to sort and limit batches.
+ * Shared by preview-batches and execute-batch so both produce the same plan.
+ * 
+ * @param {string[]} files - File names in the folder
+ * @param {string} folderPath - Source folder path
+ * @param {string} sortBy - Sort preference
+ * @param {Object} batchOptions - Validated batch options (see validateBatchOptions)
+ * @returns {Promise<{ fileStats: Object|null, sizeStats: Object|null, captureDates: Object|null, cameraInfo: Object|null, ratings: Object|null, gpsInfo: Object|null, dimensions: Object|null }>}
+ */
+async function collectBatchStats(files, folderPath, sortBy, batchOptions) {
+  let fileStats = null;
+  if (sortBy.startsWith('date')) {
+    logger.log('📊 [SORT] Collecting file stats for date sorting...');
+    fileStats = await collectFileStats(files, folderPath, STAT_CONCURRENCY);
+  } else if (sortBy.startsWith('exif')) {
+    fileStats = await extractCaptureTimes(files, folderPath, batchOptions.clockOffsets);
+  }
+  
+  let sizeStats = null;
+  if (batchOptions.limitMode === 'size' || (batchOptions.limitMode === 'target' && batchOptions.balanceBy === 'bytes')) {
+    // Date sorting already collected { mtimeMs, size } for every file
+    sizeStats = sortBy.startsWith('date')
+      ? fileStats
+      : await collectFileStats(files, folderPath, STAT_CONCURRENCY);
+  }
+  
+  // Capture times and camera info also feed folder name variables ({first_date}, {camera})
+  let captureDates = null;
+  if (needsCaptureDates(batchOptions.splitBy) || batchOptions.namingCaptureTimes) {
+    // EXIF sorting already extracted capture timestamps for every file
+    captureDates = sortBy.startsWith('exif')
+      ? fileStats
+      : await extractCaptureTimes(files, folderPath, batchOptions.clockOffsets);
+  }
+  
+  const cameraInfo = (needsCameraInfo(batchOptions.splitBy) || batchOptions.namingCamera)
+    ? await exifService.extractCameraInfo(files, folderPath)
+    : null;
+  
+  // Ratings feed both the rating/label split modes and the filter rules
+  const ratings = (needsRatings(batchOptions.splitBy) || hasRatingRules(batchOptions))
+    ? await exifService.extractRatings(files, folderPath)
+    : null;
+  
+  const gpsInfo = needsGps(batchOptions.splitBy)
+    ? await exifService.extractGpsCoordinates(files, folderPath)
+    : null;
+  
+  const dimensions = needsDimensions(batchOptions.splitBy)
+    ? await exifService.extractDimensions(files, folderPath)
+    : null;
+  
+  return { fileStats, sizeStats, captureDates, cameraInfo, ratings, gpsInfo, dimensions };
+}
+
 // ============================================================================
 // GROUP 1: FOLDER SELECTION & REGISTRATION (3 handlers)
 // ============================================================================
@@ -129,7 +333,7 @@ function registerFolderHandlers(ipcMain, store, getMainWindow) {
 }
 
 // ============================================================================
-// GROUP 2: CORE OPERATIONS (3 handlers)
+// GROUP 2: CORE OPERATIONS (7 handlers)
 // ============================================================================
 
 function registerCoreHandlers(ipcMain, getMainWindow, appState) {
@@ -138,7 +342,7 @@ function registerCoreHandlers(ipcMain, getMainWindow, appState) {
    * Handler: Scan folder and analyze file groups
    * OPTIMIZED: Uses fs.promises and yields for responsiveness
    */
-  ipcMain.handle('scan-folder', async (event, folderPath) => {
+  ipcMain.handle('scan-folder', async (event, folderPath, batchOptions = null) => {
     try {
       // SECURITY: Validate path is allowed (with symlink protection)
       if (!(await isPathAllowedAsync(folderPath))) {
@@ -149,21 +353,18 @@ function registerCoreHandlers(ipcMain, getMainWindow, appState) {
         };
       }
       
-      // 1. Async Read Directory
-      const entries = await fsPromises.readdir(folderPath, { withFileTypes: true });
+      // 1. List files the way preview-batches and execute-batch do (subfolders when recursive)
+      const safeOptions = validateBatchOptions(batchOptions);
+      const files = await listSourceFiles(folderPath, safeOptions);
       
-      // 2. Filter files
-      const files = [];
-      for (const entry of entries) {
-        if (entry.isFile()) {
-          files.push(entry.name);
-        }
-      }
+      // 2. Count visible top-level subfolders so the UI can suggest a recursive scan
+      const entries = await fsPromises.readdir(folderPath, { withFileTypes: true });
+      const subfolderCount = entries.filter(entry => entry.isDirectory() && !entry.name.startsWith('.')).length;
       
-      // 3. Group files with yielding for large sets
-      const fileGroups = await groupFilesByBaseName(files);
+      // 3. Group files with yielding for large sets (media and pairing rules from the current settings)
+      const fileGroups = await groupFilesByBaseName(files, safeOptions);
       
-      // Count only recognized image/RAW/video files (excludes non-media files like CSV, TXT, etc.)
+      // Count only recognized media files (excludes non-media files like CSV, TXT, etc.)
       const totalFiles = Object.values(fileGroups).reduce((sum, group) => sum + group.length, 0);
       const totalGroups = Object.keys(fileGroups).length;
       // OPTIMIZATION: Use reduce instead of spread (...) to avoid stack overflow on >65k groups
@@ -175,6 +376,8 @@ function registerCoreHandlers(ipcMain, getMainWindow, appState) {
         totalFiles,
         totalGroups,
         largestGroup,
+        subfolderCount,
+        categoryCounts: countFilesByCategory(fileGroups, safeOptions),
         // NOTE: fileGroups intentionally NOT returned here to reduce IPC payload
         // The renderer only needs aggregate stats; preview-batches will recalculate groups when needed
       };
@@ -190,7 +393,7 @@ function registerCoreHandlers(ipcMain, getMainWindow, appState) {
    * Handler: Execute the batch splitting operation
    * OPTIMIZED: Uses concurrency pool instead of batch chunks
    */
-  ipcMain.handle('execute-batch', async (event, { folderPath, maxFilesPerBatch, outputPrefix, mode = 'move', outputDir = null, sortBy = 'name-asc', blurryGroups = null }) => {
+  ipcMain.handle('execute-batch', async (event, { folderPath, maxFilesPerBatch, outputPrefix, mode = 'move', outputDir = null, sortBy = 'name-asc', blurryGroups = null, batchOptions = null, duplicateGroups = null, similarGroups = null, exposureGroups = null, blurClassGroups = null }) => {
     logger.time('TOTAL_BATCH_EXECUTION');
     try {
       // SECURITY: Validate paths are allowed (with symlink protection)
@@ -206,40 +409,72 @@ function registerCoreHandlers(ipcMain, getMainWindow, appState) {
       // SECURITY: Sanitize inputs
       const safePrefix = sanitizeOutputPrefix(outputPrefix);
       const safeMaxFiles = validateMaxFilesPerBatch(maxFilesPerBatch);
+      // The folder name and rename variables in use decide what is read from EXIF, not the renderer's flags
+      const validatedOptions = validateBatchOptions(batchOptions);
+      const namingNeeds = getPatternDataNeeds(safePrefix);
+      const renameNeeds = getFileTemplateDataNeeds(validatedOptions.renameTemplate);
+      const safeOptions = {
+        ...validatedOptions,
+        namingCaptureTimes: namingNeeds.captureTimes || renameNeeds.captureTimes,
+        namingCamera: namingNeeds.camera || renameNeeds.camera,
+      };
       
       // Reset cancellation flag at start of new operation
       appState.resetBatchCancellation();
       
       // Re-scan to get clean state
-      const entries = await fsPromises.readdir(folderPath, { withFileTypes: true });
-      const files = entries.filter(entry => entry.isFile()).map(entry => entry.name);
-      
-      // Collect stats based on sort mode
-      let fileStats = null;
-      if (sortBy.startsWith('date')) {
-        logger.log('📊 [SORT] Collecting file stats for date sorting...');
-        fileStats = await collectFileStats(files, folderPath, STAT_CONCURRENCY);
-      } else if (sortBy.startsWith('exif')) {
-        fileStats = await exifService.extractExifDates(files, folderPath);
-      }
+      const files = await listSourceFiles(folderPath, safeOptions);
       
-      // Group files and separate blurry groups if provided
-      const fileGroups = await groupFilesByBaseName(files);
-      const blurryGroupSet = new Set(Array.isArray(blurryGroups) ? blurryGroups : []);
-      const blurryFiles = [];
+      // Collect stats based on sort mode and limit mode
+      const { fileStats, sizeStats, captureDates, cameraInfo, ratings, gpsInfo, dimensions } = await collectBatchStats(files, folderPath, sortBy, safeOptions);
       
-      if (blurryGroupSet.size > 0) {
-        for (const baseName of blurryGroupSet) {
-          if (fileGroups[baseName]) {
-            blurryFiles.push(...fileGroups[baseName]);
-            delete fileGroups[baseName];
-          }
-        }
-        logger.log(`🔍 [BLUR] Separated ${blurryFiles.length} blurry files from ${blurryGroupSet.size} groups`);
+      // Group files and separate duplicate, rejected/filtered, blurry, badly exposed and similar groups
+      const fileGroups = await groupFilesByBaseName(files, safeOptions);
+      // Type subfolders are picked while every group is intact, set-aside groups included
+      const typeFolders = safeOptions.typeSubfolders ? assignTypeFolders(fileGroups, safeOptions) : null;
+      // Flattened names are de-duplicated per group, so pairs, sidecars and edits stay matched
+      const groupKeys = getGroupKeys(fileGroups);
+      const duplicateFiles = takeGroups(fileGroups, duplicateGroups);
+      if (duplicateFiles.length > 0) {
+        logger.log(`🧬 [DUPES] Separated ${duplicateFiles.length} duplicate files ` +
+          `(${safeOptions.duplicateAction === 'drop' ? 'left in place' : 'to duplicates folder'})`);
+      }
+      const { rejectedFiles, filteredFiles } = takeRatedGroups(fileGroups, ratings, safeOptions);
+      const blurryFiles = takeGroups(fileGroups, blurryGroups);
+      if (blurryFiles.length > 0) {
+        logger.log(`🔍 [BLUR] Separated ${blurryFiles.length} blurry files from ${blurryGroups.length} groups`);
+      }
+      const blurClassSets = takeBlurClassGroups(fileGroups, blurClassGroups);
+      for (const { blurClass, files: classFiles } of blurClassSets) {
+        logger.log(`🔍 [BLUR] Separated ${classFiles.length} files to the ${blurClass} folder`);
+      }
+      const exposureFiles = takeGroups(fileGroups, exposureGroups);
+      if (exposureFiles.length > 0) {
+        logger.log(`☀️ [EXPOSURE] Separated ${exposureFiles.length} badly exposed files ` +
+          `(${safeOptions.exposureAction === 'drop' ? 'left in place' : 'to exposure folder'})`);
+      }
+      const similarFiles = takeGroups(fileGroups, similarGroups);
+      if (similarFiles.length > 0) {
+        logger.log(`🎞️ [SIMILAR] Separated ${similarFiles.length} files of frames not picked from their burst`);
       }
       
-      // Recalculate batches with user's sort preference (blurry groups excluded)
-      const batches = await calculateBatches(fileGroups, safeMaxFiles, sortBy, fileStats);
+      // Recalculate batches with user's sort preference (set-aside groups excluded)
+      const { batches, batchMeta } = await planBatches(fileGroups, safeMaxFiles, sortBy, fileStats, {
+        ...safeOptions,
+        sizeStats,
+        captureDates,
+        cameraInfo,
+        ratings,
+        gpsInfo,
+        dimensions,
+      });
+      const batchFolderNames = batches.map((batch, i) =>
+        generateBatchFolderName(safePrefix, i, batches.length, getBatchNamingContext(batch, batchMeta[i], { captureDates, cameraInfo })));
+      // Set-aside folders keep the original file names
+      const renamedFiles = planFileRenames(batches, fileGroups, safeOptions, { captureDates, cameraInfo });
+      if (renamedFiles) {
+        logger.log(`✏️ [RENAME] Renaming batch files with "${safeOptions.renameTemplate}" (${safeOptions.renameNumbering} numbering)`);
+      }
       
       const baseOutputDir = (mode === 'copy' && outputDir) ? outputDir : folderPath;
       
@@ -249,25 +484,48 @@ function registerCoreHandlers(ipcMain, getMainWindow, appState) {
       for (let i = 0; i < batches.length; i += FOLDER_CONCURRENCY) {
         const chunkPromises = [];
         for (let j = 0; j < FOLDER_CONCURRENCY && (i + j) < batches.length; j++) {
-          const batchIndex = i + j;
-          const batchFolderName = generateBatchFolderName(safePrefix, batchIndex, batches.length);
-          const batchFolderPath = path.join(baseOutputDir, batchFolderName);
+          const batchFolderPath = path.join(baseOutputDir, batchFolderNames[i + j]);
           chunkPromises.push(fsPromises.mkdir(batchFolderPath, { recursive: true }));
         }
         await Promise.all(chunkPromises);
       }
       
-      // Create the blurry folder if there are blurry files
-      const blurryFolderName = blurryFiles.length > 0 ? `${safePrefix}_Blurry` : null;
-      if (blurryFolderName) {
-        const blurryFolderPath = path.join(baseOutputDir, blurryFolderName);
-        await fsPromises.mkdir(blurryFolderPath, { recursive: true });
-        logger.log(`🔍 [BLUR] Created blurry folder: ${blurryFolderName}`);
+      // Set-aside groups get their own folders, numbered after the batches.
+      // Duplicates and badly exposed frames get one unless they are left out
+      // of the plan; groups the rating filter leaves out are not moved at all.
+      const setAsidePrefix = getSetAsideFolderPrefix(safePrefix);
+      const rejectedFolderName = rejectedFiles.length > 0 ? `${setAsidePrefix}_Rejected` : null;
+      const blurryFolderName = blurryFiles.length > 0 ? `${setAsidePrefix}_Blurry` : null;
+      const blurClassFolders = blurClassSets.map(({ blurClass, folderSuffix, files: classFiles }) => ({
+        blurClass,
+        folder: `${setAsidePrefix}_${folderSuffix}`,
+        files: classFiles,
+      }));
+      const exposureFolderName = exposureFiles.length > 0 && safeOptions.exposureAction === 'folder'
+        ? `${setAsidePrefix}_Exposure`
+        : null;
+      const duplicateFolderName = duplicateFiles.length > 0 && safeOptions.duplicateAction === 'folder'
+        ? `${setAsidePrefix}_Duplicates`
+        : null;
+      const similarFolderName = similarFiles.length > 0 ? `${setAsidePrefix}_Similar` : null;
+      const setAsideFolders = [
+        { folder: rejectedFolderName, files: rejectedFiles },
+        { folder: blurryFolderName, files: blurryFiles },
+        ...blurClassFolders,
+        { folder: exposureFolderName, files: exposureFiles },
+        { folder: duplicateFolderName, files: duplicateFiles },
+        { folder: similarFolderName, files: similarFiles },
+      ].filter(entry => entry.folder);
+      for (const { folder } of setAsideFolders) {
+        await fsPromises.mkdir(path.join(baseOutputDir, folder), { recursive: true });
+        logger.log(`📂 [BATCH] Created folder: ${folder}`);
       }
       logger.timeEnd('FOLDER_CREATION');
 
       let processedFiles = 0;
-      const totalFiles = files.length;
+      // Duplicates and badly exposed frames left in place, and filtered-out groups, are not part of the operation
+      const totalFiles = files.length - (duplicateFolderName ? 0 : duplicateFiles.length) -
+        (exposureFolderName ? 0 : exposureFiles.length) - filteredFiles.length;
       
       // Flatten the work into a single array of operations
       // Yield periodically during this heavy synchronous calculation
@@ -275,14 +533,20 @@ function registerCoreHandlers(ipcMain, getMainWindow, appState) {
       
       for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
         const batchFiles = batches[batchIndex];
-        const batchFolderName = generateBatchFolderName(safePrefix, batchIndex, batches.length);
-        const batchFolderPath = path.join(baseOutputDir, batchFolderName);
+        const batchFolderPath = path.join(baseOutputDir, batchFolderNames[batchIndex]);
+        // Nested files are flattened or keep their subfolders, per the layout option,
+        // then go to their RAW/JPEG/Video subfolder when that layout is on
+        const destNames = buildDestinationNames(batchFiles, safeOptions.preserveStructure, typeFolders, groupKeys);
         
         for (const fileName of batchFiles) {
+          // A new name replaces the file name only; subfolders of the layout stay
+          const destName = renamedFiles
+            ? path.join(path.dirname(destNames.get(fileName)), renamedFiles[batchIndex].get(fileName))
+            : destNames.get(fileName);
           operations.push({
             fileName,
             sourcePath: path.join(folderPath, fileName),
-            destPath: path.join(batchFolderPath, fileName),
+            destPath: path.join(batchFolderPath, destName),
             batchIndex
           });
         }
@@ -290,29 +554,40 @@ function registerCoreHandlers(ipcMain, getMainWindow, appState) {
         if (batchIndex % 20 === 0) await yieldToMain();
       }
       
-      // Append blurry file operations (they go to the blurry folder)
-      if (blurryFolderName && blurryFiles.length > 0) {
-        const blurryFolderPath = path.join(baseOutputDir, blurryFolderName);
-        for (const fileName of blurryFiles) {
+      // Append set-aside file operations (each folder counts as one more "batch")
+      setAsideFolders.forEach(({ folder, files: setAsideFiles }, i) => {
+        const setAsideFolderPath = path.join(baseOutputDir, folder);
+        const destNames = buildDestinationNames(setAsideFiles, safeOptions.preserveStructure, typeFolders, groupKeys);
+        for (const fileName of setAsideFiles) {
           operations.push({
             fileName,
             sourcePath: path.join(folderPath, fileName),
-            destPath: path.join(blurryFolderPath, fileName),
-            batchIndex: batches.length // Last "batch" index
+            destPath: path.join(setAsideFolderPath, destNames.get(fileName)),
+            batchIndex: batches.length + i
           });
         }
+      });
+      
+      // Create the subfolders inside each batch (preserve-structure and type subfolder layouts)
+      if (safeOptions.preserveStructure || typeFolders) {
+        const nestedDirs = [...new Set(operations.map(op => path.dirname(op.destPath)))];
+        for (let i = 0; i < nestedDirs.length; i += FOLDER_CONCURRENCY) {
+          await Promise.all(nestedDirs.slice(i, i + FOLDER_CONCURRENCY)
+            .map(dir => fsPromises.mkdir(dir, { recursive: true })));
+        }
+        logger.log(`📂 [BATCH] Created ${nestedDirs.length} folders for the ${safeOptions.preserveStructure ? 'preserved subfolder' : 'type subfolder'} layout`);
       }
 
       // HIGH-PERFORMANCE FILE PROCESSING
       logger.time('FILE_MOVING');
       
-      // Build batch info for display (includes blurry folder)
+      // Build batch info for display (includes set-aside folders)
       const batchInfo = batches.map((b, i) => ({ 
-        folder: generateBatchFolderName(safePrefix, i, batches.length),
+        folder: batchFolderNames[i],
         fileCount: b.length 
       }));
-      if (blurryFolderName) {
-        batchInfo.push({ folder: blurryFolderName, fileCount: blurryFiles.length });
+      for (const { folder, files: setAsideFiles } of setAsideFolders) {
+        batchInfo.push({ folder, fileCount: setAsideFiles.length });
       }
       
       // Start progress tracking for crash recovery
@@ -323,6 +598,9 @@ function registerCoreHandlers(ipcMain, getMainWindow, appState) {
         mode,
         maxFilesPerBatch: safeMaxFiles,
         outputPrefix: safePrefix,
+        recursive: safeOptions.recursive,
+        preserveStructure: safeOptions.preserveStructure,
+        typeSubfolders: safeOptions.typeSubfolders,
         totalFiles,
         allFileNames,
         operations,
@@ -330,7 +608,7 @@ function registerCoreHandlers(ipcMain, getMainWindow, appState) {
       });
       
       // Delegate file processing to the shared batch executor
-      const totalBatchCount = batches.length + (blurryFolderName ? 1 : 0);
+      const totalBatchCount = batches.length + setAsideFolders.length;
       const { processedFiles: finalProcessed, errors } = await executeFileOperations(
         operations, mode, {
           totalFiles,
@@ -355,13 +633,13 @@ function registerCoreHandlers(ipcMain, getMainWindow, appState) {
         await progressManager.clearProgress();
       }
       
-      // Build results array (includes blurry folder)
+      // Build results array (includes set-aside folders)
       const resultsArray = batches.map((b, i) => ({ 
-        folder: generateBatchFolderName(safePrefix, i, batches.length),
+        folder: batchFolderNames[i],
         fileCount: b.length 
       }));
-      if (blurryFolderName) {
-        resultsArray.push({ folder: blurryFolderName, fileCount: blurryFiles.length });
+      for (const { folder, files: setAsideFiles } of setAsideFolders) {
+        resultsArray.push({ folder, fileCount: setAsideFiles.length });
       }
       
       const result = {
@@ -378,6 +656,16 @@ function registerCoreHandlers(ipcMain, getMainWindow, appState) {
         errors: errors.length > 0 ? errors.slice(0, 10) : null,  // Return first 10 errors
         blurryFileCount: blurryFiles.length,
         blurryFolderName: blurryFolderName,
+        blurClassFolders: blurClassFolders.map(({ blurClass, folder, files: classFiles }) => ({ blurClass, folder, fileCount: classFiles.length })),
+        exposureFileCount: exposureFiles.length,
+        exposureFolderName,
+        duplicateFileCount: duplicateFiles.length,
+        duplicateFolderName,
+        similarFileCount: similarFiles.length,
+        similarFolderName,
+        rejectedFileCount: rejectedFiles.length,
+        rejectedFolderName,
+        filteredFileCount: filteredFiles.length,
       };
       
       // Save rollback manifest for successful move operations (if feature is enabled)
@@ -393,6 +681,19 @@ function registerCoreHandlers(ipcMain, getMainWindow, appState) {
           // Extended metadata for history detail display
           maxFilesPerBatch: safeMaxFiles,
           sortBy,
+          contiguous: safeOptions.contiguous,
+          limitMode: safeOptions.limitMode,
+          maxBytesPerBatch: safeOptions.maxBytesPerBatch,
+          targetBatchCount: safeOptions.targetBatchCount,
+          balanceBy: safeOptions.balanceBy,
+          recursive: safeOptions.recursive,
+          preserveStructure: safeOptions.preserveStructure,
+          typeSubfolders: safeOptions.typeSubfolders,
+          splitBy: safeOptions.splitBy,
+          sessionGapMinutes: safeOptions.sessionGapMinutes,
+          locationRadiusKm: safeOptions.locationRadiusKm,
+          renameTemplate: safeOptions.renameTemplate,
+          renameNumbering: safeOptions.renameNumbering,
           batchResults: result.results, // [{ folder, fileCount }, ...]
         });
       }
@@ -414,7 +715,7 @@ function registerCoreHandlers(ipcMain, getMainWindow, appState) {
    * Handler: Calculate batch preview
    * OPTIMIZED: async + yielding
    */
-  ipcMain.handle('preview-batches', async (event, { folderPath, maxFilesPerBatch, sortBy = 'name-asc', excludeGroups = null }) => {
+  ipcMain.handle('preview-batches', async (event, { folderPath, maxFilesPerBatch, sortBy = 'name-asc', excludeGroups = null, batchOptions = null, duplicateGroups = null, similarGroups = null, exposureGroups = null, blurClassGroups = null }) => {
     try {
       // SECURITY: Validate path is allowed (with symlink protection)
       if (!(await isPathAllowedAsync(folderPath))) {
@@ -424,56 +725,127 @@ function registerCoreHandlers(ipcMain, getMainWindow, appState) {
       
       // SECURITY: Validate and sanitize maxFilesPerBatch
       const safeMaxFiles = validateMaxFilesPerBatch(maxFilesPerBatch);
+      const safeOptions = validateBatchOptions(batchOptions);
       
-      const entries = await fsPromises.readdir(folderPath, { withFileTypes: true });
-      const files = entries.filter(entry => entry.isFile()).map(entry => entry.name);
+      const files = await listSourceFiles(folderPath, safeOptions);
       
-      // Collect stats based on sort mode
-      let fileStats = null;
-      if (sortBy.startsWith('date')) {
-        fileStats = await collectFileStats(files, folderPath, STAT_CONCURRENCY);
-      } else if (sortBy.startsWith('exif')) {
-        fileStats = await exifService.extractExifDates(files, folderPath);
-      }
+      // Collect stats based on sort mode and limit mode
+      const { fileStats, sizeStats, captureDates, cameraInfo, ratings, gpsInfo, dimensions } = await collectBatchStats(files, folderPath, sortBy, safeOptions);
       
-      const fileGroups = await groupFilesByBaseName(files);
+      const fileGroups = await groupFilesByBaseName(files, safeOptions);
+      const totalGroups = Object.keys(fileGroups).length;
+      const typeFolders = safeOptions.typeSubfolders ? assignTypeFolders(fileGroups, safeOptions) : null;
+      // Per media category, counted before blurry groups are taken out
+      const categoryCounts = countFilesByCategory(fileGroups, safeOptions);
       
-      // Separate blurry groups if excludeGroups is provided
-      const blurryFiles = [];
-      if (Array.isArray(excludeGroups) && excludeGroups.length > 0) {
-        for (const baseName of excludeGroups) {
-          if (fileGroups[baseName]) {
-            blurryFiles.push(...fileGroups[baseName]);
-            delete fileGroups[baseName];
-          }
-        }
-      }
+      // Separate duplicate groups first (a duplicate that is also blurry counts as a duplicate),
+      // then the rating rules (the user's own culling wins over the analyzers),
+      // then blurry groups if excludeGroups is provided (and those routed to per-class
+      // folders by blurClassGroups), then badly exposed frames,
+      // then frames not picked from a burst
+      const duplicateFiles = takeGroups(fileGroups, duplicateGroups);
+      const { rejectedFiles, filteredFiles } = takeRatedGroups(fileGroups, ratings, safeOptions);
+      const blurryFiles = takeGroups(fileGroups, excludeGroups);
+      const blurClassSets = takeBlurClassGroups(fileGroups, blurClassGroups);
+      const blurClassFileCount = blurClassSets.reduce((sum, entry) => sum + entry.files.length, 0);
+      const exposureFiles = takeGroups(fileGroups, exposureGroups);
+      const similarFiles = takeGroups(fileGroups, similarGroups);
       
-      const batches = await calculateBatches(fileGroups, safeMaxFiles, sortBy, fileStats);
+      const { batches, batchMeta } = await planBatches(fileGroups, safeMaxFiles, sortBy, fileStats, {
+        ...safeOptions,
+        sizeStats,
+        captureDates,
+        cameraInfo,
+        ratings,
+        gpsInfo,
+        dimensions,
+      });
       
-      const oversizedGroups = Object.entries(fileGroups)
-        .filter(([_name, files]) => files.length > safeMaxFiles)
-        .map(([name, files]) => ({ name, count: files.length }));
+      // In size mode a group is oversized when its bytes exceed the limit;
+      // target mode has no per-batch limit
+      const isSizeMode = safeOptions.limitMode === 'size';
+      const oversizedGroups = safeOptions.limitMode === 'target' ? [] : Object.entries(fileGroups)
+        .filter(([_name, files]) => (isSizeMode
+          ? getGroupBytes(files, sizeStats) > safeOptions.maxBytesPerBatch
+          : files.length > safeMaxFiles))
+        .map(([name, files]) => ({
+          name,
+          count: files.length,
+          sizeFormatted: isSizeMode ? formatBytes(getGroupBytes(files, sizeStats)) : null,
+        }));
       
       // Only send the first 50 batches detailed data to avoid IPC payload limit on huge datasets
-      const batchDetails = batches.slice(0, 50).map((batch, index) => ({
-        batchNumber: index + 1,
-        fileCount: batch.length,
-        sampleFiles: batch.slice(0, 5),
-        allFiles: batch, // Include all files for "Load More" functionality
-        hasMore: batch.length > 5
-      }));
+      const renamedFiles = planFileRenames(batches.slice(0, 50), fileGroups, safeOptions, { captureDates, cameraInfo });
+      const batchDetails = batches.slice(0, 50).map((batch, index) => {
+        const totalBytes = sizeStats ? getGroupBytes(batch, sizeStats) : null;
+        const naming = getBatchNamingContext(batch, batchMeta[index], { captureDates, cameraInfo });
+        return {
+          batchNumber: index + 1,
+          fileCount: batch.length,
+          totalBytes,
+          sizeFormatted: totalBytes !== null ? formatBytes(totalBytes) : null,
+          // Partition (e.g. capture day) this batch belongs to, when splitting
+          partitionKey: batchMeta[index]?.partitionKey ?? null,
+          partitionLabel: batchMeta[index]?.partitionLabel ?? null,
+          captureDate: batchMeta[index]?.captureDate ?? null,
+          sessionIndex: batchMeta[index]?.sessionIndex ?? null,
+          sessionCount: batchMeta[index]?.sessionCount ?? null,
+          sessionStart: batchMeta[index]?.startTime ?? null,
+          sessionEnd: batchMeta[index]?.endTime ?? null,
+          locationIndex: batchMeta[index]?.locationIndex ?? null,
+          locationName: batchMeta[index]?.locationName ?? null,
+          placeName: batchMeta[index]?.placeName ?? null,
+          latitude: batchMeta[index]?.latitude ?? null,
+          longitude: batchMeta[index]?.longitude ?? null,
+          inheritedGroups: batchMeta[index]?.inheritedGroups ?? null,
+          orientation: batchMeta[index]?.orientation ?? null,
+          // Files per RAW/JPEG/Video subfolder (type subfolder layout)
+          typeFolderCounts: typeFolders ? countTypeFolders(batch, typeFolders) : null,
+          // Ends of the batch in sort order, so contiguous batches can be checked at a glance
+          firstFile: naming.firstFile,
+          lastFile: naming.lastFile,
+          // Folder name variables ({first_date}, {last_date}, {camera}), same data as execute-batch
+          firstCaptureTime: naming.firstCaptureTime,
+          lastCaptureTime: naming.lastCaptureTime,
+          camera: naming.camera,
+          // New file names (fileName -> name) when a rename template is set
+          renamedFiles: renamedFiles ? Object.fromEntries(renamedFiles[index]) : null,
+          sampleFiles: batch.slice(0, 5),
+          allFiles: batch, // Include all files for "Load More" functionality
+          hasMore: batch.length > 5
+        };
+      });
       
       return {
         success: true,
+        limitMode: safeOptions.limitMode,
+        maxBytesFormatted: isSizeMode ? formatBytes(safeOptions.maxBytesPerBatch) : null,
+        targetBatchCount: safeOptions.targetBatchCount,
+        balanceBy: safeOptions.balanceBy,
         batchCount: batches.length,
         batchSizes: batches.map(b => b.length),
         batchDetails,
         oversizedGroups,
         // Count only recognized image/RAW/video files (excludes non-media files like CSV, TXT, etc.)
-        totalFiles: Object.values(fileGroups).reduce((sum, g) => sum + g.length, 0) + blurryFiles.length,
+        totalFiles: Object.values(fileGroups).reduce((sum, g) => sum + g.length, 0) + blurryFiles.length + blurClassFileCount + duplicateFiles.length +
+          similarFiles.length + exposureFiles.length + rejectedFiles.length + filteredFiles.length,
+        totalGroups,
+        categoryCounts,
+        recursive: safeOptions.recursive,
+        contiguous: safeOptions.contiguous,
+        splitBy: safeOptions.splitBy,
+        partitionCount: new Set(batchMeta.map(m => m?.partitionKey)).size,
         blurryFiles,
         blurryFileCount: blurryFiles.length,
+        // Files per blur class folder, e.g. { motion: 12 }
+        blurClassFileCounts: Object.fromEntries(blurClassSets.map(({ blurClass, files: classFiles }) => [blurClass, classFiles.length])),
+        duplicateFileCount: duplicateFiles.length,
+        duplicateAction: safeOptions.duplicateAction,
+        exposureFileCount: exposureFiles.length,
+        exposureAction: safeOptions.exposureAction,
+        similarFileCount: similarFiles.length,
+        rejectedFileCount: rejectedFiles.length,
+        filteredFileCount: filteredFiles.length,
       };
     } catch (error) {
       return {
@@ -488,7 +860,7 @@ function registerCoreHandlers(ipcMain, getMainWindow, appState) {
    * Runs asynchronously after scan completes, sending progress updates.
    * Uses blurDetectionService which analyzes JPEG/PNG thumbnails via Laplacian variance.
    */
-  ipcMain.handle('analyze-blur', async (event, { folderPath, threshold = 'moderate' }) => {
+  ipcMain.handle('analyze-blur', async (event, { folderPath, threshold = 'moderate', batchOptions = null, scoring = 'global', customThresholds = null }) => {
     try {
       // SECURITY: Validate path is allowed
       if (!(await isPathAllowedAsync(folderPath))) {
@@ -497,22 +869,26 @@ function registerCoreHandlers(ipcMain, getMainWindow, appState) {
       }
 
       // Validate threshold value
-      const validThresholds = ['strict', 'moderate', 'lenient'];
+      const validThresholds = ['strict', 'moderate', 'lenient', 'auto', 'custom'];
       const safeThreshold = validThresholds.includes(threshold) ? threshold : 'moderate';
+      const safeCustomThresholds = safeThreshold === 'custom' ? validateBlurThresholds(customThresholds) : null;
+      const safeScoring = scoring === 'tiled' ? 'tiled' : 'global';
 
-      // Read directory and group files
-      const entries = await fsPromises.readdir(folderPath, { withFileTypes: true });
-      const files = entries.filter(entry => entry.isFile()).map(entry => entry.name);
-      const fileGroups = await groupFilesByBaseName(files);
+      // Read directory and group files (same keys as preview-batches / execute-batch)
+      const safeOptions = validateBatchOptions(batchOptions);
+      const files = await listSourceFiles(folderPath, safeOptions);
+      const fileGroups = await groupFilesByBaseName(files, safeOptions);
 
       // Run blur analysis with progress reporting
-      const blurResults = await blurDetectionService.analyzeBlur(
+      const { blurMap: blurResults, thresholds } = await blurDetectionService.analyzeBlur(
         fileGroups,
         folderPath,
         safeThreshold,
         (progress) => {
           event.sender.send('blur-progress', progress);
-        }
+        },
+        safeScoring,
+        safeCustomThresholds
       );
 
       // Count blurry groups
@@ -522,6 +898,8 @@ function registerCoreHandlers(ipcMain, getMainWindow, appState) {
       return {
         success: true,
         blurResults,
+        thresholds,
+        thresholdPresets: blurDetectionService.getThresholdPresets(),
         totalAnalyzed,
         blurryCount,
         totalGroups: Object.keys(blurResults).length,
@@ -534,6 +912,136 @@ function registerCoreHandlers(ipcMain, getMainWindow, appState) {
     }
   });
 
+  /**
+   * Handler: Analyze folder images for over- and underexposure
+   * Sends 'exposure-progress' updates while analyzing. The renderer passes the
+   * flagged base names back to preview-batches / execute-batch as exposureGroups.
+   */
+  ipcMain.handle('analyze-exposure', async (event, { folderPath, preset = 'moderate', batchOptions = null }) => {
+    try {
+      // SECURITY: Validate path is allowed
+      if (!(await isPathAllowedAsync(folderPath))) {
+        logger.warn('🔒 [SECURITY] Blocked analyze-exposure on unregistered path:', folderPath);
+        return { success: false, error: 'Access denied: folder not selected through dialog' };
+      }
+
+      // Validate preset value
+      const validPresets = ['strict', 'moderate', 'lenient'];
+      const safePreset = validPresets.includes(preset) ? preset : 'moderate';
+
+      // Same groups as preview-batches / execute-batch
+      const safeOptions = validateBatchOptions(batchOptions);
+      const files = await listSourceFiles(folderPath, safeOptions);
+      const fileGroups = await groupFilesByBaseName(files, safeOptions);
+
+      const result = await exposureDetectionService.analyzeExposure(
+        fileGroups,
+        folderPath,
+        safePreset,
+        (progress) => {
+          event.sender.send('exposure-progress', progress);
+        }
+      );
+
+      return {
+        success: true,
+        ...result,
+        preset: safePreset,
+        totalGroups: Object.keys(fileGroups).length,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: sanitizeError(error, 'analyze-exposure'),
+      };
+    }
+  });
+
+  /**
+   * Handler: Find duplicate file groups by content hash
+   * Sends 'duplicate-progress' updates while hashing. The renderer passes the
+   * duplicate base names back to preview-batches / execute-batch.
+   */
+  ipcMain.handle('find-duplicates', async (event, { folderPath, batchOptions = null }) => {
+    try {
+      // SECURITY: Validate path is allowed
+      if (!(await isPathAllowedAsync(folderPath))) {
+        logger.warn('🔒 [SECURITY] Blocked find-duplicates on unregistered path:', folderPath);
+        return { success: false, error: 'Access denied: folder not selected through dialog' };
+      }
+
+      // Same groups as preview-batches / execute-batch
+      const safeOptions = validateBatchOptions(batchOptions);
+      const files = await listSourceFiles(folderPath, safeOptions);
+      const fileGroups = await groupFilesByBaseName(files, safeOptions);
+
+      const result = await duplicateDetectionService.findDuplicates(
+        fileGroups,
+        folderPath,
+        safeOptions,
+        (progress) => {
+          event.sender.send('duplicate-progress', progress);
+        }
+      );
+
+      return {
+        success: true,
+        ...result,
+        duplicateBytesFormatted: formatBytes(result.duplicateBytes),
+        totalGroups: Object.keys(fileGroups).length,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: sanitizeError(error, 'find-duplicates'),
+      };
+    }
+  });
+
+  /**
+   * Handler: Find bursts and near-identical frames
+   * Sends 'similar-progress' updates while analyzing. Returns clusters ranked
+   * by sharpness; the renderer picks the frames to keep and passes the rest
+   * back to preview-batches / execute-batch as similarGroups.
+   */
+  ipcMain.handle('find-similar', async (event, { folderPath, batchOptions = null }) => {
+    try {
+      // SECURITY: Validate path is allowed
+      if (!(await isPathAllowedAsync(folderPath))) {
+        logger.warn('🔒 [SECURITY] Blocked find-similar on unregistered path:', folderPath);
+        return { success: false, error: 'Access denied: folder not selected through dialog' };
+      }
+
+      // Same groups as preview-batches / execute-batch
+      const safeOptions = validateBatchOptions(batchOptions);
+      const files = await listSourceFiles(folderPath, safeOptions);
+      const fileGroups = await groupFilesByBaseName(files, safeOptions);
+      // Full file list, so the EXIF cache is shared with date sorting and splitting
+      const captureDates = await extractCaptureTimes(files, folderPath, safeOptions.clockOffsets);
+
+      const result = await similarityService.findSimilar(
+        fileGroups,
+        folderPath,
+        captureDates,
+        safeOptions,
+        (progress) => {
+          event.sender.send('similar-progress', progress);
+        }
+      );
+
+      return {
+        success: true,
+        ...result,
+        totalGroups: Object.keys(fileGroups).length,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: sanitizeError(error, 'find-similar'),
+      };
+    }
+  });
+
   /**
    * Handler: Validate execution environment before starting batch operation
    * Checks disk space sufficiency and write permissions on the target directory.
@@ -541,7 +1049,7 @@ function registerCoreHandlers(ipcMain, getMainWindow, appState) {
    * For same-drive move: only checks write permission (rename is O(1), no extra space).
    * For cross-drive move and copy: checks both disk space and write permission.
    */
-  ipcMain.handle('validate-execution', async (event, { folderPath, mode = 'move', outputDir = null }) => {
+  ipcMain.handle('validate-execution', async (event, { folderPath, mode = 'move', outputDir = null, batchOptions = null }) => {
     try {
       // SECURITY: Validate paths
       if (!(await isPathAllowedAsync(folderPath))) {
@@ -564,8 +1072,7 @@ function registerCoreHandlers(ipcMain, getMainWindow, appState) {
       }
 
       // 2. Collect file stats to calculate total size
-      const entries = await fsPromises.readdir(folderPath, { withFileTypes: true });
-      const files = entries.filter(entry => entry.isFile()).map(entry => entry.name);
+      const files = await listSourceFiles(folderPath, validateBatchOptions(batchOptions));
       const fileStats = await collectFileStats(files, folderPath, STAT_CONCURRENCY);
       const totalSizeBytes = calculateTotalSize(fileStats);
       const requiredBytes = Math.ceil(totalSizeBytes * SPACE_BUFFER_MULTIPLIER);
@@ -780,6 +1287,27 @@ function registerPreferenceHandlers(ipcMain, store) {
     }
     return false;
   });
+
+  // Analysis Cache (persistent EXIF / blur / exposure / hash results)
+  ipcMain.handle('get-cache-info', async () => {
+    try {
+      return { success: true, ...(await analysisCache.getInfo()) };
+    } catch (error) {
+      return { success: false, error: sanitizeError(error, 'get-cache-info') };
+    }
+  });
+
+  ipcMain.handle('clear-cache', async () => {
+    try {
+      const removed = await analysisCache.clear();
+      // Drop the current folder's in-memory maps too, so the next analysis starts over
+      exifService.clearCache();
+      blurDetectionService.clearCache();
+      return { success: true, removed };
+    } catch (error) {
+      return { success: false, error: sanitizeError(error, 'clear-cache') };
+    }
+  });
 }
 
 // ============================================================================
@@ -887,7 +1415,7 @@ function registerBatchHandlers(ipcMain, store, getMainWindow, appState) {
       }
       
       const { folderPath, outputDir, mode, processedFileNames, totalFiles, 
-              operations: storedOperations, batchInfo } = progress;
+              operations: storedOperations, batchInfo, typeSubfolders } = progress;
       
       // Register the folder path as allowed for this session
       registerAllowedPath(folderPath);
@@ -902,6 +1430,7 @@ function registerBatchHandlers(ipcMain, store, getMainWindow, appState) {
       logger.log('💾 [RESUME] Resuming batch operation');
       logger.log('   - Already processed:', processedFileNames.length);
       logger.log('   - Remaining operations:', remainingOperations.length);
+      if (typeSubfolders) logger.log('   - Layout: RAW/JPEG/Video subfolders');
       
       if (remainingOperations.length === 0) {
         await progressManager.clearProgress();
@@ -919,7 +1448,8 @@ function registerBatchHandlers(ipcMain, store, getMainWindow, appState) {
       // Reset cancellation flag
       appState.resetBatchCancellation();
       
-      // Ensure all required batch folders exist (they should already exist)
+      // Ensure all required batch folders exist (they should already exist).
+      // Stored destinations include any structure or type subfolders.
       const uniqueFolders = new Set(remainingOperations.map(op => path.dirname(op.destPath)));
       logger.time('FOLDER_CREATION');
       for (const dir of uniqueFolders) {
@@ -1024,7 +1554,8 @@ function registerRollbackHandlers(ipcMain, getMainWindow, appState) {
   
   /**
    * Handler: Get image thumbnails
-   * Generates small thumbnails for preview using sharp (handles EXIF orientation)
+   * Generates small thumbnails for preview using sharp (handles EXIF orientation).
+   * RAW files are rendered from their embedded JPEG preview.
    * 
    * SECURITY: Validates folderPath against allowed paths and sanitizes fileNames
    * to prevent path traversal attacks (e.g. "../../etc/passwd").
@@ -1048,14 +1579,13 @@ function registerRollbackHandlers(ipcMain, getMainWindow, appState) {
     const imageExtensions = ['.jpg', '.jpeg', '.png', '.webp', '.bmp', '.gif'];
     
     // Filter to only image files AND sanitize filenames:
-    // - Reject entries containing path separators (/ or \) to prevent traversal
-    // - Reject entries containing ".." sequences
-    // - Only allow valid image extensions
+    // - Allow plain names and '/'-joined relative paths (recursive scan)
+    // - Reject absolute paths, backslashes and "." / ".." segments to prevent traversal
+    // - Only allow valid image extensions (or RAW files with an embedded preview)
     const imageFiles = fileNames.filter(f => {
-      if (typeof f !== 'string') return false;
-      if (f.includes('/') || f.includes('\\') || f.includes('..')) return false;
+      if (!isSafeRelativePath(f)) return false;
       const ext = path.extname(f).toLowerCase();
-      return imageExtensions.includes(ext);
+      return imageExtensions.includes(ext) || isRawPreviewFile(f);
     });
     
     // Process in chunks for concurrency control
@@ -1065,9 +1595,11 @@ function registerRollbackHandlers(ipcMain, getMainWindow, appState) {
       await Promise.all(chunk.map(async (fileName) => {
         try {
           const filePath = path.join(folderPath, fileName);
+          const input = isRawPreviewFile(fileName) ? (await extractRawPreview(filePath))?.data : filePath;
+          if (!input) throw new Error('No embedded preview');
           
           // Sharp automatically rotates based on EXIF orientation
-          const buffer = await sharp(filePath)
+          const buffer = await sharp(input)
             .rotate() // Auto-rotate based on EXIF
             .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, {
               fit: 'cover',
@@ -1093,7 +1625,7 @@ function registerRollbackHandlers(ipcMain, getMainWindow, appState) {
 
   /**
    * Simple LRU cache for preview images.
-   * Maps filePath -> { dataUrl, width, height }
+   * Maps filePath -> { dataUrl, width, height, originalWidth, originalHeight, orientationLabel, embeddedPreview, cameraLabel, captureTime }
    * Evicts oldest entry when size exceeds PREVIEW_CACHE_SIZE.
    */
   const previewCache = new Map();
@@ -1109,7 +1641,7 @@ function registerRollbackHandlers(ipcMain, getMainWindow, appState) {
     if (typeof fileName !== 'string') {
       return { success: false, error: 'Invalid file name' };
     }
-    if (fileName.includes('/') || fileName.includes('\\') || fileName.includes('..')) {
+    if (!isSafeRelativePath(fileName)) {
       logger.warn('🔒 [SECURITY] get-image-preview path traversal attempt:', fileName);
       return { success: false, error: 'Invalid file name' };
     }
@@ -1117,7 +1649,8 @@ function registerRollbackHandlers(ipcMain, getMainWindow, appState) {
     // Validate extension
     const imageExtensions = ['.jpg', '.jpeg', '.png', '.webp', '.bmp', '.gif', '.tiff', '.tif'];
     const ext = path.extname(fileName).toLowerCase();
-    if (!imageExtensions.includes(ext)) {
+    const fromRaw = isRawPreviewFile(fileName);
+    if (!imageExtensions.includes(ext) && !fromRaw) {
       return { success: false, error: 'Unsupported image format' };
     }
 
@@ -1133,7 +1666,17 @@ function registerRollbackHandlers(ipcMain, getMainWindow, appState) {
     }
 
     try {
-      const { data, info } = await sharp(filePath)
+      // RAW files are shown from their embedded preview; its size stands in for the original
+      const input = fromRaw ? (await extractRawPreview(filePath))?.data : filePath;
+      if (!input) throw new Error('No embedded preview');
+
+      // Original size as displayed, shown with its orientation class (header read only)
+      const image = sharp(input);
+      const metadata = await image.metadata();
+      const original = exifService.getDisplayDimensions(metadata.width, metadata.height, metadata.orientation);
+      const orientation = original ? classifyOrientation(original.width, original.height) : null;
+
+      const { data, info } = await image
         .rotate() // Auto-rotate based on EXIF
         .resize(PREVIEW_MAX_DIMENSION, PREVIEW_MAX_DIMENSION, {
           fit: 'inside',
@@ -1142,10 +1685,22 @@ function registerRollbackHandlers(ipcMain, getMainWindow, appState) {
         .jpeg({ quality: PREVIEW_JPEG_QUALITY })
         .toBuffer({ resolveWithObject: true });
 
+      // Camera body and uncorrected capture time, for syncing camera clocks from the preview
+      const [cameraInfo, captureTime] = await Promise.all([
+        exifService.readCameraInfo(filePath),
+        exifService.readCaptureDate(filePath, fileName),
+      ]);
+
       const result = {
         dataUrl: `data:image/jpeg;base64,${data.toString('base64')}`,
         width: info.width,
         height: info.height,
+        originalWidth: original?.width ?? null,
+        originalHeight: original?.height ?? null,
+        orientationLabel: ORIENTATIONS.find(entry => entry.key === orientation)?.label ?? null,
+        embeddedPreview: fromRaw,
+        cameraLabel: getCameraBodyLabel(cameraInfo),
+        captureTime: captureTime || null,
       };
 
       // Add to LRU cache, evict oldest if full
@@ -1161,6 +1716,52 @@ function registerRollbackHandlers(ipcMain, getMainWindow, appState) {
       return { success: false, error: 'Failed to generate preview for this file format' };
     }
   });
+
+  /**
+   * Handler: Shooting data and histogram of one image (metadata panel of the preview)
+   * Returns a sanitized field set from exifService.readShootingInfo (null when
+   * the file has no readable EXIF) and luminance/RGB histograms computed on a
+   * small copy of the image (RAW files: their embedded preview).
+   */
+  ipcMain.handle('get-image-metadata', async (event, { folderPath, fileName }) => {
+    // SECURITY: Validate folder path is in allowed list
+    if (!(await isPathAllowedAsync(folderPath))) {
+      logger.warn('🔒 [SECURITY] Blocked get-image-metadata on unregistered path:', folderPath);
+      return { success: false, error: 'Access denied' };
+    }
+
+    // SECURITY: Validate fileName
+    if (typeof fileName !== 'string' || !isSafeRelativePath(fileName)) {
+      logger.warn('🔒 [SECURITY] get-image-metadata invalid file name:', fileName);
+      return { success: false, error: 'Invalid file name' };
+    }
+
+    const filePath = path.join(folderPath, fileName);
+    try {
+      const metadata = await exifService.readShootingInfo(filePath, fileName);
+
+      let histogram = null;
+      try {
+        const input = isRawPreviewFile(fileName) ? (await extractRawPreview(filePath))?.data : filePath;
+        if (input) {
+          const { data, info } = await sharp(input)
+            .resize(HISTOGRAM_RESIZE_WIDTH, null, { withoutEnlargement: true })
+            .removeAlpha()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+          histogram = computeHistograms(data, info.channels, HISTOGRAM_BINS);
+        }
+      } catch (err) {
+        // Not an image sharp can decode (video, unsupported format) — metadata only
+        logger.log(`[METADATA] No histogram for ${fileName}:`, err.message);
+      }
+
+      return { success: true, metadata, histogram };
+    } catch (err) {
+      logger.warn(`[METADATA] Failed to read metadata: ${fileName}`, err.message);
+      return { success: false, error: sanitizeError(err, 'get-image-metadata') };
+    }
+  });
 }
 
 // ============================================================================
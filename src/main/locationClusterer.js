@@ -0,0 +1,206 @@
+/**
+ * Location Clusterer
+ * Groups file groups into locations from GPS EXIF, for the "location"
+ * split mode. Used by batchPartitioner.
+ *
+ * Pure module (no Electron, no logger) so tests can require it directly.
+ *
+ * RULES:
+ * - Groups with GPS are visited in capture order. Each joins the nearest
+ *   location whose centroid is within `radiusKm`, or starts a new one.
+ *   Centroids are the running mean of their members.
+ * - Groups without GPS inherit the location of the GPS group nearest in
+ *   capture time (phones tag, cameras often don't). Groups with neither
+ *   GPS nor a capture time go to an "Unknown location" partition.
+ * - Locations are numbered in order of their first capture.
+ * - A location takes the name of the nearest user place label within
+ *   `radiusKm` of its centroid; otherwise it is named by its coordinates.
+ */
+
+/** Partition key used for groups without a usable location */
+const UNKNOWN_LOCATION_KEY = 'unknown-location';
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance between two coordinates (haversine).
+ *
+ * @param {{ latitude: number, longitude: number }} a
+ * @param {{ latitude: number, longitude: number }} b
+ * @returns {number} Distance in km
+ */
+function distanceKm(a, b) {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Folder-safe coordinates, e.g. "48.8584N_2.2945E".
+ *
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {string}
+ */
+function formatCoordinates(latitude, longitude) {
+  const lat = `${Math.abs(latitude).toFixed(4)}${latitude < 0 ? 'S' : 'N'}`;
+  const lon = `${Math.abs(longitude).toFixed(4)}${longitude < 0 ? 'W' : 'E'}`;
+  return `${lat}_${lon}`;
+}
+
+/**
+ * GPS position of a group: the first file with coordinates wins.
+ *
+ * @param {string[]} files - File names in the group
+ * @param {Object|null} gpsInfo - Map of fileName -> { latitude, longitude } | null
+ * @returns {{ latitude: number, longitude: number }|null}
+ */
+function getGroupGps(files, gpsInfo) {
+  if (!gpsInfo) return null;
+  for (const file of files) {
+    if (gpsInfo[file]) return gpsInfo[file];
+  }
+  return null;
+}
+
+/**
+ * Nearest place label within maxKm of a point.
+ *
+ * @param {{ latitude: number, longitude: number }} point
+ * @param {Array<{ name: string, latitude: number, longitude: number }>} placeLabels
+ * @param {number} maxKm
+ * @returns {string|null} Place name
+ */
+function matchPlaceLabel(point, placeLabels, maxKm) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const place of placeLabels || []) {
+    const distance = distanceKm(point, place);
+    if (distance <= maxKm && distance < bestDistance) {
+      best = place.name;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+/**
+ * Index of the entry in a time-sorted list closest to `time` (binary search).
+ *
+ * @param {Array<{ time: number }>} sorted
+ * @param {number} time
+ * @returns {number}
+ */
+function findNearestInTime(sorted, time) {
+  let lo = 0;
+  let hi = sorted.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid].time < time) lo = mid + 1;
+    else hi = mid;
+  }
+  if (lo > 0 && time - sorted[lo - 1].time <= sorted[lo].time - time) return lo - 1;
+  return lo;
+}
+
+/**
+ * Cluster groups into locations.
+ *
+ * @param {Array<{ baseName: string, files: string[], time: number, gps: Object|null }>} entries -
+ *   Groups with their capture time (0 = unknown) and GPS position
+ * @param {Object} options
+ * @param {number} options.radiusKm - Largest distance from a location's centroid
+ * @param {Array<{ name: string, latitude: number, longitude: number }>} [options.placeLabels]
+ * @returns {Array<Object>} Unordered partitions with sortValue, locationIndex, locationCount,
+ *   latitude, longitude, locationName, inheritedGroups
+ */
+function clusterLocations(entries, { radiusKm, placeLabels = [] }) {
+  const located = entries.filter(entry => entry.gps).sort((a, b) => a.time - b.time);
+  const clusters = [];
+  const clusterOf = new Map(); // entry -> cluster
+
+  for (const entry of located) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (const cluster of clusters) {
+      const distance = distanceKm(cluster, entry.gps);
+      if (distance <= radiusKm && distance < nearestDistance) {
+        nearest = cluster;
+        nearestDistance = distance;
+      }
+    }
+    if (!nearest) {
+      nearest = { latitude: 0, longitude: 0, count: 0, groups: {}, inheritedGroups: 0, firstTime: Infinity };
+      clusters.push(nearest);
+    }
+    nearest.latitude += (entry.gps.latitude - nearest.latitude) / (nearest.count + 1);
+    nearest.longitude += (entry.gps.longitude - nearest.longitude) / (nearest.count + 1);
+    nearest.count++;
+    nearest.groups[entry.baseName] = entry.files;
+    clusterOf.set(entry, nearest);
+  }
+
+  // Groups without GPS follow the GPS group shot closest in time
+  const timedLocated = located.filter(entry => entry.time);
+  const unknown = {};
+  for (const entry of entries) {
+    if (entry.gps) continue;
+    if (!entry.time || timedLocated.length === 0) {
+      unknown[entry.baseName] = entry.files;
+      continue;
+    }
+    const cluster = clusterOf.get(timedLocated[findNearestInTime(timedLocated, entry.time)]);
+    cluster.groups[entry.baseName] = entry.files;
+    cluster.inheritedGroups++;
+    clusterOf.set(entry, cluster);
+  }
+
+  for (const [entry, cluster] of clusterOf) {
+    if (entry.time) cluster.firstTime = Math.min(cluster.firstTime, entry.time);
+  }
+
+  // Locations without any capture time go last, in the order they were found
+  const ordered = [...clusters].sort((a, b) => {
+    if (a.firstTime === Infinity || b.firstTime === Infinity) {
+      return (a.firstTime === Infinity) - (b.firstTime === Infinity);
+    }
+    return a.firstTime - b.firstTime;
+  });
+  const partitions = ordered.map((cluster, i) => {
+    const placeName = matchPlaceLabel(cluster, placeLabels, radiusKm);
+    const coordinates = `${cluster.latitude.toFixed(4)}, ${cluster.longitude.toFixed(4)}`;
+    return {
+      key: `location-${i + 1}`,
+      label: `Location ${i + 1} · ${placeName ? `${placeName} (${coordinates})` : coordinates}`,
+      captureDate: null,
+      locationIndex: i + 1,
+      locationCount: ordered.length,
+      latitude: cluster.latitude,
+      longitude: cluster.longitude,
+      locationName: placeName || formatCoordinates(cluster.latitude, cluster.longitude),
+      placeName,
+      inheritedGroups: cluster.inheritedGroups,
+      // Undated locations sort with (and ahead of) the unknown location
+      sortValue: cluster.firstTime,
+      groups: cluster.groups,
+    };
+  });
+
+  if (Object.keys(unknown).length > 0) {
+    partitions.push({ key: UNKNOWN_LOCATION_KEY, label: 'Unknown location', captureDate: null, sortValue: Infinity, groups: unknown });
+  }
+  return partitions;
+}
+
+module.exports = {
+  clusterLocations,
+  distanceKm,
+  formatCoordinates,
+  getGroupGps,
+  matchPlaceLabel,
+  UNKNOWN_LOCATION_KEY,
+};
@@ -224,8 +224,11 @@ let pendingSave = false;
  * @param {string} params.mode - 'move' or 'copy'
  * @param {number} params.maxFilesPerBatch - Max files per batch
  * @param {string} params.outputPrefix - Batch folder prefix
+ * @param {boolean} [params.recursive] - Source files were collected from subfolders
+ * @param {boolean} [params.preserveStructure] - Subfolder layout is kept inside each batch
+ * @param {boolean} [params.typeSubfolders] - Files go to RAW/JPEG/Video subfolders inside each batch
  * @param {number} params.totalFiles - Total files to process
- * @param {Array<string>} params.allFileNames - List of all file names to process
+ * @param {Array<string>} params.allFileNames - List of all file names (relative paths when recursive)
  * @param {Array<Object>} params.operations - Full operations array with source/dest paths
  * @param {Array<Object>} params.batchInfo - Batch info for results display
  * @returns {Promise<string>} Operation ID
@@ -242,6 +245,9 @@ async function startProgress(params) {
     mode: params.mode,
     maxFilesPerBatch: params.maxFilesPerBatch,
     outputPrefix: params.outputPrefix,
+    recursive: params.recursive || false,
+    preserveStructure: params.preserveStructure || false,
+    typeSubfolders: params.typeSubfolders || false,
     totalFiles: params.totalFiles,
     processedFiles: 0,
     processedFileNames: [],
@@ -0,0 +1,91 @@
+/**
+ * RAW Preview Service
+ *
+ * Reads the JPEG preview a camera embeds in its RAW files, so RAW-only
+ * groups can be blur-checked and shown as thumbnails without decoding the
+ * sensor data (which Sharp cannot do for most RAW formats anyway).
+ *
+ * Strategy (per file):
+ * 1. Read the first RAW_PREVIEW_SCAN_BYTES and take the largest complete
+ *    embedded JPEG (embeddedJpeg.js) that Sharp can decode — the full-size
+ *    or 1-2 MP preview, else the next-largest
+ * 2. Otherwise fall back to the EXIF thumbnail via exifr (IFD1, ~160 px)
+ */
+
+const path = require('path');
+const fsPromises = require('fs').promises;
+const sharp = require('sharp');
+const exifr = require('exifr');
+const { RAW_PREVIEW_SCAN_BYTES } = require('./constants');
+const { embeddedJpegsBySize } = require('./embeddedJpeg');
+
+/**
+ * RAW formats known to carry an embedded JPEG preview.
+ */
+const RAW_PREVIEW_EXTENSIONS = new Set(['.cr2', '.cr3', '.nef', '.arw', '.dng', '.raf']);
+
+/**
+ * Whether a file is a RAW format with an embedded preview.
+ *
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+function isRawPreviewFile(fileName) {
+  return RAW_PREVIEW_EXTENSIONS.has(path.extname(fileName).toLowerCase());
+}
+
+/**
+ * Whether Sharp can decode a JPEG stream. Decodes at a tiny size, which
+ * libjpeg does cheaply by scaling during the DCT.
+ *
+ * @param {Buffer} jpeg
+ * @returns {Promise<boolean>}
+ */
+async function canDecode(jpeg) {
+  try {
+    await sharp(jpeg).resize(16, 16, { fit: 'inside' }).toBuffer();
+    return true;
+  } catch (_err) {
+    return false;
+  }
+}
+
+/**
+ * Extract the embedded preview of a RAW file.
+ * Previews Sharp cannot decode are skipped for the next-largest one.
+ *
+ * @param {string} filePath - Absolute path to the RAW file
+ * @returns {Promise<{ data: Buffer, kind: 'preview'|'thumbnail' }|null>}
+ *   JPEG bytes and where they came from, or null when the file has none
+ */
+async function extractRawPreview(filePath) {
+  let handle = null;
+  try {
+    handle = await fsPromises.open(filePath, 'r');
+    const { size } = await handle.stat();
+    const buffer = Buffer.alloc(Math.min(size, RAW_PREVIEW_SCAN_BYTES));
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    for (const jpeg of embeddedJpegsBySize(buffer.subarray(0, bytesRead))) {
+      // Copy so the rest of the 16 MB scan buffer can be freed
+      if (await canDecode(jpeg)) return { data: Buffer.from(jpeg), kind: 'preview' };
+    }
+  } catch (_err) {
+    // Unreadable file — try exifr below, which reports its own failure as null
+  } finally {
+    if (handle) await handle.close().catch(() => {});
+  }
+
+  try {
+    const thumbnail = await exifr.thumbnail(filePath);
+    if (thumbnail && thumbnail.length > 0) return { data: Buffer.from(thumbnail), kind: 'thumbnail' };
+  } catch (_err) {
+    // No IFD1 thumbnail (or a format exifr cannot parse)
+  }
+  return null;
+}
+
+module.exports = {
+  extractRawPreview,
+  isRawPreviewFile,
+  RAW_PREVIEW_EXTENSIONS,
+};
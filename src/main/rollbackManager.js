@@ -188,11 +188,24 @@ async function deleteManifestFromDisk(operationId) {
  * @param {number} params.totalFiles - Total files processed
  * @param {string} [params.outputPrefix] - Batch folder prefix used
  * @param {number} [params.maxFilesPerBatch] - Max files per batch setting used
+ * @param {string} [params.limitMode] - 'count', 'size' or 'target'
+ * @param {number} [params.maxBytesPerBatch] - Max bytes per batch (size mode only)
+ * @param {number} [params.targetBatchCount] - Requested number of batches (target mode only)
+ * @param {string} [params.balanceBy] - 'files' or 'bytes' (target mode only)
+ * @param {boolean} [params.recursive] - Files were collected from subfolders
+ * @param {boolean} [params.preserveStructure] - Subfolder layout was kept inside each batch
+ * @param {boolean} [params.typeSubfolders] - Files went to RAW/JPEG/Video subfolders inside each batch
+ * @param {string} [params.splitBy] - Partition mode used (e.g. 'day')
+ * @param {number} [params.sessionGapMinutes] - Session gap used (session split mode only)
+ * @param {number} [params.locationRadiusKm] - Location radius used (location split mode only)
+ * @param {string} [params.renameTemplate] - File rename template used ('' = files kept their names)
+ * @param {string} [params.renameNumbering] - 'global' or 'batch' sequence numbering (renaming only)
  * @param {string} [params.sortBy] - Sort order used (e.g. 'name-asc')
+ * @param {boolean} [params.contiguous] - Batches were consecutive slices of the sort order
  * @param {Array<Object>} [params.batchResults] - Per-batch results [{ folder, fileCount }]
  * @returns {Promise<boolean>} True if manifest was saved
  */
-async function saveRollbackManifest({ sourceFolder, outputFolder, mode, operations, batchFolders, totalFiles, outputPrefix, maxFilesPerBatch, sortBy, batchResults }) {
+async function saveRollbackManifest({ sourceFolder, outputFolder, mode, operations, batchFolders, totalFiles, outputPrefix, maxFilesPerBatch, limitMode, maxBytesPerBatch, targetBatchCount, balanceBy, recursive, preserveStructure, typeSubfolders, splitBy, sessionGapMinutes, locationRadiusKm, renameTemplate, renameNumbering, sortBy, contiguous, batchResults }) {
   // Only save manifest for 'move' mode - copy mode doesn't need rollback
   if (mode !== 'move') {
     logger.log('🔄 [ROLLBACK] Skipping manifest save - only supported for move mode');
@@ -200,6 +213,7 @@ async function saveRollbackManifest({ sourceFolder, outputFolder, mode, operatio
   }
 
   const operationId = Date.now().toString(36) + Math.random().toString(36).substring(2, 11);
+  // Paths are absolute, so nested source folders (recursive scan) restore as-is
   const mappedOperations = operations.map(op => ({
     fileName: op.fileName,
     originalPath: op.sourcePath,  // Where file was before batch
@@ -217,7 +231,20 @@ async function saveRollbackManifest({ sourceFolder, outputFolder, mode, operatio
     totalFiles,
     outputPrefix: outputPrefix || '',
     maxFilesPerBatch: maxFilesPerBatch || null,
+    limitMode: limitMode || 'count',
+    maxBytesPerBatch: maxBytesPerBatch || null,
+    targetBatchCount: targetBatchCount || null,
+    balanceBy: targetBatchCount ? (balanceBy || 'files') : null,
+    recursive: recursive || false,
+    preserveStructure: preserveStructure || false,
+    typeSubfolders: typeSubfolders || false,
+    splitBy: splitBy || 'none',
+    sessionGapMinutes: sessionGapMinutes || null,
+    locationRadiusKm: locationRadiusKm || null,
+    renameTemplate: renameTemplate || '',
+    renameNumbering: renameTemplate ? (renameNumbering || 'global') : null,
     sortBy: sortBy || 'name-asc',
+    contiguous: contiguous || false,
     batchResults: batchResults || [],
     operations: mappedOperations
   };
@@ -246,7 +273,20 @@ async function saveRollbackManifest({ sourceFolder, outputFolder, mode, operatio
         outputPrefix: outputPrefix || '',
         // Extended metadata for history detail display
         maxFilesPerBatch: maxFilesPerBatch || null,
+        limitMode: limitMode || 'count',
+        maxBytesPerBatch: maxBytesPerBatch || null,
+        targetBatchCount: targetBatchCount || null,
+        balanceBy: targetBatchCount ? (balanceBy || 'files') : null,
+        recursive: recursive || false,
+        preserveStructure: preserveStructure || false,
+        typeSubfolders: typeSubfolders || false,
+        splitBy: splitBy || 'none',
+        sessionGapMinutes: sessionGapMinutes || null,
+        locationRadiusKm: locationRadiusKm || null,
+        renameTemplate: renameTemplate || '',
+        renameNumbering: renameTemplate ? (renameNumbering || 'global') : null,
         sortBy: sortBy || 'name-asc',
+        contiguous: contiguous || false,
         batchResults: batchResults || [],
       };
 
@@ -481,6 +521,28 @@ async function executeRollback(appState, progressCallback) {
   return result;
 }
 
+/**
+ * Delete a folder if it contains nothing but (nested) empty folders.
+ * Batches that kept the source subfolder layout or used RAW/JPEG/Video
+ * subfolders leave such trees behind once their files are moved back.
+ * 
+ * @param {string} folderPath - Folder to remove
+ * @returns {Promise<boolean>} True if the folder was deleted
+ */
+async function removeEmptyFolderTree(folderPath) {
+  const entries = await fsPromises.readdir(folderPath, { withFileTypes: true });
+  let isEmpty = true;
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !(await removeEmptyFolderTree(path.join(folderPath, entry.name)))) {
+      isEmpty = false;
+    }
+  }
+  if (isEmpty) {
+    await fsPromises.rmdir(folderPath);
+  }
+  return isEmpty;
+}
+
 /**
  * Internal rollback executor - shared between session and history rollback.
  * 
@@ -573,9 +635,7 @@ async function executeRollbackInternal(manifest, appState, progressCallback) {
     for (const folderName of batchFolders) {
       const folderPath = path.join(outputFolder, folderName);
       try {
-        const entries = await fsPromises.readdir(folderPath);
-        if (entries.length === 0) {
-          await fsPromises.rmdir(folderPath);
+        if (await removeEmptyFolderTree(folderPath)) {
           deletedFolders++;
           logger.log('🗑️ [ROLLBACK] Deleted empty batch folder:', folderName);
         } else {
@@ -11,6 +11,11 @@ const fs = require('fs');
 const fsPromises = require('fs').promises;
 const config = require('./config');
 const logger = require('../utils/logger');
+const { normalizeExtension, parsePairingPattern, MAX_SIDECAR_EXTENSIONS, MAX_PAIRING_PATTERNS } = require('../utils/pairingRules');
+const { parseIgnorePattern, MEDIA_CATEGORIES, MAX_EXTRA_EXTENSIONS, MAX_IGNORE_PATTERNS } = require('../utils/mediaTypes');
+const { MAX_CLOCK_OFFSET_SECONDS } = require('../utils/cameraClocks');
+const { MAX_NAMING_PATTERN_LENGTH, isDateFormatVariable, validateFileTemplate } = require('../utils/batchNaming');
+const { COLOR_LABELS } = require('./batchPartitioner');
 
 /**
  * Registry of user-selected folders that are allowed to be accessed.
@@ -163,12 +168,19 @@ function sanitizeOutputPrefix(prefix) {
     return 'Batch';
   }
   
-  // Remove path separators and dangerous characters
+  // Remove path separators and dangerous characters; a colon may only separate
+  // a date variable from a valid format, e.g. {first_date:YYYYMMDD}
   const sanitized = prefix
-    .replace(/[\\/:*?"<>|]/g, '') // Remove Windows/Unix forbidden chars
-    .replace(/\.\./g, '')         // Remove directory traversal sequences
     .trim()
-    .substring(0, 50);            // Limit length
+    .substring(0, MAX_NAMING_PATTERN_LENGTH) // Limit length first, so a cut variable loses its colon too
+    .replace(/{[^{}]*}|[\\/:*?"<>|]/g, (match) => {
+      if (match.length === 1) return ''; // Remove Windows/Unix forbidden chars
+      const variable = match.replace(/[\\/*?"<>|]/g, '');
+      const [, name, format] = variable.match(/^{([a-z_]+):([^{}]*)}$/i) || [];
+      return name && isDateFormatVariable(name, format) ? variable : variable.replace(/:/g, '');
+    })
+    .replace(/\.\./g, '')         // Remove directory traversal sequences
+    .trim();
   
   // Return default if sanitized result is empty
   return sanitized.length > 0 ? sanitized : 'Batch';
@@ -197,10 +209,366 @@ function validateMaxFilesPerBatch(value) {
   return num;
 }
 
+/**
+ * Validates and bounds maxBytesPerBatch (size-based limit mode).
+ * Uses centralized limits from config.
+ * 
+ * @param {any} value - User-provided value in bytes
+ * @returns {number} Valid value between MIN_BYTES_PER_BATCH and MAX_BYTES_PER_BATCH_CEILING
+ */
+function validateMaxBytesPerBatch(value) {
+  const num = Math.floor(Number(value));
+  
+  if (!Number.isFinite(num) || num < 1) {
+    logger.warn('🔒 [SECURITY] Invalid maxBytesPerBatch, using default:', value);
+    return config.limits.DEFAULT_BYTES_PER_BATCH;
+  }
+  
+  if (num < config.limits.MIN_BYTES_PER_BATCH) {
+    return config.limits.MIN_BYTES_PER_BATCH;
+  }
+  
+  if (num > config.limits.MAX_BYTES_PER_BATCH_CEILING) {
+    logger.warn('🔒 [SECURITY] maxBytesPerBatch too high, clamping to', config.limits.MAX_BYTES_PER_BATCH_CEILING, ':', value);
+    return config.limits.MAX_BYTES_PER_BATCH_CEILING;
+  }
+  
+  return num;
+}
+
+/**
+ * Validates and bounds targetBatchCount (target batch count limit mode).
+ * Uses centralized limits from config.
+ * 
+ * @param {any} value - User-provided value
+ * @returns {number} Valid value between 1 and MAX_TARGET_BATCH_COUNT
+ */
+function validateTargetBatchCount(value) {
+  const num = parseInt(value, 10);
+  
+  if (isNaN(num) || num < 1) {
+    logger.warn('🔒 [SECURITY] Invalid targetBatchCount, using default:', value);
+    return config.limits.DEFAULT_TARGET_BATCH_COUNT;
+  }
+  
+  if (num > config.limits.MAX_TARGET_BATCH_COUNT) {
+    logger.warn('🔒 [SECURITY] targetBatchCount too high, clamping to', config.limits.MAX_TARGET_BATCH_COUNT, ':', value);
+    return config.limits.MAX_TARGET_BATCH_COUNT;
+  }
+  
+  return num;
+}
+
+/**
+ * Validates and bounds the session gap (session split mode).
+ * 
+ * @param {any} value - User-provided value in minutes
+ * @returns {number} Whole minutes between MIN_SESSION_GAP_MINUTES and MAX_SESSION_GAP_MINUTES
+ */
+function validateSessionGapMinutes(value) {
+  const num = Math.round(Number(value));
+  
+  if (!Number.isFinite(num) || num < 1) {
+    logger.warn('🔒 [SECURITY] Invalid sessionGapMinutes, using default:', value);
+    return config.limits.DEFAULT_SESSION_GAP_MINUTES;
+  }
+  
+  return Math.min(Math.max(num, config.limits.MIN_SESSION_GAP_MINUTES), config.limits.MAX_SESSION_GAP_MINUTES);
+}
+
+/**
+ * Validates and bounds the burst gap (similar frame detection).
+ * 
+ * @param {any} value - User-provided value in seconds
+ * @returns {number} Whole seconds between MIN_BURST_GAP_SECONDS and MAX_BURST_GAP_SECONDS
+ */
+function validateBurstGapSeconds(value) {
+  const num = Math.round(Number(value));
+  
+  if (!Number.isFinite(num) || num < 1) {
+    if (value !== undefined) logger.warn('🔒 [SECURITY] Invalid burstGapSeconds, using default:', value);
+    return config.limits.DEFAULT_BURST_GAP_SECONDS;
+  }
+  
+  return Math.min(Math.max(num, config.limits.MIN_BURST_GAP_SECONDS), config.limits.MAX_BURST_GAP_SECONDS);
+}
+
+/**
+ * Validates custom blur thresholds (sensitivity "custom").
+ * 
+ * @param {any} value - User-provided { variance, edgeDensity }
+ * @returns {{ variance: number, edgeDensity: number }|null} Null when either value is missing or out of range
+ */
+function validateBlurThresholds(value) {
+  const variance = Number(value?.variance);
+  const edgeDensity = Number(value?.edgeDensity);
+  
+  if (!Number.isFinite(variance) || variance <= 0 || variance > config.limits.MAX_BLUR_VARIANCE_THRESHOLD ||
+      !Number.isFinite(edgeDensity) || edgeDensity <= 0 || edgeDensity > 1) {
+    logger.warn('🔒 [SECURITY] Invalid custom blur thresholds, using the moderate preset:', value);
+    return null;
+  }
+  
+  return { variance, edgeDensity };
+}
+
+/**
+ * Validates and bounds the location radius (location split mode).
+ * 
+ * @param {any} value - User-provided value in km
+ * @returns {number} Radius between MIN_LOCATION_RADIUS_KM and MAX_LOCATION_RADIUS_KM
+ */
+function validateLocationRadiusKm(value) {
+  const num = Number(value);
+  
+  if (!Number.isFinite(num) || num <= 0) {
+    logger.warn('🔒 [SECURITY] Invalid locationRadiusKm, using default:', value);
+    return config.limits.DEFAULT_LOCATION_RADIUS_KM;
+  }
+  
+  return Math.min(Math.max(num, config.limits.MIN_LOCATION_RADIUS_KM), config.limits.MAX_LOCATION_RADIUS_KM);
+}
+
+/**
+ * Validates user place labels (location split mode). Names end up in folder
+ * names through the {location} token, so characters that are not allowed in
+ * folder names are stripped. Entries with bad coordinates are dropped.
+ * 
+ * @param {any} labels - e.g. [{ name: 'Venue', latitude: 48.85, longitude: 2.29 }]
+ * @returns {Array<{ name: string, latitude: number, longitude: number }>}
+ */
+function validatePlaceLabels(labels) {
+  if (!Array.isArray(labels)) return [];
+  
+  const valid = [];
+  for (const label of labels.slice(0, config.limits.MAX_PLACE_LABELS)) {
+    if (!label || typeof label !== 'object' || typeof label.name !== 'string') continue;
+    // eslint-disable-next-line no-control-regex -- strip control characters from folder names
+    const name = label.name.replace(/[\\/:*?"<>|\u0000-\u001f]/g, '').trim().slice(0, config.limits.MAX_PLACE_NAME_LENGTH).trim();
+    const latitude = Number(label.latitude);
+    const longitude = Number(label.longitude);
+    if (!name || !Number.isFinite(latitude) || !Number.isFinite(longitude)) continue;
+    if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) continue;
+    valid.push({ name, latitude, longitude });
+  }
+  
+  const dropped = labels.length - valid.length;
+  if (dropped > 0) {
+    logger.warn('🔒 [SECURITY] Dropped', dropped, 'invalid place label(s)');
+  }
+  
+  return valid;
+}
+
+/**
+ * Validates camera clock offsets (seconds added to a body's EXIF capture
+ * times). Entries without a camera label, or with a fractional or
+ * out-of-range offset, are dropped.
+ * 
+ * @param {any} offsets - e.g. [{ camera: 'Canon EOS R5', seconds: 150 }]
+ * @returns {Array<{ camera: string, seconds: number }>}
+ */
+function validateClockOffsets(offsets) {
+  if (!Array.isArray(offsets)) return [];
+  
+  const valid = [];
+  for (const offset of offsets.slice(0, config.limits.MAX_CLOCK_OFFSETS)) {
+    if (!offset || typeof offset !== 'object' || typeof offset.camera !== 'string') continue;
+    const camera = offset.camera.trim().slice(0, config.limits.MAX_CAMERA_LABEL_LENGTH);
+    const seconds = Number(offset.seconds);
+    if (!camera || !Number.isInteger(seconds)) continue;
+    if (Math.abs(seconds) > MAX_CLOCK_OFFSET_SECONDS) continue;
+    valid.push({ camera, seconds });
+  }
+  
+  const dropped = offsets.length - valid.length;
+  if (dropped > 0) {
+    logger.warn('🔒 [SECURITY] Dropped', dropped, 'invalid clock offset(s)');
+  }
+  
+  return valid;
+}
+
+/**
+ * Validates the file rename template. An invalid template is dropped
+ * (files keep their names) rather than half-applied.
+ * 
+ * @param {any} template - e.g. 'Smith_{capture_date:YYYYMMDD}_{seq}'
+ * @returns {string} The template, or '' when renaming is off
+ */
+function validateRenameTemplate(template) {
+  if (typeof template !== 'string' || !template.trim()) return '';
+  
+  const trimmed = template.trim();
+  const errors = validateFileTemplate(trimmed);
+  if (errors.length > 0) {
+    logger.warn('🔒 [SECURITY] Ignored invalid rename template:', errors[0]);
+    return '';
+  }
+  return trimmed;
+}
+
+/**
+ * Validates the rating filter rules.
+ * 
+ * @param {any} minRating - Minimum star rating (0 = no minimum)
+ * @param {any} labelFilter - Color label to keep ('' = any)
+ * @param {any} rejectedAction - 'folder' to route rejected frames to "_Rejected"
+ * @returns {{ minRating: number, labelFilter: string, rejectedAction: 'batch'|'folder' }}
+ */
+function validateRatingRules(minRating, labelFilter, rejectedAction) {
+  const num = Math.round(Number(minRating));
+  const label = typeof labelFilter === 'string' ? labelFilter.toLowerCase() : '';
+  
+  return {
+    minRating: Number.isFinite(num) ? Math.min(Math.max(num, 0), 5) : 0,
+    labelFilter: COLOR_LABELS.includes(label) ? label : '',
+    rejectedAction: rejectedAction === 'folder' ? 'folder' : 'batch',
+  };
+}
+
+/**
+ * Validates user pairing rules (sidecar extensions and derived-file patterns).
+ * A missing list returns null so grouping falls back to the defaults;
+ * malformed entries are dropped.
+ * 
+ * @param {any} extensions - e.g. ['xmp', 'aae']
+ * @param {any} patterns - e.g. ['*-Edit = *']
+ * @returns {{ sidecarExtensions: string[]|null, pairingPatterns: string[]|null }}
+ */
+function validatePairingRules(extensions, patterns) {
+  const sidecarExtensions = Array.isArray(extensions)
+    ? [...new Set(extensions.map(normalizeExtension).filter(Boolean))].slice(0, MAX_SIDECAR_EXTENSIONS)
+    : null;
+  const pairingPatterns = Array.isArray(patterns)
+    ? patterns.map(parsePairingPattern).filter(Boolean).map(p => p.source).slice(0, MAX_PAIRING_PATTERNS)
+    : null;
+  
+  const dropped = (Array.isArray(patterns) ? patterns.length : 0) - (pairingPatterns?.length || 0);
+  if (dropped > 0) {
+    logger.warn('🔒 [SECURITY] Dropped', dropped, 'invalid pairing pattern(s)');
+  }
+  
+  return { sidecarExtensions, pairingPatterns };
+}
+
+/**
+ * Validates user media rules (enabled categories, extra extensions, ignore patterns).
+ * A missing list returns null so the registry falls back to its defaults;
+ * unknown categories and malformed entries are dropped.
+ * 
+ * @param {any} categories - e.g. ['image', 'raw']
+ * @param {any} extensions - e.g. ['iiq', 'mxf']
+ * @param {any} patterns - e.g. ['*_proxy.*']
+ * @returns {{ mediaCategories: string[]|null, extraExtensions: string[]|null, ignorePatterns: string[]|null }}
+ */
+function validateMediaRules(categories, extensions, patterns) {
+  const mediaCategories = Array.isArray(categories)
+    ? [...new Set(categories.filter(c => typeof c === 'string' && Object.hasOwn(MEDIA_CATEGORIES, c)))]
+    : null;
+  const extraExtensions = Array.isArray(extensions)
+    ? [...new Set(extensions.map(normalizeExtension).filter(Boolean))].slice(0, MAX_EXTRA_EXTENSIONS)
+    : null;
+  const ignorePatterns = Array.isArray(patterns)
+    ? [...new Set(patterns.map(parseIgnorePattern).filter(Boolean).map(p => p.source))].slice(0, MAX_IGNORE_PATTERNS)
+    : null;
+  
+  const dropped = (Array.isArray(patterns) ? patterns.length : 0) - (ignorePatterns?.length || 0);
+  if (dropped > 0) {
+    logger.warn('🔒 [SECURITY] Dropped', dropped, 'invalid or duplicate ignore pattern(s)');
+  }
+  
+  return { mediaCategories, extraExtensions, ignorePatterns };
+}
+
+/** Limit modes accepted for batchOptions.limitMode */
+const LIMIT_MODES = new Set(['count', 'size', 'target']);
+
+/** Partition modes accepted for batchOptions.splitBy */
+const SPLIT_BY_MODES = new Set(['none', 'day', 'week', 'month', 'camera', 'lens', 'session', 'location', 'rating', 'label', 'orientation']);
+
+/**
+ * Validates the optional batch options object sent by the renderer.
+ * Unknown keys are dropped and every known key falls back to a safe default,
+ * so handlers can use the result without further checks.
+ * 
+ * @param {any} options - User-provided options object
+ * @returns {{ limitMode: 'count'|'size'|'target', maxBytesPerBatch: number, targetBatchCount: number, balanceBy: 'files'|'bytes', contiguous: boolean, recursive: boolean, preserveStructure: boolean, typeSubfolders: boolean, splitBy: string, sessionGapMinutes: number, locationRadiusKm: number, placeLabels: Array<Object>, clockOffsets: Array<Object>, namingCaptureTimes: boolean, namingCamera: boolean, renameTemplate: string, renameNumbering: 'global'|'batch', sidecarExtensions: string[]|null, pairingPatterns: string[]|null, mediaCategories: string[]|null, extraExtensions: string[]|null, ignorePatterns: string[]|null, duplicateAction: 'folder'|'drop', exposureAction: 'folder'|'drop', burstGapSeconds: number, minRating: number, labelFilter: string, rejectedAction: 'batch'|'folder' }}
+ */
+function validateBatchOptions(options) {
+  const input = (options && typeof options === 'object' && !Array.isArray(options)) ? options : {};
+  
+  const limitMode = LIMIT_MODES.has(input.limitMode) ? input.limitMode : 'count';
+  const recursive = input.recursive === true;
+  const splitBy = SPLIT_BY_MODES.has(input.splitBy) ? input.splitBy : 'none';
+  
+  return {
+    limitMode,
+    maxBytesPerBatch: limitMode === 'size' ? validateMaxBytesPerBatch(input.maxBytesPerBatch) : 0,
+    targetBatchCount: limitMode === 'target' ? validateTargetBatchCount(input.targetBatchCount) : 0,
+    balanceBy: limitMode === 'target' && input.balanceBy === 'bytes' ? 'bytes' : 'files',
+    contiguous: input.contiguous === true,
+    recursive,
+    // Structure can only be preserved when there are subfolders to preserve
+    preserveStructure: recursive && input.preserveStructure === true,
+    // RAW/, JPEG/ and Video/ inside each batch folder
+    typeSubfolders: input.typeSubfolders === true,
+    splitBy,
+    sessionGapMinutes: splitBy === 'session' ? validateSessionGapMinutes(input.sessionGapMinutes) : 0,
+    locationRadiusKm: splitBy === 'location' ? validateLocationRadiusKm(input.locationRadiusKm) : 0,
+    placeLabels: splitBy === 'location' ? validatePlaceLabels(input.placeLabels) : [],
+    // Camera clock corrections for EXIF capture times (sorting, date/session split, bursts)
+    clockOffsets: validateClockOffsets(input.clockOffsets),
+    // Folder name variables that need capture times / camera info (see getPatternDataNeeds)
+    namingCaptureTimes: input.namingCaptureTimes === true,
+    namingCamera: input.namingCamera === true,
+    // New file names inside the batches, one sequence number per file group
+    renameTemplate: validateRenameTemplate(input.renameTemplate),
+    renameNumbering: input.renameNumbering === 'batch' ? 'batch' : 'global',
+    ...validatePairingRules(input.sidecarExtensions, input.pairingPatterns),
+    ...validateMediaRules(input.mediaCategories, input.extraExtensions, input.ignorePatterns),
+    // Where detected duplicates go: their own folder, or left out of the plan
+    duplicateAction: input.duplicateAction === 'drop' ? 'drop' : 'folder',
+    // Same choice for over- and underexposed frames
+    exposureAction: input.exposureAction === 'drop' ? 'drop' : 'folder',
+    burstGapSeconds: validateBurstGapSeconds(input.burstGapSeconds),
+    ...validateRatingRules(input.minRating, input.labelFilter, input.rejectedAction),
+  };
+}
+
+/**
+ * Checks that a renderer-supplied file reference stays inside its folder.
+ * Accepts plain file names and the '/'-joined relative paths produced by a
+ * recursive scan; rejects absolute paths, backslashes, drive letters and
+ * any "." or ".." segment.
+ * 
+ * @param {any} relPath - File name or relative path from the renderer
+ * @returns {boolean} True if safe to join onto the folder path
+ */
+function isSafeRelativePath(relPath) {
+  if (typeof relPath !== 'string' || relPath.length === 0) return false;
+  if (relPath.includes('\\') || relPath.includes(':') || relPath.includes('\0')) return false;
+  return relPath.split('/').every(segment => segment !== '' && segment !== '.' && segment !== '..');
+}
+
 module.exports = {
   isPathAllowedAsync,
   registerAllowedPath,
   sanitizeOutputPrefix,
   validateMaxFilesPerBatch,
+  validateMaxBytesPerBatch,
+  validateTargetBatchCount,
+  validateSessionGapMinutes,
+  validateBurstGapSeconds,
+  validateBlurThresholds,
+  validateLocationRadiusKm,
+  validatePlaceLabels,
+  validateClockOffsets,
+  validateRenameTemplate,
+  validateRatingRules,
+  validatePairingRules,
+  validateMediaRules,
+  validateBatchOptions,
+  isSafeRelativePath,
   isSensitivePath
 };
@@ -0,0 +1,133 @@
+/**
+ * Sharpness Tiles
+ * Splits a Laplacian-filtered frame into a grid of tiles, scores each one,
+ * and picks the tile that decides whether the frame is blurry. Used by
+ * blurDetectionService in "tiled" scoring mode.
+ *
+ * Pure module (no Electron, no logger) so tests can require it directly.
+ *
+ * RULES:
+ * - Each tile gets the same two metrics as the whole frame: Laplacian
+ *   variance and edge density (share of pixels above the edge threshold).
+ * - The deciding tile is the one under the EXIF focus point (SubjectArea /
+ *   SubjectLocation) when the camera recorded one, else the tile with the
+ *   highest variance — the sharpest region, normally the subject.
+ * - Focus points are stored in sensor coordinates; they are mapped through
+ *   the EXIF orientation so they line up with the auto-rotated pixels.
+ */
+
+/**
+ * Per-tile Laplacian variance and edge density, row-major.
+ *
+ * @param {Uint8Array|Buffer} data - One byte per pixel (Laplacian output)
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} options
+ * @param {number} options.grid - Tiles per row and per column
+ * @param {number} options.edgeThreshold - Pixels above count as edges
+ * @returns {Array<{ variance: number, edgeDensity: number }>} grid * grid tiles;
+ *   tiles without pixels (frame smaller than the grid) score -1
+ */
+function measureTiles(data, width, height, { grid, edgeThreshold }) {
+  const tiles = [];
+  for (let row = 0; row < grid; row++) {
+    const y0 = Math.floor(row * height / grid);
+    const y1 = Math.floor((row + 1) * height / grid);
+    for (let col = 0; col < grid; col++) {
+      const x0 = Math.floor(col * width / grid);
+      const x1 = Math.floor((col + 1) * width / grid);
+      const count = (x1 - x0) * (y1 - y0);
+      if (count <= 0) {
+        tiles.push({ variance: -1, edgeDensity: -1 });
+        continue;
+      }
+
+      let sum = 0;
+      let sumSq = 0;
+      let edges = 0;
+      for (let y = y0; y < y1; y++) {
+        const offset = y * width;
+        for (let x = x0; x < x1; x++) {
+          const v = data[offset + x];
+          sum += v;
+          sumSq += v * v;
+          if (v > edgeThreshold) edges++;
+        }
+      }
+      const mean = sum / count;
+      tiles.push({ variance: sumSq / count - mean * mean, edgeDensity: edges / count });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * Focus point from EXIF tags, as a fraction of the stored frame.
+ *
+ * @param {Object|null} tags - SubjectArea / SubjectLocation plus
+ *   ExifImageWidth / ExifImageHeight (or ImageWidth / ImageHeight)
+ * @returns {{ x: number, y: number }|null} 0-1 coordinates, or null when unknown
+ */
+function focusPointFromTags(tags) {
+  if (!tags) return null;
+  const width = tags.ExifImageWidth || tags.ImageWidth;
+  const height = tags.ExifImageHeight || tags.ImageHeight;
+  // SubjectArea is [x, y] (point), [x, y, d] (circle) or [x, y, w, h] (rectangle) — always centred on x, y
+  const point = [tags.SubjectArea, tags.SubjectLocation].find(value => Array.isArray(value) && value.length >= 2);
+  if (!point || !(width > 0) || !(height > 0)) return null;
+
+  const x = Number(point[0]) / width;
+  const y = Number(point[1]) / height;
+  if (!(x >= 0 && x <= 1 && y >= 0 && y <= 1)) return null;
+  return { x, y };
+}
+
+/**
+ * Map a stored-frame point to the frame as displayed (EXIF orientation applied).
+ *
+ * @param {{ x: number, y: number }} point - 0-1 coordinates
+ * @param {number} [orientation=1] - EXIF Orientation (1-8)
+ * @returns {{ x: number, y: number }}
+ */
+function orientPoint({ x, y }, orientation = 1) {
+  switch (orientation) {
+    case 2: return { x: 1 - x, y };
+    case 3: return { x: 1 - x, y: 1 - y };
+    case 4: return { x, y: 1 - y };
+    case 5: return { x: y, y: x };
+    case 6: return { x: 1 - y, y: x };
+    case 7: return { x: 1 - y, y: 1 - x };
+    case 8: return { x: y, y: 1 - x };
+    default: return { x, y };
+  }
+}
+
+/**
+ * Index of the tile that decides the frame.
+ *
+ * @param {Array<{ variance: number }>} tiles - Row-major tiles from measureTiles
+ * @param {number} grid - Tiles per row and per column
+ * @param {{ x: number, y: number }|null} [focusPoint] - Displayed-frame focus point (0-1)
+ * @returns {{ index: number, source: 'af'|'sharpest' }}
+ */
+function pickFocusTile(tiles, grid, focusPoint = null) {
+  if (focusPoint) {
+    const col = Math.min(grid - 1, Math.floor(focusPoint.x * grid));
+    const row = Math.min(grid - 1, Math.floor(focusPoint.y * grid));
+    const index = row * grid + col;
+    if (tiles[index] && tiles[index].variance >= 0) return { index, source: 'af' };
+  }
+
+  let index = 0;
+  for (let i = 1; i < tiles.length; i++) {
+    if (tiles[i].variance > tiles[index].variance) index = i;
+  }
+  return { index, source: 'sharpest' };
+}
+
+module.exports = {
+  focusPointFromTags,
+  measureTiles,
+  orientPoint,
+  pickFocusTile,
+};
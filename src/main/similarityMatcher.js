@@ -0,0 +1,104 @@
+/**
+ * Similarity Matcher
+ * Clusters bursts and near-identical frames from a perceptual hash (dHash)
+ * and capture time, then ranks each cluster by sharpness. Used by
+ * similarityService after the images are analyzed.
+ *
+ * Pure module (no Electron, no logger) so tests can require it directly.
+ *
+ * RULES (frames are compared in capture order):
+ * - Two frames are linked when they are at most `burstGapMs` apart and
+ *   their hashes differ in at most `burstDistance` bits (a burst), or when
+ *   they are at most `nearWindowMs` apart and differ in at most
+ *   `nearDistance` bits (a re-take of the same shot).
+ * - Each frame is compared with the `lookback` frames before it, so linked
+ *   frames chain: a 20-frame burst that pans slowly is still one cluster.
+ * - A frame without a hash (unreadable, RAW-only, video) is never linked.
+ * - Members are ranked by sharpness score, best first; unscored frames
+ *   (score < 0) come last. Ties keep capture order.
+ */
+
+/**
+ * Number of differing bits between two 64-bit hashes (16 hex characters).
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0-64
+ */
+function hammingDistance(a, b) {
+  let distance = 0;
+  // Two 32-bit halves: bitwise operators work on 32-bit integers
+  for (let i = 0; i < 16; i += 8) {
+    let x = (parseInt(a.substring(i, i + 8), 16) ^ parseInt(b.substring(i, i + 8), 16)) >>> 0;
+    while (x) {
+      x &= x - 1;
+      distance++;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Cluster frames into bursts / near-identical sets.
+ *
+ * @param {Array<{ baseName: string, hash: string|null, time: number, score: number }>} frames
+ * @param {Object} options
+ * @param {number} options.burstGapMs - Largest capture-time gap inside a burst
+ * @param {number} options.burstDistance - Largest hash distance inside a burst
+ * @param {number} options.nearDistance - Largest hash distance for near-identical frames
+ * @param {number} options.nearWindowMs - Largest capture-time gap for near-identical frames
+ * @param {number} options.lookback - Earlier frames each frame is compared with
+ * @returns {Array<{ members: string[] }>} Clusters of 2+ frames, ordered by capture time,
+ *   members ranked best first
+ */
+function clusterFrames(frames, { burstGapMs, burstDistance, nearDistance, nearWindowMs, lookback }) {
+  const ordered = frames
+    .filter(frame => frame.hash)
+    .sort((a, b) => a.time - b.time || a.baseName.localeCompare(b.baseName));
+
+  // Union-find over indexes into `ordered`
+  const parent = ordered.map((_frame, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  for (let i = 1; i < ordered.length; i++) {
+    for (let j = i - 1; j >= Math.max(0, i - lookback); j--) {
+      const gap = ordered[i].time - ordered[j].time;
+      if (gap > Math.max(burstGapMs, nearWindowMs)) break;
+      const distance = hammingDistance(ordered[i].hash, ordered[j].hash);
+      const linked = (gap <= burstGapMs && distance <= burstDistance) ||
+        (gap <= nearWindowMs && distance <= nearDistance);
+      if (linked) {
+        parent[find(i)] = find(j);
+      }
+    }
+  }
+
+  // Collect clusters in capture order of their first frame
+  const clusters = new Map();
+  for (let i = 0; i < ordered.length; i++) {
+    const root = find(i);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(i);
+  }
+
+  const rank = (i) => (ordered[i].score >= 0 ? ordered[i].score : -Infinity);
+  return [...clusters.values()]
+    .filter(indexes => indexes.length > 1)
+    .sort((a, b) => a[0] - b[0])
+    .map(indexes => ({
+      members: [...indexes]
+        .sort((a, b) => rank(b) - rank(a) || a - b)
+        .map(i => ordered[i].baseName),
+    }));
+}
+
+module.exports = {
+  clusterFrames,
+  hammingDistance,
+};
@@ -0,0 +1,147 @@
+/**
+ * Similarity Service
+ *
+ * Finds bursts and near-identical frames so only the best frames of each
+ * are batched; the rest can go to a "_Similar" folder.
+ *
+ * Algorithm (per file group):
+ * 1. Pick the first JPEG/PNG (same rule as blur detection)
+ * 2. Compute a 64-bit difference hash (dHash): shrink to 9x8 grayscale and
+ *    record whether each pixel is brighter than its right neighbour. Small
+ *    changes (subject movement, slight pan) flip only a few bits.
+ * 3. Score sharpness with the blur detector's Laplacian variance
+ * 4. similarityMatcher links frames by capture time + hash distance and
+ *    ranks each cluster by sharpness
+ *
+ * Which frames are kept (best N) is decided in the renderer, so changing N
+ * or overriding a pick does not re-run the analysis.
+ *
+ * Per-file results are kept in the persistent analysis cache (path + size + mtime).
+ */
+
+const path = require('path');
+const sharp = require('sharp');
+const {
+  BLUR_CONCURRENCY, STAT_CONCURRENCY, SIMILAR_BURST_DISTANCE, SIMILAR_NEAR_DISTANCE,
+  SIMILAR_NEAR_WINDOW_MS, SIMILAR_LOOKBACK_FRAMES,
+} = require('./constants');
+const { collectFileStats, runPool } = require('./fileUtils');
+const { computeBlurScore, pickAnalyzableFile } = require('./blurDetectionService');
+const { clusterFrames } = require('./similarityMatcher');
+const analysisCache = require('./analysisCache');
+const logger = require('../utils/logger');
+
+// ============================================================================
+// HASHING
+// ============================================================================
+
+/**
+ * Compute the 64-bit difference hash of an image.
+ *
+ * @param {string} filePath - Absolute path to the image
+ * @returns {Promise<string|null>} 16 hex characters, or null on error
+ */
+async function computeDHash(filePath) {
+  try {
+    const data = await sharp(filePath, { sequentialRead: true })
+      .grayscale()
+      .resize(9, 8, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    let hex = '';
+    for (let row = 0; row < 8; row++) {
+      let bits = 0;
+      for (let col = 0; col < 8; col++) {
+        bits = (bits << 1) | (data[row * 9 + col] > data[row * 9 + col + 1] ? 1 : 0);
+      }
+      hex += bits.toString(16).padStart(2, '0');
+    }
+    return hex;
+  } catch (_err) {
+    // Sharp failed to process the image (corrupt, unsupported, etc.)
+    return null;
+  }
+}
+
+// ============================================================================
+// MAIN DETECTION
+// ============================================================================
+
+/**
+ * Find bursts and near-identical frames in a folder.
+ *
+ * @param {Object} fileGroups - Map of baseName -> string[] (from groupFilesByBaseName)
+ * @param {string} folderPath - Absolute path to the folder
+ * @param {Object} captureDates - Map of fileName -> capture timestamp (ms), from exifService
+ * @param {Object} options - Validated batch options (burstGapSeconds)
+ * @param {Function} [onProgress] - Optional callback: ({ current, total }) => void
+ * @returns {Promise<Object>} { clusters, clusteredGroups, analyzedGroups, cachedFiles }
+ *   where clusters is [{ members: [{ baseName, analyzedFile, score, capturedAt }] }], best first
+ */
+async function findSimilar(fileGroups, folderPath, captureDates, options, onProgress = null) {
+  const workItems = [];
+  for (const [baseName, files] of Object.entries(fileGroups)) {
+    const analyzedFile = pickAnalyzableFile(files);
+    if (analyzedFile) workItems.push({ baseName, analyzedFile });
+  }
+
+  logger.log(`🎞️ [SIMILAR] Analyzing ${workItems.length} of ${Object.keys(fileGroups).length} groups ` +
+    `(burst gap ${options.burstGapSeconds}s)...`);
+
+  const fileStats = await collectFileStats(workItems.map(item => item.analyzedFile), folderPath, STAT_CONCURRENCY);
+  await analysisCache.open();
+
+  const frames = [];
+  let processed = 0;
+  let cachedFiles = 0;
+  await runPool(workItems, BLUR_CONCURRENCY, async ({ baseName, analyzedFile }) => {
+    const filePath = path.join(folderPath, analyzedFile);
+    let frame = analysisCache.get('similarity', filePath, fileStats[analyzedFile]);
+    if (frame) {
+      cachedFiles++;
+    } else {
+      const hash = await computeDHash(filePath);
+      const { variance } = hash ? await computeBlurScore(filePath) : { variance: -1 };
+      frame = { hash, score: variance };
+      analysisCache.set('similarity', filePath, fileStats[analyzedFile], frame);
+    }
+
+    frames.push({ baseName, analyzedFile, ...frame, time: captureDates[analyzedFile] || 0 });
+
+    processed++;
+    if (onProgress) onProgress({ current: processed, total: workItems.length });
+  });
+
+  analysisCache.save();
+
+  const framesByName = new Map(frames.map(frame => [frame.baseName, frame]));
+  const clusters = clusterFrames(frames, {
+    burstGapMs: options.burstGapSeconds * 1000,
+    burstDistance: SIMILAR_BURST_DISTANCE,
+    nearDistance: SIMILAR_NEAR_DISTANCE,
+    nearWindowMs: SIMILAR_NEAR_WINDOW_MS,
+    lookback: SIMILAR_LOOKBACK_FRAMES,
+  }).map(({ members }) => ({
+    members: members.map(baseName => {
+      const { analyzedFile, score, time } = framesByName.get(baseName);
+      return { baseName, analyzedFile, score, capturedAt: time };
+    }),
+  }));
+
+  const clusteredGroups = clusters.reduce((sum, cluster) => sum + cluster.members.length, 0);
+  logger.log(`🎞️ [SIMILAR] Found ${clusters.length} clusters covering ${clusteredGroups} groups. ` +
+    `${workItems.length - cachedFiles} analyzed, ${cachedFiles} from cache.`);
+
+  return {
+    clusters,
+    clusteredGroups,
+    analyzedGroups: workItems.length,
+    cachedFiles,
+  };
+}
+
+module.exports = {
+  findSimilar,
+  computeDHash,
+};
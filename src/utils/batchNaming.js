@@ -1,49 +1,500 @@
 /**
  * Batch Naming Utility
- * 
- * Shared module for generating batch folder names.
- * Used by both the main process (ipcHandlers) and the renderer (BatchPreview).
- * 
+ *
+ * Shared module for generating batch folder names and, when a rename
+ * template is set, the new file names inside the batches.
+ * Used by both the main process (ipcHandlers) and the renderer (BatchPreview,
+ * the name fields' live previews and checks), so both render identical names
+ * from the same per-batch data.
+ *
  * IMPORTANT: This file must remain free of Node.js-only or Electron-only
  * dependencies so it can be bundled by Vite for the renderer AND required
  * by the main process.
  */
 
+const { getCameraName } = require('./cameraClocks');
+
+/** Variables that accept a date format, e.g. {first_date:YYYYMMDD} */
+const DATE_TOKENS = new Set(['date', 'first_date', 'last_date']);
+
+/** Every variable a pattern can use (lowercase; matched without case) */
+const NAMING_TOKENS = new Set([
+  'count', 'total', 'file_count', 'date', 'year', 'month', 'capture_date',
+  'first_date', 'last_date', 'first_file', 'last_file', 'camera', 'session',
+  'location', 'orientation',
+]);
+
+/** Longest pattern kept by the main process (sanitizeOutputPrefix); variables with formats take room */
+const MAX_NAMING_PATTERN_LENGTH = 100;
+
+/** Default format of {first_date} and {last_date} */
+const DEFAULT_DATE_FORMAT = 'YYYY-MM-DD';
+
+/** Date format parts: YYYY, YY, MM, DD, HH, mm, ss, and -_. or space between them */
+const DATE_FORMAT_PATTERN = /^(YYYY|YY|MM|DD|HH|mm|ss|[-_. ])+$/;
+const DATE_FORMAT_PARTS = /YYYY|YY|MM|DD|HH|mm|ss/g;
+
+/** Every variable a file rename template can use */
+const FILE_TEMPLATE_TOKENS = new Set(['seq', 'original', 'capture_date', 'date', 'camera']);
+
+/** Digits of {seq} when the template does not give them ({seq:3}) */
+const DEFAULT_SEQUENCE_DIGITS = 4;
+
+/** A {name} or {name:format} variable */
+const TOKEN_PATTERN = /{([a-z_]+)(?::([^{}]*))?}/gi;
+
+/** Characters not allowed in folder names (Windows constraints + / \) */
+const FORBIDDEN_CHARS = /[\\/:*?"<>|]/g;
+
+/**
+ * Format a timestamp with YYYY, YY, MM, DD, HH, mm and ss (local time, like
+ * the capture-date partitions).
+ *
+ * @param {number} time - Timestamp (ms)
+ * @param {string} format - e.g. "YYYYMMDD", "YYYY-MM-DD_HH.mm"
+ * @returns {string}
+ */
+function formatDate(time, format) {
+  const date = new Date(time);
+  const pad2 = (n) => String(n).padStart(2, '0');
+  const parts = {
+    YYYY: String(date.getFullYear()),
+    YY: String(date.getFullYear()).slice(-2),
+    MM: pad2(date.getMonth() + 1),
+    DD: pad2(date.getDate()),
+    HH: pad2(date.getHours()),
+    mm: pad2(date.getMinutes()),
+    ss: pad2(date.getSeconds()),
+  };
+  return format.replace(DATE_FORMAT_PARTS, part => parts[part]);
+}
+
+/**
+ * File name without folder and extension ("2024/IMG_0001.CR3" -> "IMG_0001").
+ *
+ * @param {string} filePath
+ * @returns {string}
+ */
+function getBaseName(filePath) {
+  const fileName = filePath.split(/[\\/]/).pop();
+  const dot = fileName.lastIndexOf('.');
+  return dot > 0 ? fileName.slice(0, dot) : fileName;
+}
+
+/**
+ * Whether a {name:format} variable is a date variable with a valid format,
+ * the only place a colon may appear in a pattern (see sanitizeOutputPrefix).
+ *
+ * @param {string} name - Variable name, e.g. "first_date"
+ * @param {string} format - e.g. "YYYYMMDD"
+ * @returns {boolean}
+ */
+function isDateFormatVariable(name, format) {
+  return DATE_TOKENS.has(String(name).toLowerCase()) && DATE_FORMAT_PATTERN.test(String(format));
+}
+
+/**
+ * Make a value taken from the files (camera model, file name, place label)
+ * safe inside a folder name.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function cleanValue(value) {
+  return String(value).replace(FORBIDDEN_CHARS, '-').trim();
+}
+
+/**
+ * Per-batch naming data taken from the batch's files: its ends in sort
+ * order, the capture-time range and the camera most of its files come from.
+ * Built the same way for the preview (batchDetails) and execute-batch.
+ *
+ * @param {string[]} batch - Files of the batch, in sort order
+ * @param {Object|null} meta - Batch plan metadata (partition, session, location, ...)
+ * @param {Object} [data]
+ * @param {Object|null} [data.captureDates] - Map of fileName -> timestamp (ms), 0 = unknown
+ * @param {Object|null} [data.cameraInfo] - Map of fileName -> { make, model, serial, lens } | null
+ * @returns {Object} meta plus { fileCount, firstFile, lastFile, firstCaptureTime, lastCaptureTime, camera }
+ */
+function getBatchNamingContext(batch, meta, { captureDates = null, cameraInfo = null } = {}) {
+  let firstCaptureTime = 0;
+  let lastCaptureTime = 0;
+  // Map keeps batch order, so a tie goes to the camera seen first
+  const cameraCounts = new Map();
+  for (const file of batch) {
+    const time = captureDates?.[file];
+    if (time) {
+      if (!firstCaptureTime || time < firstCaptureTime) firstCaptureTime = time;
+      if (time > lastCaptureTime) lastCaptureTime = time;
+    }
+    const info = cameraInfo?.[file];
+    if (info && (info.make || info.model)) {
+      const name = getCameraName(info);
+      cameraCounts.set(name, (cameraCounts.get(name) || 0) + 1);
+    }
+  }
+
+  let camera = null;
+  for (const [name, count] of cameraCounts) {
+    if (!camera || count > cameraCounts.get(camera)) camera = name;
+  }
+
+  return {
+    ...meta,
+    fileCount: batch.length,
+    firstFile: batch[0] ?? null,
+    lastFile: batch[batch.length - 1] ?? null,
+    firstCaptureTime: firstCaptureTime || null,
+    lastCaptureTime: lastCaptureTime || null,
+    camera,
+  };
+}
+
+/**
+ * Which per-file data a pattern needs beyond the batch plan, so capture
+ * times and camera info are only read from EXIF when a variable uses them.
+ *
+ * @param {string} pattern
+ * @returns {{ captureTimes: boolean, camera: boolean }}
+ */
+function getPatternDataNeeds(pattern) {
+  const needs = { captureTimes: false, camera: false };
+  for (const [, name] of String(pattern || '').matchAll(TOKEN_PATTERN)) {
+    const token = name.toLowerCase();
+    if (token === 'first_date' || token === 'last_date') needs.captureTimes = true;
+    if (token === 'camera') needs.camera = true;
+  }
+  return needs;
+}
+
+/**
+ * Problems with a naming pattern, for the folder name field and the
+ * checks before a run.
+ *
+ * @param {string} pattern
+ * @returns {string[]} Error messages, empty when the pattern is valid
+ */
+function validateNamingPattern(pattern) {
+  const errors = [];
+  const text = String(pattern || '');
+
+  for (const [variable, name, format] of text.matchAll(TOKEN_PATTERN)) {
+    const token = name.toLowerCase();
+    if (!NAMING_TOKENS.has(token)) {
+      errors.push(`Unknown variable ${variable}`);
+    } else if (format !== undefined && !DATE_TOKENS.has(token)) {
+      errors.push(`${variable}: only date variables take a format`);
+    } else if (format !== undefined && !DATE_FORMAT_PATTERN.test(format)) {
+      errors.push(`${variable}: use YYYY, YY, MM, DD, HH, mm and ss with - _ . or spaces`);
+    }
+  }
+
+  if (text.trim().length > MAX_NAMING_PATTERN_LENGTH) {
+    errors.push(`Folder names can be at most ${MAX_NAMING_PATTERN_LENGTH} characters long`);
+  }
+
+  const rest = text.replace(TOKEN_PATTERN, '');
+  const forbidden = rest.match(FORBIDDEN_CHARS);
+  if (forbidden) {
+    errors.push(`Character '${forbidden[0]}' is not allowed. Please use '-' instead.`);
+  }
+  if (/[{}]/.test(rest)) {
+    errors.push('Unmatched { or } — variables look like {first_date} or {first_date:YYYYMMDD}');
+  }
+  return errors;
+}
+
 /**
  * Generates a folder name based on the pattern and batch index.
- * Supports variables: {count}, {date}, {year}, {month}
- * 
+ * Supports variables: {count}, {total}, {file_count}, {date}, {year}, {month},
+ * {capture_date}, {first_date}, {last_date}, {first_file}, {last_file},
+ * {camera}, {session}, {location}, {orientation}
+ *
+ * {date}, {first_date} and {last_date} take a format after a colon, e.g.
+ * {first_date:YYYYMMDD} or {last_date:YYYY-MM-DD_HH.mm}; without one,
+ * {date} is today's date and the others use YYYY-MM-DD.
+ * {first_date} / {last_date} are the earliest / latest capture times in the
+ * batch; "Undated" when none of its files has one.
+ * {first_file} / {last_file} are the batch's first and last file in sort
+ * order, without folder and extension.
+ * {camera} is the camera most of the batch's files come from;
+ * "Unknown-camera" when none of them records one.
+ * {file_count} is the number of files in the batch, {total} the number of
+ * batches.
+ * {capture_date} is the batch's capture-date partition (e.g. "2024-06-14",
+ * "2024-W24" or "2024-06" when splitting by day/week/month) and falls back
+ * to today's date when the batch has none.
+ * {session} is the batch's shooting-session number (session split mode),
+ * padded to at least 2 digits, or "00" when the batch has no session.
+ * {location} is the batch's location (location split mode): the user's
+ * place label, or the centroid as "48.8584N_2.2945E"; "Unknown-location"
+ * when the batch has none.
+ * {orientation} is the batch's frame shape (orientation split mode):
+ * "Landscape", "Portrait", "Square" or "Panorama"; "Unknown" when the
+ * batch has none.
+ * Unknown variables are left as typed.
+ *
  * @param {string} pattern - The user-provided naming pattern
  * @param {number} batchIndex - 0-based index of the batch
- * @param {number} totalBatches - Total number of batches (for padding)
+ * @param {number} totalBatches - Total number of batches (for padding and {total})
+ * @param {Object|null} [context=null] - Per-batch data (see getBatchNamingContext)
+ * @param {string|null} [context.captureDate] - Capture-date partition key
+ * @param {number|null} [context.sessionIndex] - 1-based session number
+ * @param {number|null} [context.sessionCount] - Number of sessions (for padding)
+ * @param {string|null} [context.locationName] - Place label or centroid coordinates
+ * @param {string|null} [context.orientation] - Orientation partition label
+ * @param {number|null} [context.fileCount] - Files in the batch
+ * @param {string|null} [context.firstFile] - First file in sort order
+ * @param {string|null} [context.lastFile] - Last file in sort order
+ * @param {number|null} [context.firstCaptureTime] - Earliest capture time (ms)
+ * @param {number|null} [context.lastCaptureTime] - Latest capture time (ms)
+ * @param {string|null} [context.camera] - Most common camera name
  * @returns {string} The formatted folder name
  */
-function generateBatchFolderName(pattern, batchIndex, totalBatches) {
+function generateBatchFolderName(pattern, batchIndex, totalBatches, context = null) {
   let name = pattern || 'Batch';
-  
+
   // Default behavior: if no {count} variable, append _{count} to match legacy behavior
   // Use case-insensitive check to match the case-insensitive replacement below
   if (!name.toLowerCase().includes('{count}')) {
     name = `${name}_{count}`;
   }
-  
+
   const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
   const date = now.toISOString().split('T')[0]; // YYYY-MM-DD
-  
+
   // Pad count based on total batches magnitude (min 3 digits)
   // e.g. 10 batches -> 01, 100 batches -> 001
   const padding = Math.max(3, String(totalBatches).length);
-  const count = String(batchIndex + 1).padStart(padding, '0');
-  
-  return name
-    .replace(/{year}/gi, year)
-    .replace(/{month}/gi, month)
-    .replace(/{date}/gi, date)
-    .replace(/{count}/gi, count);
+  const sessionPadding = Math.max(2, String(context?.sessionCount || 0).length);
+
+  const formatCaptureTime = (time, format) => (time ? formatDate(time, format) : 'Undated');
+  const values = {
+    count: () => String(batchIndex + 1).padStart(padding, '0'),
+    total: () => String(totalBatches),
+    file_count: () => String(context?.fileCount ?? 0),
+    date: (format) => (format ? formatDate(now.getTime(), format) : date),
+    year: () => String(now.getFullYear()),
+    month: () => String(now.getMonth() + 1).padStart(2, '0'),
+    capture_date: () => context?.captureDate || date,
+    first_date: (format) => formatCaptureTime(context?.firstCaptureTime, format || DEFAULT_DATE_FORMAT),
+    last_date: (format) => formatCaptureTime(context?.lastCaptureTime, format || DEFAULT_DATE_FORMAT),
+    first_file: () => (context?.firstFile ? cleanValue(getBaseName(context.firstFile)) : 'None'),
+    last_file: () => (context?.lastFile ? cleanValue(getBaseName(context.lastFile)) : 'None'),
+    camera: () => (context?.camera ? cleanValue(context.camera) : 'Unknown-camera'),
+    session: () => String(context?.sessionIndex || 0).padStart(sessionPadding, '0'),
+    location: () => (context?.locationName ? cleanValue(context.locationName) : 'Unknown-location'),
+    orientation: () => context?.orientation || 'Unknown',
+  };
+
+  // One pass, so braces in a value (e.g. a place label) are not read as variables
+  return name.replace(TOKEN_PATTERN, (variable, tokenName, format) => {
+    const token = tokenName.toLowerCase();
+    if (!NAMING_TOKENS.has(token)) return cleanValue(variable);
+    const validFormat = DATE_TOKENS.has(token) && format && DATE_FORMAT_PATTERN.test(format) ? format : null;
+    return values[token](validFormat);
+  });
+}
+
+/**
+ * Problems with a file rename template, for the rename field and the
+ * checks before a run.
+ *
+ * @param {string} template
+ * @returns {string[]} Error messages, empty when the template is valid
+ */
+function validateFileTemplate(template) {
+  const errors = [];
+  const text = String(template || '');
+
+  for (const [variable, name, format] of text.matchAll(TOKEN_PATTERN)) {
+    const token = name.toLowerCase();
+    if (!FILE_TEMPLATE_TOKENS.has(token)) {
+      errors.push(`Unknown variable ${variable}`);
+    } else if (format === undefined) {
+      continue;
+    } else if (token === 'seq') {
+      if (!/^[1-9]$/.test(format)) errors.push(`${variable}: give the number of digits, 1 to 9`);
+    } else if (!DATE_TOKENS.has(token) && token !== 'capture_date') {
+      errors.push(`${variable}: only date variables take a format`);
+    } else if (!DATE_FORMAT_PATTERN.test(format)) {
+      errors.push(`${variable}: use YYYY, YY, MM, DD, HH, mm and ss with - _ . or spaces`);
+    }
+  }
+
+  if (text.trim().length > MAX_NAMING_PATTERN_LENGTH) {
+    errors.push(`File names can be at most ${MAX_NAMING_PATTERN_LENGTH} characters long`);
+  }
+
+  const rest = text.replace(TOKEN_PATTERN, '');
+  const forbidden = rest.match(FORBIDDEN_CHARS);
+  if (forbidden) {
+    errors.push(`Character '${forbidden[0]}' is not allowed. Please use '-' instead.`);
+  }
+  if (/[{}]/.test(rest)) {
+    errors.push('Unmatched { or } — variables look like {seq} or {capture_date:YYYYMMDD}');
+  }
+  return errors;
+}
+
+/**
+ * Which per-file data a rename template needs, like getPatternDataNeeds.
+ *
+ * @param {string} template
+ * @returns {{ captureTimes: boolean, camera: boolean }}
+ */
+function getFileTemplateDataNeeds(template) {
+  const needs = { captureTimes: false, camera: false };
+  for (const [, name] of String(template || '').matchAll(TOKEN_PATTERN)) {
+    const token = name.toLowerCase();
+    if (token === 'capture_date') needs.captureTimes = true;
+    if (token === 'camera') needs.camera = true;
+  }
+  return needs;
+}
+
+/**
+ * New base name (no extension) of one file group.
+ * Supports variables: {seq}, {original}, {capture_date}, {date}, {camera}
+ *
+ * {seq} is the group's sequence number, padded to 4 digits or to the
+ * digits given ({seq:5}); "_{seq}" is appended when the template has none,
+ * so names never collide.
+ * {original} is the group's original base name.
+ * {capture_date} is the group's capture time, {date} today; both take a
+ * format ({capture_date:YYYYMMDD}) and default to YYYY-MM-DD. Without a
+ * capture time {capture_date} is "Undated".
+ * {camera} is the group's camera name, "Unknown-camera" without one.
+ *
+ * @param {string} template - e.g. "Smith_{capture_date:YYYYMMDD}_{seq}"
+ * @param {number} sequence - 1-based sequence number
+ * @param {Object} [context]
+ * @param {string} [context.original] - Original base name of the group
+ * @param {number|null} [context.captureTime] - Capture time (ms)
+ * @param {string|null} [context.camera] - Camera name
+ * @returns {string}
+ */
+function generateFileBaseName(template, sequence, context = {}) {
+  let name = template;
+  if (!/{seq(:[^{}]*)?}/i.test(name)) name = `${name}_{seq}`;
+
+  return name.replace(TOKEN_PATTERN, (variable, tokenName, format) => {
+    const token = tokenName.toLowerCase();
+    if (!FILE_TEMPLATE_TOKENS.has(token)) return cleanValue(variable);
+    if (token === 'seq') {
+      const digits = /^[1-9]$/.test(format || '') ? Number(format) : DEFAULT_SEQUENCE_DIGITS;
+      return String(sequence).padStart(digits, '0');
+    }
+    if (token === 'original') return cleanValue(context.original || 'file');
+    if (token === 'camera') return context.camera ? cleanValue(context.camera) : 'Unknown-camera';
+    const dateFormat = format && DATE_FORMAT_PATTERN.test(format) ? format : DEFAULT_DATE_FORMAT;
+    if (token === 'date') return formatDate(Date.now(), dateFormat);
+    return context.captureTime ? formatDate(context.captureTime, dateFormat) : 'Undated';
+  });
+}
+
+/**
+ * Extension of a file name, with the inner one of a double extension:
+ * "IMG_E1234.HEIC" -> ".HEIC", "IMG_E1234.HEIC.aae" -> ".HEIC.aae".
+ *
+ * @param {string} fileName - File name without folder
+ * @returns {string} '' when the name has no extension
+ */
+function getExtensionSuffix(fileName) {
+  const match = fileName.match(/.(\.[a-z0-9]{1,10})?(\.[^.]+)$/i);
+  return match ? (match[1] || '') + match[2] : '';
+}
+
+/**
+ * New file names of one batch. Every file group (a RAW + JPEG pair, its
+ * sidecars and edits) shares one sequence number, numbered in batch order,
+ * and keeps what follows the group's base name in each file name:
+ * "IMG_1234.CR3", "IMG_1234.JPG", "IMG_1234.CR3.xmp", "IMG_1234-Edit.jpg"
+ * -> "Smith_0001.CR3", "Smith_0001.JPG", "Smith_0001.CR3.xmp", "Smith_0001-Edit.jpg".
+ * Files named otherwise (paired by a derived pattern, "IMG_E1234.HEIC") keep
+ * only their extension; a counter ("Smith_0001-2.HEIC") is added when that
+ * name is already taken in the group.
+ *
+ * @param {string[]} batchFiles - Files of the batch, in sort order
+ * @param {Map<string, string>} groupKeys - Map of fileName -> group key (base name, see groupFilesByBaseName)
+ * @param {string} template - Rename template (see generateFileBaseName)
+ * @param {number} firstSequence - Sequence number of the batch's first group
+ * @param {Object} [data]
+ * @param {Object|null} [data.captureDates] - Map of fileName -> timestamp (ms), 0 = unknown
+ * @param {Object|null} [data.cameraInfo] - Map of fileName -> { make, model, serial, lens } | null
+ * @returns {{ names: Map<string, string>, nextSequence: number }} names: fileName -> new file name (no folder)
+ */
+function buildRenamedFiles(batchFiles, groupKeys, template, firstSequence, { captureDates = null, cameraInfo = null } = {}) {
+  // Groups in order of their first file in the batch
+  const groups = new Map();
+  for (const fileName of batchFiles) {
+    const key = groupKeys.get(fileName) ?? fileName;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(fileName);
+  }
+
+  const names = new Map();
+  let sequence = firstSequence;
+  for (const [key, files] of groups) {
+    const original = key.split(/[\\/]/).pop();
+    let captureTime = 0;
+    let camera = null;
+    for (const fileName of files) {
+      const time = captureDates?.[fileName];
+      if (time && (!captureTime || time < captureTime)) captureTime = time;
+      const info = cameraInfo?.[fileName];
+      if (!camera && info && (info.make || info.model)) camera = getCameraName(info);
+    }
+    const baseName = generateFileBaseName(template, sequence, { original, captureTime: captureTime || null, camera });
+
+    // Keep the rest of the name after the group's base: extension, ".CR3.xmp", "-Edit.jpg".
+    // Files named after the base claim their names first.
+    const renames = files.map(fileName => {
+      const oldName = fileName.split(/[\\/]/).pop();
+      const namedAfterBase = oldName.toLowerCase().startsWith(original.toLowerCase());
+      return { fileName, namedAfterBase, rest: namedAfterBase ? oldName.slice(original.length) : getExtensionSuffix(oldName) };
+    });
+    const usedNames = new Set();
+    for (const { fileName, rest } of [...renames.filter(r => r.namedAfterBase), ...renames.filter(r => !r.namedAfterBase)]) {
+      let name = baseName + rest;
+      for (let counter = 2; usedNames.has(name.toLowerCase()); counter++) name = `${baseName}-${counter}${rest}`;
+      usedNames.add(name.toLowerCase());
+      names.set(fileName, name);
+    }
+    sequence++;
+  }
+  return { names, nextSequence: sequence };
+}
+
+/**
+ * Prefix of the set-aside folders (_Rejected, _Blurry, _Duplicates, ...):
+ * the pattern without its variables, since those folders hold files from
+ * every batch.
+ *
+ * @param {string} pattern
+ * @returns {string} e.g. "Wedding" for "Wedding_{first_date}_{count}"
+ */
+function getSetAsideFolderPrefix(pattern) {
+  const prefix = String(pattern || '')
+    .replace(TOKEN_PATTERN, (variable, tokenName) => (NAMING_TOKENS.has(tokenName.toLowerCase()) ? '' : variable))
+    .replace(FORBIDDEN_CHARS, '-')
+    .replace(/([-_. ])[-_. ]+/g, '$1')
+    .replace(/^[-_. ]+|[-_. ]+$/g, '');
+  return prefix || 'Batch';
 }
 
 // CommonJS export — Vite handles CJS-to-ESM conversion transparently
 // for the renderer, and Node.js require() works in the main process.
-module.exports = { generateBatchFolderName };
+module.exports = {
+  MAX_NAMING_PATTERN_LENGTH,
+  generateBatchFolderName,
+  getBatchNamingContext,
+  getPatternDataNeeds,
+  getSetAsideFolderPrefix,
+  isDateFormatVariable,
+  validateNamingPattern,
+  validateFileTemplate,
+  getFileTemplateDataNeeds,
+  generateFileBaseName,
+  buildRenamedFiles,
+};
@@ -0,0 +1,77 @@
+/**
+ * Blur Classes
+ * The kinds of blur told apart by blurDetectionService (motion blur,
+ * defocus, low-detail scene) and where each kind goes: the shared Blurry
+ * folder, a folder of its own, or back into the batches.
+ *
+ * Shared by the main process (execute-batch / preview-batches folder names)
+ * and the renderer (settings, routing of flagged groups, labels).
+ *
+ * IMPORTANT: This file must remain free of Node.js-only or Electron-only
+ * dependencies so it can be bundled by Vite for the renderer AND required
+ * by the main process.
+ */
+
+/** Blur classes in folder order; settingKey holds the user's action for the class */
+const BLUR_CLASSES = [
+  { key: 'motion', label: 'Motion blur', folderSuffix: 'Blurry_Motion', settingKey: 'blurMotionAction' },
+  { key: 'defocus', label: 'Defocus', folderSuffix: 'Blurry_Defocus', settingKey: 'blurDefocusAction' },
+  { key: 'low-detail', label: 'Low detail', folderSuffix: 'Blurry_LowDetail', settingKey: 'blurLowDetailAction' },
+];
+
+/**
+ * What happens to a blurry group of a class:
+ * - 'blurry': the shared "_Blurry" folder (the behavior without classes)
+ * - 'folder': the class folder, e.g. "_Blurry_Motion"
+ * - 'keep':   stays in the normal batches
+ */
+const BLUR_CLASS_ACTIONS = ['blurry', 'folder', 'keep'];
+
+/**
+ * Look up a blur class.
+ *
+ * @param {string|null} key - 'motion' | 'defocus' | 'low-detail'
+ * @returns {Object|null} Entry of BLUR_CLASSES
+ */
+function getBlurClass(key) {
+  return BLUR_CLASSES.find(blurClass => blurClass.key === key) || null;
+}
+
+/**
+ * Split flagged groups by the action chosen for their class. Groups that
+ * could not be classified go to the shared Blurry folder.
+ *
+ * @param {string[]} blurryGroups - Flagged base names (user un-flags already removed)
+ * @param {Object|null} blurResults - Map of baseName -> { blurClass, ... } from analyzeBlur
+ * @param {Object} actions - Map of class key -> 'blurry' | 'folder' | 'keep'
+ * @returns {{ sharedGroups: string[], classGroups: Object|null, keptGroups: string[] }}
+ *   classGroups maps class key -> base names, null when no class has its own folder
+ */
+function routeBlurryGroups(blurryGroups, blurResults, actions) {
+  const sharedGroups = [];
+  const keptGroups = [];
+  const classGroups = {};
+  for (const baseName of blurryGroups) {
+    const blurClass = blurResults?.[baseName]?.blurClass;
+    const action = (blurClass && actions?.[blurClass]) || 'blurry';
+    if (action === 'keep') {
+      keptGroups.push(baseName);
+    } else if (action === 'folder') {
+      (classGroups[blurClass] ||= []).push(baseName);
+    } else {
+      sharedGroups.push(baseName);
+    }
+  }
+  return {
+    sharedGroups,
+    classGroups: Object.keys(classGroups).length > 0 ? classGroups : null,
+    keptGroups,
+  };
+}
+
+module.exports = {
+  BLUR_CLASSES,
+  BLUR_CLASS_ACTIONS,
+  getBlurClass,
+  routeBlurryGroups,
+};
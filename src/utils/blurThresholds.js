@@ -0,0 +1,187 @@
+/**
+ * Blur Thresholds
+ * The dual-metric blur test (Laplacian variance AND edge density below their
+ * thresholds) and the auto-calibration that picks both thresholds from a
+ * folder's own score distribution.
+ *
+ * Shared by the main process (blurDetectionService flags the groups) and the
+ * renderer (BlurSensitivityModal re-flags instantly while a threshold line is
+ * dragged, and shows where "Auto" would put the lines).
+ *
+ * IMPORTANT: This file must remain free of Node.js-only or Electron-only
+ * dependencies so it can be bundled by Vite for the renderer AND required
+ * by the main process.
+ *
+ * AUTO-CALIBRATION (per metric, on a log scale since scores span decades):
+ * - Valley: Otsu's method splits the histogram into a soft and a sharp class.
+ *   The split is used when the classes are far apart (means at least
+ *   `minSeparation` apart in log units, i.e. about 3x) and the soft class
+ *   holds no more than `maxFlaggedShare` of the frames.
+ * - Percentile: otherwise (one big hump — e.g. a whole concert shot at high
+ *   ISO) the `percentile` lowest scores are the candidates.
+ * - A metric without a valley defers to the other one: its threshold is set
+ *   just above every frame the other metric flags, so it does not veto them.
+ *   When neither has a valley, variance leads.
+ * - Fewer than `minSamples` frames: no calibration (caller falls back to a preset).
+ */
+
+/** Defaults for calibrateThresholds */
+const AUTO_CALIBRATION = {
+  minSamples: 20,
+  percentile: 10,
+  minSeparation: Math.log(3),
+  maxFlaggedShare: 0.4,
+  bins: 64,
+};
+
+/** Offsets before taking logs, so zero scores stay finite */
+const VARIANCE_LOG_OFFSET = 1;
+const EDGE_LOG_OFFSET = 0.001;
+
+/** Rounding of the calibrated thresholds (variance to 0.1, edge density to 0.0001) */
+const VARIANCE_STEP = 0.1;
+const EDGE_STEP = 0.0001;
+
+/**
+ * Dual-metric check: blurry only when BOTH metrics are below their thresholds.
+ * Unmeasured frames (negative metrics) are never blurry.
+ *
+ * @param {{ variance: number, edgeDensity: number }} metrics
+ * @param {{ variance: number, edgeDensity: number }} thresholds
+ * @returns {boolean}
+ */
+function isBlurryMetrics({ variance, edgeDensity }, thresholds) {
+  return variance >= 0 &&
+    variance < thresholds.variance &&
+    edgeDensity >= 0 &&
+    edgeDensity < thresholds.edgeDensity;
+}
+
+/**
+ * Otsu threshold of a list of values.
+ *
+ * @param {number[]} values - At least two values
+ * @param {number} bins - Histogram bins
+ * @returns {{ threshold: number, lowShare: number, separation: number }}
+ *   threshold between the classes, share of values below it, distance between class means
+ */
+function otsuThreshold(values, bins) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of values) {
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  if (max === min) return { threshold: max, lowShare: 0, separation: 0 };
+
+  const width = (max - min) / bins;
+  const histogram = new Array(bins).fill(0);
+  for (const v of values) histogram[Math.min(bins - 1, Math.floor((v - min) / width))]++;
+
+  const total = values.length;
+  let sumAll = 0;
+  for (let i = 0; i < bins; i++) sumAll += i * histogram[i];
+
+  let best = { variance: -1, index: 0, lowCount: 0, lowMean: 0, highMean: 0 };
+  let lowCount = 0;
+  let lowSum = 0;
+  for (let i = 0; i < bins - 1; i++) {
+    lowCount += histogram[i];
+    lowSum += i * histogram[i];
+    const highCount = total - lowCount;
+    if (lowCount === 0 || highCount === 0) continue;
+    const lowMean = lowSum / lowCount;
+    const highMean = (sumAll - lowSum) / highCount;
+    const betweenVariance = lowCount * highCount * (lowMean - highMean) ** 2;
+    if (betweenVariance > best.variance) best = { variance: betweenVariance, index: i, lowCount, lowMean, highMean };
+  }
+
+  return {
+    threshold: min + (best.index + 1) * width,
+    lowShare: best.lowCount / total,
+    separation: (best.highMean - best.lowMean) * width,
+  };
+}
+
+/**
+ * Value below which `percent` % of the sorted values lie.
+ *
+ * @param {number[]} sorted - Ascending
+ * @param {number} percent - 0-100
+ * @returns {number}
+ */
+function percentileOf(sorted, percent) {
+  const index = Math.min(sorted.length - 1, Math.floor((sorted.length * percent) / 100));
+  return sorted[index];
+}
+
+/**
+ * Threshold for one metric on a log scale.
+ *
+ * @param {number[]} values - Measured values (>= 0)
+ * @param {number} offset - Added before taking the log
+ * @param {Object} options - See AUTO_CALIBRATION
+ * @returns {{ value: number, method: 'valley'|'percentile' }}
+ */
+function calibrateMetric(values, offset, options) {
+  const logs = values.map(v => Math.log(v + offset));
+  const otsu = otsuThreshold(logs, options.bins);
+  if (otsu.separation >= options.minSeparation && otsu.lowShare > 0 && otsu.lowShare <= options.maxFlaggedShare) {
+    return { value: Math.exp(otsu.threshold) - offset, method: 'valley' };
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  return { value: percentileOf(sorted, options.percentile), method: 'percentile' };
+}
+
+/**
+ * Smallest threshold on the step grid that is above every value.
+ *
+ * @param {number[]} values
+ * @param {number} step
+ * @returns {number}
+ */
+function thresholdAbove(values, step) {
+  const max = values.reduce((a, b) => Math.max(a, b), 0);
+  return Math.round((Math.floor(max / step) + 1) * step * 1e6) / 1e6;
+}
+
+/**
+ * Pick variance and edge-density thresholds from a folder's own scores.
+ *
+ * @param {Array<{ variance: number, edgeDensity: number }>} samples - Per-group metrics (unmeasured ones are skipped)
+ * @param {Object} [options] - Overrides for AUTO_CALIBRATION
+ * @returns {{ variance: number, edgeDensity: number, method: 'valley'|'percentile' }|null}
+ *   method is 'valley' when either metric has one; null with fewer than minSamples measured frames
+ */
+function calibrateThresholds(samples, options = {}) {
+  const settings = { ...AUTO_CALIBRATION, ...options };
+  const measured = samples.filter(s => s.variance >= 0 && s.edgeDensity >= 0);
+  if (measured.length < settings.minSamples) return null;
+
+  const round = (value, step) => Math.round(Math.round(value / step) * step * 1e6) / 1e6;
+  const variance = calibrateMetric(measured.map(s => s.variance), VARIANCE_LOG_OFFSET, settings);
+  const edgeDensity = calibrateMetric(measured.map(s => s.edgeDensity), EDGE_LOG_OFFSET, settings);
+  let varianceThreshold = round(variance.value, VARIANCE_STEP);
+  let edgeThreshold = round(edgeDensity.value, EDGE_STEP);
+
+  if (edgeDensity.method === 'percentile') {
+    const flagged = measured.filter(s => s.variance < varianceThreshold);
+    edgeThreshold = Math.max(edgeThreshold, thresholdAbove(flagged.map(s => s.edgeDensity), EDGE_STEP));
+  } else if (variance.method === 'percentile') {
+    const flagged = measured.filter(s => s.edgeDensity < edgeThreshold);
+    varianceThreshold = Math.max(varianceThreshold, thresholdAbove(flagged.map(s => s.variance), VARIANCE_STEP));
+  }
+
+  return {
+    variance: varianceThreshold,
+    edgeDensity: edgeThreshold,
+    method: variance.method === 'valley' || edgeDensity.method === 'valley' ? 'valley' : 'percentile',
+  };
+}
+
+module.exports = {
+  AUTO_CALIBRATION,
+  calibrateThresholds,
+  isBlurryMetrics,
+  otsuThreshold,
+};
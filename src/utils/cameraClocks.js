@@ -0,0 +1,175 @@
+/**
+ * Camera Clocks
+ * Camera body names and per-body clock offsets. When two bodies' clocks
+ * disagree by a few minutes, EXIF capture times interleave wrongly; an
+ * offset (seconds added to a body's EXIF times) lines them up again.
+ *
+ * Shared by the main process (corrects capture times before sorting,
+ * date/session splitting and burst detection) and the renderer (settings
+ * field, "same moment" clock sync in the image preview).
+ *
+ * IMPORTANT: This file must remain free of Node.js-only or Electron-only
+ * dependencies so it can be bundled by Vite for the renderer AND required
+ * by the main process.
+ *
+ * Offsets are edited as "Camera = offset" entries separated by semicolons,
+ * e.g. "Canon EOS R5 (S/N 012345) = +2:30; SONY ILCE-7M4 = -45". The camera
+ * is the body label shown by the camera split mode; the offset is
+ * [+|-][[h:]m:]s.
+ */
+
+/** Largest offset accepted (a camera set to the wrong day is still fixable) */
+const MAX_CLOCK_OFFSET_SECONDS = 7 * 24 * 3600;
+
+/**
+ * Display name for a camera body. Drops the make when the model already
+ * starts with it ("Canon" + "Canon EOS R5" -> "Canon EOS R5"; "NIKON
+ * CORPORATION" + "NIKON Z 6" -> "NIKON Z 6").
+ *
+ * @param {{ make: string|null, model: string|null }} info
+ * @returns {string}
+ */
+function getCameraName(info) {
+  const make = info.make || '';
+  const model = info.model || '';
+  const makeWord = make.split(/\s+/)[0].toLowerCase();
+  if (!make || (makeWord && model.toLowerCase().startsWith(makeWord))) return model || make;
+  if (!model) return make;
+  return `${make} ${model}`;
+}
+
+/**
+ * Label of one camera body: its name, plus the serial number when the
+ * camera writes it, so two bodies of the same model stay apart.
+ *
+ * @param {Object|null} info - { make, model, serial, lens } from exifService
+ * @returns {string|null} null without make and model
+ */
+function getCameraBodyLabel(info) {
+  if (!info || !(info.make || info.model)) return null;
+  const name = getCameraName(info);
+  return info.serial ? `${name} (S/N ${info.serial})` : name;
+}
+
+/**
+ * Parse an offset: "[+|-][[h:]m:]s", e.g. "+2:30", "-45", "1:00:00".
+ *
+ * @param {string} value
+ * @returns {number|null} Seconds, null if invalid or out of range
+ */
+function parseClockOffset(value) {
+  const match = /^([+-]?)(\d+(?::\d{1,2}){0,2})$/.exec(String(value).replace(/\s+/g, ''));
+  if (!match) return null;
+  const parts = match[2].split(':').map(Number);
+  // Minutes and seconds after the first part stay below 60
+  if (parts.slice(1).some(part => part >= 60)) return null;
+  const seconds = parts.reduce((total, part) => total * 60 + part, 0);
+  if (seconds > MAX_CLOCK_OFFSET_SECONDS) return null;
+  return match[1] === '-' ? -seconds : seconds;
+}
+
+/**
+ * Format an offset for the settings field: "+2:30", "-1:00:05", "+0:00".
+ *
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatClockOffset(seconds) {
+  const sign = seconds < 0 ? '-' : '+';
+  let rest = Math.abs(Math.round(seconds));
+  const s = rest % 60;
+  rest = Math.floor(rest / 60);
+  const m = rest % 60;
+  const h = Math.floor(rest / 60);
+  const pad2 = (n) => String(n).padStart(2, '0');
+  return h > 0 ? `${sign}${h}:${pad2(m)}:${pad2(s)}` : `${sign}${m}:${pad2(s)}`;
+}
+
+/**
+ * Parse clock offsets edited as "Camera = offset" entries separated by semicolons.
+ *
+ * @param {string} value - e.g. "Canon EOS R5 = +2:30; X-T5 = -45"
+ * @returns {{ offsets: Array<{ camera: string, seconds: number }>, invalid: string[] }}
+ */
+function parseClockOffsets(value) {
+  const offsets = [];
+  const invalid = [];
+  for (const entry of value.split(';').map(item => item.trim()).filter(Boolean)) {
+    const separator = entry.lastIndexOf('=');
+    const camera = entry.slice(0, separator).trim();
+    const seconds = separator > 0 ? parseClockOffset(entry.slice(separator + 1)) : null;
+    if (camera && seconds !== null) offsets.push({ camera, seconds });
+    else invalid.push(entry);
+  }
+  return { offsets, invalid };
+}
+
+/**
+ * Offset for a camera body. Labels are compared without case; the last
+ * entry for a body wins.
+ *
+ * @param {Array<{ camera: string, seconds: number }>} offsets
+ * @param {string|null} cameraLabel - From getCameraBodyLabel
+ * @returns {number} Seconds (0 when the body has no offset)
+ */
+function getClockOffset(offsets, cameraLabel) {
+  if (!cameraLabel || !offsets?.length) return 0;
+  const wanted = cameraLabel.toLowerCase();
+  let seconds = 0;
+  for (const offset of offsets) {
+    if (offset.camera.toLowerCase() === wanted) seconds = offset.seconds;
+  }
+  return seconds;
+}
+
+/**
+ * Offset that puts a frame at the same moment as a reference frame from
+ * another camera: (reference time, already corrected) - (frame's EXIF time).
+ *
+ * @param {number} referenceTime - Corrected capture time of the reference (ms)
+ * @param {number} captureTime - EXIF capture time of the other camera's frame (ms)
+ * @returns {number} Seconds, rounded
+ */
+function deriveClockOffset(referenceTime, captureTime) {
+  return Math.round((referenceTime - captureTime) / 1000);
+}
+
+/**
+ * Corrected capture times. Returns the input map untouched when no
+ * offset applies; otherwise a copy with each offset body's times shifted.
+ *
+ * @param {Object} captureDates - Map of fileName -> timestamp (ms), 0 = unknown
+ * @param {Object|null} cameraInfo - Map of fileName -> { make, model, serial, lens } | null
+ * @param {Array<{ camera: string, seconds: number }>} offsets
+ * @returns {Object} Map of fileName -> timestamp (ms)
+ */
+function applyClockOffsets(captureDates, cameraInfo, offsets) {
+  if (!captureDates || !cameraInfo || !offsets?.length) return captureDates;
+  const corrected = { ...captureDates };
+  // Labels repeat across a folder; resolve each body once
+  const offsetByLabel = new Map();
+  let shifted = 0;
+  for (const [fileName, time] of Object.entries(captureDates)) {
+    const label = getCameraBodyLabel(cameraInfo[fileName]);
+    if (!time || !label) continue;
+    if (!offsetByLabel.has(label)) offsetByLabel.set(label, getClockOffset(offsets, label));
+    const seconds = offsetByLabel.get(label);
+    if (seconds) {
+      corrected[fileName] = time + seconds * 1000;
+      shifted++;
+    }
+  }
+  return shifted > 0 ? corrected : captureDates;
+}
+
+module.exports = {
+  MAX_CLOCK_OFFSET_SECONDS,
+  applyClockOffsets,
+  deriveClockOffset,
+  formatClockOffset,
+  getCameraBodyLabel,
+  getCameraName,
+  getClockOffset,
+  parseClockOffset,
+  parseClockOffsets,
+};
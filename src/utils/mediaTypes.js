@@ -0,0 +1,209 @@
+/**
+ * Media Types
+ * Registry of the file types that are batched, grouped into categories
+ * (image / RAW / video / audio) that can be switched on or off per preset,
+ * plus user-added extensions and glob ignore patterns.
+ *
+ * Shared by the main process (batchEngine, securityManager) and the renderer
+ * (settings checkboxes, stats labels, inline pattern validation).
+ *
+ * IMPORTANT: This file must remain free of Node.js-only or Electron-only
+ * dependencies so it can be bundled by Vite for the renderer AND required
+ * by the main process.
+ *
+ * IGNORE PATTERNS: "*" matches within a name, "**" across folders, "?" one
+ * character. Patterns without a "/" match the file name; patterns with a "/"
+ * match the relative path from the source folder. Case-insensitive.
+ *   "*_proxy.*"       DSC_0001_proxy.mp4
+ *   "**\/Proxies/**"  clips/Proxies/C0001.mp4
+ */
+
+/** Built-in categories, in display order */
+const MEDIA_CATEGORIES = {
+  image: {
+    label: 'Images',
+    extensions: ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'tiff', 'tif', 'webp', 'heic', 'heif', 'avif', 'jxl'],
+  },
+  raw: {
+    label: 'RAW',
+    extensions: [
+      'raw',           // Generic RAW
+      'cr2', 'cr3',    // Canon
+      'nef', 'nrw',    // Nikon
+      'arw', 'srf',    // Sony
+      'dng',           // Adobe DNG / Leica / some phones
+      'orf',           // Olympus
+      'rw2',           // Panasonic
+      'pef',           // Pentax
+      'raf',           // Fujifilm
+      'srw',           // Samsung
+      'x3f',           // Sigma
+      '3fr',           // Hasselblad
+      'iiq',           // Phase One
+      'erf',           // Epson
+    ],
+  },
+  video: {
+    label: 'Video',
+    extensions: ['mp4', 'mov', 'avi', 'mkv', 'mts', 'm2ts', 'mxf'],
+  },
+  audio: {
+    label: 'Audio',
+    extensions: ['wav', 'mp3', 'm4a', 'aac', 'flac'],
+  },
+};
+
+/** Category assigned to user-added extensions */
+const CUSTOM_CATEGORY = 'other';
+const CUSTOM_CATEGORY_LABEL = 'Other';
+
+/** Categories batched by default (audio notes are opt-in) */
+const DEFAULT_MEDIA_CATEGORIES = ['image', 'raw', 'video'];
+
+/**
+ * System files to always ignore (case-insensitive)
+ * These files are created by operating systems and should never be batched
+ */
+const SYSTEM_FILES = new Set([
+  'desktop.ini',
+  '.ds_store',
+  'thumbs.db',
+  '.gitkeep',
+  '.gitignore',
+  'folder.jpg',
+  'albumart.jpg'
+]);
+
+/** Limits for user-supplied rules (validated again in securityManager) */
+const MAX_EXTRA_EXTENSIONS = 32;
+const MAX_IGNORE_PATTERNS = 32;
+const MAX_IGNORE_PATTERN_LENGTH = 128;
+
+const EXTENSION_RE = /^[a-z0-9]{1,10}$/;
+
+const escapeRegExp = (text) => text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compile one glob ignore pattern.
+ *
+ * @param {any} pattern - e.g. "*_proxy.*" or "**\/Proxies/**"
+ * @returns {{ source: string, regex: RegExp, matchPath: boolean }|null} null if malformed
+ */
+function parseIgnorePattern(pattern) {
+  if (typeof pattern !== 'string') return null;
+  const source = pattern.trim();
+  if (!source || source.length > MAX_IGNORE_PATTERN_LENGTH || /[\\:"<>|\0]/.test(source)) return null;
+
+  let body = '';
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '*' && source[i + 1] === '*') {
+      // "**/" also matches zero folders
+      if (source[i + 2] === '/') {
+        body += '(?:.*/)?';
+        i += 2;
+      } else {
+        body += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      body += '[^/]*';
+    } else if (char === '?') {
+      body += '[^/]';
+    } else {
+      body += escapeRegExp(char);
+    }
+  }
+
+  return { source, regex: new RegExp(`^${body}$`, 'i'), matchPath: source.includes('/') };
+}
+
+/**
+ * Build the registry used by batchEngine to decide which files are batched.
+ * Missing lists fall back to the defaults; invalid entries are dropped.
+ *
+ * @param {Object} [options={}]
+ * @param {string[]} [options.mediaCategories] - Enabled built-in categories
+ * @param {string[]} [options.extraExtensions] - Additional extensions (category "other")
+ * @param {string[]} [options.ignorePatterns] - Glob ignore patterns
+ * @returns {{ extensions: Map<string, string>, ignorePatterns: Array<Object> }}
+ */
+function buildMediaRegistry(options = {}) {
+  const categories = Array.isArray(options.mediaCategories) ? options.mediaCategories : DEFAULT_MEDIA_CATEGORIES;
+  const extensions = new Map();
+
+  for (const category of categories) {
+    for (const ext of MEDIA_CATEGORIES[category]?.extensions || []) extensions.set(ext, category);
+  }
+
+  const extras = Array.isArray(options.extraExtensions) ? options.extraExtensions : [];
+  for (const value of extras.slice(0, MAX_EXTRA_EXTENSIONS)) {
+    const ext = typeof value === 'string' ? value.trim().toLowerCase().replace(/^\./, '') : '';
+    // Built-in extensions keep their own category
+    if (EXTENSION_RE.test(ext) && !extensions.has(ext)) extensions.set(ext, CUSTOM_CATEGORY);
+  }
+
+  const patterns = Array.isArray(options.ignorePatterns) ? options.ignorePatterns : [];
+  return {
+    extensions,
+    ignorePatterns: patterns.map(parseIgnorePattern).filter(Boolean).slice(0, MAX_IGNORE_PATTERNS),
+  };
+}
+
+/**
+ * Whether a file is skipped regardless of its extension: OS system files,
+ * AppleDouble "._" companions from macOS, and user ignore patterns.
+ *
+ * @param {string} filePath - File name or '/'-joined relative path
+ * @param {Object} registry - From buildMediaRegistry()
+ * @returns {boolean}
+ */
+function isIgnoredFile(filePath, registry) {
+  const name = filePath.substring(filePath.lastIndexOf('/') + 1);
+  const lowerName = name.toLowerCase();
+  if (SYSTEM_FILES.has(lowerName) || lowerName.startsWith('._')) return true;
+  return registry.ignorePatterns.some(pattern => pattern.regex.test(pattern.matchPath ? filePath : name));
+}
+
+/**
+ * Category of a batchable file.
+ *
+ * @param {string} filePath - File name or '/'-joined relative path
+ * @param {Object} registry - From buildMediaRegistry()
+ * @returns {string|null} Category key, or null if the file is not batched
+ */
+function getMediaCategory(filePath, registry) {
+  if (isIgnoredFile(filePath, registry)) return null;
+  const name = filePath.substring(filePath.lastIndexOf('/') + 1);
+  const lastDotIndex = name.lastIndexOf('.');
+  if (lastDotIndex <= 0) return null; // No extension or hidden file
+  return registry.extensions.get(name.substring(lastDotIndex + 1).toLowerCase()) || null;
+}
+
+/**
+ * Display label for a category key (including "other" and "sidecar").
+ *
+ * @param {string} category
+ * @returns {string}
+ */
+function getCategoryLabel(category) {
+  if (category === CUSTOM_CATEGORY) return CUSTOM_CATEGORY_LABEL;
+  if (category === 'sidecar') return 'Sidecars';
+  return MEDIA_CATEGORIES[category]?.label || category;
+}
+
+// CommonJS export — Vite handles CJS-to-ESM conversion transparently
+// for the renderer, and Node.js require() works in the main process.
+module.exports = {
+  buildMediaRegistry,
+  parseIgnorePattern,
+  isIgnoredFile,
+  getMediaCategory,
+  getCategoryLabel,
+  MEDIA_CATEGORIES,
+  DEFAULT_MEDIA_CATEGORIES,
+  CUSTOM_CATEGORY,
+  SYSTEM_FILES,
+  MAX_EXTRA_EXTENSIONS,
+  MAX_IGNORE_PATTERNS,
+};
@@ -0,0 +1,167 @@
+/**
+ * Pairing Rules
+ * Decides which companion files travel with a media group:
+ * - Sidecars (.xmp, .aae, .pp3, .dop, .thm by default), including
+ *   double-extension sidecars such as "IMG_1.CR3.xmp"
+ * - Derived files matched by user patterns, e.g. "DSC_0001-Edit.tif" or
+ *   "IMG_E1234.HEIC" belong with "DSC_0001" / "IMG_1234"
+ *
+ * Shared by the main process (batchEngine, securityManager) and the renderer
+ * (settings defaults and inline pattern validation).
+ * 
+ * IMPORTANT: This file must remain free of Node.js-only or Electron-only
+ * dependencies so it can be bundled by Vite for the renderer AND required
+ * by the main process.
+ *
+ * PATTERN SYNTAX: "<derived> = <original>", where each side contains exactly
+ * one "*" standing for the shared part of the name. Matching is
+ * case-insensitive and applies to the file name without its extension.
+ *   "*-Edit = *"         DSC_0001-Edit   -> DSC_0001
+ *   "IMG_E* = IMG_*"     IMG_E1234       -> IMG_1234
+ */
+
+/** Sidecar extensions paired by default (lowercase, no dot) */
+const DEFAULT_SIDECAR_EXTENSIONS = ['xmp', 'aae', 'pp3', 'dop', 'thm'];
+
+/** Derived-file patterns paired by default (Lightroom/Photoshop edits, iOS edits) */
+const DEFAULT_PAIRING_PATTERNS = ['*-Edit = *', 'IMG_E* = IMG_*'];
+
+/** Limits for user-supplied rules (validated again in securityManager) */
+const MAX_SIDECAR_EXTENSIONS = 32;
+const MAX_PAIRING_PATTERNS = 16;
+const MAX_PATTERN_LENGTH = 64;
+
+const EXTENSION_RE = /^[a-z0-9]{1,10}$/;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Normalize a sidecar extension: trims, lowercases and drops a leading dot.
+ *
+ * @param {any} value - e.g. ".XMP"
+ * @returns {string|null} e.g. "xmp", or null if not a plain extension
+ */
+function normalizeExtension(value) {
+  if (typeof value !== 'string') return null;
+  const ext = value.trim().toLowerCase().replace(/^\./, '');
+  return EXTENSION_RE.test(ext) ? ext : null;
+}
+
+/**
+ * Parse one "<derived> = <original>" pattern.
+ *
+ * @param {any} pattern - Pattern string
+ * @returns {{ source: string, derived: RegExp, original: string }|null} null if malformed
+ */
+function parsePairingPattern(pattern) {
+  if (typeof pattern !== 'string' || pattern.length > MAX_PATTERN_LENGTH) return null;
+  const sides = pattern.split('=').map(side => side.trim());
+  if (sides.length !== 2) return null;
+
+  const [derived, original] = sides;
+  const isValidSide = (side) => side.split('*').length === 2 && !/[\\/:"<>|?]/.test(side);
+  if (!isValidSide(derived) || !isValidSide(original) || derived === original) return null;
+  // A bare "*" on the derived side would pair every file with something
+  if (derived === '*') return null;
+
+  const [prefix, suffix] = derived.split('*');
+  return {
+    source: `${derived} = ${original}`,
+    derived: new RegExp(`^${escapeRegExp(prefix)}(.+)${escapeRegExp(suffix)}$`, 'i'),
+    original,
+  };
+}
+
+/**
+ * Build the rule set used by groupFilesByBaseName(). Invalid entries are
+ * dropped; missing lists fall back to the defaults.
+ *
+ * @param {Object} [pairing={}]
+ * @param {string[]} [pairing.sidecarExtensions] - Sidecar extensions
+ * @param {string[]} [pairing.pairingPatterns] - Derived-file patterns
+ * @returns {{ sidecarExtensions: Set<string>, patterns: Array<Object> }}
+ */
+function buildPairingRules(pairing = {}) {
+  const extensions = Array.isArray(pairing.sidecarExtensions) ? pairing.sidecarExtensions : DEFAULT_SIDECAR_EXTENSIONS;
+  const patterns = Array.isArray(pairing.pairingPatterns) ? pairing.pairingPatterns : DEFAULT_PAIRING_PATTERNS;
+
+  return {
+    sidecarExtensions: new Set(extensions.map(normalizeExtension).filter(Boolean).slice(0, MAX_SIDECAR_EXTENSIONS)),
+    patterns: patterns.map(parsePairingPattern).filter(Boolean).slice(0, MAX_PAIRING_PATTERNS),
+  };
+}
+
+/**
+ * Split a base name (no extension) into its directory prefix and name.
+ *
+ * @param {string} baseName - e.g. "DCIM/100CANON/IMG_E1234"
+ * @returns {[string, string]} e.g. ["DCIM/100CANON/", "IMG_E1234"]
+ */
+function splitDir(baseName) {
+  const slashIndex = baseName.lastIndexOf('/');
+  return slashIndex === -1 ? ['', baseName] : [baseName.substring(0, slashIndex + 1), baseName.substring(slashIndex + 1)];
+}
+
+/**
+ * Base names a derived file could belong to, one per matching pattern.
+ * The directory prefix is kept, so edits only pair inside their own folder.
+ *
+ * @param {string} baseName - Base name without extension
+ * @param {Array<Object>} patterns - Parsed patterns from buildPairingRules()
+ * @returns {string[]} Candidate original base names
+ */
+function resolveOriginalBases(baseName, patterns) {
+  const [dir, name] = splitDir(baseName);
+  const candidates = [];
+  for (const pattern of patterns) {
+    const match = pattern.derived.exec(name);
+    if (match) candidates.push(dir + pattern.original.replace('*', match[1]));
+  }
+  return candidates;
+}
+
+/**
+ * Base names a sidecar could belong to, most specific first:
+ * "IMG_1.CR3.xmp" -> ["IMG_1.CR3", "IMG_1"], "IMG_1.xmp" -> ["IMG_1"].
+ *
+ * @param {string} fileName - Sidecar file name or relative path
+ * @returns {string[]}
+ */
+function getSidecarBases(fileName) {
+  const stem = fileName.substring(0, fileName.lastIndexOf('.'));
+  const bases = [stem];
+  const innerDot = stem.lastIndexOf('.');
+  if (innerDot > stem.lastIndexOf('/') + 1) bases.push(stem.substring(0, innerDot));
+  return bases;
+}
+
+/**
+ * Extension of a file if it is a sidecar under the given rules.
+ *
+ * @param {string} fileName - File name or relative path
+ * @param {Set<string>} sidecarExtensions
+ * @returns {string|null}
+ */
+function getSidecarExtension(fileName, sidecarExtensions) {
+  const name = fileName.substring(fileName.lastIndexOf('/') + 1);
+  const lastDotIndex = name.lastIndexOf('.');
+  if (lastDotIndex <= 0) return null;
+  const ext = name.substring(lastDotIndex + 1).toLowerCase();
+  return sidecarExtensions.has(ext) ? ext : null;
+}
+
+// CommonJS export — Vite handles CJS-to-ESM conversion transparently
+// for the renderer, and Node.js require() works in the main process.
+module.exports = {
+  buildPairingRules,
+  parsePairingPattern,
+  normalizeExtension,
+  resolveOriginalBases,
+  getSidecarBases,
+  getSidecarExtension,
+  DEFAULT_SIDECAR_EXTENSIONS,
+  DEFAULT_PAIRING_PATTERNS,
+  MAX_SIDECAR_EXTENSIONS,
+  MAX_PAIRING_PATTERNS,
+  MAX_PATTERN_LENGTH,
+};
@@ -0,0 +1,115 @@
+/**
+ * Tests for src/main/analysisCache.js
+ *
+ * Covers: key building, LRU order and eviction by entry count and size
+ * Note: the module stores its file in Electron's userData folder, so we
+ * re-implement the in-memory logic here without the Electron dependency.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+describe('analysis cache LRU (logic)', () => {
+  const ENTRY_OVERHEAD_BYTES = 8;
+
+  // Re-implement the in-memory part of the cache (same rules as the module)
+  function createCache(limits) {
+    const entries = new Map();
+    let totalBytes = 0;
+
+    const buildKey = (analyzer, filePath, stat) => `${analyzer}\0${filePath}\0${stat.size}\0${stat.mtimeMs}`;
+    const entrySize = (key, value) => key.length + (JSON.stringify(value) ?? '').length + ENTRY_OVERHEAD_BYTES;
+
+    function evict() {
+      let dropped = 0;
+      while (entries.size > limits.maxEntries || (totalBytes > limits.maxBytes && entries.size > 0)) {
+        const [oldestKey, oldest] = entries.entries().next().value;
+        entries.delete(oldestKey);
+        totalBytes -= oldest.bytes;
+        dropped++;
+      }
+      return dropped;
+    }
+
+    return {
+      get(analyzer, filePath, stat) {
+        if (!stat) return undefined;
+        const key = buildKey(analyzer, filePath, stat);
+        const entry = entries.get(key);
+        if (!entry) return undefined;
+        entries.delete(key);
+        entries.set(key, entry);
+        return entry.value;
+      },
+      set(analyzer, filePath, stat, value) {
+        if (!stat) return;
+        const key = buildKey(analyzer, filePath, stat);
+        const previous = entries.get(key);
+        if (previous) {
+          entries.delete(key);
+          totalBytes -= previous.bytes;
+        }
+        const bytes = entrySize(key, value);
+        entries.set(key, { value, bytes });
+        totalBytes += bytes;
+        evict();
+      },
+      get size() { return entries.size; },
+      get totalBytes() { return totalBytes; },
+    };
+  }
+
+  const stat = { size: 1000, mtimeMs: 1700000000000 };
+  const unlimited = { maxEntries: Infinity, maxBytes: Infinity };
+
+  it('returns stored values, including null', () => {
+    const cache = createCache(unlimited);
+    cache.set('exposure', '/a.jpg', stat, { mean: 0.4 });
+    cache.set('exif-date', '/a.jpg', stat, null);
+    expect(cache.get('exposure', '/a.jpg', stat)).toEqual({ mean: 0.4 });
+    expect(cache.get('exif-date', '/a.jpg', stat)).toBeNull();
+    expect(cache.get('exif-gps', '/a.jpg', stat)).toBeUndefined();
+  });
+
+  it('misses when the file size or mtime changed', () => {
+    const cache = createCache(unlimited);
+    cache.set('sha256', '/a.jpg', stat, 'abc');
+    expect(cache.get('sha256', '/a.jpg', { ...stat, size: 1001 })).toBeUndefined();
+    expect(cache.get('sha256', '/a.jpg', { ...stat, mtimeMs: stat.mtimeMs + 1 })).toBeUndefined();
+  });
+
+  it('never stores or finds files without a stat', () => {
+    const cache = createCache(unlimited);
+    cache.set('sha256', '/a.jpg', undefined, 'abc');
+    expect(cache.size).toBe(0);
+    expect(cache.get('sha256', '/a.jpg', undefined)).toBeUndefined();
+  });
+
+  it('evicts the least recently used entry over the entry limit', () => {
+    const cache = createCache({ maxEntries: 2, maxBytes: Infinity });
+    cache.set('blur-global', '/a.jpg', stat, 1);
+    cache.set('blur-global', '/b.jpg', stat, 2);
+    cache.get('blur-global', '/a.jpg', stat); // /b.jpg is now the oldest
+    cache.set('blur-global', '/c.jpg', stat, 3);
+    expect(cache.get('blur-global', '/b.jpg', stat)).toBeUndefined();
+    expect(cache.get('blur-global', '/a.jpg', stat)).toBe(1);
+    expect(cache.get('blur-global', '/c.jpg', stat)).toBe(3);
+  });
+
+  it('evicts over the size limit and keeps the byte count in step', () => {
+    const cache = createCache({ maxEntries: Infinity, maxBytes: 200 });
+    for (let i = 0; i < 10; i++) cache.set('similarity', `/frame${i}.jpg`, stat, { hash: 'f'.repeat(16) });
+    expect(cache.totalBytes).toBeLessThanOrEqual(200);
+    expect(cache.size).toBeGreaterThan(0);
+    expect(cache.get('similarity', '/frame9.jpg', stat)).toBeDefined();
+    expect(cache.get('similarity', '/frame0.jpg', stat)).toBeUndefined();
+  });
+
+  it('replacing a value does not count its old size twice', () => {
+    const cache = createCache(unlimited);
+    cache.set('exposure', '/a.jpg', stat, { mean: 0.4 });
+    const bytes = cache.totalBytes;
+    cache.set('exposure', '/a.jpg', stat, { mean: 0.5 });
+    expect(cache.size).toBe(1);
+    expect(cache.totalBytes).toBe(bytes);
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Tests for src/main/batchBalancer.js
+ *
+ * Pure module (no Electron dependency) so we can import it directly.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { balanceGroups } from '../src/main/batchBalancer.js';
+
+const loads = (bins, weights) => bins.map(bin => bin.reduce((sum, i) => sum + weights[i], 0));
+
+describe('balanceGroups', () => {
+  it('returns no bins for no groups', () => {
+    expect(balanceGroups([], 4)).toEqual([]);
+  });
+
+  it('never returns more bins than groups', () => {
+    expect(balanceGroups([2, 2], 4)).toEqual([[0], [1]]);
+  });
+
+  it('treats an invalid target as one bin', () => {
+    expect(balanceGroups([1, 2, 3], 0)).toEqual([[0, 1, 2]]);
+    expect(balanceGroups([1, 2, 3], NaN)).toEqual([[0, 1, 2]]);
+  });
+
+  it('uses every group exactly once', () => {
+    const weights = [5, 1, 4, 2, 2, 3, 1, 6];
+    const bins = balanceGroups(weights, 3);
+    expect(bins.flat().sort((a, b) => a - b)).toEqual(weights.map((_w, i) => i));
+  });
+
+  it('evens out uneven groups (largest first)', () => {
+    // Total 24 -> 8 per bin is reachable
+    const weights = [5, 1, 4, 2, 2, 3, 1, 6];
+    const bins = balanceGroups(weights, 3);
+    expect(loads(bins, weights).sort()).toEqual([8, 8, 8]);
+  });
+
+  it('keeps sort order inside bins and orders bins by their first group', () => {
+    const bins = balanceGroups([3, 3, 1, 1, 1, 1], 2);
+    for (const bin of bins) expect(bin).toEqual([...bin].sort((a, b) => a - b));
+    expect(bins.map(bin => bin[0])).toEqual([...bins.map(bin => bin[0])].sort((a, b) => a - b));
+    expect(bins[0][0]).toBe(0);
+  });
+
+  it('is deterministic for equal weights', () => {
+    expect(balanceGroups([1, 1, 1, 1], 2)).toEqual([[0, 2], [1, 3]]);
+  });
+
+  describe('contiguous', () => {
+    it('cuts consecutive slices near even shares', () => {
+      const weights = [1, 1, 1, 1, 1, 1, 1, 1];
+      expect(balanceGroups(weights, 4, { contiguous: true })).toEqual([[0, 1], [2, 3], [4, 5], [6, 7]]);
+    });
+
+    it('balances by weight, not group count', () => {
+      const weights = [10, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1];
+      expect(balanceGroups(weights, 2, { contiguous: true })).toEqual([[0], [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]]);
+    });
+
+    it('leaves at least one group for every later bin', () => {
+      const weights = [1, 1, 100];
+      expect(balanceGroups(weights, 3, { contiguous: true })).toEqual([[0], [1], [2]]);
+    });
+
+    it('covers the whole list in order', () => {
+      const weights = [4, 2, 7, 1, 3, 3, 5];
+      const bins = balanceGroups(weights, 3, { contiguous: true });
+      expect(bins.flat()).toEqual(weights.map((_w, i) => i));
+      expect(bins).toHaveLength(3);
+    });
+  });
+});
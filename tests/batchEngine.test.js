@@ -1,50 +1,173 @@
 /**
  * Tests for src/main/batchEngine.js
  *
- * Covers: isAllowedFile, groupFilesByBaseName, calculateBatches, sortFileGroups
+ * Covers: isAllowedFile, groupFilesByBaseName, calculateBatches, sortFileGroups, getGroupBytes,
+ *         buildDestinationNames, getGroupKeys, assignTypeFolders, planBatches
  */
 
 import { describe, it, expect } from 'vitest';
+import { partitionFileGroups } from '../src/main/batchPartitioner.js';
+import { balanceGroups } from '../src/main/batchBalancer.js';
+import {
+  buildPairingRules, resolveOriginalBases, getSidecarBases, getSidecarExtension,
+} from '../src/utils/pairingRules.js';
+import { buildMediaRegistry, getMediaCategory, isIgnoredFile } from '../src/utils/mediaTypes.js';
 
 // Re-implement the pure logic for isolated unit testing (no Electron dependency)
 
 // --- isAllowedFile ---
 
-const IGNORED_FILES = new Set([
-  'desktop.ini', '.ds_store', 'thumbs.db', '.gitkeep',
-  '.gitignore', 'folder.jpg', 'albumart.jpg',
-]);
-
-const ALLOWED_EXTENSIONS = new Set([
-  'jpg', 'jpeg', 'png', 'gif', 'bmp', 'tiff', 'tif', 'webp', 'heic', 'heif',
-  'raw', 'cr2', 'cr3', 'nef', 'nrw', 'arw', 'srf', 'dng', 'orf', 'rw2',
-  'pef', 'raf', 'srw', 'x3f',
-  'mp4', 'mov', 'avi', 'mkv', 'mts', 'm2ts',
-]);
-
-function isAllowedFile(fileName) {
-  const lowerName = fileName.toLowerCase();
-  if (IGNORED_FILES.has(lowerName)) return false;
-  const lastDotIndex = lowerName.lastIndexOf('.');
-  if (lastDotIndex <= 0) return false;
-  const ext = lowerName.substring(lastDotIndex + 1);
-  return ALLOWED_EXTENSIONS.has(ext);
+function getFileName(filePath) {
+  const slashIndex = filePath.lastIndexOf('/');
+  return slashIndex === -1 ? filePath : filePath.substring(slashIndex + 1);
+}
+
+const DEFAULT_MEDIA_REGISTRY = buildMediaRegistry();
+
+function isAllowedFile(fileName, registry = DEFAULT_MEDIA_REGISTRY) {
+  return getMediaCategory(fileName, registry) !== null;
 }
 
 // --- groupFilesByBaseName ---
 
-async function groupFilesByBaseName(files) {
+async function groupFilesByBaseName(files, options = {}) {
   const groups = {};
+  const rules = buildPairingRules(options);
+  const registry = buildMediaRegistry(options);
+  const sidecars = [];
   for (const fileName of files) {
-    if (!isAllowedFile(fileName)) continue;
+    if (getSidecarExtension(fileName, rules.sidecarExtensions)) {
+      if (!isIgnoredFile(fileName, registry)) sidecars.push(fileName);
+      continue;
+    }
+    if (!isAllowedFile(fileName, registry)) continue;
     const lastDotIndex = fileName.lastIndexOf('.');
     const baseName = lastDotIndex > 0 ? fileName.substring(0, lastDotIndex) : fileName;
     if (!groups[baseName]) groups[baseName] = [];
     groups[baseName].push(fileName);
   }
+
+  const groupIndex = new Map();
+  for (const baseName of Object.keys(groups)) {
+    const key = baseName.toLowerCase();
+    if (!groupIndex.has(key)) groupIndex.set(key, baseName);
+  }
+
+  for (const baseName of Object.keys(groups)) {
+    const target = resolveOriginalBases(baseName, rules.patterns)
+      .map(candidate => groupIndex.get(candidate.toLowerCase()))
+      .find(match => match && match !== baseName && groups[match]);
+    if (!target) continue;
+    groups[target].push(...groups[baseName]);
+    delete groups[baseName];
+    groupIndex.set(baseName.toLowerCase(), target);
+  }
+
+  for (const sidecar of sidecars) {
+    const target = getSidecarBases(sidecar)
+      .flatMap(base => [base, ...resolveOriginalBases(base, rules.patterns)])
+      .map(base => groupIndex.get(base.toLowerCase()))
+      .find(match => match && groups[match]);
+    if (target) groups[target].push(sidecar);
+  }
   return groups;
 }
 
+// --- buildDestinationNames ---
+
+const TYPE_FOLDERS = { raw: 'RAW', jpeg: 'JPEG', video: 'Video' };
+const JPEG_EXTENSIONS = new Set(['jpg', 'jpeg']);
+
+function getTypeFolder(fileName, registry) {
+  const category = getMediaCategory(fileName, registry);
+  if (category === 'image') {
+    const ext = fileName.substring(fileName.lastIndexOf('.') + 1).toLowerCase();
+    return JPEG_EXTENSIONS.has(ext) ? TYPE_FOLDERS.jpeg : null;
+  }
+  return TYPE_FOLDERS[category] || null;
+}
+
+function assignTypeFolders(fileGroups, options = {}) {
+  const { sidecarExtensions } = buildPairingRules(options);
+  const registry = buildMediaRegistry(options);
+  const typeFolders = new Map();
+  for (const files of Object.values(fileGroups)) {
+    const sidecars = [];
+    const folderByName = new Map();
+    let groupFolder = null;
+    for (const fileName of files) {
+      if (getSidecarExtension(fileName, sidecarExtensions)) {
+        sidecars.push(fileName);
+        continue;
+      }
+      const folder = getTypeFolder(fileName, registry);
+      typeFolders.set(fileName, folder);
+      folderByName.set(fileName.toLowerCase(), folder);
+      if (folder && (!groupFolder || folder === TYPE_FOLDERS.raw)) groupFolder = folder;
+    }
+    for (const sidecar of sidecars) {
+      const namedAfter = getSidecarBases(sidecar).find(base => folderByName.has(base.toLowerCase()));
+      typeFolders.set(sidecar, namedAfter ? folderByName.get(namedAfter.toLowerCase()) : groupFolder);
+    }
+  }
+  return typeFolders;
+}
+
+function buildDestinationNames(batchFiles, preserveStructure = false, typeFolders = null, groupKeys = null) {
+  const destNames = new Map();
+  if (preserveStructure) {
+    for (const fileName of batchFiles) destNames.set(fileName, fileName);
+  } else {
+    assignFlattenedNames(batchFiles, destNames, groupKeys);
+  }
+  if (typeFolders) {
+    for (const [fileName, name] of destNames) {
+      const folder = typeFolders.get(fileName);
+      if (folder) destNames.set(fileName, `${folder}/${name}`);
+    }
+  }
+  return destNames;
+}
+
+function getGroupKeys(fileGroups) {
+  const groupKeys = new Map();
+  for (const [baseName, files] of Object.entries(fileGroups)) {
+    for (const fileName of files) groupKeys.set(fileName, baseName);
+  }
+  return groupKeys;
+}
+
+function assignFlattenedNames(batchFiles, destNames, groupKeys) {
+  const groups = new Map();
+  for (const fileName of batchFiles) {
+    const lastDotIndex = fileName.lastIndexOf('.');
+    const groupKey = groupKeys?.get(fileName) ??
+      (lastDotIndex > 0 ? fileName.substring(0, lastDotIndex) : fileName);
+    if (!groups.has(groupKey)) groups.set(groupKey, []);
+    groups.get(groupKey).push(fileName);
+  }
+
+  const orderedGroups = [...groups].sort((a, b) => Number(a[0].includes('/')) - Number(b[0].includes('/')));
+
+  const usedNames = new Set();
+  for (const [groupKey, files] of orderedGroups) {
+    const slashIndex = groupKey.lastIndexOf('/');
+    const dirPrefix = slashIndex === -1 ? '' : groupKey.substring(0, slashIndex).split('/').join('_');
+    const baseNames = files.map(getFileName);
+
+    let names = baseNames;
+    for (let attempt = 1; names.some(n => usedNames.has(n.toLowerCase())); attempt++) {
+      const prefix = attempt === 1 ? dirPrefix : `${dirPrefix || 'file'}_${attempt}`;
+      names = baseNames.map(n => (prefix ? `${prefix}_${n}` : n));
+    }
+
+    for (let i = 0; i < files.length; i++) {
+      usedNames.add(names[i].toLowerCase());
+      destNames.set(files[i], names[i]);
+    }
+  }
+}
+
 // --- calculateBatches (simplified without yielding) ---
 
 function sortFileGroups(groupsArray, sortBy = 'name-asc', fileStats = null) {
@@ -76,23 +199,38 @@ function sortFileGroups(groupsArray, sortBy = 'name-asc', fileStats = null) {
   }
 }
 
-async function calculateBatches(fileGroups, maxFilesPerBatch, sortBy = 'name-asc', fileStats = null) {
+function getGroupBytes(files, sizeStats) {
+  if (!sizeStats) return 0;
+  let total = 0;
+  for (const file of files) {
+    const size = sizeStats[file]?.size;
+    if (typeof size === 'number') total += size;
+  }
+  return total;
+}
+
+async function calculateBatches(fileGroups, maxFilesPerBatch, sortBy = 'name-asc', fileStats = null, options = {}) {
+  const { limitMode = 'count', maxBytesPerBatch = 0, sizeStats = null, contiguous = false } = options;
+  if (limitMode === 'target') return balanceBatches(fileGroups, sortBy, fileStats, options);
+  const useSizeLimit = limitMode === 'size' && maxBytesPerBatch > 0;
+  const capacity = useSizeLimit ? maxBytesPerBatch : maxFilesPerBatch;
+
   const groupsArray = Object.entries(fileGroups);
   sortFileGroups(groupsArray, sortBy, fileStats);
 
   const batches = [];
-  const batchCounts = [];
+  const batchLoads = [];
   const BATCH_SEARCH_DEPTH = 50;
 
   for (const [_baseName, files] of groupsArray) {
-    const groupSize = files.length;
+    const groupWeight = useSizeLimit ? getGroupBytes(files, sizeStats) : files.length;
     let placed = false;
-    const searchStart = Math.max(0, batches.length - BATCH_SEARCH_DEPTH);
+    const searchStart = Math.max(0, batches.length - (contiguous ? 1 : BATCH_SEARCH_DEPTH));
 
     for (let j = batches.length - 1; j >= searchStart; j--) {
-      if (batchCounts[j] + groupSize <= maxFilesPerBatch) {
+      if (batchLoads[j] + groupWeight <= capacity) {
         for (const file of files) batches[j].push(file);
-        batchCounts[j] += groupSize;
+        batchLoads[j] += groupWeight;
         placed = true;
         break;
       }
@@ -100,13 +238,42 @@ async function calculateBatches(fileGroups, maxFilesPerBatch, sortBy = 'name-asc
 
     if (!placed) {
       batches.push([...files]);
-      batchCounts.push(groupSize);
+      batchLoads.push(groupWeight);
     }
   }
 
   return batches;
 }
 
+async function balanceBatches(fileGroups, sortBy, fileStats, options) {
+  const { targetBatchCount = 1, balanceBy = 'files', sizeStats = null, contiguous = false } = options;
+  const groupsArray = sortFileGroups(Object.entries(fileGroups), sortBy, fileStats);
+  const weights = groupsArray.map(([_name, files]) => (balanceBy === 'bytes' ? getGroupBytes(files, sizeStats) : files.length));
+  return balanceGroups(weights, targetBatchCount, { contiguous })
+    .map(bin => bin.flatMap(groupIndex => groupsArray[groupIndex][1]));
+}
+
+async function planBatches(fileGroups, maxFilesPerBatch, sortBy = 'name-asc', fileStats = null, options = {}) {
+  const { splitBy = 'none', captureDates = null, cameraInfo = null, sessionGapMinutes, ...limitOptions } = options;
+  if (!splitBy || splitBy === 'none') {
+    const batches = await calculateBatches(fileGroups, maxFilesPerBatch, sortBy, fileStats, limitOptions);
+    return { batches, batchMeta: batches.map(() => null) };
+  }
+  const partitions = partitionFileGroups(fileGroups, splitBy, {
+    captureDates, cameraInfo, sessionGapMinutes, descending: sortBy.endsWith('-desc'),
+  });
+  const batches = [];
+  const batchMeta = [];
+  for (let p = 0; p < partitions.length; p++) {
+    const { key, label, groups, ...details } = partitions[p];
+    for (const batch of await calculateBatches(groups, maxFilesPerBatch, sortBy, fileStats, limitOptions)) {
+      batches.push(batch);
+      batchMeta.push({ partitionKey: key, partitionLabel: label, partitionIndex: p, ...details });
+    }
+  }
+  return { batches, batchMeta };
+}
+
 // ============================================================================
 // TESTS
 // ============================================================================
@@ -170,6 +337,12 @@ describe('isAllowedFile', () => {
     expect(isAllowedFile('script.bat')).toBe(false);
     expect(isAllowedFile('script.cmd')).toBe(false);
   });
+
+  it('checks only the file name of relative paths', () => {
+    expect(isAllowedFile('DCIM/100CANON/IMG_0001.CR2')).toBe(true);
+    expect(isAllowedFile('DCIM/100CANON/Thumbs.db')).toBe(false);
+    expect(isAllowedFile('Trip.2024/notes')).toBe(false);
+  });
 });
 
 describe('groupFilesByBaseName', () => {
@@ -199,6 +372,18 @@ describe('groupFilesByBaseName', () => {
     expect(groups).toEqual({});
   });
 
+  it('keeps same-named files in different subfolders apart', async () => {
+    const files = [
+      'DCIM/100CANON/IMG_0001.JPG', 'DCIM/100CANON/IMG_0001.CR2',
+      'DCIM/101CANON/IMG_0001.JPG',
+    ];
+    const groups = await groupFilesByBaseName(files);
+    expect(groups).toEqual({
+      'DCIM/100CANON/IMG_0001': ['DCIM/100CANON/IMG_0001.JPG', 'DCIM/100CANON/IMG_0001.CR2'],
+      'DCIM/101CANON/IMG_0001': ['DCIM/101CANON/IMG_0001.JPG'],
+    });
+  });
+
   it('creates single-file groups for unique base names', async () => {
     const files = ['a.jpg', 'b.jpg', 'c.jpg'];
     const groups = await groupFilesByBaseName(files);
@@ -213,6 +398,73 @@ describe('groupFilesByBaseName', () => {
   });
 });
 
+describe('groupFilesByBaseName (pairing)', () => {
+  it('attaches default sidecars, including double-extension ones', async () => {
+    const files = ['IMG_1.CR3', 'IMG_1.JPG', 'IMG_1.CR3.xmp', 'IMG_2.HEIC', 'img_2.aae'];
+    const groups = await groupFilesByBaseName(files);
+    expect(groups).toEqual({
+      IMG_1: ['IMG_1.CR3', 'IMG_1.JPG', 'IMG_1.CR3.xmp'],
+      IMG_2: ['IMG_2.HEIC', 'img_2.aae'],
+    });
+  });
+
+  it('merges edits matched by the default patterns into their originals', async () => {
+    const files = ['DSC_0001.NEF', 'DSC_0001-Edit.tif', 'DSC_0001-Edit.xmp', 'IMG_1234.HEIC', 'IMG_E1234.HEIC'];
+    const groups = await groupFilesByBaseName(files);
+    expect(groups).toEqual({
+      DSC_0001: ['DSC_0001.NEF', 'DSC_0001-Edit.tif', 'DSC_0001-Edit.xmp'],
+      IMG_1234: ['IMG_1234.HEIC', 'IMG_E1234.HEIC'],
+    });
+  });
+
+  it('keeps edits without an original as their own group', async () => {
+    const groups = await groupFilesByBaseName(['DSC_0002-Edit.tif']);
+    expect(groups).toEqual({ 'DSC_0002-Edit': ['DSC_0002-Edit.tif'] });
+  });
+
+  it('leaves orphan sidecars out of every group', async () => {
+    const groups = await groupFilesByBaseName(['IMG_1.JPG', 'IMG_9.xmp']);
+    expect(groups).toEqual({ IMG_1: ['IMG_1.JPG'] });
+  });
+
+  it('only pairs edits inside their own subfolder', async () => {
+    const files = ['a/IMG_1234.JPG', 'b/IMG_E1234.JPG'];
+    const groups = await groupFilesByBaseName(files);
+    expect(Object.keys(groups).sort()).toEqual(['a/IMG_1234', 'b/IMG_E1234']);
+  });
+
+  it('honours custom sidecar extensions and patterns', async () => {
+    const files = ['IMG_1.JPG', 'IMG_1.xmp', 'IMG_1.dat', 'IMG_1_v2.JPG', 'IMG_1-Edit.JPG'];
+    const groups = await groupFilesByBaseName(files, {
+      sidecarExtensions: ['.DAT'],
+      pairingPatterns: ['*_v2 = *'],
+    });
+    expect(groups).toEqual({
+      IMG_1: ['IMG_1.JPG', 'IMG_1_v2.JPG', 'IMG_1.dat'],
+      'IMG_1-Edit': ['IMG_1-Edit.JPG'],
+    });
+  });
+});
+
+describe('groupFilesByBaseName (media rules)', () => {
+  it('only batches the enabled categories', async () => {
+    const files = ['IMG_1.JPG', 'IMG_1.CR3', 'C0001.MP4', 'memo.wav'];
+    const groups = await groupFilesByBaseName(files, { mediaCategories: ['raw', 'audio'] });
+    expect(groups).toEqual({ IMG_1: ['IMG_1.CR3'], memo: ['memo.wav'] });
+  });
+
+  it('adds extra extensions', async () => {
+    const groups = await groupFilesByBaseName(['IMG_1.JPG', 'IMG_1.psd'], { extraExtensions: ['.PSD'] });
+    expect(groups).toEqual({ IMG_1: ['IMG_1.JPG', 'IMG_1.psd'] });
+  });
+
+  it('skips ignored files and their sidecars', async () => {
+    const files = ['C0001.MP4', 'C0001_proxy.MP4', 'C0001_proxy.xmp', 'Proxies/C0002.MP4', '._C0001.MP4'];
+    const groups = await groupFilesByBaseName(files, { ignorePatterns: ['*_proxy.*', '**/Proxies/**'] });
+    expect(groups).toEqual({ C0001: ['C0001.MP4'] });
+  });
+});
+
 describe('calculateBatches', () => {
   it('creates correct number of batches for simple case', async () => {
     const groups = { a: ['a.jpg'], b: ['b.jpg'], c: ['c.jpg'], d: ['d.jpg'] };
@@ -283,6 +535,285 @@ describe('calculateBatches', () => {
   });
 });
 
+describe('planBatches', () => {
+  const at = (day, hour = 12) => new Date(2024, 5, day, hour).getTime();
+
+  it('matches calculateBatches when not splitting', async () => {
+    const groups = { a: ['a.jpg'], b: ['b.jpg'], c: ['c.jpg'] };
+    const { batches, batchMeta } = await planBatches(groups, 2);
+    expect(batches).toEqual(await calculateBatches(groups, 2));
+    expect(batchMeta).toEqual([null, null]);
+  });
+
+  it('never mixes capture days in one batch', async () => {
+    const groups = { a: ['a.jpg'], b: ['b.jpg'], c: ['c.jpg'] };
+    const captureDates = { 'a.jpg': at(14, 9), 'b.jpg': at(14, 18), 'c.jpg': at(15) };
+    const { batches, batchMeta } = await planBatches(groups, 10, 'name-asc', null, { splitBy: 'day', captureDates });
+    expect(batches).toEqual([['a.jpg', 'b.jpg'], ['c.jpg']]);
+    expect(batchMeta.map(m => m.captureDate)).toEqual(['2024-06-14', '2024-06-15']);
+  });
+
+  it('applies the file limit within each day', async () => {
+    const groups = { a: ['a.jpg'], b: ['b.jpg'], c: ['c.jpg'], d: ['d.jpg'] };
+    const captureDates = { 'a.jpg': at(14), 'b.jpg': at(14), 'c.jpg': at(14), 'd.jpg': at(15) };
+    const { batches, batchMeta } = await planBatches(groups, 2, 'name-asc', null, { splitBy: 'day', captureDates });
+    expect(batches).toEqual([['a.jpg', 'b.jpg'], ['c.jpg'], ['d.jpg']]);
+    expect(batchMeta.map(m => m.partitionIndex)).toEqual([0, 0, 1]);
+  });
+
+  it('sub-splits long sessions by the file limit', async () => {
+    const groups = { a: ['a.jpg'], b: ['b.jpg'], c: ['c.jpg'], d: ['d.jpg'] };
+    // a-c within minutes of each other, d two hours later
+    const captureDates = {
+      'a.jpg': at(14, 10), 'b.jpg': at(14, 10) + 5 * 60000, 'c.jpg': at(14, 10) + 9 * 60000, 'd.jpg': at(14, 12),
+    };
+    const { batches, batchMeta } = await planBatches(groups, 2, 'name-asc', null, {
+      splitBy: 'session', captureDates, sessionGapMinutes: 20,
+    });
+    expect(batches).toEqual([['a.jpg', 'b.jpg'], ['c.jpg'], ['d.jpg']]);
+    expect(batchMeta.map(m => m.sessionIndex)).toEqual([1, 1, 2]);
+    expect(batchMeta[0].startTime).toBe(at(14, 10));
+    expect(batchMeta[0].endTime).toBe(at(14, 10) + 9 * 60000);
+  });
+
+  it('orders days newest first for descending sorts', async () => {
+    const groups = { a: ['a.jpg'], b: ['b.jpg'] };
+    const captureDates = { 'a.jpg': at(14), 'b.jpg': at(15) };
+    const { batches } = await planBatches(groups, 10, 'exif-desc', captureDates, { splitBy: 'day', captureDates });
+    expect(batches).toEqual([['b.jpg'], ['a.jpg']]);
+  });
+});
+
+describe('calculateBatches (contiguous mode)', () => {
+  // Sorted by name: a(3) b(4) c(1) with a limit of 4 files
+  const groups = {
+    a: ['a.jpg', 'a.cr2', 'a.xmp'],
+    b: ['b1.jpg', 'b2.jpg', 'b3.jpg', 'b4.jpg'],
+    c: ['c.jpg'],
+  };
+
+  it('backfills earlier batches by default', async () => {
+    const batches = await calculateBatches(groups, 4, 'name-asc');
+    expect(batches).toEqual([
+      ['a.jpg', 'a.cr2', 'a.xmp', 'c.jpg'],
+      ['b1.jpg', 'b2.jpg', 'b3.jpg', 'b4.jpg'],
+    ]);
+  });
+
+  it('never places a group before groups sorted ahead of it', async () => {
+    const batches = await calculateBatches(groups, 4, 'name-asc', null, { contiguous: true });
+    expect(batches).toEqual([
+      ['a.jpg', 'a.cr2', 'a.xmp'],
+      ['b1.jpg', 'b2.jpg', 'b3.jpg', 'b4.jpg'],
+      ['c.jpg'],
+    ]);
+  });
+
+  it('keeps slices contiguous in descending order and in size mode', async () => {
+    const sizeStats = { 'x.jpg': { size: 30 }, 'y.jpg': { size: 90 }, 'z.jpg': { size: 50 } };
+    const batches = await calculateBatches(
+      { x: ['x.jpg'], y: ['y.jpg'], z: ['z.jpg'] }, 0, 'name-desc', null,
+      { limitMode: 'size', maxBytesPerBatch: 100, sizeStats, contiguous: true },
+    );
+    expect(batches).toEqual([['z.jpg'], ['y.jpg'], ['x.jpg']]);
+  });
+});
+
+describe('calculateBatches (target batch count mode)', () => {
+  const groups = {
+    a: ['a.jpg', 'a.cr2'], b: ['b.jpg'], c: ['c.jpg', 'c.cr2', 'c.xmp'], d: ['d.jpg'], e: ['e.jpg', 'e.cr2'],
+  };
+
+  it('creates the requested number of batches balanced by file count', async () => {
+    const batches = await calculateBatches(groups, 500, 'name-asc', null, { limitMode: 'target', targetBatchCount: 3 });
+    expect(batches).toHaveLength(3);
+    expect(batches.map(b => b.length).sort()).toEqual([3, 3, 3]);
+    // Groups stay together and keep name order inside each batch
+    expect(batches).toContainEqual(['c.jpg', 'c.cr2', 'c.xmp']);
+    expect(batches[0][0]).toBe('a.jpg');
+  });
+
+  it('balances by bytes', async () => {
+    const sizeStats = {
+      'a.jpg': { size: 10 }, 'a.cr2': { size: 80 }, 'b.jpg': { size: 50 }, 'c.jpg': { size: 10 },
+      'c.cr2': { size: 10 }, 'c.xmp': { size: 1 }, 'd.jpg': { size: 40 }, 'e.jpg': { size: 20 }, 'e.cr2': { size: 29 },
+    };
+    const batches = await calculateBatches(groups, 500, 'name-asc', null, {
+      limitMode: 'target', targetBatchCount: 2, balanceBy: 'bytes', sizeStats,
+    });
+    // a=90 b=50 c=21 d=40 e=49: largest first gives a+d | b+c+e, where count balancing would not
+    expect(batches.map(b => getGroupBytes(b, sizeStats))).toEqual([130, 120]);
+    expect(batches[0]).toEqual(['a.jpg', 'a.cr2', 'd.jpg']);
+  });
+
+  it('produces ordered slices in contiguous mode', async () => {
+    const batches = await calculateBatches(groups, 500, 'name-asc', null, {
+      limitMode: 'target', targetBatchCount: 2, contiguous: true,
+    });
+    expect(batches).toEqual([
+      ['a.jpg', 'a.cr2', 'b.jpg', 'c.jpg', 'c.cr2', 'c.xmp'],
+      ['d.jpg', 'e.jpg', 'e.cr2'],
+    ]);
+  });
+
+  it('creates fewer batches than requested when there are fewer groups', async () => {
+    const batches = await calculateBatches({ a: ['a.jpg'] }, 500, 'name-asc', null, { limitMode: 'target', targetBatchCount: 4 });
+    expect(batches).toEqual([['a.jpg']]);
+  });
+});
+
+describe('calculateBatches (size limit mode)', () => {
+  const MB = 1024 * 1024;
+  const sizeStats = {
+    'a.jpg': { size: 6 * MB }, 'a.cr2': { size: 20 * MB },
+    'b.jpg': { size: 5 * MB },
+    'c.jpg': { size: 5 * MB },
+    'd.jpg': { size: 40 * MB },
+  };
+
+  it('limits batches by total bytes instead of file count', async () => {
+    const groups = { b: ['b.jpg'], c: ['c.jpg'] };
+    // 100 files allowed, but only 8 MB per batch
+    const batches = await calculateBatches(groups, 100, 'name-asc', null, {
+      limitMode: 'size', maxBytesPerBatch: 8 * MB, sizeStats,
+    });
+    expect(batches).toEqual([['b.jpg'], ['c.jpg']]);
+  });
+
+  it('counts the whole group size, keeping pairs together', async () => {
+    const groups = { a: ['a.jpg', 'a.cr2'], b: ['b.jpg'], c: ['c.jpg'] };
+    const batches = await calculateBatches(groups, 100, 'name-asc', null, {
+      limitMode: 'size', maxBytesPerBatch: 30 * MB, sizeStats,
+    });
+    // a = 26 MB, so b (5 MB) cannot join it; b + c = 10 MB fit together
+    expect(batches).toEqual([['a.jpg', 'a.cr2'], ['b.jpg', 'c.jpg']]);
+  });
+
+  it('gives a group larger than the limit its own batch', async () => {
+    const groups = { b: ['b.jpg'], d: ['d.jpg'] };
+    const batches = await calculateBatches(groups, 100, 'name-asc', null, {
+      limitMode: 'size', maxBytesPerBatch: 10 * MB, sizeStats,
+    });
+    expect(batches).toEqual([['b.jpg'], ['d.jpg']]);
+  });
+
+  it('ignores the file count limit in size mode', async () => {
+    const groups = { b: ['b.jpg'], c: ['c.jpg'] };
+    const batches = await calculateBatches(groups, 1, 'name-asc', null, {
+      limitMode: 'size', maxBytesPerBatch: 100 * MB, sizeStats,
+    });
+    expect(batches).toEqual([['b.jpg', 'c.jpg']]);
+  });
+
+  it('falls back to count mode when no byte limit is given', async () => {
+    const groups = { b: ['b.jpg'], c: ['c.jpg'] };
+    const batches = await calculateBatches(groups, 1, 'name-asc', null, {
+      limitMode: 'size', maxBytesPerBatch: 0, sizeStats,
+    });
+    expect(batches.length).toBe(2);
+  });
+});
+
+describe('buildDestinationNames', () => {
+  it('leaves top-level files unchanged', () => {
+    const names = buildDestinationNames(['a.jpg', 'a.cr2', 'b.jpg']);
+    expect([...names.values()]).toEqual(['a.jpg', 'a.cr2', 'b.jpg']);
+  });
+
+  it('flattens nested files to their file name', () => {
+    const names = buildDestinationNames(['DCIM/100CANON/IMG_0001.JPG', 'DCIM/101CANON/IMG_0002.JPG']);
+    expect(names.get('DCIM/100CANON/IMG_0001.JPG')).toBe('IMG_0001.JPG');
+    expect(names.get('DCIM/101CANON/IMG_0002.JPG')).toBe('IMG_0002.JPG');
+  });
+
+  it('prefixes colliding groups with their folder path, keeping pairs matched', () => {
+    const names = buildDestinationNames([
+      'DCIM/100CANON/IMG_0001.JPG', 'DCIM/100CANON/IMG_0001.CR2',
+      'DCIM/101CANON/IMG_0001.JPG', 'DCIM/101CANON/IMG_0001.CR2',
+    ]);
+    expect(names.get('DCIM/100CANON/IMG_0001.JPG')).toBe('IMG_0001.JPG');
+    expect(names.get('DCIM/100CANON/IMG_0001.CR2')).toBe('IMG_0001.CR2');
+    expect(names.get('DCIM/101CANON/IMG_0001.JPG')).toBe('DCIM_101CANON_IMG_0001.JPG');
+    expect(names.get('DCIM/101CANON/IMG_0001.CR2')).toBe('DCIM_101CANON_IMG_0001.CR2');
+  });
+
+  it('prefixes sidecars and edits together with their original', async () => {
+    const files = ['a/IMG_2.JPG', 'b/IMG_2.JPG', 'b/IMG_2.JPG.xmp', 'b/IMG_2-Edit.tif'];
+    const groupKeys = getGroupKeys(await groupFilesByBaseName(files));
+    const names = buildDestinationNames(files, false, null, groupKeys);
+    expect(names.get('a/IMG_2.JPG')).toBe('IMG_2.JPG');
+    expect(names.get('b/IMG_2.JPG')).toBe('b_IMG_2.JPG');
+    expect(names.get('b/IMG_2.JPG.xmp')).toBe('b_IMG_2.JPG.xmp');
+    expect(names.get('b/IMG_2-Edit.tif')).toBe('b_IMG_2-Edit.tif');
+  });
+
+  it('detects collisions case-insensitively', () => {
+    const names = buildDestinationNames(['a/IMG_1.jpg', 'b/img_1.JPG']);
+    expect(names.get('b/img_1.JPG')).toBe('b_img_1.JPG');
+  });
+
+  it('lets top-level files keep their names over nested ones', () => {
+    const names = buildDestinationNames(['sub/IMG_1.jpg', 'IMG_1.jpg']);
+    expect(names.get('IMG_1.jpg')).toBe('IMG_1.jpg');
+    expect(names.get('sub/IMG_1.jpg')).toBe('sub_IMG_1.jpg');
+  });
+
+  it('keeps relative paths when preserving structure', () => {
+    const names = buildDestinationNames(['DCIM/100CANON/IMG_0001.JPG', 'top.jpg'], true);
+    expect(names.get('DCIM/100CANON/IMG_0001.JPG')).toBe('DCIM/100CANON/IMG_0001.JPG');
+    expect(names.get('top.jpg')).toBe('top.jpg');
+  });
+
+  it('places files in their type subfolder', () => {
+    const typeFolders = new Map([['IMG_1.CR3', 'RAW'], ['IMG_1.JPG', 'JPEG'], ['scan.png', null]]);
+    const names = buildDestinationNames(['IMG_1.CR3', 'IMG_1.JPG', 'scan.png'], false, typeFolders);
+    expect(names.get('IMG_1.CR3')).toBe('RAW/IMG_1.CR3');
+    expect(names.get('IMG_1.JPG')).toBe('JPEG/IMG_1.JPG');
+    expect(names.get('scan.png')).toBe('scan.png');
+  });
+
+  it('keeps relative paths inside type subfolders when preserving structure', () => {
+    const typeFolders = new Map([['DCIM/100CANON/IMG_1.JPG', 'JPEG']]);
+    const names = buildDestinationNames(['DCIM/100CANON/IMG_1.JPG'], true, typeFolders);
+    expect(names.get('DCIM/100CANON/IMG_1.JPG')).toBe('JPEG/DCIM/100CANON/IMG_1.JPG');
+  });
+});
+
+describe('assignTypeFolders', () => {
+  it('sorts RAW, JPEG and video files into their folders', () => {
+    const folders = assignTypeFolders({ IMG_1: ['IMG_1.CR3', 'IMG_1.JPG'], MVI_2: ['MVI_2.MP4'], scan: ['scan.png'] });
+    expect(folders.get('IMG_1.CR3')).toBe('RAW');
+    expect(folders.get('IMG_1.JPG')).toBe('JPEG');
+    expect(folders.get('MVI_2.MP4')).toBe('Video');
+    expect(folders.get('scan.png')).toBeNull();
+  });
+
+  it('puts sidecars next to the file they belong to', () => {
+    const folders = assignTypeFolders({
+      IMG_1: ['IMG_1.CR3', 'IMG_1.JPG', 'IMG_1.xmp', 'IMG_1.JPG.xmp'],
+      IMG_2: ['IMG_2.JPG', 'IMG_2.xmp'],
+    });
+    expect(folders.get('IMG_1.xmp')).toBe('RAW');
+    expect(folders.get('IMG_1.JPG.xmp')).toBe('JPEG');
+    expect(folders.get('IMG_2.xmp')).toBe('JPEG');
+  });
+});
+
+describe('getGroupBytes', () => {
+  it('sums sizes of all files in the group', () => {
+    const stats = { 'a.jpg': { size: 100 }, 'a.cr2': { size: 250 } };
+    expect(getGroupBytes(['a.jpg', 'a.cr2'], stats)).toBe(350);
+  });
+
+  it('treats files without stats as 0 bytes', () => {
+    expect(getGroupBytes(['a.jpg', 'missing.jpg'], { 'a.jpg': { size: 100 } })).toBe(100);
+  });
+
+  it('returns 0 without stats', () => {
+    expect(getGroupBytes(['a.jpg'], null)).toBe(0);
+  });
+});
+
 describe('sortFileGroups', () => {
   it('sorts by name ascending', () => {
     const groups = [['c', ['c.jpg']], ['a', ['a.jpg']], ['b', ['b.jpg']]];
@@ -5,7 +5,10 @@
  */
 
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { generateBatchFolderName } from '../src/utils/batchNaming.js';
+import {
+  generateBatchFolderName, getBatchNamingContext, getPatternDataNeeds, getSetAsideFolderPrefix, isDateFormatVariable, validateNamingPattern,
+  validateFileTemplate, getFileTemplateDataNeeds, generateFileBaseName, buildRenamedFiles,
+} from '../src/utils/batchNaming.js';
 
 describe('generateBatchFolderName', () => {
   // Mock Date for deterministic tests
@@ -89,4 +92,252 @@ describe('generateBatchFolderName', () => {
     expect(generateBatchFolderName('B', 1, 3)).toBe('B_002');
     expect(generateBatchFolderName('B', 2, 3)).toBe('B_003');
   });
+
+  it('replaces {capture_date} with the batch capture-date partition', () => {
+    expect(generateBatchFolderName('{capture_date}_{count}', 0, 3, { captureDate: '2024-05-02' })).toBe('2024-05-02_001');
+    expect(generateBatchFolderName('Trip_{capture_date}', 1, 3, { captureDate: '2024-W18' })).toBe('Trip_2024-W18_002');
+  });
+
+  it('falls back to today for {capture_date} when the batch has no capture date', () => {
+    expect(generateBatchFolderName('{capture_date}', 0, 1)).toBe('2024-06-15_001');
+    expect(generateBatchFolderName('{capture_date}', 0, 1, { captureDate: null })).toBe('2024-06-15_001');
+  });
+
+  it('replaces {session} with the padded session number', () => {
+    expect(generateBatchFolderName('Session{session}_{count}', 0, 3, { sessionIndex: 2, sessionCount: 4 })).toBe('Session02_001');
+    expect(generateBatchFolderName('S{session}', 0, 1, { sessionIndex: 7, sessionCount: 120 })).toBe('S007_001');
+  });
+
+  it('replaces {location} with the place label or coordinates', () => {
+    expect(generateBatchFolderName('{location}_{count}', 0, 1, { locationName: 'Venue $1' })).toBe('Venue $1_001');
+    expect(generateBatchFolderName('{location}', 1, 2, { locationName: '48.8584N_2.2945E' })).toBe('48.8584N_2.2945E_002');
+    expect(generateBatchFolderName('{location}', 0, 1)).toBe('Unknown-location_001');
+  });
+
+  it('replaces {orientation} with the orientation partition', () => {
+    expect(generateBatchFolderName('Shoot_{orientation}', 0, 3, { orientation: 'Portrait' })).toBe('Shoot_Portrait_001');
+    expect(generateBatchFolderName('{orientation}', 0, 1)).toBe('Unknown_001');
+  });
+
+  it('uses 00 for {session} when the batch has no session', () => {
+    expect(generateBatchFolderName('S{session}', 0, 1)).toBe('S00_001');
+  });
+
+  it('replaces {first_date} and {last_date} with the batch capture range', () => {
+    const context = {
+      firstCaptureTime: new Date(2024, 4, 2, 9, 5, 7).getTime(),
+      lastCaptureTime: new Date(2024, 4, 3, 18, 30, 0).getTime(),
+    };
+    expect(generateBatchFolderName('{first_date}_{last_date}', 0, 1, context)).toBe('2024-05-02_2024-05-03_001');
+    expect(generateBatchFolderName('{first_date:YYYYMMDD}-{last_date:YY.MM.DD HH.mm.ss}', 0, 1, context))
+      .toBe('20240502-24.05.03 18.30.00_001');
+    expect(generateBatchFolderName('{FIRST_DATE:YYYY}', 0, 1, context)).toBe('2024_001');
+  });
+
+  it('uses "Undated" when the batch has no capture time, and the default for a bad format', () => {
+    expect(generateBatchFolderName('{first_date}', 0, 1)).toBe('Undated_001');
+    const context = { firstCaptureTime: new Date(2024, 4, 2).getTime() };
+    expect(generateBatchFolderName('{first_date:Q/Q}', 0, 1, context)).toBe('2024-05-02_001');
+  });
+
+  it('formats {date} when given a format', () => {
+    const now = new Date();
+    const expected = `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}`;
+    expect(generateBatchFolderName('{date:YYYYMMDD}', 0, 1)).toBe(`${expected}_001`);
+  });
+
+  it('replaces the file, camera and count variables', () => {
+    const context = { firstFile: '2024/IMG_0001.CR3', lastFile: 'IMG_0050.JPG', camera: 'Canon EOS R5', fileCount: 50 };
+    expect(generateBatchFolderName('{first_file}-{last_file}', 0, 4, context)).toBe('IMG_0001-IMG_0050_001');
+    expect(generateBatchFolderName('{camera}_{file_count}files_{count}of{total}', 2, 4, context)).toBe('Canon EOS R5_50files_003of4');
+    expect(generateBatchFolderName('{camera}', 0, 1)).toBe('Unknown-camera_001');
+  });
+
+  it('keeps values from the files out of the path', () => {
+    expect(generateBatchFolderName('{camera}', 0, 1, { camera: 'A/B: C' })).toBe('A-B- C_001');
+    expect(generateBatchFolderName('{unknown:x}', 0, 1)).toBe('{unknown-x}_001');
+  });
+
+  it('does not read braces inside a value as variables', () => {
+    expect(generateBatchFolderName('{location}', 0, 1, { locationName: 'Hall {count}' })).toBe('Hall {count}_001');
+  });
+});
+
+describe('getBatchNamingContext', () => {
+  const captureDates = { 'a.jpg': 3000, 'b.jpg': 1000, 'c.jpg': 0, 'd.jpg': 2000 };
+  const cameraInfo = {
+    'a.jpg': { make: 'FUJIFILM', model: 'X-T5' },
+    'b.jpg': { make: 'Canon', model: 'Canon EOS R5' },
+    'c.jpg': { make: 'Canon', model: 'Canon EOS R5' },
+    'd.jpg': null,
+  };
+
+  it('takes the capture range, ends and most common camera of the batch', () => {
+    const context = getBatchNamingContext(['a.jpg', 'b.jpg', 'c.jpg', 'd.jpg'], { sessionIndex: 2 }, { captureDates, cameraInfo });
+    expect(context).toEqual({
+      sessionIndex: 2,
+      fileCount: 4,
+      firstFile: 'a.jpg',
+      lastFile: 'd.jpg',
+      firstCaptureTime: 1000,
+      lastCaptureTime: 3000,
+      camera: 'Canon EOS R5',
+    });
+  });
+
+  it('leaves the EXIF values empty without data', () => {
+    const context = getBatchNamingContext(['c.jpg'], null);
+    expect(context.firstCaptureTime).toBeNull();
+    expect(context.lastCaptureTime).toBeNull();
+    expect(context.camera).toBeNull();
+  });
+});
+
+describe('getPatternDataNeeds', () => {
+  it('asks for capture times and camera info only when a variable uses them', () => {
+    expect(getPatternDataNeeds('Batch_{count}')).toEqual({ captureTimes: false, camera: false });
+    expect(getPatternDataNeeds('{Last_Date:YYYY}_{camera}')).toEqual({ captureTimes: true, camera: true });
+    expect(getPatternDataNeeds(null)).toEqual({ captureTimes: false, camera: false });
+  });
+});
+
+describe('validateNamingPattern', () => {
+  it('accepts known variables and date formats', () => {
+    expect(validateNamingPattern('Shoot_{first_date:YYYYMMDD}_{camera}_{count}')).toEqual([]);
+  });
+
+  it('reports unknown variables, bad formats and stray braces', () => {
+    expect(validateNamingPattern('{frist_date}')).toEqual(['Unknown variable {frist_date}']);
+    expect(validateNamingPattern('{camera:YYYY}')[0]).toContain('only date variables');
+    expect(validateNamingPattern('{first_date:DD/MM}')[0]).toContain('use YYYY');
+    expect(validateNamingPattern('Batch_{count')[0]).toContain('Unmatched');
+  });
+
+  it('reports patterns the main process would cut short', () => {
+    expect(validateNamingPattern('a'.repeat(100))).toEqual([]);
+    expect(validateNamingPattern('a'.repeat(101))[0]).toContain('at most 100');
+  });
+
+  it('reports forbidden characters outside variables', () => {
+    expect(validateNamingPattern('a:b')).toEqual(["Character ':' is not allowed. Please use '-' instead."]);
+  });
+});
+
+describe('getSetAsideFolderPrefix', () => {
+  it('drops the variables and the separators around them', () => {
+    expect(getSetAsideFolderPrefix('Batch')).toBe('Batch');
+    expect(getSetAsideFolderPrefix('Wedding_{first_date:YYYYMMDD}_{count}')).toBe('Wedding');
+    expect(getSetAsideFolderPrefix('{camera} - Trip - {count}')).toBe('Trip');
+    expect(getSetAsideFolderPrefix('{year}-{month}')).toBe('Batch');
+  });
+
+  it('never keeps forbidden characters from other braces', () => {
+    expect(getSetAsideFolderPrefix('Shoot{1:2}_{count}')).toBe('Shoot{1-2}');
+    expect(getSetAsideFolderPrefix('A{ :x}')).toBe('A{ x}');
+  });
+});
+
+describe('isDateFormatVariable', () => {
+  it('accepts only date variables with a valid format', () => {
+    expect(isDateFormatVariable('first_date', 'YYYYMMDD')).toBe(true);
+    expect(isDateFormatVariable('DATE', 'YYYY-MM-DD_HH.mm')).toBe(true);
+    expect(isDateFormatVariable('camera', 'YYYY')).toBe(false);
+    expect(isDateFormatVariable('1', '2')).toBe(false);
+    expect(isDateFormatVariable('first_date', 'DD:MM')).toBe(false);
+  });
+});
+
+describe('validateFileTemplate', () => {
+  it('accepts an empty template and known variables', () => {
+    expect(validateFileTemplate('')).toEqual([]);
+    expect(validateFileTemplate('Smith_{capture_date:YYYYMMDD}_{seq:5}_{original}')).toEqual([]);
+  });
+
+  it('reports unknown variables, bad formats and forbidden characters', () => {
+    expect(validateFileTemplate('{count}')).toEqual(['Unknown variable {count}']);
+    expect(validateFileTemplate('{seq:0}')[0]).toContain('1 to 9');
+    expect(validateFileTemplate('{camera:YYYY}')[0]).toContain('only date variables');
+    expect(validateFileTemplate('a/{seq}')).toEqual(["Character '/' is not allowed. Please use '-' instead."]);
+  });
+});
+
+describe('getFileTemplateDataNeeds', () => {
+  it('reads capture times and camera info only for their variables', () => {
+    expect(getFileTemplateDataNeeds('{original}_{seq}')).toEqual({ captureTimes: false, camera: false });
+    expect(getFileTemplateDataNeeds('{capture_date:YYYY}_{camera}')).toEqual({ captureTimes: true, camera: true });
+  });
+});
+
+describe('generateFileBaseName', () => {
+  const captureTime = new Date(2024, 5, 15, 14, 5, 9).getTime();
+
+  it('pads the sequence to 4 digits or the digits given', () => {
+    expect(generateFileBaseName('Smith_{seq}', 7)).toBe('Smith_0007');
+    expect(generateFileBaseName('Smith_{seq:2}', 7)).toBe('Smith_07');
+    expect(generateFileBaseName('Smith_{seq:2}', 123)).toBe('Smith_123');
+  });
+
+  it('appends the sequence when the template has none', () => {
+    expect(generateFileBaseName('Smith', 1)).toBe('Smith_0001');
+  });
+
+  it('fills in the group data', () => {
+    expect(generateFileBaseName('{capture_date:YYYYMMDD-HHmmss}_{camera}_{original}', 1, {
+      original: 'IMG_1234', captureTime, camera: 'Canon EOS R5',
+    })).toBe('20240615-140509_Canon EOS R5_IMG_1234_0001');
+    expect(generateFileBaseName('{capture_date}_{camera}_{seq}', 1)).toBe('Undated_Unknown-camera_0001');
+  });
+});
+
+describe('buildRenamedFiles', () => {
+  const groupKeys = new Map([
+    ['IMG_1.CR3', 'IMG_1'], ['IMG_1.JPG', 'IMG_1'], ['IMG_1.CR3.xmp', 'IMG_1'], ['IMG_1-Edit.jpg', 'IMG_1'],
+    ['IMG_2.JPG', 'IMG_2'],
+  ]);
+
+  it('gives each file group one number and keeps the rest of the names', () => {
+    const { names, nextSequence } = buildRenamedFiles(
+      ['IMG_1.CR3', 'IMG_2.JPG', 'IMG_1.JPG', 'IMG_1.CR3.xmp', 'IMG_1-Edit.jpg'], groupKeys, 'Smith_{seq}', 1
+    );
+    expect(Object.fromEntries(names)).toEqual({
+      'IMG_1.CR3': 'Smith_0001.CR3',
+      'IMG_1.JPG': 'Smith_0001.JPG',
+      'IMG_1.CR3.xmp': 'Smith_0001.CR3.xmp',
+      'IMG_1-Edit.jpg': 'Smith_0001-Edit.jpg',
+      'IMG_2.JPG': 'Smith_0002.JPG',
+    });
+    expect(nextSequence).toBe(3);
+  });
+
+  it('continues from the given sequence number', () => {
+    const { names, nextSequence } = buildRenamedFiles(['IMG_2.JPG'], groupKeys, '{original}_{seq:3}', 41);
+    expect(names.get('IMG_2.JPG')).toBe('IMG_2_041.JPG');
+    expect(nextSequence).toBe(42);
+  });
+
+  it('uses the earliest capture time and first camera of the group', () => {
+    const captureDates = { 'IMG_1.CR3': new Date(2024, 0, 2).getTime(), 'IMG_1.JPG': new Date(2024, 0, 1).getTime() };
+    const cameraInfo = { 'IMG_1.JPG': { make: 'Fujifilm', model: 'X-T5' } };
+    const { names } = buildRenamedFiles(['IMG_1.CR3', 'IMG_1.JPG'], groupKeys, '{capture_date:YYYYMMDD}_{camera}', 1, { captureDates, cameraInfo });
+    expect(names.get('IMG_1.CR3')).toMatch(/^20240101_.*X-T5_0001\.CR3$/);
+    expect(names.get('IMG_1.JPG')).toMatch(/^20240101_.*X-T5_0001\.JPG$/);
+  });
+
+  it('keeps only the extension of files paired by a derived pattern', () => {
+    const keys = new Map([
+      ['IMG_1234.HEIC', 'IMG_1234'], ['IMG_E1234.HEIC', 'IMG_1234'], ['IMG_E1234.HEIC.aae', 'IMG_1234'], ['IMG_E1234.MOV', 'IMG_1234'],
+    ]);
+    const { names } = buildRenamedFiles(['IMG_E1234.HEIC', 'IMG_1234.HEIC', 'IMG_E1234.HEIC.aae', 'IMG_E1234.MOV'], keys, 'Smith_{seq}', 1);
+    expect(Object.fromEntries(names)).toEqual({
+      'IMG_1234.HEIC': 'Smith_0001.HEIC',
+      'IMG_E1234.HEIC': 'Smith_0001-2.HEIC',
+      'IMG_E1234.HEIC.aae': 'Smith_0001.HEIC.aae',
+      'IMG_E1234.MOV': 'Smith_0001.MOV',
+    });
+  });
+
+  it('keeps files in subfolders apart from their folder path', () => {
+    const keys = new Map([['a/IMG_9.JPG', 'a/IMG_9']]);
+    expect(buildRenamedFiles(['a/IMG_9.JPG'], keys, 'Trip', 1).names.get('a/IMG_9.JPG')).toBe('Trip_0001.JPG');
+  });
 });
@@ -0,0 +1,425 @@
+/**
+ * Tests for src/main/batchPartitioner.js
+ *
+ * This module is pure (no Node.js/Electron dependencies) so we can import directly.
+ * Timestamps are built in local time because partitions follow the local calendar.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  partitionFileGroups,
+  getDatePartition,
+  getGroupCaptureTime,
+  getIsoWeek,
+  clusterSessions,
+  formatSessionRange,
+  needsCaptureDates,
+  needsCameraInfo,
+  getCameraName,
+  getGroupCamera,
+  getCameraPartition,
+  getGroupRating,
+  applyRatingRules,
+  hasRatingRules,
+  needsRatings,
+  needsGps,
+  needsDimensions,
+  classifyOrientation,
+  getOrientationPartition,
+  UNDATED_KEY,
+  UNKNOWN_CAMERA_KEY,
+  UNRATED_KEY,
+  UNKNOWN_ORIENTATION_KEY,
+} from '../src/main/batchPartitioner.js';
+
+const at = (year, month, day, hour = 12) => new Date(year, month - 1, day, hour).getTime();
+
+describe('getGroupCaptureTime', () => {
+  it('uses the earliest timestamp in the group', () => {
+    const dates = { 'a.jpg': at(2024, 6, 14, 10), 'a.cr2': at(2024, 6, 14, 9) };
+    expect(getGroupCaptureTime(['a.jpg', 'a.cr2'], dates)).toBe(at(2024, 6, 14, 9));
+  });
+
+  it('accepts stat maps with mtimeMs', () => {
+    expect(getGroupCaptureTime(['a.jpg'], { 'a.jpg': { mtimeMs: 1234 } })).toBe(1234);
+  });
+
+  it('returns 0 when nothing is known', () => {
+    expect(getGroupCaptureTime(['a.jpg'], null)).toBe(0);
+    expect(getGroupCaptureTime(['a.jpg'], {})).toBe(0);
+  });
+});
+
+describe('getIsoWeek', () => {
+  it('numbers weeks from the first Thursday', () => {
+    expect(getIsoWeek(new Date(2024, 5, 14))).toEqual({ year: 2024, week: 24 });
+  });
+
+  it('assigns late-December days to week 1 of the next year', () => {
+    expect(getIsoWeek(new Date(2024, 11, 30))).toEqual({ year: 2025, week: 1 });
+  });
+
+  it('assigns early-January days to the last week of the previous year', () => {
+    expect(getIsoWeek(new Date(2021, 0, 1))).toEqual({ year: 2020, week: 53 });
+  });
+});
+
+describe('getDatePartition', () => {
+  const ts = at(2024, 6, 14);
+
+  it('builds day keys and labels', () => {
+    expect(getDatePartition(ts, 'day')).toMatchObject({ key: '2024-06-14', label: 'Fri, Jun 14 2024' });
+  });
+
+  it('builds week keys starting on Monday', () => {
+    expect(getDatePartition(ts, 'week')).toMatchObject({ key: '2024-W24', label: 'Week 24, 2024 (from Mon, Jun 10)' });
+  });
+
+  it('builds month keys', () => {
+    expect(getDatePartition(ts, 'month')).toMatchObject({ key: '2024-06', label: 'Jun 2024' });
+  });
+
+  it('returns the undated partition for unknown timestamps', () => {
+    expect(getDatePartition(0, 'day')).toMatchObject({ key: UNDATED_KEY, label: 'Unknown date' });
+  });
+});
+
+describe('needsCaptureDates', () => {
+  it('is true only for date and session split modes', () => {
+    expect(needsCaptureDates('day')).toBe(true);
+    expect(needsCaptureDates('week')).toBe(true);
+    expect(needsCaptureDates('month')).toBe(true);
+    expect(needsCaptureDates('session')).toBe(true);
+    expect(needsCaptureDates('none')).toBe(false);
+    expect(needsCaptureDates(undefined)).toBe(false);
+  });
+});
+
+describe('partitionFileGroups', () => {
+  const groups = {
+    a: ['a.jpg', 'a.cr2'],
+    b: ['b.jpg'],
+    c: ['c.jpg'],
+    d: ['d.jpg'],
+  };
+  const captureDates = {
+    'a.jpg': at(2024, 6, 15, 8),
+    'a.cr2': at(2024, 6, 15, 8),
+    'b.jpg': at(2024, 6, 14, 23),
+    'c.jpg': at(2024, 6, 15, 20),
+  };
+
+  it('returns a single partition when not splitting', () => {
+    const partitions = partitionFileGroups(groups, 'none');
+    expect(partitions).toHaveLength(1);
+    expect(partitions[0]).toMatchObject({ key: 'all', label: null, captureDate: null });
+    expect(partitions[0].groups).toBe(groups);
+  });
+
+  it('splits groups by capture day in chronological order', () => {
+    const partitions = partitionFileGroups(groups, 'day', { captureDates });
+    expect(partitions.map(p => p.key)).toEqual(['2024-06-14', '2024-06-15', UNDATED_KEY]);
+    expect(Object.keys(partitions[1].groups)).toEqual(['a', 'c']);
+    expect(partitions[0].captureDate).toBe('2024-06-14');
+  });
+
+  it('keeps pairs together', () => {
+    const partitions = partitionFileGroups(groups, 'day', { captureDates });
+    expect(partitions[1].groups.a).toEqual(['a.jpg', 'a.cr2']);
+  });
+
+  it('reverses order for descending sorts but keeps undated last', () => {
+    const partitions = partitionFileGroups(groups, 'day', { captureDates, descending: true });
+    expect(partitions.map(p => p.key)).toEqual(['2024-06-15', '2024-06-14', UNDATED_KEY]);
+    expect(partitions[2].captureDate).toBeNull();
+  });
+
+  it('merges days into weeks and months', () => {
+    expect(partitionFileGroups(groups, 'week', { captureDates }).map(p => p.key)).toEqual(['2024-W24', UNDATED_KEY]);
+    expect(partitionFileGroups(groups, 'month', { captureDates }).map(p => p.key)).toEqual(['2024-06', UNDATED_KEY]);
+  });
+});
+
+describe('getCameraName', () => {
+  it('drops a make the model already repeats', () => {
+    expect(getCameraName({ make: 'Canon', model: 'Canon EOS R5' })).toBe('Canon EOS R5');
+    expect(getCameraName({ make: 'NIKON CORPORATION', model: 'NIKON Z 6' })).toBe('NIKON Z 6');
+  });
+
+  it('joins make and model otherwise', () => {
+    expect(getCameraName({ make: 'SONY', model: 'ILCE-7M4' })).toBe('SONY ILCE-7M4');
+  });
+
+  it('uses whichever part is present', () => {
+    expect(getCameraName({ make: 'FUJIFILM', model: null })).toBe('FUJIFILM');
+    expect(getCameraName({ make: null, model: 'X-T5' })).toBe('X-T5');
+  });
+});
+
+describe('getGroupCamera', () => {
+  it('uses the first file that has camera info', () => {
+    const info = { make: 'Canon', model: 'Canon EOS R6', serial: null, lens: null };
+    expect(getGroupCamera(['a.jpg', 'a.cr3'], { 'a.jpg': null, 'a.cr3': info })).toBe(info);
+  });
+
+  it('returns null without camera info', () => {
+    expect(getGroupCamera(['a.png'], { 'a.png': null })).toBeNull();
+    expect(getGroupCamera(['a.png'], null)).toBeNull();
+  });
+});
+
+describe('getCameraPartition', () => {
+  const r5a = { make: 'Canon', model: 'Canon EOS R5', serial: '111', lens: 'RF24-70mm F2.8 L IS USM' };
+  const r5b = { make: 'Canon', model: 'Canon EOS R5', serial: '222', lens: 'RF24-70mm F2.8 L IS USM' };
+
+  it('keeps two bodies of the same model apart by serial', () => {
+    expect(getCameraPartition(r5a, 'camera').key).not.toBe(getCameraPartition(r5b, 'camera').key);
+    expect(getCameraPartition(r5a, 'camera').label).toBe('Canon EOS R5 (S/N 111)');
+  });
+
+  it('groups by lens model in lens mode', () => {
+    expect(getCameraPartition(r5a, 'lens').key).toBe(getCameraPartition(r5b, 'lens').key);
+    expect(getCameraPartition(r5a, 'lens').label).toBe('RF24-70mm F2.8 L IS USM');
+  });
+
+  it('returns the unknown partition when EXIF is missing', () => {
+    expect(getCameraPartition(null, 'camera')).toMatchObject({ key: UNKNOWN_CAMERA_KEY, label: 'Unknown camera' });
+    expect(getCameraPartition({ make: 'Canon', model: 'Canon EOS R5', lens: null }, 'lens'))
+      .toMatchObject({ key: UNKNOWN_CAMERA_KEY, label: 'Unknown lens' });
+  });
+});
+
+describe('partitionFileGroups (camera modes)', () => {
+  const groups = { a: ['a.jpg', 'a.cr3'], b: ['b.jpg'], c: ['c.png'], d: ['d.arw'] };
+  const cameraInfo = {
+    'a.jpg': { make: 'Canon', model: 'Canon EOS R6', serial: '1', lens: 'RF50mm F1.2 L USM' },
+    'a.cr3': { make: 'Canon', model: 'Canon EOS R6', serial: '1', lens: 'RF50mm F1.2 L USM' },
+    'b.jpg': { make: 'Canon', model: 'Canon EOS R6', serial: '2', lens: 'RF50mm F1.2 L USM' },
+    'c.png': null,
+    'd.arw': { make: 'SONY', model: 'ILCE-7M4', serial: null, lens: 'FE 35mm F1.4 GM' },
+  };
+
+  it('needs camera info only for camera modes', () => {
+    expect(needsCameraInfo('camera')).toBe(true);
+    expect(needsCameraInfo('lens')).toBe(true);
+    expect(needsCameraInfo('day')).toBe(false);
+  });
+
+  it('splits by body alphabetically with unknown last', () => {
+    const partitions = partitionFileGroups(groups, 'camera', { cameraInfo });
+    expect(partitions.map(p => p.label)).toEqual([
+      'Canon EOS R6 (S/N 1)', 'Canon EOS R6 (S/N 2)', 'SONY ILCE-7M4', 'Unknown camera',
+    ]);
+    expect(partitions[3].groups).toEqual({ c: ['c.png'] });
+    expect(partitions.every(p => p.captureDate === null)).toBe(true);
+  });
+
+  it('merges bodies sharing a lens in lens mode', () => {
+    const partitions = partitionFileGroups(groups, 'lens', { cameraInfo });
+    expect(partitions.map(p => p.label)).toEqual(['FE 35mm F1.4 GM', 'RF50mm F1.2 L USM', 'Unknown lens']);
+    expect(Object.keys(partitions[1].groups)).toEqual(['a', 'b']);
+  });
+
+  it('puts everything in the unknown partition without camera info', () => {
+    const partitions = partitionFileGroups(groups, 'camera', {});
+    expect(partitions).toHaveLength(1);
+    expect(partitions[0].key).toBe(UNKNOWN_CAMERA_KEY);
+  });
+});
+
+describe('clusterSessions', () => {
+  const min = 60 * 1000;
+  const t0 = at(2024, 6, 14, 14);
+  const groups = { a: ['a.jpg'], b: ['b.jpg'], c: ['c.jpg'], d: ['d.jpg'], e: ['e.png'] };
+  const captureDates = {
+    'a.jpg': t0,
+    'b.jpg': t0 + 15 * min,   // within 20 min of a
+    'c.jpg': t0 + 60 * min,   // 45 min gap -> new session
+    'd.jpg': t0 + 70 * min,
+  };
+
+  it('starts a new session when the gap exceeds the threshold', () => {
+    const sessions = clusterSessions(groups, captureDates, 20).filter(p => p.key !== UNDATED_KEY);
+    expect(sessions.map(s => Object.keys(s.groups))).toEqual([['a', 'b'], ['c', 'd']]);
+    expect(sessions.map(s => s.sessionIndex)).toEqual([1, 2]);
+    expect(sessions[0]).toMatchObject({ startTime: t0, endTime: t0 + 15 * min, sessionCount: 2 });
+  });
+
+  it('merges everything with a large enough gap', () => {
+    const sessions = clusterSessions(groups, captureDates, 60).filter(p => p.key !== UNDATED_KEY);
+    expect(sessions).toHaveLength(1);
+  });
+
+  it('sends groups without a capture time to the undated partition', () => {
+    const undated = clusterSessions(groups, captureDates, 20).find(p => p.key === UNDATED_KEY);
+    expect(undated.groups).toEqual({ e: ['e.png'] });
+  });
+
+  it('labels sessions with their start and end time', () => {
+    const [first] = clusterSessions(groups, captureDates, 20);
+    expect(first.label).toBe('Session 1 · Fri, Jun 14 2024, 14:00 – 14:15');
+  });
+});
+
+describe('formatSessionRange', () => {
+  it('shows the end day when a session runs past midnight', () => {
+    expect(formatSessionRange(at(2024, 6, 14, 23), at(2024, 6, 15, 1)))
+      .toBe('Fri, Jun 14 2024, 23:00 – Sat, Jun 15 01:00');
+  });
+});
+
+describe('partitionFileGroups (session mode)', () => {
+  it('orders sessions chronologically and reverses them for descending sorts', () => {
+    const groups = { a: ['a.jpg'], b: ['b.jpg'] };
+    const captureDates = { 'a.jpg': at(2024, 6, 14, 9), 'b.jpg': at(2024, 6, 14, 18) };
+    const asc = partitionFileGroups(groups, 'session', { captureDates, sessionGapMinutes: 20 });
+    const desc = partitionFileGroups(groups, 'session', { captureDates, sessionGapMinutes: 20, descending: true });
+    expect(asc.map(p => p.sessionIndex)).toEqual([1, 2]);
+    expect(desc.map(p => p.sessionIndex)).toEqual([2, 1]);
+    expect(asc[0].captureDate).toBe('2024-06-14');
+  });
+});
+
+describe('partitionFileGroups (location mode)', () => {
+  const groups = { a: ['a.jpg'], b: ['b.jpg'], c: ['c.cr3'] };
+  const captureDates = { 'a.jpg': at(2024, 6, 14, 10), 'b.jpg': at(2024, 6, 14, 15), 'c.cr3': at(2024, 6, 14, 11) };
+  const gpsInfo = {
+    'a.jpg': { latitude: 48.8584, longitude: 2.2945 },
+    'b.jpg': { latitude: 43.2965, longitude: 5.3698 },
+    'c.cr3': null,
+  };
+
+  it('needs GPS and capture dates', () => {
+    expect(needsGps('location')).toBe(true);
+    expect(needsGps('session')).toBe(false);
+    expect(needsCaptureDates('location')).toBe(true);
+  });
+
+  it('splits by location chronologically and reverses for descending sorts', () => {
+    const asc = partitionFileGroups(groups, 'location', { captureDates, gpsInfo, locationRadiusKm: 1 });
+    const desc = partitionFileGroups(groups, 'location', { captureDates, gpsInfo, locationRadiusKm: 1, descending: true });
+    expect(asc.map(p => Object.keys(p.groups))).toEqual([['a', 'c'], ['b']]);
+    expect(desc.map(p => p.locationIndex)).toEqual([2, 1]);
+    expect(asc[0].locationName).toBe('48.8584N_2.2945E');
+  });
+});
+
+describe('getGroupRating', () => {
+  it('prefers the .xmp sidecar over the image', () => {
+    const ratings = { 'a.jpg': { rating: 2, label: 'Blue' }, 'a.xmp': { rating: 4, label: null } };
+    expect(getGroupRating(['a.jpg', 'a.xmp'], ratings)).toEqual({ rating: 4, label: 'Blue' });
+  });
+
+  it('returns nulls without ratings', () => {
+    expect(getGroupRating(['a.jpg'], null)).toEqual({ rating: null, label: null });
+    expect(getGroupRating(['a.jpg'], { 'a.jpg': null })).toEqual({ rating: null, label: null });
+  });
+});
+
+describe('partitionFileGroups (rating modes)', () => {
+  const groups = { a: ['a.jpg'], b: ['b.cr3', 'b.xmp'], c: ['c.jpg'], d: ['d.jpg'], e: ['e.jpg'], f: ['f.jpg'] };
+  const ratings = {
+    'a.jpg': { rating: 4, label: 'Green' },
+    'b.xmp': { rating: 5, label: 'Red' },
+    'c.jpg': { rating: 0, label: null },
+    'd.jpg': { rating: -1, label: 'Client' },
+    'e.jpg': { rating: 4, label: 'red' },
+  };
+
+  it('needs ratings only for rating modes', () => {
+    expect(needsRatings('rating')).toBe(true);
+    expect(needsRatings('label')).toBe(true);
+    expect(needsRatings('camera')).toBe(false);
+  });
+
+  it('splits best first, then rejected, with unrated last', () => {
+    const partitions = partitionFileGroups(groups, 'rating', { ratings });
+    expect(partitions.map(p => p.key)).toEqual(['5-star', '4-star', 'rejected', UNRATED_KEY]);
+    expect(partitions.map(p => p.label)).toEqual(['5 Stars', '4 Stars', 'Rejected', 'Unrated']);
+    expect(Object.keys(partitions[1].groups)).toEqual(['a', 'e']);
+    expect(Object.keys(partitions[3].groups)).toEqual(['c', 'f']);
+    expect(partitions.every(p => p.captureDate === null)).toBe(true);
+  });
+
+  it('splits by color label in label order, custom labels after', () => {
+    const partitions = partitionFileGroups(groups, 'label', { ratings });
+    expect(partitions.map(p => p.label)).toEqual(['Red', 'Green', 'Client', 'No label']);
+    expect(Object.keys(partitions[0].groups)).toEqual(['b', 'e']);
+  });
+});
+
+describe('applyRatingRules', () => {
+  const groups = { a: ['a.jpg'], b: ['b.jpg'], c: ['c.jpg'], d: ['d.jpg'] };
+  const ratings = {
+    'a.jpg': { rating: 5, label: 'Red' },
+    'b.jpg': { rating: 2, label: 'Red' },
+    'c.jpg': { rating: -1, label: null },
+  };
+
+  it('has no rules by default', () => {
+    expect(hasRatingRules({ minRating: 0, labelFilter: '', rejectedAction: 'batch' })).toBe(false);
+    expect(applyRatingRules(groups, ratings)).toEqual({ rejected: [], filteredOut: [] });
+  });
+
+  it('filters out groups below the minimum, unrated included', () => {
+    expect(applyRatingRules(groups, ratings, { minRating: 3 }))
+      .toEqual({ rejected: [], filteredOut: ['b', 'c', 'd'] });
+  });
+
+  it('routes rejected groups before filtering', () => {
+    expect(applyRatingRules(groups, ratings, { minRating: 3, rejectedAction: 'folder' }))
+      .toEqual({ rejected: ['c'], filteredOut: ['b', 'd'] });
+  });
+
+  it('keeps only the chosen color label', () => {
+    expect(applyRatingRules(groups, ratings, { labelFilter: 'red' }).filteredOut).toEqual(['c', 'd']);
+  });
+});
+
+describe('classifyOrientation', () => {
+  it('classifies by aspect ratio', () => {
+    expect(classifyOrientation(6000, 4000)).toBe('landscape');
+    expect(classifyOrientation(4000, 6000)).toBe('portrait');
+    expect(classifyOrientation(4000, 4000)).toBe('square');
+    expect(classifyOrientation(4100, 4000)).toBe('square');
+    expect(classifyOrientation(12000, 4000)).toBe('panorama');
+    expect(classifyOrientation(2000, 6000)).toBe('panorama');
+  });
+
+  it('returns null without dimensions', () => {
+    expect(classifyOrientation(0, 4000)).toBeNull();
+    expect(classifyOrientation(undefined, undefined)).toBeNull();
+  });
+});
+
+describe('getOrientationPartition', () => {
+  it('orders landscape, portrait, square, panorama, unknown', () => {
+    expect(getOrientationPartition({ width: 40, height: 60 })).toEqual({ key: 'portrait', label: 'Portrait', sortValue: 1 });
+    expect(getOrientationPartition(null)).toMatchObject({ key: UNKNOWN_ORIENTATION_KEY, sortValue: Infinity });
+  });
+});
+
+describe('partitionFileGroups (orientation mode)', () => {
+  const groups = { a: ['a.cr3', 'a.jpg'], b: ['b.jpg'], c: ['c.mp4'], d: ['d.jpg'], e: ['e.jpg'] };
+  const dimensions = {
+    'a.cr3': null,
+    'a.jpg': { width: 4000, height: 6000 },
+    'b.jpg': { width: 6000, height: 4000 },
+    'c.mp4': null,
+    'd.jpg': { width: 9000, height: 3000 },
+    'e.jpg': { width: 6000, height: 4000 },
+  };
+
+  it('needs dimensions only in orientation mode', () => {
+    expect(needsDimensions('orientation')).toBe(true);
+    expect(needsDimensions('day')).toBe(false);
+  });
+
+  it('splits by frame shape, unknown last', () => {
+    const partitions = partitionFileGroups(groups, 'orientation', { dimensions });
+    expect(partitions.map(p => p.label)).toEqual(['Landscape', 'Portrait', 'Panorama', 'Unknown orientation']);
+    expect(Object.keys(partitions[0].groups)).toEqual(['b', 'e']);
+    expect(partitions[1].groups).toEqual({ a: ['a.cr3', 'a.jpg'] });
+    expect(partitions.map(p => p.orientation)).toEqual(['Landscape', 'Portrait', 'Panorama', undefined]);
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Tests for src/utils/blurClasses.js
+ *
+ * Pure module (no Electron dependency) so we can import it directly.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { BLUR_CLASSES, getBlurClass, routeBlurryGroups } from '../src/utils/blurClasses.js';
+
+const RESULTS = {
+  shake: { isBlurry: true, blurClass: 'motion' },
+  soft: { isBlurry: true, blurClass: 'defocus' },
+  fog: { isBlurry: true, blurClass: 'low-detail' },
+  unknown: { isBlurry: true, blurClass: null },
+};
+const GROUPS = ['shake', 'soft', 'fog', 'unknown'];
+
+describe('getBlurClass', () => {
+  it('looks up classes by key', () => {
+    expect(getBlurClass('motion')).toBe(BLUR_CLASSES[0]);
+    expect(getBlurClass('other')).toBeNull();
+    expect(getBlurClass(null)).toBeNull();
+  });
+});
+
+describe('routeBlurryGroups', () => {
+  it('sends everything to the Blurry folder by default', () => {
+    const routing = routeBlurryGroups(GROUPS, RESULTS, { motion: 'blurry', defocus: 'blurry', 'low-detail': 'blurry' });
+    expect(routing).toEqual({ sharedGroups: GROUPS, classGroups: null, keptGroups: [] });
+  });
+
+  it('splits classes into their own folders or keeps them', () => {
+    const routing = routeBlurryGroups(GROUPS, RESULTS, { motion: 'folder', defocus: 'blurry', 'low-detail': 'keep' });
+    expect(routing).toEqual({ sharedGroups: ['soft', 'unknown'], classGroups: { motion: ['shake'] }, keptGroups: ['fog'] });
+  });
+
+  it('sends unclassified groups to the Blurry folder without actions', () => {
+    expect(routeBlurryGroups(['unknown'], null, null).sharedGroups).toEqual(['unknown']);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Tests for src/main/blurClassifier.js
+ *
+ * Pure module (no Electron dependency) so we can import it directly.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { classifyBlur, measureBlurDirection } from '../src/main/blurClassifier.js';
+
+const SIZE = 32;
+const THRESHOLDS = { motionCoherence: 0.2, lowDetailContrast: 12 };
+
+// Grayscale frame from a pixel function
+const frame = (pixel) => {
+  const data = new Uint8Array(SIZE * SIZE);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) data[y * SIZE + x] = pixel(x, y);
+  }
+  return data;
+};
+
+// Deterministic noise (LCG) so the "no direction" case is stable
+const noise = () => {
+  let seed = 42;
+  return frame(() => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return (seed >> 16) & 255; // high bits; the low bits of an LCG repeat
+  });
+};
+
+describe('measureBlurDirection', () => {
+  it('finds a horizontal streak in horizontal stripes', () => {
+    const { coherence, motionAngle, contrast } = measureBlurDirection(frame((_x, y) => (y % 8 < 4 ? 40 : 200)), SIZE, SIZE);
+    expect(coherence).toBeCloseTo(1, 5);
+    expect(Math.min(motionAngle, 180 - motionAngle)).toBeLessThan(1);
+    expect(contrast).toBeCloseTo(80, 0);
+  });
+
+  it('finds a vertical streak in vertical stripes', () => {
+    const { coherence, motionAngle } = measureBlurDirection(frame((x) => (x % 8 < 4 ? 40 : 200)), SIZE, SIZE);
+    expect(coherence).toBeCloseTo(1, 5);
+    expect(motionAngle).toBeCloseTo(90, 5);
+  });
+
+  it('finds no direction in noise', () => {
+    expect(measureBlurDirection(noise(), SIZE, SIZE).coherence).toBeLessThan(0.2);
+  });
+
+  it('reports zero for a flat frame', () => {
+    expect(measureBlurDirection(frame(() => 128), SIZE, SIZE)).toEqual({ coherence: 0, motionAngle: 0, contrast: 0 });
+  });
+});
+
+describe('classifyBlur', () => {
+  it('labels frames without contrast as low detail first', () => {
+    expect(classifyBlur({ coherence: 0.9, contrast: 5 }, THRESHOLDS)).toBe('low-detail');
+  });
+
+  it('labels directional gradients as motion blur, else defocus', () => {
+    expect(classifyBlur({ coherence: 0.5, contrast: 40 }, THRESHOLDS)).toBe('motion');
+    expect(classifyBlur({ coherence: 0.2, contrast: 40 }, THRESHOLDS)).toBe('motion');
+    expect(classifyBlur({ coherence: 0.05, contrast: 40 }, THRESHOLDS)).toBe('defocus');
+  });
+});
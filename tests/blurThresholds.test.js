@@ -0,0 +1,84 @@
+/**
+ * Tests for src/utils/blurThresholds.js
+ *
+ * Pure module (no Electron dependency) so we can import it directly.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { calibrateThresholds, isBlurryMetrics, otsuThreshold } from '../src/utils/blurThresholds.js';
+
+// Deterministic spread around a center value (multiplicative, like real scores)
+function spread(count, center, ratio) {
+  return Array.from({ length: count }, (_, i) => center * Math.pow(ratio, (i / (count - 1)) * 2 - 1));
+}
+
+describe('isBlurryMetrics', () => {
+  const thresholds = { variance: 80, edgeDensity: 0.045 };
+
+  it('flags only frames below both thresholds', () => {
+    expect(isBlurryMetrics({ variance: 40, edgeDensity: 0.02 }, thresholds)).toBe(true);
+    expect(isBlurryMetrics({ variance: 40, edgeDensity: 0.05 }, thresholds)).toBe(false);
+    expect(isBlurryMetrics({ variance: 90, edgeDensity: 0.02 }, thresholds)).toBe(false);
+    expect(isBlurryMetrics({ variance: 80, edgeDensity: 0.02 }, thresholds)).toBe(false);
+  });
+
+  it('never flags unmeasured frames', () => {
+    expect(isBlurryMetrics({ variance: -1, edgeDensity: 0 }, thresholds)).toBe(false);
+  });
+});
+
+describe('otsuThreshold', () => {
+  it('splits two clusters between them', () => {
+    const values = [...spread(10, 1, 1.2), ...spread(30, 5, 1.2)];
+    const { threshold, lowShare, separation } = otsuThreshold(values, 64);
+    expect(threshold).toBeGreaterThan(1.2);
+    expect(threshold).toBeLessThan(4.2);
+    expect(lowShare).toBe(0.25);
+    expect(separation).toBeGreaterThan(3);
+  });
+
+  it('returns no split for identical values', () => {
+    expect(otsuThreshold([2, 2, 2], 8)).toEqual({ threshold: 2, lowShare: 0, separation: 0 });
+  });
+});
+
+describe('calibrateThresholds', () => {
+  it('returns null with too few measured frames', () => {
+    const samples = spread(19, 200, 3).map(v => ({ variance: v, edgeDensity: 0.1 }));
+    expect(calibrateThresholds(samples)).toBeNull();
+    // Unmeasured frames do not count
+    expect(calibrateThresholds([...samples, { variance: -1, edgeDensity: 0 }])).toBeNull();
+  });
+
+  it('puts the thresholds in the valley of a bimodal folder', () => {
+    const blurry = spread(12, 20, 1.5).map((v, i) => ({ variance: v, edgeDensity: 0.01 + i * 0.001 }));
+    const sharp = spread(48, 400, 1.5).map((v, i) => ({ variance: v, edgeDensity: 0.12 + i * 0.001 }));
+    const thresholds = calibrateThresholds([...blurry, ...sharp]);
+    expect(thresholds.method).toBe('valley');
+    expect(blurry.every(s => isBlurryMetrics(s, thresholds))).toBe(true);
+    expect(sharp.some(s => isBlurryMetrics(s, thresholds))).toBe(false);
+  });
+
+  it('flags the lowest percentile of a unimodal folder', () => {
+    const samples = spread(200, 300, 2).map((v, i) => ({ variance: v, edgeDensity: 0.05 + (i % 10) * 0.01 }));
+    const thresholds = calibrateThresholds(samples);
+    expect(thresholds.method).toBe('percentile');
+    const flagged = samples.filter(s => isBlurryMetrics(s, thresholds));
+    expect(flagged).toHaveLength(20);
+  });
+
+  it('lets a metric without a valley defer to the other one', () => {
+    // Variance is bimodal, edge density is one hump with no relation to sharpness
+    const blurry = spread(10, 15, 1.5).map((v, i) => ({ variance: v, edgeDensity: 0.02 + (i % 5) * 0.02 }));
+    const sharp = spread(40, 500, 1.5).map((v, i) => ({ variance: v, edgeDensity: 0.02 + (i % 5) * 0.02 }));
+    const thresholds = calibrateThresholds([...blurry, ...sharp]);
+    expect(thresholds.method).toBe('valley');
+    expect(thresholds.edgeDensity).toBeGreaterThan(0.1);
+    expect(blurry.every(s => isBlurryMetrics(s, thresholds))).toBe(true);
+  });
+
+  it('accepts option overrides', () => {
+    const samples = spread(10, 100, 2).map(v => ({ variance: v, edgeDensity: 0.1 }));
+    expect(calibrateThresholds(samples, { minSamples: 5 })).not.toBeNull();
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for src/utils/cameraClocks.js
+ *
+ * Pure module (no Electron dependency) so we can import it directly.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  applyClockOffsets, deriveClockOffset, formatClockOffset, getCameraBodyLabel,
+  getClockOffset, parseClockOffset, parseClockOffsets, MAX_CLOCK_OFFSET_SECONDS,
+} from '../src/utils/cameraClocks.js';
+
+describe('getCameraBodyLabel', () => {
+  it('adds the serial number when the camera writes it', () => {
+    expect(getCameraBodyLabel({ make: 'Canon', model: 'Canon EOS R5', serial: '012345' })).toBe('Canon EOS R5 (S/N 012345)');
+    expect(getCameraBodyLabel({ make: 'SONY', model: 'ILCE-7M4', serial: null })).toBe('SONY ILCE-7M4');
+  });
+
+  it('returns null without make and model', () => {
+    expect(getCameraBodyLabel(null)).toBeNull();
+    expect(getCameraBodyLabel({ make: null, model: null, lens: 'RF 50mm' })).toBeNull();
+  });
+});
+
+describe('parseClockOffset / formatClockOffset', () => {
+  it('parses seconds, m:ss and h:mm:ss with a sign', () => {
+    expect(parseClockOffset('45')).toBe(45);
+    expect(parseClockOffset('-45')).toBe(-45);
+    expect(parseClockOffset('+2:30')).toBe(150);
+    expect(parseClockOffset('-1:00:05')).toBe(-3605);
+    expect(parseClockOffset(' + 0:30 ')).toBe(30);
+  });
+
+  it('rejects malformed and out-of-range offsets', () => {
+    expect(parseClockOffset('')).toBeNull();
+    expect(parseClockOffset('2:75')).toBeNull();
+    expect(parseClockOffset('1:2:3:4')).toBeNull();
+    expect(parseClockOffset('abc')).toBeNull();
+    expect(parseClockOffset(String(MAX_CLOCK_OFFSET_SECONDS + 1))).toBeNull();
+  });
+
+  it('formats offsets that parse back to the same value', () => {
+    expect(formatClockOffset(150)).toBe('+2:30');
+    expect(formatClockOffset(-3605)).toBe('-1:00:05');
+    expect(formatClockOffset(0)).toBe('+0:00');
+    for (const seconds of [7, -59, 3600, -90061]) {
+      expect(parseClockOffset(formatClockOffset(seconds))).toBe(seconds);
+    }
+  });
+});
+
+describe('parseClockOffsets', () => {
+  it('splits valid and invalid entries', () => {
+    const { offsets, invalid } = parseClockOffsets('Canon EOS R5 = +2:30; X-T5 = -45; broken; = 10; Nikon Z 6 = soon');
+    expect(offsets).toEqual([
+      { camera: 'Canon EOS R5', seconds: 150 },
+      { camera: 'X-T5', seconds: -45 },
+    ]);
+    expect(invalid).toEqual(['broken', '= 10', 'Nikon Z 6 = soon']);
+  });
+
+  it('keeps "=" inside camera labels', () => {
+    expect(parseClockOffsets('Cam = A = 10').offsets).toEqual([{ camera: 'Cam = A', seconds: 10 }]);
+  });
+});
+
+describe('getClockOffset', () => {
+  const offsets = [{ camera: 'x-t5', seconds: 10 }, { camera: 'X-T5', seconds: 20 }];
+
+  it('matches labels without case, last entry wins', () => {
+    expect(getClockOffset(offsets, 'X-T5')).toBe(20);
+    expect(getClockOffset(offsets, 'Canon EOS R5')).toBe(0);
+    expect(getClockOffset(offsets, null)).toBe(0);
+  });
+});
+
+describe('deriveClockOffset', () => {
+  it('returns the seconds that move the frame onto the reference', () => {
+    expect(deriveClockOffset(1_000_000, 850_400)).toBe(150);
+    expect(deriveClockOffset(1_000_000, 1_045_000)).toBe(-45);
+  });
+});
+
+describe('applyClockOffsets', () => {
+  const cameraInfo = {
+    'A_001.CR3': { make: 'Canon', model: 'Canon EOS R5', serial: null, lens: null },
+    'B_001.RAF': { make: 'FUJIFILM', model: 'X-T5', serial: null, lens: null },
+    'C_001.PNG': null,
+  };
+  const captureDates = { 'A_001.CR3': 100_000, 'B_001.RAF': 200_000, 'C_001.PNG': 300_000 };
+
+  it('shifts only the bodies with an offset', () => {
+    const corrected = applyClockOffsets(captureDates, cameraInfo, [{ camera: 'FUJIFILM X-T5', seconds: -150 }]);
+    expect(corrected).toEqual({ 'A_001.CR3': 100_000, 'B_001.RAF': 50_000, 'C_001.PNG': 300_000 });
+    // The input map is left untouched
+    expect(captureDates['B_001.RAF']).toBe(200_000);
+  });
+
+  it('leaves unknown times alone', () => {
+    const corrected = applyClockOffsets({ ...captureDates, 'B_001.RAF': 0 }, cameraInfo, [{ camera: 'FUJIFILM X-T5', seconds: 60 }]);
+    expect(corrected['B_001.RAF']).toBe(0);
+  });
+
+  it('returns the same map when nothing applies', () => {
+    expect(applyClockOffsets(captureDates, cameraInfo, [])).toBe(captureDates);
+    expect(applyClockOffsets(captureDates, cameraInfo, [{ camera: 'Nikon Z 6', seconds: 60 }])).toBe(captureDates);
+    expect(applyClockOffsets(captureDates, null, [{ camera: 'FUJIFILM X-T5', seconds: 60 }])).toBe(captureDates);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Tests for src/main/duplicateMatcher.js
+ *
+ * Pure module (no Electron dependency) so we can import it directly.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { findDuplicateGroups, sortForKeeping } from '../src/main/duplicateMatcher.js';
+
+describe('sortForKeeping', () => {
+  it('puts shorter names first, then sorts alphabetically', () => {
+    expect(sortForKeeping(['IMG_0001 (1)', 'IMG_0002', 'IMG_0001', 'copy/IMG_0001']))
+      .toEqual(['IMG_0001', 'IMG_0002', 'IMG_0001 (1)', 'copy/IMG_0001']);
+  });
+
+  it('does not modify the input', () => {
+    const names = ['b', 'a'];
+    sortForKeeping(names);
+    expect(names).toEqual(['b', 'a']);
+  });
+});
+
+describe('findDuplicateGroups', () => {
+  it('returns nothing for no groups', () => {
+    expect(findDuplicateGroups({})).toEqual([]);
+  });
+
+  it('keeps the original and reports identical groups', () => {
+    expect(findDuplicateGroups({
+      'IMG_0001 (1)': ['a', 'b'],
+      IMG_0001: ['a', 'b'],
+      IMG_0002: ['c'],
+    })).toEqual([{ original: 'IMG_0001', duplicates: ['IMG_0001 (1)'] }]);
+  });
+
+  it('keeps the lower counter after a counter reset', () => {
+    expect(findDuplicateGroups({ IMG_5001: ['a'], IMG_0001: ['a'] }))
+      .toEqual([{ original: 'IMG_0001', duplicates: ['IMG_5001'] }]);
+  });
+
+  it('reports a group whose files are a subset of a kept group', () => {
+    expect(findDuplicateGroups({ IMG_0001: ['jpg', 'raw'], IMG_5001: ['jpg'] }))
+      .toEqual([{ original: 'IMG_0001', duplicates: ['IMG_5001'] }]);
+  });
+
+  it('never reports a group that has files the kept group lacks', () => {
+    expect(findDuplicateGroups({ IMG_0001: ['jpg'], IMG_5001: ['jpg', 'raw'] })).toEqual([]);
+  });
+
+  it('requires all files to match the same kept group', () => {
+    expect(findDuplicateGroups({ A: ['x'], B: ['y'], CC: ['x', 'y'] })).toEqual([]);
+  });
+
+  it('never matches groups with an unhashed file', () => {
+    expect(findDuplicateGroups({ A: ['x', null], B: ['x', null] })).toEqual([]);
+    expect(findDuplicateGroups({ A: ['x'], B: ['x', null] })).toEqual([]);
+  });
+
+  it('never matches groups without media files', () => {
+    expect(findDuplicateGroups({ A: [], B: [] })).toEqual([]);
+  });
+
+  it('collects several duplicates under one original', () => {
+    expect(findDuplicateGroups({
+      'IMG_0001 copy': ['a'],
+      IMG_0001: ['a'],
+      'IMG_0001 (1)': ['a'],
+    })).toEqual([{ original: 'IMG_0001', duplicates: ['IMG_0001 (1)', 'IMG_0001 copy'] }]);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Tests for src/main/embeddedJpeg.js
+ *
+ * Pure module (no Electron dependency) so we can import it directly.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { findEmbeddedJpegs, embeddedJpegsBySize, largestEmbeddedJpeg } from '../src/main/embeddedJpeg.js';
+
+/** Marker segment: FF <marker> <length incl. itself> <payload> */
+const segment = (marker, payload = []) => [0xff, marker, 0x00, payload.length + 2, ...payload];
+
+/**
+ * Minimal JPEG stream: SOI, optional extra segments, SOF (SOF0 unless given), SOS, entropy data, EOI.
+ */
+const jpeg = ({ entropy = [0x12, 0x34], extra = [], frame = true, frameMarker = 0xc0 } = {}) => [
+  0xff, 0xd8,
+  ...extra,
+  ...(frame ? segment(frameMarker, [8, 0, 1, 0, 1, 1, 1, 0x11, 0]) : []),
+  ...segment(0xda, [1, 1, 0, 0, 0x3f, 0]),
+  ...entropy,
+  0xff, 0xd9,
+];
+
+const buffer = (...parts) => Buffer.from(parts.flat());
+
+describe('findEmbeddedJpegs', () => {
+  it('finds streams between other data', () => {
+    const first = jpeg();
+    const second = jpeg({ entropy: [1, 2, 3, 4, 5] });
+    const data = buffer([0, 1, 2], first, [9, 9], second, [7]);
+    expect(findEmbeddedJpegs(data)).toEqual([
+      { offset: 3, length: first.length },
+      { offset: 5 + first.length, length: second.length },
+    ]);
+  });
+
+  it('reads past byte stuffing and restart markers in the entropy data', () => {
+    const stream = jpeg({ entropy: [0x10, 0xff, 0x00, 0x20, 0xff, 0xd3, 0x30] });
+    expect(findEmbeddedJpegs(buffer(stream))).toEqual([{ offset: 0, length: stream.length }]);
+  });
+
+  it('skips a thumbnail nested in an APP1 segment', () => {
+    const thumbnail = jpeg();
+    const stream = jpeg({ extra: segment(0xe1, thumbnail), entropy: [1, 2, 3] });
+    expect(findEmbeddedJpegs(buffer(stream))).toEqual([{ offset: 0, length: stream.length }]);
+  });
+
+  it('ignores truncated streams and streams without a frame header', () => {
+    const truncated = jpeg().slice(0, -2);
+    expect(findEmbeddedJpegs(buffer(truncated))).toEqual([]);
+    expect(findEmbeddedJpegs(buffer(jpeg({ frame: false })))).toEqual([]);
+    expect(findEmbeddedJpegs(buffer([0xff, 0xd8, 0xff, 0x00, 0x01]))).toEqual([]);
+  });
+
+  it('accepts progressive frames', () => {
+    const stream = jpeg({ frameMarker: 0xc2 });
+    expect(findEmbeddedJpegs(buffer(stream))).toEqual([{ offset: 0, length: stream.length }]);
+  });
+
+  it('ignores lossless and hierarchical streams (RAW sensor data)', () => {
+    expect(findEmbeddedJpegs(buffer(jpeg({ frameMarker: 0xc3 })))).toEqual([]);
+    expect(findEmbeddedJpegs(buffer(jpeg({ frameMarker: 0xc5 })))).toEqual([]);
+    expect(findEmbeddedJpegs(buffer(jpeg({ frameMarker: 0xcf })))).toEqual([]);
+  });
+});
+
+describe('largestEmbeddedJpeg', () => {
+  it('returns the biggest stream', () => {
+    const small = jpeg();
+    const large = jpeg({ entropy: Array(50).fill(0x42) });
+    const result = largestEmbeddedJpeg(buffer(small, [0, 0], large));
+    expect(result.length).toBe(large.length);
+    expect([...result]).toEqual(large);
+  });
+
+  it('skips a larger lossless sensor stream (SOF3) for the preview', () => {
+    const preview = jpeg();
+    const sensorData = jpeg({ frameMarker: 0xc3, entropy: Array(50).fill(0x42) });
+    expect([...largestEmbeddedJpeg(buffer(preview, sensorData))]).toEqual(preview);
+  });
+
+  it('returns null without a JPEG', () => {
+    expect(largestEmbeddedJpeg(Buffer.from([1, 2, 3]))).toBeNull();
+  });
+});
+
+describe('embeddedJpegsBySize', () => {
+  it('orders streams from largest to smallest', () => {
+    const small = jpeg();
+    const large = jpeg({ entropy: Array(50).fill(0x42) });
+    const medium = jpeg({ entropy: Array(10).fill(0x42) });
+    const result = embeddedJpegsBySize(buffer(small, large, medium));
+    expect(result.map(view => view.length)).toEqual([large.length, medium.length, small.length]);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests for src/main/exposureMeter.js
+ *
+ * Pure module (no Electron dependency) so we can import it directly.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { classifyExposure, computeHistograms, measureLuminance } from '../src/main/exposureMeter.js';
+
+const LEVELS = { highlightLevel: 250, shadowLevel: 5 };
+const MODERATE = { clipPercent: 8, minMean: 35, maxMean: 215 };
+
+/** Buffer of `count` pixels per [value, count] pair */
+const pixels = (...runs) => Uint8Array.from(runs.flatMap(([value, count]) => Array(count).fill(value)));
+
+describe('measureLuminance', () => {
+  it('computes the mean and clipped shares in percent', () => {
+    const metrics = measureLuminance(pixels([255, 10], [100, 80], [0, 10]), LEVELS);
+    expect(metrics.mean).toBeCloseTo(105.5, 5);
+    expect(metrics.highlightClip).toBe(10);
+    expect(metrics.shadowClip).toBe(10);
+  });
+
+  it('counts pixels at the levels as clipped', () => {
+    const metrics = measureLuminance(pixels([250, 1], [5, 1], [128, 2]), LEVELS);
+    expect(metrics.highlightClip).toBe(25);
+    expect(metrics.shadowClip).toBe(25);
+  });
+
+  it('returns mean -1 without pixels', () => {
+    expect(measureLuminance(new Uint8Array(0), LEVELS).mean).toBe(-1);
+    expect(measureLuminance(null, LEVELS).mean).toBe(-1);
+  });
+});
+
+describe('classifyExposure', () => {
+  it('leaves well exposed frames alone', () => {
+    expect(classifyExposure({ mean: 120, highlightClip: 2, shadowClip: 2 }, MODERATE)).toBeNull();
+  });
+
+  it('flags frames by their mean brightness', () => {
+    expect(classifyExposure({ mean: 230, highlightClip: 0, shadowClip: 0 }, MODERATE)).toBe('over');
+    expect(classifyExposure({ mean: 20, highlightClip: 0, shadowClip: 0 }, MODERATE)).toBe('under');
+  });
+
+  it('flags clipping only on the side the frame leans to', () => {
+    expect(classifyExposure({ mean: 170, highlightClip: 12, shadowClip: 0 }, MODERATE)).toBe('over');
+    expect(classifyExposure({ mean: 90, highlightClip: 0, shadowClip: 12 }, MODERATE)).toBe('under');
+    // A bright sky in a dark scene is not overexposure
+    expect(classifyExposure({ mean: 90, highlightClip: 12, shadowClip: 0 }, MODERATE)).toBeNull();
+  });
+
+  it('never flags frames that could not be measured', () => {
+    expect(classifyExposure({ mean: -1, highlightClip: 0, shadowClip: 0 }, MODERATE)).toBeNull();
+  });
+});
+
+describe('computeHistograms', () => {
+  it('bins grayscale pixels into luminance only', () => {
+    const histogram = computeHistograms(pixels([0, 2], [255, 4]), 1, 4);
+    expect(histogram).toEqual({ bins: 4, luminance: [0.5, 0, 0, 1], red: null, green: null, blue: null });
+  });
+
+  it('bins each color channel and weights luminance by Rec. 709', () => {
+    // Two pure red pixels and one white pixel, RGB interleaved
+    const data = Uint8Array.from([255, 0, 0, 255, 0, 0, 255, 255, 255]);
+    const histogram = computeHistograms(data, 3, 4);
+    expect(histogram.red).toEqual([0, 0, 0, 1]);
+    expect(histogram.green).toEqual([0.667, 0, 0, 0.333]);
+    // Red alone is dark (luma ~54): lowest bin
+    expect(histogram.luminance).toEqual([0.667, 0, 0, 0.333]);
+  });
+
+  it('skips extra channels and returns zeros without pixels', () => {
+    const rgba = Uint8Array.from([0, 0, 0, 255]);
+    expect(computeHistograms(rgba, 4, 2).blue).toEqual([1, 0]);
+    expect(computeHistograms(new Uint8Array(0), 3, 2).luminance).toEqual([0, 0]);
+  });
+});
@@ -1,11 +1,13 @@
 /**
  * Tests for src/main/fileUtils.js
  *
- * Tests isSameDrive logic, disk space, permissions, and utility functions.
+ * Tests isSameDrive logic, disk space, permissions, recursive listing, and utility functions.
  */
 
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
 import path from 'path';
+import os from 'os';
+import { promises as fsPromises } from 'fs';
 
 // ============================================================================
 // Re-implement isSameDrive for isolated testing (pure logic, no fs calls)
@@ -239,3 +241,92 @@ describe('Permission result handling', () => {
     expect(isNoSpace).toBe(true);
   });
 });
+
+// ============================================================================
+// Re-implement listFolderFiles for isolated testing (real fs, no logger)
+// ============================================================================
+
+const SKIPPED_FOLDERS = new Set(['$recycle.bin', 'system volume information', '__macosx']);
+
+async function listFolderFiles(folderPath, { recursive = false, maxDepth = Infinity } = {}) {
+  const files = [];
+  const queue = [{ dirPath: folderPath, relPath: '', depth: 0 }];
+  for (let q = 0; q < queue.length; q++) {
+    const { dirPath, relPath, depth } = queue[q];
+    let entries;
+    try {
+      entries = await fsPromises.readdir(dirPath, { withFileTypes: true });
+    } catch (err) {
+      if (depth === 0) throw err;
+      continue;
+    }
+    for (const entry of entries) {
+      const entryRelPath = relPath ? `${relPath}/${entry.name}` : entry.name;
+      if (entry.isFile()) {
+        files.push(entryRelPath);
+      } else if (
+        recursive &&
+        entry.isDirectory() &&
+        depth < maxDepth &&
+        !entry.name.startsWith('.') &&
+        !SKIPPED_FOLDERS.has(entry.name.toLowerCase())
+      ) {
+        queue.push({ dirPath: path.join(dirPath, entry.name), relPath: entryRelPath, depth: depth + 1 });
+      }
+    }
+  }
+  return files;
+}
+
+describe('listFolderFiles', () => {
+  let root;
+
+  beforeAll(async () => {
+    root = await fsPromises.mkdtemp(path.join(os.tmpdir(), 'batch-list-'));
+    const layout = [
+      'top.jpg',
+      'DCIM/100CANON/IMG_0001.JPG',
+      'DCIM/100CANON/IMG_0001.CR2',
+      'DCIM/101CANON/IMG_0002.JPG',
+      '.Trashes/old.jpg',
+      '__MACOSX/._top.jpg',
+    ];
+    for (const rel of layout) {
+      const filePath = path.join(root, rel);
+      await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+      await fsPromises.writeFile(filePath, 'x');
+    }
+  });
+
+  afterAll(async () => {
+    await fsPromises.rm(root, { recursive: true, force: true });
+  });
+
+  it('lists only top-level files by default', async () => {
+    expect(await listFolderFiles(root)).toEqual(['top.jpg']);
+  });
+
+  it('returns nested files as "/"-joined relative paths when recursive', async () => {
+    const files = await listFolderFiles(root, { recursive: true });
+    expect(files.sort()).toEqual([
+      'DCIM/100CANON/IMG_0001.CR2',
+      'DCIM/100CANON/IMG_0001.JPG',
+      'DCIM/101CANON/IMG_0002.JPG',
+      'top.jpg',
+    ]);
+  });
+
+  it('skips hidden and OS-managed folders', async () => {
+    const files = await listFolderFiles(root, { recursive: true });
+    expect(files.some(f => f.startsWith('.Trashes') || f.startsWith('__MACOSX'))).toBe(false);
+  });
+
+  it('stops at maxDepth', async () => {
+    const files = await listFolderFiles(root, { recursive: true, maxDepth: 1 });
+    expect(files).toEqual(['top.jpg']);
+  });
+
+  it('throws when the root folder cannot be read', async () => {
+    await expect(listFolderFiles(path.join(root, 'missing'))).rejects.toThrow();
+  });
+});
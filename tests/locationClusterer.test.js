@@ -0,0 +1,121 @@
+/**
+ * Tests for src/main/locationClusterer.js
+ *
+ * Pure module (no Electron dependency) so we can import it directly.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  clusterLocations,
+  distanceKm,
+  formatCoordinates,
+  getGroupGps,
+  matchPlaceLabel,
+  UNKNOWN_LOCATION_KEY,
+} from '../src/main/locationClusterer.js';
+
+const EIFFEL = { latitude: 48.8584, longitude: 2.2945 };
+const LOUVRE = { latitude: 48.8606, longitude: 2.3376 };     // ~3.2 km from EIFFEL
+const NEAR_EIFFEL = { latitude: 48.8590, longitude: 2.2950 }; // ~80 m from EIFFEL
+
+const entry = (baseName, time, gps = null) => ({ baseName, files: [`${baseName}.jpg`], time, gps });
+
+describe('distanceKm', () => {
+  it('measures great-circle distance', () => {
+    expect(distanceKm(EIFFEL, EIFFEL)).toBe(0);
+    expect(distanceKm(EIFFEL, LOUVRE)).toBeCloseTo(3.17, 1);
+    expect(distanceKm({ latitude: 0, longitude: 0 }, { latitude: 0, longitude: 180 })).toBeCloseTo(20015, 0);
+  });
+});
+
+describe('formatCoordinates', () => {
+  it('writes hemispheres instead of signs', () => {
+    expect(formatCoordinates(48.85841, 2.29448)).toBe('48.8584N_2.2945E');
+    expect(formatCoordinates(-33.8568, -151.2153)).toBe('33.8568S_151.2153W');
+  });
+});
+
+describe('getGroupGps', () => {
+  it('uses the first file with a position', () => {
+    expect(getGroupGps(['a.cr3', 'a.jpg'], { 'a.cr3': null, 'a.jpg': EIFFEL })).toBe(EIFFEL);
+    expect(getGroupGps(['a.jpg'], null)).toBeNull();
+  });
+});
+
+describe('matchPlaceLabel', () => {
+  const labels = [{ name: 'Tower', ...EIFFEL }, { name: 'Museum', ...LOUVRE }];
+
+  it('picks the nearest label within the radius', () => {
+    expect(matchPlaceLabel(NEAR_EIFFEL, labels, 1)).toBe('Tower');
+    expect(matchPlaceLabel(LOUVRE, labels, 5)).toBe('Museum');
+  });
+
+  it('returns null when no label is close enough', () => {
+    expect(matchPlaceLabel({ latitude: 40, longitude: 0 }, labels, 1)).toBeNull();
+    expect(matchPlaceLabel(EIFFEL, [], 1)).toBeNull();
+  });
+});
+
+describe('clusterLocations', () => {
+  it('groups positions within the radius and orders locations by first capture', () => {
+    const partitions = clusterLocations([
+      entry('c', 3000, LOUVRE),
+      entry('a', 1000, EIFFEL),
+      entry('b', 2000, NEAR_EIFFEL),
+    ], { radiusKm: 1 });
+    expect(partitions.map(p => Object.keys(p.groups))).toEqual([['a', 'b'], ['c']]);
+    expect(partitions.map(p => p.locationIndex)).toEqual([1, 2]);
+    expect(partitions[0].locationCount).toBe(2);
+    expect(partitions[0].latitude).toBeCloseTo(48.8587, 4);
+  });
+
+  it('merges everything with a large radius', () => {
+    const partitions = clusterLocations([entry('a', 1, EIFFEL), entry('b', 2, LOUVRE)], { radiusKm: 10 });
+    expect(partitions).toHaveLength(1);
+  });
+
+  it('lets groups without GPS inherit the location nearest in time', () => {
+    const partitions = clusterLocations([
+      entry('a', 1000, EIFFEL),
+      entry('x', 1900),
+      entry('b', 2000, LOUVRE),
+      entry('y', 1200),
+    ], { radiusKm: 1 });
+    expect(Object.keys(partitions[0].groups).sort()).toEqual(['a', 'y']);
+    expect(Object.keys(partitions[1].groups).sort()).toEqual(['b', 'x']);
+    expect(partitions[1].inheritedGroups).toBe(1);
+  });
+
+  it('puts groups with neither GPS nor time in the unknown partition', () => {
+    const partitions = clusterLocations([entry('a', 1000, EIFFEL), entry('z', 0)], { radiusKm: 1 });
+    expect(partitions[1]).toMatchObject({ key: UNKNOWN_LOCATION_KEY, groups: { z: ['z.jpg'] } });
+  });
+
+  it('orders undated locations after dated ones, just before the unknown location', () => {
+    const FAR = { latitude: 51.5007, longitude: -0.1246 };
+    const partitions = clusterLocations([
+      entry('u1', 0, LOUVRE),
+      entry('u2', 0, FAR),
+      entry('a', 1000, EIFFEL),
+      entry('z', 0),
+    ], { radiusKm: 1 });
+    expect(partitions.map(p => Object.keys(p.groups))).toEqual([['a'], ['u1'], ['u2'], ['z']]);
+    expect(partitions.map(p => p.sortValue)).toEqual([1000, Infinity, Infinity, Infinity]);
+    expect(partitions.slice(0, 3).map(p => p.locationIndex)).toEqual([1, 2, 3]);
+  });
+
+  it('puts everything in the unknown partition without any GPS', () => {
+    const partitions = clusterLocations([entry('a', 1000), entry('b', 2000)], { radiusKm: 1 });
+    expect(partitions).toHaveLength(1);
+    expect(partitions[0].key).toBe(UNKNOWN_LOCATION_KEY);
+  });
+
+  it('names locations after place labels, else by coordinates', () => {
+    const partitions = clusterLocations([entry('a', 1, EIFFEL), entry('b', 2, LOUVRE)], {
+      radiusKm: 1,
+      placeLabels: [{ name: 'Tower', ...EIFFEL }],
+    });
+    expect(partitions[0]).toMatchObject({ placeName: 'Tower', locationName: 'Tower', label: 'Location 1 · Tower (48.8584, 2.2945)' });
+    expect(partitions[1]).toMatchObject({ placeName: null, locationName: '48.8606N_2.3376E', label: 'Location 2 · 48.8606, 2.3376' });
+  });
+});
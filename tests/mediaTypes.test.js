@@ -0,0 +1,125 @@
+/**
+ * Tests for src/utils/mediaTypes.js
+ *
+ * This module is pure (no Node.js/Electron dependencies) so we can import directly.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildMediaRegistry,
+  parseIgnorePattern,
+  isIgnoredFile,
+  getMediaCategory,
+  getCategoryLabel,
+  MEDIA_CATEGORIES,
+  DEFAULT_MEDIA_CATEGORIES,
+  MAX_EXTRA_EXTENSIONS,
+} from '../src/utils/mediaTypes.js';
+
+describe('MEDIA_CATEGORIES', () => {
+  it('never lists an extension in two categories', () => {
+    const all = Object.values(MEDIA_CATEGORIES).flatMap(category => category.extensions);
+    expect(new Set(all).size).toBe(all.length);
+  });
+
+  it('enables every category except audio by default', () => {
+    expect(DEFAULT_MEDIA_CATEGORIES).toEqual(['image', 'raw', 'video']);
+  });
+});
+
+describe('parseIgnorePattern', () => {
+  it('matches names with * and ?', () => {
+    const { regex, matchPath } = parseIgnorePattern('*_proxy.*');
+    expect(matchPath).toBe(false);
+    expect(regex.test('C0001_PROXY.mp4')).toBe(true);
+    expect(regex.test('C0001.mp4')).toBe(false);
+    expect(parseIgnorePattern('IMG_?.jpg').regex.test('IMG_12.jpg')).toBe(false);
+  });
+
+  it('matches paths with **', () => {
+    const { regex, matchPath } = parseIgnorePattern('**/Proxies/**');
+    expect(matchPath).toBe(true);
+    expect(regex.test('Proxies/C0001.mp4')).toBe(true);
+    expect(regex.test('day1/clips/proxies/C0001.mp4')).toBe(true);
+    expect(regex.test('day1/C0001.mp4')).toBe(false);
+  });
+
+  it('does not let * cross folders', () => {
+    expect(parseIgnorePattern('a/*.jpg').regex.test('a/b/c.jpg')).toBe(false);
+  });
+
+  it('treats regex characters literally', () => {
+    const { regex } = parseIgnorePattern('IMG (1).jpg');
+    expect(regex.test('IMG (1).jpg')).toBe(true);
+    expect(regex.test('IMG 1.jpg')).toBe(false);
+  });
+
+  it('rejects malformed patterns', () => {
+    expect(parseIgnorePattern('')).toBeNull();
+    expect(parseIgnorePattern('C:\\temp\\*')).toBeNull();
+    expect(parseIgnorePattern('a|b')).toBeNull();
+    expect(parseIgnorePattern('x'.repeat(200))).toBeNull();
+    expect(parseIgnorePattern(null)).toBeNull();
+  });
+});
+
+describe('buildMediaRegistry', () => {
+  it('uses the default categories when none are given', () => {
+    const registry = buildMediaRegistry();
+    expect(registry.extensions.get('jpg')).toBe('image');
+    expect(registry.extensions.get('cr3')).toBe('raw');
+    expect(registry.extensions.has('wav')).toBe(false);
+  });
+
+  it('treats an empty list as "no built-in categories"', () => {
+    expect(buildMediaRegistry({ mediaCategories: [] }).extensions.size).toBe(0);
+  });
+
+  it('adds extra extensions without overriding built-ins', () => {
+    const registry = buildMediaRegistry({ mediaCategories: ['image'], extraExtensions: ['.PSD', 'jpg', 'cr3', 'bad ext'] });
+    expect(registry.extensions.get('psd')).toBe('other');
+    expect(registry.extensions.get('jpg')).toBe('image');
+    expect(registry.extensions.get('cr3')).toBe('other');
+    expect(registry.extensions.has('bad ext')).toBe(false);
+  });
+
+  it('caps the number of extra extensions', () => {
+    const extras = Array.from({ length: MAX_EXTRA_EXTENSIONS + 5 }, (_, i) => `x${i}`);
+    const registry = buildMediaRegistry({ mediaCategories: [], extraExtensions: extras });
+    expect(registry.extensions.size).toBe(MAX_EXTRA_EXTENSIONS);
+  });
+
+  it('drops invalid ignore patterns', () => {
+    const registry = buildMediaRegistry({ ignorePatterns: ['*.tmp', 'a|b'] });
+    expect(registry.ignorePatterns.map(p => p.source)).toEqual(['*.tmp']);
+  });
+});
+
+describe('isIgnoredFile / getMediaCategory', () => {
+  const registry = buildMediaRegistry({ mediaCategories: ['image', 'video'], ignorePatterns: ['*_proxy.*'] });
+
+  it('always ignores system and AppleDouble files', () => {
+    expect(isIgnoredFile('sub/Thumbs.db', registry)).toBe(true);
+    expect(isIgnoredFile('._IMG_1.JPG', registry)).toBe(true);
+    expect(getMediaCategory('folder.jpg', registry)).toBeNull();
+  });
+
+  it('returns the category of batched files', () => {
+    expect(getMediaCategory('IMG_1.JPG', registry)).toBe('image');
+    expect(getMediaCategory('clips/C0001.MXF', registry)).toBe('video');
+    expect(getMediaCategory('IMG_1.CR3', registry)).toBeNull();
+    expect(getMediaCategory('C0001_proxy.mp4', registry)).toBeNull();
+  });
+
+  it('ignores dots in folder names', () => {
+    expect(getMediaCategory('Trip.2024/notes', registry)).toBeNull();
+  });
+});
+
+describe('getCategoryLabel', () => {
+  it('labels built-in and special categories', () => {
+    expect(getCategoryLabel('raw')).toBe('RAW');
+    expect(getCategoryLabel('other')).toBe('Other');
+    expect(getCategoryLabel('sidecar')).toBe('Sidecars');
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests for src/utils/pairingRules.js
+ *
+ * This module is pure (no Node.js/Electron dependencies) so we can import directly.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildPairingRules,
+  parsePairingPattern,
+  normalizeExtension,
+  resolveOriginalBases,
+  getSidecarBases,
+  getSidecarExtension,
+  DEFAULT_SIDECAR_EXTENSIONS,
+  DEFAULT_PAIRING_PATTERNS,
+} from '../src/utils/pairingRules.js';
+
+describe('normalizeExtension', () => {
+  it('lowercases and drops a leading dot', () => {
+    expect(normalizeExtension('.XMP')).toBe('xmp');
+    expect(normalizeExtension(' pp3 ')).toBe('pp3');
+  });
+
+  it('rejects anything that is not a plain extension', () => {
+    expect(normalizeExtension('')).toBeNull();
+    expect(normalizeExtension('tar.gz')).toBeNull();
+    expect(normalizeExtension('a/b')).toBeNull();
+    expect(normalizeExtension(null)).toBeNull();
+  });
+});
+
+describe('parsePairingPattern', () => {
+  it('parses a suffix pattern', () => {
+    const parsed = parsePairingPattern('*-Edit=*');
+    expect(parsed.source).toBe('*-Edit = *');
+    expect(parsed.derived.exec('dsc_0001-edit')[1]).toBe('dsc_0001');
+  });
+
+  it('escapes regex characters in the literal parts', () => {
+    const parsed = parsePairingPattern('*(1) = *');
+    expect(parsed.derived.test('IMG_1(1)')).toBe(true);
+    expect(parsed.derived.test('IMG_11')).toBe(false);
+  });
+
+  it('rejects malformed patterns', () => {
+    expect(parsePairingPattern('*-Edit')).toBeNull();
+    expect(parsePairingPattern('* = *')).toBeNull();
+    expect(parsePairingPattern('** = *')).toBeNull();
+    expect(parsePairingPattern('a/* = *')).toBeNull();
+    expect(parsePairingPattern('*-Edit = x')).toBeNull();
+    expect(parsePairingPattern('*-Edit = * = *')).toBeNull();
+    expect(parsePairingPattern(`*${'x'.repeat(80)} = *`)).toBeNull();
+    expect(parsePairingPattern(42)).toBeNull();
+  });
+});
+
+describe('buildPairingRules', () => {
+  it('uses the defaults when no lists are given', () => {
+    const rules = buildPairingRules();
+    expect([...rules.sidecarExtensions]).toEqual(DEFAULT_SIDECAR_EXTENSIONS);
+    expect(rules.patterns.map(p => p.source)).toEqual(DEFAULT_PAIRING_PATTERNS);
+  });
+
+  it('treats empty lists as "pair nothing"', () => {
+    const rules = buildPairingRules({ sidecarExtensions: [], pairingPatterns: [] });
+    expect(rules.sidecarExtensions.size).toBe(0);
+    expect(rules.patterns).toEqual([]);
+  });
+});
+
+describe('resolveOriginalBases', () => {
+  const { patterns } = buildPairingRules();
+
+  it('maps derived names onto their originals', () => {
+    expect(resolveOriginalBases('DSC_0001-Edit', patterns)).toEqual(['DSC_0001']);
+    expect(resolveOriginalBases('IMG_E1234', patterns)).toEqual(['IMG_1234']);
+  });
+
+  it('keeps the directory prefix', () => {
+    expect(resolveOriginalBases('DCIM/100APPLE/IMG_E1234', patterns)).toEqual(['DCIM/100APPLE/IMG_1234']);
+  });
+
+  it('returns nothing for plain names', () => {
+    expect(resolveOriginalBases('IMG_1234', patterns)).toEqual([]);
+  });
+});
+
+describe('getSidecarBases', () => {
+  it('lists the double-extension base first', () => {
+    expect(getSidecarBases('IMG_1.CR3.xmp')).toEqual(['IMG_1.CR3', 'IMG_1']);
+    expect(getSidecarBases('IMG_1.xmp')).toEqual(['IMG_1']);
+  });
+
+  it('ignores dots in folder names', () => {
+    expect(getSidecarBases('Trip.2024/IMG_1.xmp')).toEqual(['Trip.2024/IMG_1']);
+  });
+});
+
+describe('getSidecarExtension', () => {
+  const extensions = new Set(DEFAULT_SIDECAR_EXTENSIONS);
+
+  it('detects sidecars case-insensitively', () => {
+    expect(getSidecarExtension('IMG_1.XMP', extensions)).toBe('xmp');
+    expect(getSidecarExtension('sub/IMG_1.CR3.aae', extensions)).toBe('aae');
+  });
+
+  it('ignores media files and dotfiles', () => {
+    expect(getSidecarExtension('IMG_1.JPG', extensions)).toBeNull();
+    expect(getSidecarExtension('.xmp', extensions)).toBeNull();
+  });
+});
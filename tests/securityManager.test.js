@@ -1,12 +1,19 @@
 /**
  * Tests for src/main/securityManager.js
  *
- * Covers: sanitizeOutputPrefix, validateMaxFilesPerBatch
+ * Covers: sanitizeOutputPrefix, validateMaxFilesPerBatch, validateBatchOptions (incl. pairing, media, clock offset and rename rules), validateBlurThresholds, isSafeRelativePath
  * Note: isPathAllowedAsync and registerAllowedPath require Electron's
  * fs.realpath which works fine in Node — we test the pure logic helpers.
  */
 
 import { describe, it, expect } from 'vitest';
+import {
+  normalizeExtension, parsePairingPattern, MAX_SIDECAR_EXTENSIONS, MAX_PAIRING_PATTERNS,
+} from '../src/utils/pairingRules.js';
+import {
+  parseIgnorePattern, MEDIA_CATEGORIES, MAX_EXTRA_EXTENSIONS, MAX_IGNORE_PATTERNS,
+} from '../src/utils/mediaTypes.js';
+import { isDateFormatVariable, validateFileTemplate } from '../src/utils/batchNaming.js';
 
 // The module uses require('electron') via config.js, so we need to
 // mock it before importing. We only test the pure functions here.
@@ -21,10 +28,16 @@ describe('sanitizeOutputPrefix (logic)', () => {
       return 'Batch';
     }
     const sanitized = prefix
-      .replace(/[\\/:*?"<>|]/g, '')
-      .replace(/\.\./g, '')
       .trim()
-      .substring(0, 50);
+      .substring(0, 100)
+      .replace(/{[^{}]*}|[\\/:*?"<>|]/g, (match) => {
+        if (match.length === 1) return '';
+        const variable = match.replace(/[\\/*?"<>|]/g, '');
+        const [, name, format] = variable.match(/^{([a-z_]+):([^{}]*)}$/i) || [];
+        return name && isDateFormatVariable(name, format) ? variable : variable.replace(/:/g, '');
+      })
+      .replace(/\.\./g, '')
+      .trim();
     return sanitized.length > 0 ? sanitized : 'Batch';
   }
 
@@ -81,9 +94,9 @@ describe('sanitizeOutputPrefix (logic)', () => {
     expect(sanitizeOutputPrefix('  Batch  ')).toBe('Batch');
   });
 
-  it('truncates at 50 characters', () => {
-    const longInput = 'a'.repeat(100);
-    expect(sanitizeOutputPrefix(longInput).length).toBe(50);
+  it('truncates at 100 characters (MAX_NAMING_PATTERN_LENGTH)', () => {
+    const longInput = 'a'.repeat(200);
+    expect(sanitizeOutputPrefix(longInput).length).toBe(100);
   });
 
   it('returns default when sanitized result is empty (all forbidden chars)', () => {
@@ -101,6 +114,22 @@ describe('sanitizeOutputPrefix (logic)', () => {
   it('allows unicode characters', () => {
     expect(sanitizeOutputPrefix('Fotos_Día')).toBe('Fotos_Día');
   });
+
+  it('keeps the colon of a variable format but strips other forbidden characters', () => {
+    expect(sanitizeOutputPrefix('Shoot_{first_date:YYYYMMDD}')).toBe('Shoot_{first_date:YYYYMMDD}');
+    expect(sanitizeOutputPrefix('a:b_{date:YYYY/MM}')).toBe('ab_{date:YYYYMM}');
+  });
+
+  it('strips the colon from braces that are not a date variable with a valid format', () => {
+    expect(sanitizeOutputPrefix('Shoot{1:2}')).toBe('Shoot{12}');
+    expect(sanitizeOutputPrefix('A{ :x}')).toBe('A{ x}');
+    expect(sanitizeOutputPrefix('{camera:YYYY}_{first_date:DD:MM}')).toBe('{cameraYYYY}_{first_dateDDMM}');
+  });
+
+  it('strips the colon of a variable cut off by the length limit', () => {
+    const cut = sanitizeOutputPrefix(`${'a'.repeat(88)}{first_date:YYYYMMDD}`);
+    expect(cut).toBe(`${'a'.repeat(88)}{first_date`);
+  });
 });
 
 describe('validateMaxFilesPerBatch (logic)', () => {
@@ -167,3 +196,416 @@ describe('validateMaxFilesPerBatch (logic)', () => {
     expect(validateMaxFilesPerBatch('')).toBe(DEFAULT_FILES_PER_BATCH);
   });
 });
+
+describe('validateBatchOptions (logic)', () => {
+  // Re-implement the validation logic for unit testing
+  const MIN_BYTES_PER_BATCH = 1024 * 1024;
+  const MAX_BYTES_PER_BATCH_CEILING = 10 * 1024 ** 4;
+  const DEFAULT_BYTES_PER_BATCH = 4 * 1024 ** 3;
+
+  function validateMaxBytesPerBatch(value) {
+    const num = Math.floor(Number(value));
+    if (!Number.isFinite(num) || num < 1) return DEFAULT_BYTES_PER_BATCH;
+    if (num < MIN_BYTES_PER_BATCH) return MIN_BYTES_PER_BATCH;
+    if (num > MAX_BYTES_PER_BATCH_CEILING) return MAX_BYTES_PER_BATCH_CEILING;
+    return num;
+  }
+
+  const LIMIT_MODES = new Set(['count', 'size', 'target']);
+
+  function validateTargetBatchCount(value) {
+    const num = parseInt(value, 10);
+    if (isNaN(num) || num < 1) return 4;
+    return Math.min(num, 1000);
+  }
+
+  const SPLIT_BY_MODES = new Set(['none', 'day', 'week', 'month', 'camera', 'lens', 'session', 'location', 'rating', 'label', 'orientation']);
+
+  const COLOR_LABELS = ['red', 'yellow', 'green', 'blue', 'purple'];
+
+  function validateSessionGapMinutes(value) {
+    const num = Math.round(Number(value));
+    if (!Number.isFinite(num) || num < 1) return 20;
+    return Math.min(Math.max(num, 1), 24 * 60);
+  }
+
+  function validateBurstGapSeconds(value) {
+    const num = Math.round(Number(value));
+    if (!Number.isFinite(num) || num < 1) return 2;
+    return Math.min(Math.max(num, 1), 60);
+  }
+
+  function validateLocationRadiusKm(value) {
+    const num = Number(value);
+    if (!Number.isFinite(num) || num <= 0) return 1;
+    return Math.min(Math.max(num, 0.05), 500);
+  }
+
+  function validatePlaceLabels(labels) {
+    if (!Array.isArray(labels)) return [];
+    const valid = [];
+    for (const label of labels.slice(0, 100)) {
+      if (!label || typeof label !== 'object' || typeof label.name !== 'string') continue;
+      // eslint-disable-next-line no-control-regex -- mirrors the module
+      const name = label.name.replace(/[\\/:*?"<>|\u0000-\u001f]/g, '').trim().slice(0, 64).trim();
+      const latitude = Number(label.latitude);
+      const longitude = Number(label.longitude);
+      if (!name || !Number.isFinite(latitude) || !Number.isFinite(longitude)) continue;
+      if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) continue;
+      valid.push({ name, latitude, longitude });
+    }
+    return valid;
+  }
+
+  function validateClockOffsets(offsets) {
+    if (!Array.isArray(offsets)) return [];
+    const valid = [];
+    for (const offset of offsets.slice(0, 50)) {
+      if (!offset || typeof offset !== 'object' || typeof offset.camera !== 'string') continue;
+      const camera = offset.camera.trim().slice(0, 128);
+      const seconds = Number(offset.seconds);
+      if (!camera || !Number.isInteger(seconds)) continue;
+      if (Math.abs(seconds) > 7 * 24 * 3600) continue;
+      valid.push({ camera, seconds });
+    }
+    return valid;
+  }
+
+  function validateRenameTemplate(template) {
+    if (typeof template !== 'string' || !template.trim()) return '';
+    const trimmed = template.trim();
+    return validateFileTemplate(trimmed).length > 0 ? '' : trimmed;
+  }
+
+  function validateRatingRules(minRating, labelFilter, rejectedAction) {
+    const num = Math.round(Number(minRating));
+    const label = typeof labelFilter === 'string' ? labelFilter.toLowerCase() : '';
+    return {
+      minRating: Number.isFinite(num) ? Math.min(Math.max(num, 0), 5) : 0,
+      labelFilter: COLOR_LABELS.includes(label) ? label : '',
+      rejectedAction: rejectedAction === 'folder' ? 'folder' : 'batch',
+    };
+  }
+
+  function validateBatchOptions(options) {
+    const input = (options && typeof options === 'object' && !Array.isArray(options)) ? options : {};
+    const limitMode = LIMIT_MODES.has(input.limitMode) ? input.limitMode : 'count';
+    const recursive = input.recursive === true;
+    const splitBy = SPLIT_BY_MODES.has(input.splitBy) ? input.splitBy : 'none';
+    return {
+      limitMode,
+      maxBytesPerBatch: limitMode === 'size' ? validateMaxBytesPerBatch(input.maxBytesPerBatch) : 0,
+      targetBatchCount: limitMode === 'target' ? validateTargetBatchCount(input.targetBatchCount) : 0,
+      balanceBy: limitMode === 'target' && input.balanceBy === 'bytes' ? 'bytes' : 'files',
+      contiguous: input.contiguous === true,
+      recursive,
+      preserveStructure: recursive && input.preserveStructure === true,
+      typeSubfolders: input.typeSubfolders === true,
+      splitBy,
+      sessionGapMinutes: splitBy === 'session' ? validateSessionGapMinutes(input.sessionGapMinutes) : 0,
+      locationRadiusKm: splitBy === 'location' ? validateLocationRadiusKm(input.locationRadiusKm) : 0,
+      placeLabels: splitBy === 'location' ? validatePlaceLabels(input.placeLabels) : [],
+      clockOffsets: validateClockOffsets(input.clockOffsets),
+      namingCaptureTimes: input.namingCaptureTimes === true,
+      namingCamera: input.namingCamera === true,
+      renameTemplate: validateRenameTemplate(input.renameTemplate),
+      renameNumbering: input.renameNumbering === 'batch' ? 'batch' : 'global',
+      ...validatePairingRules(input.sidecarExtensions, input.pairingPatterns),
+      ...validateMediaRules(input.mediaCategories, input.extraExtensions, input.ignorePatterns),
+      duplicateAction: input.duplicateAction === 'drop' ? 'drop' : 'folder',
+      exposureAction: input.exposureAction === 'drop' ? 'drop' : 'folder',
+      burstGapSeconds: validateBurstGapSeconds(input.burstGapSeconds),
+      ...validateRatingRules(input.minRating, input.labelFilter, input.rejectedAction),
+    };
+  }
+
+  function validatePairingRules(extensions, patterns) {
+    return {
+      sidecarExtensions: Array.isArray(extensions)
+        ? [...new Set(extensions.map(normalizeExtension).filter(Boolean))].slice(0, MAX_SIDECAR_EXTENSIONS)
+        : null,
+      pairingPatterns: Array.isArray(patterns)
+        ? patterns.map(parsePairingPattern).filter(Boolean).map(p => p.source).slice(0, MAX_PAIRING_PATTERNS)
+        : null,
+    };
+  }
+
+  function validateMediaRules(categories, extensions, patterns) {
+    return {
+      mediaCategories: Array.isArray(categories)
+        ? [...new Set(categories.filter(c => typeof c === 'string' && Object.hasOwn(MEDIA_CATEGORIES, c)))]
+        : null,
+      extraExtensions: Array.isArray(extensions)
+        ? [...new Set(extensions.map(normalizeExtension).filter(Boolean))].slice(0, MAX_EXTRA_EXTENSIONS)
+        : null,
+      ignorePatterns: Array.isArray(patterns)
+        ? [...new Set(patterns.map(parseIgnorePattern).filter(Boolean).map(p => p.source))].slice(0, MAX_IGNORE_PATTERNS)
+        : null,
+    };
+  }
+
+  const DEFAULTS = {
+    limitMode: 'count', maxBytesPerBatch: 0, targetBatchCount: 0, balanceBy: 'files', contiguous: false, recursive: false, preserveStructure: false, typeSubfolders: false,
+    splitBy: 'none', sessionGapMinutes: 0, locationRadiusKm: 0, placeLabels: [], clockOffsets: [], namingCaptureTimes: false, namingCamera: false, renameTemplate: '', renameNumbering: 'global', sidecarExtensions: null, pairingPatterns: null,
+    mediaCategories: null, extraExtensions: null, ignorePatterns: null, duplicateAction: 'folder', exposureAction: 'folder',
+    burstGapSeconds: 2, minRating: 0, labelFilter: '', rejectedAction: 'batch',
+  };
+
+  it('defaults to count mode for missing options', () => {
+    expect(validateBatchOptions(null)).toEqual(DEFAULTS);
+    expect(validateBatchOptions(undefined)).toEqual(DEFAULTS);
+  });
+
+  it('rejects non-object options', () => {
+    expect(validateBatchOptions('size')).toEqual(DEFAULTS);
+    expect(validateBatchOptions(['size'])).toEqual(DEFAULTS);
+  });
+
+  it('only accepts boolean true for recursive', () => {
+    expect(validateBatchOptions({ recursive: 'true' }).recursive).toBe(false);
+    expect(validateBatchOptions({ recursive: true }).recursive).toBe(true);
+  });
+
+  it('only accepts boolean true for contiguous', () => {
+    expect(validateBatchOptions({ contiguous: 'true' }).contiguous).toBe(false);
+    expect(validateBatchOptions({ contiguous: true }).contiguous).toBe(true);
+  });
+
+  it('accepts only a boolean true for typeSubfolders', () => {
+    expect(validateBatchOptions({ typeSubfolders: true }).typeSubfolders).toBe(true);
+    expect(validateBatchOptions({ typeSubfolders: 'true' }).typeSubfolders).toBe(false);
+  });
+
+  it('ignores preserveStructure without recursive', () => {
+    expect(validateBatchOptions({ preserveStructure: true }).preserveStructure).toBe(false);
+    expect(validateBatchOptions({ recursive: true, preserveStructure: true }).preserveStructure).toBe(true);
+  });
+
+  it('accepts known split modes and drops unknown ones', () => {
+    expect(validateBatchOptions({ splitBy: 'day' }).splitBy).toBe('day');
+    expect(validateBatchOptions({ splitBy: 'month' }).splitBy).toBe('month');
+    expect(validateBatchOptions({ splitBy: 'camera' }).splitBy).toBe('camera');
+    expect(validateBatchOptions({ splitBy: 'rating' }).splitBy).toBe('rating');
+    expect(validateBatchOptions({ splitBy: 'hour' }).splitBy).toBe('none');
+    expect(validateBatchOptions({ splitBy: ['day'] }).splitBy).toBe('none');
+  });
+
+  it('validates the session gap only in session mode', () => {
+    expect(validateBatchOptions({ sessionGapMinutes: 30 }).sessionGapMinutes).toBe(0);
+    expect(validateBatchOptions({ splitBy: 'session', sessionGapMinutes: 30 }).sessionGapMinutes).toBe(30);
+    expect(validateBatchOptions({ splitBy: 'session', sessionGapMinutes: 'abc' }).sessionGapMinutes).toBe(20);
+    expect(validateBatchOptions({ splitBy: 'session', sessionGapMinutes: 1e6 }).sessionGapMinutes).toBe(1440);
+  });
+
+  it('validates the location radius and place labels only in location mode', () => {
+    expect(validateBatchOptions({ locationRadiusKm: 5 }).locationRadiusKm).toBe(0);
+    expect(validateBatchOptions({ splitBy: 'location', locationRadiusKm: '2.5' }).locationRadiusKm).toBe(2.5);
+    expect(validateBatchOptions({ splitBy: 'location', locationRadiusKm: 0 }).locationRadiusKm).toBe(1);
+    expect(validateBatchOptions({ splitBy: 'location', locationRadiusKm: 0.001 }).locationRadiusKm).toBe(0.05);
+    expect(validateBatchOptions({ placeLabels: [{ name: 'A', latitude: 1, longitude: 2 }] }).placeLabels).toEqual([]);
+  });
+
+  it('sanitizes place names and drops bad coordinates', () => {
+    const { placeLabels } = validateBatchOptions({
+      splitBy: 'location',
+      placeLabels: [
+        { name: ' Venue: Hall/2 ', latitude: '48.5', longitude: 2 },
+        { name: 'North', latitude: 91, longitude: 0 },
+        { name: '///', latitude: 1, longitude: 1 },
+        'x',
+      ],
+    });
+    expect(placeLabels).toEqual([{ name: 'Venue Hall2', latitude: 48.5, longitude: 2 }]);
+  });
+
+  it('keeps whole-second clock offsets within a week', () => {
+    const { clockOffsets } = validateBatchOptions({
+      clockOffsets: [
+        { camera: ' X-T5 ', seconds: '-150' },
+        { camera: 'Canon EOS R5', seconds: 1.5 },
+        { camera: 'Nikon Z 6', seconds: 8 * 24 * 3600 },
+        { camera: '', seconds: 10 },
+        null,
+      ],
+    });
+    expect(clockOffsets).toEqual([{ camera: 'X-T5', seconds: -150 }]);
+  });
+
+  it('keeps pairing rules null when not supplied', () => {
+    expect(validateBatchOptions({ sidecarExtensions: 'xmp' }).sidecarExtensions).toBeNull();
+    expect(validateBatchOptions({ pairingPatterns: '*-Edit = *' }).pairingPatterns).toBeNull();
+  });
+
+  it('normalizes and dedupes sidecar extensions', () => {
+    expect(validateBatchOptions({ sidecarExtensions: ['.XMP', 'xmp', 'a.b', '', 42, 'aae'] }).sidecarExtensions)
+      .toEqual(['xmp', 'aae']);
+    expect(validateBatchOptions({ sidecarExtensions: [] }).sidecarExtensions).toEqual([]);
+  });
+
+  it('drops malformed pairing patterns and caps the list', () => {
+    expect(validateBatchOptions({ pairingPatterns: ['*-Edit=*', '* = *', 'a/* = *', 'x'] }).pairingPatterns)
+      .toEqual(['*-Edit = *']);
+    const many = Array.from({ length: 40 }, (_, i) => `*-v${i} = *`);
+    expect(validateBatchOptions({ pairingPatterns: many }).pairingPatterns).toHaveLength(MAX_PAIRING_PATTERNS);
+  });
+
+  it('keeps known media categories only', () => {
+    expect(validateBatchOptions({ mediaCategories: ['raw', 'raw', 'toString', 'other', 7] }).mediaCategories).toEqual(['raw']);
+    expect(validateBatchOptions({ mediaCategories: [] }).mediaCategories).toEqual([]);
+    expect(validateBatchOptions({ mediaCategories: 'raw' }).mediaCategories).toBeNull();
+  });
+
+  it('normalizes extra extensions and ignore patterns', () => {
+    const result = validateBatchOptions({
+      extraExtensions: ['.PSD', 'psd', '../x'],
+      ignorePatterns: [' *_proxy.* ', '*_proxy.*', 'a|b'],
+    });
+    expect(result.extraExtensions).toEqual(['psd']);
+    expect(result.ignorePatterns).toEqual(['*_proxy.*']);
+  });
+
+  it('keeps valid rename templates and known numbering modes only', () => {
+    expect(validateBatchOptions({ renameTemplate: ' Smith_{capture_date:YYYYMMDD}_{seq} ' }).renameTemplate)
+      .toBe('Smith_{capture_date:YYYYMMDD}_{seq}');
+    expect(validateBatchOptions({ renameTemplate: 'Smith_{sequence}' }).renameTemplate).toBe('');
+    expect(validateBatchOptions({ renameTemplate: '../{seq}' }).renameTemplate).toBe('');
+    expect(validateBatchOptions({ renameTemplate: ['{seq}'] }).renameTemplate).toBe('');
+    expect(validateBatchOptions({ renameNumbering: 'batch' }).renameNumbering).toBe('batch');
+    expect(validateBatchOptions({ renameNumbering: 'folder' }).renameNumbering).toBe('global');
+  });
+
+  it('only accepts known duplicate actions', () => {
+    expect(validateBatchOptions({ duplicateAction: 'drop' }).duplicateAction).toBe('drop');
+    expect(validateBatchOptions({ duplicateAction: 'delete' }).duplicateAction).toBe('folder');
+  });
+
+  it('only accepts known exposure actions', () => {
+    expect(validateBatchOptions({ exposureAction: 'drop' }).exposureAction).toBe('drop');
+    expect(validateBatchOptions({ exposureAction: true }).exposureAction).toBe('folder');
+  });
+
+  it('bounds the burst gap to whole seconds', () => {
+    expect(validateBatchOptions({ burstGapSeconds: '5' }).burstGapSeconds).toBe(5);
+    expect(validateBatchOptions({ burstGapSeconds: 0.4 }).burstGapSeconds).toBe(2);
+    expect(validateBatchOptions({ burstGapSeconds: 1.6 }).burstGapSeconds).toBe(2);
+    expect(validateBatchOptions({ burstGapSeconds: 3600 }).burstGapSeconds).toBe(60);
+  });
+
+  it('bounds the minimum rating and keeps known color labels only', () => {
+    expect(validateBatchOptions({ minRating: '3' }).minRating).toBe(3);
+    expect(validateBatchOptions({ minRating: 9 }).minRating).toBe(5);
+    expect(validateBatchOptions({ minRating: -1 }).minRating).toBe(0);
+    expect(validateBatchOptions({ minRating: 'abc' }).minRating).toBe(0);
+    expect(validateBatchOptions({ labelFilter: 'Red' }).labelFilter).toBe('red');
+    expect(validateBatchOptions({ labelFilter: 'orange' }).labelFilter).toBe('');
+    expect(validateBatchOptions({ rejectedAction: 'folder' }).rejectedAction).toBe('folder');
+    expect(validateBatchOptions({ rejectedAction: 'delete' }).rejectedAction).toBe('batch');
+  });
+
+  it('accepts a valid target batch count', () => {
+    expect(validateBatchOptions({ limitMode: 'target', targetBatchCount: 4, balanceBy: 'bytes' }))
+      .toEqual({ ...DEFAULTS, limitMode: 'target', targetBatchCount: 4, balanceBy: 'bytes' });
+  });
+
+  it('validates the target batch count only in target mode', () => {
+    expect(validateBatchOptions({ targetBatchCount: 4, balanceBy: 'bytes' })).toEqual(DEFAULTS);
+    expect(validateBatchOptions({ limitMode: 'target', targetBatchCount: 'abc' }).targetBatchCount).toBe(4);
+    expect(validateBatchOptions({ limitMode: 'target', targetBatchCount: 0 }).targetBatchCount).toBe(4);
+    expect(validateBatchOptions({ limitMode: 'target', targetBatchCount: 1e6 }).targetBatchCount).toBe(1000);
+    expect(validateBatchOptions({ limitMode: 'target', targetBatchCount: 3, balanceBy: 'weight' }).balanceBy).toBe('files');
+  });
+
+  it('falls back to count mode for unknown limit modes', () => {
+    expect(validateBatchOptions({ limitMode: 'weight' }).limitMode).toBe('count');
+  });
+
+  it('ignores maxBytesPerBatch in count mode', () => {
+    expect(validateBatchOptions({ limitMode: 'count', maxBytesPerBatch: 5000 }).maxBytesPerBatch).toBe(0);
+  });
+
+  it('accepts a valid size limit', () => {
+    const gb = 1024 ** 3;
+    expect(validateBatchOptions({ limitMode: 'size', maxBytesPerBatch: 2 * gb }))
+      .toEqual({ ...DEFAULTS, limitMode: 'size', maxBytesPerBatch: 2 * gb });
+  });
+
+  it('uses the default size for invalid values', () => {
+    expect(validateBatchOptions({ limitMode: 'size', maxBytesPerBatch: 'abc' }).maxBytesPerBatch).toBe(DEFAULT_BYTES_PER_BATCH);
+    expect(validateBatchOptions({ limitMode: 'size', maxBytesPerBatch: -1 }).maxBytesPerBatch).toBe(DEFAULT_BYTES_PER_BATCH);
+  });
+
+  it('clamps tiny and huge sizes', () => {
+    expect(validateBatchOptions({ limitMode: 'size', maxBytesPerBatch: 10 }).maxBytesPerBatch).toBe(MIN_BYTES_PER_BATCH);
+    expect(validateBatchOptions({ limitMode: 'size', maxBytesPerBatch: Infinity }).maxBytesPerBatch).toBe(DEFAULT_BYTES_PER_BATCH);
+    expect(validateBatchOptions({ limitMode: 'size', maxBytesPerBatch: 1e15 }).maxBytesPerBatch).toBe(MAX_BYTES_PER_BATCH_CEILING);
+  });
+});
+
+describe('validateBlurThresholds (logic)', () => {
+  // Re-implement the validation logic for unit testing
+  const MAX_BLUR_VARIANCE_THRESHOLD = 10000;
+
+  function validateBlurThresholds(value) {
+    const variance = Number(value?.variance);
+    const edgeDensity = Number(value?.edgeDensity);
+    if (!Number.isFinite(variance) || variance <= 0 || variance > MAX_BLUR_VARIANCE_THRESHOLD ||
+        !Number.isFinite(edgeDensity) || edgeDensity <= 0 || edgeDensity > 1) {
+      return null;
+    }
+    return { variance, edgeDensity };
+  }
+
+  it('accepts numbers and numeric strings', () => {
+    expect(validateBlurThresholds({ variance: 65, edgeDensity: 0.04 })).toEqual({ variance: 65, edgeDensity: 0.04 });
+    expect(validateBlurThresholds({ variance: '65', edgeDensity: '0.04' })).toEqual({ variance: 65, edgeDensity: 0.04 });
+  });
+
+  it('rejects missing or out-of-range values', () => {
+    expect(validateBlurThresholds(null)).toBeNull();
+    expect(validateBlurThresholds({ variance: 65 })).toBeNull();
+    expect(validateBlurThresholds({ variance: 0, edgeDensity: 0.04 })).toBeNull();
+    expect(validateBlurThresholds({ variance: 1e6, edgeDensity: 0.04 })).toBeNull();
+    expect(validateBlurThresholds({ variance: 65, edgeDensity: 2 })).toBeNull();
+  });
+});
+
+describe('isSafeRelativePath (logic)', () => {
+  // Re-implement the validation logic for unit testing
+  function isSafeRelativePath(relPath) {
+    if (typeof relPath !== 'string' || relPath.length === 0) return false;
+    if (relPath.includes('\\') || relPath.includes(':') || relPath.includes('\0')) return false;
+    return relPath.split('/').every(segment => segment !== '' && segment !== '.' && segment !== '..');
+  }
+
+  it('accepts plain file names', () => {
+    expect(isSafeRelativePath('IMG_0001.JPG')).toBe(true);
+    expect(isSafeRelativePath('my..photo.jpg')).toBe(true);
+  });
+
+  it('accepts relative paths from a recursive scan', () => {
+    expect(isSafeRelativePath('DCIM/100CANON/IMG_0001.JPG')).toBe(true);
+  });
+
+  it('rejects parent directory segments', () => {
+    expect(isSafeRelativePath('../secret.jpg')).toBe(false);
+    expect(isSafeRelativePath('DCIM/../../secret.jpg')).toBe(false);
+    expect(isSafeRelativePath('..')).toBe(false);
+  });
+
+  it('rejects absolute paths and drive letters', () => {
+    expect(isSafeRelativePath('/etc/passwd')).toBe(false);
+    expect(isSafeRelativePath('C:/Windows/win.ini')).toBe(false);
+  });
+
+  it('rejects backslashes and empty segments', () => {
+    expect(isSafeRelativePath('DCIM\\IMG.jpg')).toBe(false);
+    expect(isSafeRelativePath('DCIM//IMG.jpg')).toBe(false);
+    expect(isSafeRelativePath('./IMG.jpg')).toBe(false);
+  });
+
+  it('rejects non-strings and empty strings', () => {
+    expect(isSafeRelativePath(null)).toBe(false);
+    expect(isSafeRelativePath(42)).toBe(false);
+    expect(isSafeRelativePath('')).toBe(false);
+  });
+});
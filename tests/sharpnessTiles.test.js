@@ -0,0 +1,88 @@
+/**
+ * Tests for src/main/sharpnessTiles.js
+ *
+ * Pure module (no Electron dependency) so we can import it directly.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { focusPointFromTags, measureTiles, orientPoint, pickFocusTile } from '../src/main/sharpnessTiles.js';
+
+/** 4x4 image with a checkerboard (edges) in the top-left 2x2 quadrant only */
+const IMAGE = Uint8Array.from([
+  0, 200, 10, 10,
+  200, 0, 10, 10,
+  10, 10, 10, 10,
+  10, 10, 10, 10,
+]);
+
+describe('measureTiles', () => {
+  it('scores each tile row-major', () => {
+    const tiles = measureTiles(IMAGE, 4, 4, { grid: 2, edgeThreshold: 15 });
+    expect(tiles).toHaveLength(4);
+    expect(tiles[0]).toEqual({ variance: 10000, edgeDensity: 0.5 });
+    expect(tiles.slice(1)).toEqual([
+      { variance: 0, edgeDensity: 0 },
+      { variance: 0, edgeDensity: 0 },
+      { variance: 0, edgeDensity: 0 },
+    ]);
+  });
+
+  it('marks tiles without pixels', () => {
+    const tiles = measureTiles(Uint8Array.from([5]), 1, 1, { grid: 2, edgeThreshold: 15 });
+    expect(tiles.filter(tile => tile.variance === -1)).toHaveLength(3);
+  });
+});
+
+describe('focusPointFromTags', () => {
+  it('reads SubjectArea relative to the EXIF image size', () => {
+    expect(focusPointFromTags({ SubjectArea: [1500, 500, 200, 100], ExifImageWidth: 6000, ExifImageHeight: 4000 }))
+      .toEqual({ x: 0.25, y: 0.125 });
+  });
+
+  it('falls back to SubjectLocation and IFD0 size', () => {
+    expect(focusPointFromTags({ SubjectLocation: [300, 200], ImageWidth: 600, ImageHeight: 400 }))
+      .toEqual({ x: 0.5, y: 0.5 });
+  });
+
+  it('returns null without a point, a size, or inside the frame', () => {
+    expect(focusPointFromTags(null)).toBeNull();
+    expect(focusPointFromTags({ ExifImageWidth: 600, ExifImageHeight: 400 })).toBeNull();
+    expect(focusPointFromTags({ SubjectArea: [300, 200] })).toBeNull();
+    expect(focusPointFromTags({ SubjectArea: [900, 200], ExifImageWidth: 600, ExifImageHeight: 400 })).toBeNull();
+  });
+});
+
+describe('orientPoint', () => {
+  const point = { x: 0.2, y: 0.1 };
+
+  it('maps stored coordinates to the displayed frame', () => {
+    expect(orientPoint(point, 1)).toEqual(point);
+    expect(orientPoint(point)).toEqual(point);
+    expect(orientPoint(point, 3)).toEqual({ x: 0.8, y: 0.9 });
+    expect(orientPoint(point, 6)).toEqual({ x: 0.9, y: 0.2 });
+    expect(orientPoint(point, 8)).toEqual({ x: 0.1, y: 0.8 });
+  });
+
+  it('handles mirrored orientations', () => {
+    expect(orientPoint(point, 2)).toEqual({ x: 0.8, y: 0.1 });
+    expect(orientPoint(point, 4)).toEqual({ x: 0.2, y: 0.9 });
+    expect(orientPoint(point, 5)).toEqual({ x: 0.1, y: 0.2 });
+    expect(orientPoint(point, 7)).toEqual({ x: 0.9, y: 0.8 });
+  });
+});
+
+describe('pickFocusTile', () => {
+  const tiles = [{ variance: 5 }, { variance: 300 }, { variance: 40 }, { variance: -1 }];
+
+  it('uses the tile under the focus point', () => {
+    expect(pickFocusTile(tiles, 2, { x: 0.1, y: 0.9 })).toEqual({ index: 2, source: 'af' });
+    // Points on the far edge stay in the last tile
+    expect(pickFocusTile(tiles, 2, { x: 1, y: 0 })).toEqual({ index: 1, source: 'af' });
+  });
+
+  it('falls back to the sharpest tile', () => {
+    expect(pickFocusTile(tiles, 2)).toEqual({ index: 1, source: 'sharpest' });
+    // A focus point on a tile without pixels is ignored
+    expect(pickFocusTile(tiles, 2, { x: 1, y: 1 })).toEqual({ index: 1, source: 'sharpest' });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Tests for src/main/similarityMatcher.js
+ *
+ * Pure module (no Electron dependency) so we can import it directly.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { clusterFrames, hammingDistance } from '../src/main/similarityMatcher.js';
+
+const OPTIONS = { burstGapMs: 2000, burstDistance: 12, nearDistance: 4, nearWindowMs: 600000, lookback: 40 };
+
+const HASH = '0123456789abcdef';
+// Flip the lowest `bits` bits of HASH
+const near = (bits) => HASH.slice(0, 8) + ((parseInt(HASH.slice(8), 16) ^ ((2 ** bits) - 1)) >>> 0).toString(16).padStart(8, '0');
+const FAR = 'fedcba9876543210';
+
+const frame = (baseName, hash, time, score = 100) => ({ baseName, hash, time, score });
+
+describe('hammingDistance', () => {
+  it('counts differing bits across both halves', () => {
+    expect(hammingDistance(HASH, HASH)).toBe(0);
+    expect(hammingDistance(HASH, near(5))).toBe(5);
+    expect(hammingDistance('0000000100000001', '0000000000000000')).toBe(2);
+    expect(hammingDistance('ffffffffffffffff', '0000000000000000')).toBe(64);
+  });
+});
+
+describe('clusterFrames', () => {
+  it('returns nothing for no frames', () => {
+    expect(clusterFrames([], OPTIONS)).toEqual([]);
+  });
+
+  it('groups a burst and ranks it by sharpness', () => {
+    const clusters = clusterFrames([
+      frame('IMG_1', HASH, 0, 50),
+      frame('IMG_2', near(6), 500, 120),
+      frame('IMG_3', near(8), 1000, 80),
+    ], OPTIONS);
+    expect(clusters).toEqual([{ members: ['IMG_2', 'IMG_3', 'IMG_1'] }]);
+  });
+
+  it('leaves out single frames', () => {
+    expect(clusterFrames([frame('A', HASH, 0), frame('B', FAR, 100)], OPTIONS)).toEqual([]);
+  });
+
+  it('chains a burst that drifts further than the distance limit end to end', () => {
+    const clusters = clusterFrames([
+      frame('A', HASH, 0),
+      frame('B', near(10), 1000),
+      frame('C', near(20), 2000),
+    ], OPTIONS);
+    expect(clusters[0].members.sort()).toEqual(['A', 'B', 'C']);
+  });
+
+  it('does not link similar frames beyond the burst gap unless near-identical', () => {
+    expect(clusterFrames([frame('A', HASH, 0), frame('B', near(8), 5000)], OPTIONS)).toEqual([]);
+    expect(clusterFrames([frame('A', HASH, 0), frame('B', near(3), 5000)], OPTIONS))
+      .toEqual([{ members: ['A', 'B'] }]);
+  });
+
+  it('does not link near-identical frames outside the window', () => {
+    expect(clusterFrames([frame('A', HASH, 0), frame('B', HASH, 700000)], OPTIONS)).toEqual([]);
+  });
+
+  it('never links frames without a hash', () => {
+    expect(clusterFrames([frame('A', null, 0), frame('B', null, 0), frame('C', HASH, 0)], OPTIONS)).toEqual([]);
+  });
+
+  it('ranks unscored frames last and keeps capture order on ties', () => {
+    const clusters = clusterFrames([
+      frame('C', HASH, 200, 10),
+      frame('A', HASH, 0, -1),
+      frame('B', HASH, 100, 10),
+    ], OPTIONS);
+    expect(clusters).toEqual([{ members: ['B', 'C', 'A'] }]);
+  });
+
+  it('orders clusters by capture time', () => {
+    const clusters = clusterFrames([
+      frame('late1', FAR, 60000), frame('late2', FAR, 60500),
+      frame('early1', HASH, 0), frame('early2', HASH, 500),
+    ], OPTIONS);
+    expect(clusters.map(c => c.members[0])).toEqual(['early1', 'late1']);
+  });
+
+  it('only compares with the lookback window', () => {
+    const frames = [frame('A', HASH, 0), frame('B', FAR, 1), frame('C', HASH, 2)];
+    expect(clusterFrames(frames, { ...OPTIONS, lookback: 1 })).toEqual([]);
+    expect(clusterFrames(frames, OPTIONS)).toEqual([{ members: ['A', 'C'] }]);
+  });
+});
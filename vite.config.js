@@ -8,7 +8,7 @@ export default defineConfig({
     outDir: "dist",
     commonjsOptions: {
       // Include local CJS modules that are imported with ESM syntax
-      include: [/src\/utils\/batchNaming\.js/, /node_modules/],
+      include: [/src\/utils\/(batchNaming|pairingRules|mediaTypes|blurClasses|blurThresholds|cameraClocks)\.js/, /node_modules/],
       transformMixedEsModules: true,
     },
   },